@@ -0,0 +1,257 @@
+const fs = require('fs');
+const crypto = require('crypto');
+
+// Rotas que podem ficar sem autenticação (`publicRoutes` ou TAC_PUBLIC_ROUTES=health,info,metrics)
+const PUBLIC_ROUTES = {
+  health: '/api/health',
+  info: '/api/info',
+  metrics: '/metrics'
+};
+
+// Tamanho mínimo de uma chave, para evitar chaves fáceis de adivinhar
+const MIN_KEY_LENGTH = 16;
+
+/**
+ * Calcula o hash de uma chave; só os hashes ficam em memória e são comparados
+ * @param {string} key - Chave de API
+ * @returns {Buffer} SHA-256 da chave
+ */
+function hashKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest();
+}
+
+/**
+ * Chaves de API usadas na autenticação das rotas REST (cabeçalho `Authorization: Bearer <chave>`)
+ * As chaves vêm de um arquivo JSON e da variável TAC_API_KEYS; cada uma tem um id, pode ser
+ * desativada (`enabled: false`) e só as marcadas com `admin` acessam as rotas de administração.
+ * Sem chaves configuradas, a autenticação fica desligada.
+ * O TacServer aceita outra implementação em `options.auth`, com `enabled`, `isPublic(path)`,
+ * `authenticate(token)`, `list()` e `revoke(id)`.
+ */
+class ApiKeyStore {
+  /**
+   * @param {Object} options - Opções
+   * @param {Array<Object>} options.keys - Chaves `{ id, key, name, admin, enabled }`; no lugar de `key`,
+   *   `hash` com o SHA-256 da chave em hexadecimal
+   * @param {string|null} options.file - Arquivo JSON com `keys` e `publicRoutes`; recebe as revogações
+   * @param {Array<string>} options.publicRoutes - Rotas sem autenticação: 'health', 'info' e/ou 'metrics'
+   */
+  constructor({ keys = [], file = null, publicRoutes = [] } = {}) {
+    this.file = file;
+    this.keys = new Map();
+
+    const config = file ? this.readFile(file) : { keys: [], publicRoutes: [] };
+
+    config.keys.forEach(entry => this.add(entry, 'file'));
+    keys.forEach(entry => this.add(entry, 'memory'));
+
+    this.publicRoutes = normalizePublicRoutes([...config.publicRoutes, ...publicRoutes]);
+  }
+
+  /**
+   * Cria o repositório a partir das variáveis de ambiente:
+   * - TAC_API_KEYS: chaves separadas por vírgula, no formato `id:chave` ou `id:chave:admin`
+   * - TAC_API_KEYS_FILE: arquivo JSON de chaves
+   * - TAC_PUBLIC_ROUTES: rotas sem autenticação (ex.: health,info)
+   * @param {Object} env - Variáveis de ambiente (padrão: process.env)
+   * @returns {ApiKeyStore} Repositório de chaves
+   */
+  static fromEnv(env = process.env) {
+    const keys = (env.TAC_API_KEYS || '')
+      .split(',')
+      .map(entry => entry.trim())
+      .filter(Boolean)
+      .map(entry => {
+        const [id, key, role] = entry.split(':');
+
+        if (!key || (role !== undefined && role !== 'admin')) {
+          throw new Error(`Chave inválida em TAC_API_KEYS: use id:chave ou id:chave:admin (${id})`);
+        }
+
+        return { id, key, admin: role === 'admin' };
+      });
+
+    return new ApiKeyStore({
+      keys,
+      file: env.TAC_API_KEYS_FILE || null,
+      publicRoutes: (env.TAC_PUBLIC_ROUTES || '').split(',').map(route => route.trim()).filter(Boolean)
+    });
+  }
+
+  /**
+   * Lê o arquivo de chaves (`{ "keys": [...], "publicRoutes": [...] }`)
+   * @param {string} file - Caminho do arquivo
+   * @returns {Object} `{ keys, publicRoutes }`
+   */
+  readFile(file) {
+    let config;
+
+    try {
+      config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Não foi possível ler o arquivo de chaves ${file}: ${error.message}`);
+    }
+
+    if (!config || !Array.isArray(config.keys)) {
+      throw new Error(`Arquivo de chaves inválido: ${file} precisa ter uma lista "keys"`);
+    }
+
+    return { keys: config.keys, publicRoutes: config.publicRoutes || [] };
+  }
+
+  /**
+   * Valida e adiciona uma chave
+   * @param {Object} entry - Chave `{ id, key | hash, name, admin, enabled }`
+   * @param {string} source - 'file' ou 'memory' (variável de ambiente ou opções);
+   *   só a revogação das chaves do arquivo é gravada
+   */
+  add(entry, source) {
+    const id = entry && entry.id ? String(entry.id) : '';
+
+    if (!/^[\w.-]{1,64}$/.test(id)) {
+      throw new Error(`Id de chave inválido: ${id}. Use letras, números, '.', '-' ou '_'`);
+    }
+    if (this.keys.has(id)) {
+      throw new Error(`Id de chave repetido: ${id}`);
+    }
+    if (entry.key !== undefined && String(entry.key).length < MIN_KEY_LENGTH) {
+      throw new Error(`Chave muito curta: ${id}. Mínimo: ${MIN_KEY_LENGTH} caracteres`);
+    }
+    if (entry.key === undefined && !/^[0-9a-f]{64}$/i.test(entry.hash || '')) {
+      throw new Error(`Chave sem valor: ${id}. Informe key ou hash (SHA-256 em hexadecimal)`);
+    }
+
+    this.keys.set(id, {
+      id,
+      name: entry.name || id,
+      hash: entry.key !== undefined ? hashKey(entry.key) : Buffer.from(entry.hash, 'hex'),
+      admin: Boolean(entry.admin),
+      enabled: entry.enabled !== false,
+      source,
+      lastUsedAt: null
+    });
+  }
+
+  /**
+   * Indica se a autenticação está ativa (há ao menos uma chave configurada)
+   * @returns {boolean} Se as rotas exigem chave
+   */
+  get enabled() {
+    return this.keys.size > 0;
+  }
+
+  /**
+   * Verifica se uma rota dispensa autenticação
+   * @param {string} routePath - Caminho da requisição (ex.: /api/health)
+   * @returns {boolean} Se a rota é pública
+   */
+  isPublic(routePath) {
+    return this.publicRoutes.some(route => PUBLIC_ROUTES[route] === routePath);
+  }
+
+  /**
+   * Identifica a chave enviada na requisição, comparando os hashes em tempo constante
+   * @param {string} token - Chave recebida
+   * @returns {Object|null} Chave encontrada (mesmo desativada; ver `enabled`) ou null
+   */
+  authenticate(token) {
+    if (!token) {
+      return null;
+    }
+
+    const hash = hashKey(token);
+    let found = null;
+
+    // Todas as chaves são comparadas, para o tempo não indicar qual delas confere
+    for (const key of this.keys.values()) {
+      if (crypto.timingSafeEqual(key.hash, hash)) {
+        found = key;
+      }
+    }
+
+    if (found && found.enabled) {
+      found.lastUsedAt = new Date().toISOString();
+    }
+
+    return found;
+  }
+
+  /**
+   * Lista as chaves sem o valor delas
+   * @returns {Array<Object>} `{ id, name, admin, enabled, source, lastUsedAt }`
+   */
+  list() {
+    return [...this.keys.values()].map(key => this.toJSON(key));
+  }
+
+  /**
+   * Revoga uma chave (desativa). Chaves do arquivo são gravadas nele com `enabled: false`;
+   * as da variável de ambiente voltam a valer quando o servidor reinicia.
+   * @param {string} id - Id da chave
+   * @returns {Object|null} Chave revogada ou null se não existir
+   */
+  revoke(id) {
+    const key = this.keys.get(id);
+
+    if (!key) {
+      return null;
+    }
+
+    key.enabled = false;
+
+    if (key.source === 'file') {
+      const config = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      config.keys = config.keys.map(entry => (String(entry.id) === id ? { ...entry, enabled: false } : entry));
+      fs.writeFileSync(this.file, `${JSON.stringify(config, null, 2)}\n`);
+    }
+
+    return this.toJSON(key);
+  }
+
+  /**
+   * Representação pública de uma chave
+   * @param {Object} key - Chave
+   * @returns {Object} Dados da chave, sem o valor nem o hash
+   */
+  toJSON({ id, name, admin, enabled, source, lastUsedAt }) {
+    return { id, name, admin, enabled, source, lastUsedAt };
+  }
+}
+
+/**
+ * Valida as rotas públicas configuradas
+ * @param {Array<string>} routes - Nomes das rotas
+ * @returns {Array<string>} Rotas sem repetição
+ */
+function normalizePublicRoutes(routes) {
+  for (const route of routes) {
+    if (!PUBLIC_ROUTES[route]) {
+      throw new Error(`Rota pública inválida: ${route}. Use ${Object.keys(PUBLIC_ROUTES).join(', ')}`);
+    }
+  }
+
+  return [...new Set(routes)];
+}
+
+/**
+ * Extrai a chave da requisição: cabeçalho `Authorization: Bearer <chave>` ou, em requisições GET,
+ * o parâmetro `access_token` (o EventSource do navegador não envia cabeçalhos)
+ * @param {Object} req - Requisição
+ * @returns {string|null} Chave enviada
+ */
+function readToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+
+  if (match) {
+    return match[1];
+  }
+
+  return req.method === 'GET' && typeof req.query.access_token === 'string' ? req.query.access_token : null;
+}
+
+module.exports = {
+  ApiKeyStore,
+  PUBLIC_ROUTES,
+  hashKey,
+  readToken
+};
@@ -0,0 +1,230 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const { pipeline } = require('stream/promises');
+const { TacProcessor } = require('./tac');
+const { version } = require('../package.json');
+
+const USAGE = `Uso: tac [OPÇÃO]... [ARQUIVO]...
+Escreve cada ARQUIVO na saída padrão com as linhas em ordem invertida.
+Sem ARQUIVO, ou quando ARQUIVO é -, lê a entrada padrão.
+
+  -b, --before             anexa o separador antes do registro, e não depois
+  -r, --regex              interpreta o separador como expressão regular
+  -s, --separator=SEP      usa SEP como separador em vez da quebra de linha
+      --format=FORMATO     text (padrão), csv, json, ndjson ou auto (pela extensão do arquivo)
+  -o, --output=ARQUIVO     escreve o resultado em ARQUIVO em vez da saída padrão
+      --stats              escreve os metadados de cada arquivo (JSON) na saída de erro
+  -h, --help               mostra esta ajuda e sai
+  -V, --version            mostra a versão e sai
+
+Códigos de saída: 0 sucesso, 1 erro ao processar algum arquivo, 2 uso inválido.
+`;
+
+// Opções curtas e longas que recebem valor
+const SHORT_VALUES = { s: 'separator', o: 'output' };
+const LONG_VALUES = { separator: 'separator', output: 'output', format: 'format' };
+
+// Opções curtas e longas sem valor
+const SHORT_FLAGS = { b: 'before', r: 'regex', h: 'help', V: 'version' };
+const LONG_FLAGS = { before: 'before', regex: 'regex', stats: 'stats', help: 'help', version: 'version' };
+
+/**
+ * Erro de uso da linha de comando (código de saída 2)
+ */
+class UsageError extends Error {}
+
+/**
+ * Interpreta os argumentos no estilo GNU (`-s SEP`, `-sSEP`, `--separator=SEP`, `-rb`, `--`)
+ * @param {Array<string>} argv - Argumentos sem `node` e o nome do script
+ * @returns {Object} Opções e lista de arquivos
+ */
+function parseArgs(argv) {
+  const options = {
+    files: [],
+    separator: null,
+    // Como no GNU tac, os arquivos são texto; os formatos estruturados só com --format
+    format: 'text',
+    regex: false,
+    before: false,
+    output: null,
+    stats: false,
+    help: false,
+    version: false
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--') {
+      options.files.push(...argv.slice(i + 1));
+      break;
+    }
+
+    if (arg.startsWith('--')) {
+      const [name, ...rest] = arg.slice(2).split('=');
+      const inline = rest.length > 0 ? rest.join('=') : undefined;
+
+      if (LONG_VALUES[name]) {
+        const value = inline !== undefined ? inline : argv[++i];
+        if (value === undefined) {
+          throw new UsageError(`a opção '--${name}' requer um argumento`);
+        }
+        options[LONG_VALUES[name]] = value;
+      } else if (LONG_FLAGS[name] && inline === undefined) {
+        options[LONG_FLAGS[name]] = true;
+      } else {
+        throw new UsageError(`opção não reconhecida '${arg}'`);
+      }
+    } else if (arg.startsWith('-') && arg !== '-') {
+      for (let j = 1; j < arg.length; j++) {
+        const letter = arg[j];
+
+        if (SHORT_VALUES[letter]) {
+          const value = j + 1 < arg.length ? arg.slice(j + 1) : argv[++i];
+          if (value === undefined) {
+            throw new UsageError(`a opção requer um argumento -- '${letter}'`);
+          }
+          options[SHORT_VALUES[letter]] = value;
+          break;
+        }
+
+        if (!SHORT_FLAGS[letter]) {
+          throw new UsageError(`opção inválida -- '${letter}'`);
+        }
+        options[SHORT_FLAGS[letter]] = true;
+      }
+    } else {
+      options.files.push(arg);
+    }
+  }
+
+  // Como no GNU tac: um separador vazio não viraria a quebra de linha padrão
+  if (options.separator === '') {
+    throw new UsageError('o separador não pode ser vazio');
+  }
+
+  if (options.files.length === 0) {
+    options.files.push('-');
+  }
+
+  return options;
+}
+
+/**
+ * Copia a entrada padrão para um arquivo temporário, para que possa ser lida de trás para frente
+ * @param {stream.Readable} input - Entrada padrão
+ * @returns {Promise<string>} Caminho do arquivo temporário
+ */
+async function spoolToTempFile(input) {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'tac-'));
+  const filePath = path.join(dir, 'stdin');
+
+  await pipeline(input, fs.createWriteStream(filePath));
+
+  return filePath;
+}
+
+/**
+ * Executa o comando tac
+ * @param {Array<string>} argv - Argumentos da linha de comando
+ * @param {Object} io - Streams usados (padrão: os do processo)
+ * @returns {Promise<number>} Código de saída
+ */
+async function run(argv, { stdin = process.stdin, stdout = process.stdout, stderr = process.stderr } = {}) {
+  let options;
+  let processor;
+
+  try {
+    options = parseArgs(argv);
+    processor = new TacProcessor({
+      separator: options.separator,
+      format: options.format,
+      regex: options.regex,
+      before: options.before
+    });
+  } catch (error) {
+    stderr.write(`tac: ${error.message}\n`);
+    if (error instanceof UsageError) {
+      stderr.write(`Tente 'tac --help' para mais informações.\n`);
+    }
+    return 2;
+  }
+
+  if (options.help) {
+    stdout.write(USAGE);
+    return 0;
+  }
+
+  if (options.version) {
+    stdout.write(`tac ${version}\n`);
+    return 0;
+  }
+
+  const output = options.output ? fs.createWriteStream(options.output) : stdout;
+  let outputError = null;
+  let exitCode = 0;
+
+  output.on('error', error => {
+    outputError = error;
+  });
+
+  for (const file of options.files) {
+    let filePath = file;
+    let tempFile = null;
+
+    try {
+      if (file === '-') {
+        tempFile = await spoolToTempFile(stdin);
+        filePath = tempFile;
+      }
+
+      // Arquivos vazios não produzem saída, como no GNU tac
+      const stats = await fs.promises.stat(filePath).catch(() => null);
+      if (stats && stats.isFile() && stats.size === 0) {
+        continue;
+      }
+
+      const info = await processor.reverseFileToStream(filePath, output, { end: false });
+
+      if (options.stats) {
+        const { lineCount, bytesProcessed, metadata } = info;
+        stderr.write(JSON.stringify({ file, lineCount, bytesProcessed, metadata }) + '\n');
+      }
+    } catch (error) {
+      if (outputError) {
+        break;
+      }
+
+      stderr.write(`tac: ${file}: ${error.message}\n`);
+      exitCode = 1;
+    } finally {
+      if (tempFile) {
+        await fs.promises.rm(path.dirname(tempFile), { recursive: true, force: true });
+      }
+    }
+  }
+
+  if (output !== stdout && !outputError) {
+    output.end();
+    await Promise.race([once(output, 'finish'), once(output, 'close')]).catch(() => {});
+  }
+
+  if (outputError) {
+    // Leitor encerrado (ex.: `tac arquivo | head`): não é um erro do tac
+    if (outputError.code === 'EPIPE') {
+      return exitCode;
+    }
+
+    stderr.write(`tac: erro de escrita: ${outputError.message}\n`);
+    return 1;
+  }
+
+  return exitCode;
+}
+
+module.exports = {
+  run,
+  parseArgs
+};
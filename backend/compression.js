@@ -0,0 +1,308 @@
+/**
+ * Compressão de entrada e saída (gzip, deflate e brotli)
+ * gzip e deflate (formato zlib) são reconhecidos pelos bytes mágicos; brotli não tem
+ * assinatura, então só é testado quando o início do arquivo não parece texto.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { once } = require('events');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { detectEncoding } = require('./encoding');
+
+// Formatos suportados, com o nome usado em Content-Encoding
+const COMPRESSIONS = {
+  gzip: {
+    label: 'gzip',
+    extension: '.gz',
+    contentType: 'application/gzip',
+    createCompressor: () => zlib.createGzip(),
+    createDecompressor: () => zlib.createGunzip(),
+    decompressSync: zlib.gunzipSync,
+    partialFlush: zlib.constants.Z_SYNC_FLUSH
+  },
+  deflate: {
+    label: 'deflate (zlib)',
+    extension: '.zz',
+    contentType: 'application/zlib',
+    createCompressor: () => zlib.createDeflate(),
+    createDecompressor: () => zlib.createInflate(),
+    decompressSync: zlib.inflateSync,
+    partialFlush: zlib.constants.Z_SYNC_FLUSH
+  },
+  br: {
+    label: 'brotli',
+    extension: '.br',
+    contentType: 'application/x-brotli',
+    createCompressor: () => zlib.createBrotliCompress(),
+    createDecompressor: () => zlib.createBrotliDecompress(),
+    decompressSync: zlib.brotliDecompressSync,
+    partialFlush: zlib.constants.BROTLI_OPERATION_FLUSH
+  }
+};
+
+// Nomes alternativos aceitos nas opções
+const ALIASES = { gz: 'gzip', zlib: 'deflate', brotli: 'br' };
+
+// Ordem de preferência na negociação com Accept-Encoding
+const PREFERENCE = ['br', 'gzip', 'deflate'];
+
+// Bytes iniciais usados na detecção
+const DETECTION_SAMPLE = 1024;
+
+/**
+ * Normaliza o nome de um formato de compressão
+ * @param {string} name - Nome informado (ex.: 'gzip', 'gz', 'brotli')
+ * @param {Object} options - Opções de validação
+ * @param {boolean} options.allowAuto - Aceitar 'auto' (detecção) e 'none' (sem compressão)
+ * @returns {string} 'gzip', 'deflate', 'br', 'auto' ou 'none'
+ */
+function normalizeCompression(name, { allowAuto = false } = {}) {
+  const key = String(name).toLowerCase();
+
+  if (allowAuto && (key === 'auto' || key === 'none')) {
+    return key;
+  }
+
+  const compression = ALIASES[key] || key;
+
+  if (!COMPRESSIONS[compression]) {
+    throw new Error(`Compressão não suportada: ${name}`);
+  }
+
+  return compression;
+}
+
+/**
+ * Detecta a compressão pelos primeiros bytes
+ * @param {Buffer} head - Início do conteúdo
+ * @param {string} filename - Nome do arquivo; a extensão .br ajuda a reconhecer arquivos brotli pequenos
+ * @returns {string|null} 'gzip', 'deflate', 'br' ou null para conteúdo não comprimido
+ */
+function detectCompression(head, filename = '') {
+  const sample = head.subarray(0, DETECTION_SAMPLE);
+
+  // gzip: 1f 8b seguido do método 8 (deflate)
+  if (sample.length >= 3 && sample[0] === 0x1f && sample[1] === 0x8b && sample[2] === 8) {
+    return 'gzip';
+  }
+
+  // zlib: método 8, janela até 32KB, sem dicionário e cabeçalho múltiplo de 31.
+  // Textos como "x " também passam nessa conta, então o início é descomprimido como teste.
+  const [cmf, flg] = sample;
+  if (
+    sample.length >= 2 &&
+    (cmf & 0x0f) === 8 &&
+    cmf >> 4 <= 7 &&
+    !(flg & 0x20) &&
+    ((cmf << 8) | flg) % 31 === 0 &&
+    canDecompress(sample, 'deflate')
+  ) {
+    return 'deflate';
+  }
+
+  // Textos curtos podem ser brotli válido por acaso, então só conteúdo binário é testado
+  const brotliName = filename.toLowerCase().endsWith(COMPRESSIONS.br.extension);
+  if (sample.length > 0 && (brotliName || !looksLikeText(sample)) && canDecompress(sample, 'br')) {
+    return 'br';
+  }
+
+  return null;
+}
+
+/**
+ * Verifica se os bytes parecem texto: sem caracteres de controle (exceto espaços e ESC)
+ * ou reconhecidos como UTF-16, que tem bytes nulos
+ * @param {Buffer} sample - Início do conteúdo
+ * @returns {boolean} Se o conteúdo parece texto
+ */
+function looksLikeText(sample) {
+  if (!/[\x00-\x08\x0e-\x1a\x1c-\x1f]/.test(sample.toString('latin1'))) {
+    return true;
+  }
+
+  return detectEncoding(sample).encoding.startsWith('utf16');
+}
+
+/**
+ * Testa se o início do conteúdo descomprime sem erro no formato informado
+ * @param {Buffer} sample - Início do conteúdo
+ * @param {string} compression - Formato
+ * @returns {boolean} Se o início produz conteúdo válido
+ */
+function canDecompress(sample, compression) {
+  try {
+    const output = COMPRESSIONS[compression].decompressSync(sample, {
+      finishFlush: COMPRESSIONS[compression].partialFlush,
+      maxOutputLength: 64 * 1024
+    });
+    return output.length > 0;
+  } catch (error) {
+    // Conteúdo maior que o limite do teste também é válido
+    return error.code === 'ERR_BUFFER_TOO_LARGE';
+  }
+}
+
+/**
+ * Descomprime um buffer em memória
+ * @param {Buffer} buffer - Conteúdo comprimido
+ * @param {string} compression - Formato
+ * @param {number} maxSize - Tamanho máximo do conteúdo descomprimido
+ * @returns {Buffer} Conteúdo descomprimido
+ */
+function decompressBuffer(buffer, compression, maxSize) {
+  try {
+    return COMPRESSIONS[compression].decompressSync(buffer, { maxOutputLength: maxSize });
+  } catch (error) {
+    if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+      throw new Error('Conteúdo descomprimido excede o limite de tamanho');
+    }
+    throw new Error(`Falha ao descomprimir (${compression}): ${error.message}`);
+  }
+}
+
+/**
+ * Descomprime um arquivo para um diretório temporário, em streaming.
+ * O arquivo gerado mantém o nome original sem a extensão de compressão (ex.: app.log.gz → app.log).
+ * @param {string} filePath - Arquivo comprimido
+ * @param {string} compression - Formato
+ * @param {number} maxSize - Tamanho máximo do conteúdo descomprimido (padrão: sem limite)
+ * @returns {Promise<Object>} `{ path, size, cleanup }`; `cleanup()` remove o diretório temporário
+ */
+async function decompressToTempFile(filePath, compression, maxSize = Infinity) {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'tac-'));
+  const cleanup = () => fs.promises.rm(dir, { recursive: true, force: true });
+  const basename = path.basename(filePath);
+  const extension = COMPRESSIONS[compression].extension;
+  const target = path.join(dir, basename.endsWith(extension) ? basename.slice(0, -extension.length) : basename);
+  let size = 0;
+
+  const limit = new Transform({
+    transform(chunk, encoding, callback) {
+      size += chunk.length;
+      callback(size > maxSize ? new Error('Conteúdo descomprimido excede o limite de tamanho') : null, chunk);
+    }
+  });
+
+  try {
+    await pipeline(
+      fs.createReadStream(filePath),
+      COMPRESSIONS[compression].createDecompressor(),
+      limit,
+      fs.createWriteStream(target)
+    );
+  } catch (error) {
+    await cleanup();
+    throw size > maxSize ? error : new Error(`Falha ao descomprimir (${compression}): ${error.message}`);
+  }
+
+  return { path: target, size, cleanup };
+}
+
+/**
+ * Comprime os trechos produzidos por um gerador, mantendo o consumo sob demanda
+ * @param {AsyncIterable<Buffer>} chunks - Trechos originais
+ * @param {string} compression - Formato
+ * @returns {AsyncGenerator<Buffer>} Trechos comprimidos
+ */
+async function* compressChunks(chunks, compression) {
+  const compressor = COMPRESSIONS[compression].createCompressor();
+  const output = [];
+  compressor.on('data', chunk => output.push(chunk));
+
+  try {
+    for await (const chunk of chunks) {
+      if (!compressor.write(chunk)) {
+        await once(compressor, 'drain');
+      }
+      yield* output.splice(0);
+    }
+
+    compressor.end();
+    await once(compressor, 'end');
+    yield* output.splice(0);
+  } finally {
+    compressor.destroy();
+  }
+}
+
+/**
+ * Cria um stream Transform de compressão
+ * @param {string} compression - Formato
+ * @returns {stream.Transform} Compressor
+ */
+function createCompressor(compression) {
+  return COMPRESSIONS[compression].createCompressor();
+}
+
+/**
+ * Escolhe o formato de compressão a partir do cabeçalho Accept-Encoding
+ * @param {string} acceptEncoding - Valor do cabeçalho
+ * @returns {string|null} 'br', 'gzip', 'deflate' ou null (sem compressão)
+ */
+function negotiateCompression(acceptEncoding) {
+  if (!acceptEncoding) {
+    return null;
+  }
+
+  const weights = {};
+  for (const part of acceptEncoding.split(',')) {
+    const [name, ...params] = part.trim().toLowerCase().split(';');
+    const q = params.map(param => param.trim()).find(param => param.startsWith('q='));
+    weights[name] = q ? parseFloat(q.slice(2)) || 0 : 1;
+  }
+
+  // Formatos sem peso próprio usam o de '*'; em caso de empate vale a ordem de preferência
+  const weightOf = name => (weights[name] !== undefined ? weights[name] : weights['*'] || 0);
+  const accepted = PREFERENCE.filter(name => weightOf(name) > 0);
+
+  if (accepted.length === 0) {
+    return null;
+  }
+
+  return accepted.reduce((best, name) => (weightOf(name) > weightOf(best) ? name : best));
+}
+
+/**
+ * Nome de exibição do formato
+ * @param {string} compression - Formato
+ * @returns {string} Nome legível (ex.: 'brotli')
+ */
+function describeCompression(compression) {
+  return COMPRESSIONS[compression].label;
+}
+
+/**
+ * Extensão de arquivo do formato
+ * @param {string} compression - Formato
+ * @returns {string} Extensão (ex.: '.gz')
+ */
+function extensionOf(compression) {
+  return COMPRESSIONS[compression].extension;
+}
+
+/**
+ * Content-Type de um arquivo no formato
+ * @param {string} compression - Formato
+ * @returns {string} Tipo MIME (ex.: 'application/gzip')
+ */
+function contentTypeOf(compression) {
+  return COMPRESSIONS[compression].contentType;
+}
+
+module.exports = {
+  SUPPORTED_COMPRESSIONS: Object.keys(COMPRESSIONS),
+  normalizeCompression,
+  detectCompression,
+  decompressBuffer,
+  decompressToTempFile,
+  compressChunks,
+  createCompressor,
+  negotiateCompression,
+  describeCompression,
+  extensionOf,
+  contentTypeOf
+};
@@ -0,0 +1,544 @@
+const fs = require('fs');
+const path = require('path');
+const { LEVELS, LOG_FORMATS } = require('./logger');
+
+// Unidades aceitas nos tamanhos (ex.: 50MB) e nas durações (ex.: 15m); números sem unidade são bytes e segundos
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// Limites aceitos em rateLimit.routes (mesmos nomes das opções gerais de rateLimit)
+const ROUTE_LIMITS = {
+  window: 'duration',
+  requests: 'limit',
+  bytes: 'limit-size',
+  concurrent: 'limit'
+};
+
+/**
+ * Esquema da configuração: tipo, valor padrão e variável de ambiente de cada opção.
+ * Tipos: integer, port, size (bytes), duration (ms), limit (inteiro positivo ou null), limit-size,
+ * boolean, string, list, extensions, routes e choice (um dos valores de `choices`).
+ */
+const SCHEMA = {
+  port: { type: 'port', default: 3000, env: 'PORT' },
+  workers: { type: 'integer', default: 2, env: 'TAC_WORKERS' },
+  uploads: {
+    dir: { type: 'string', default: path.join(__dirname, '../uploads'), env: 'TAC_UPLOADS_DIR' },
+    maxFileSize: { type: 'size', default: '50MB', env: 'TAC_MAX_FILE_SIZE' },
+    maxBatchFiles: { type: 'integer', default: 100, env: 'TAC_MAX_BATCH_FILES' },
+    allowedExtensions: {
+      type: 'extensions',
+      default: ['txt', 'log', 'csv', 'md', 'json', 'ndjson', 'jsonl'],
+      env: 'TAC_ALLOWED_EXTENSIONS'
+    },
+    maxAge: { type: 'duration', default: '1h', env: 'TAC_UPLOAD_MAX_AGE' },
+    cleanupInterval: { type: 'duration', default: '15m', env: 'TAC_CLEANUP_INTERVAL' }
+  },
+  text: {
+    maxSize: { type: 'size', default: '10MB', env: 'TAC_MAX_TEXT_SIZE' }
+  },
+  processor: {
+    maxMemoryUsage: { type: 'size', default: '512MB', env: 'TAC_MAX_MEMORY' },
+    maxDecompressedSize: { type: 'size', default: '2GB', env: 'TAC_MAX_DECOMPRESSED_SIZE' },
+    bufferSize: { type: 'size', default: '64KB', env: 'TAC_BUFFER_SIZE' }
+  },
+  cors: {
+    origins: {
+      type: 'list',
+      default: ['http://localhost:3000', 'http://127.0.0.1:3000'],
+      env: 'TAC_CORS_ORIGINS'
+    }
+  },
+  rateLimit: {
+    enabled: { type: 'boolean', default: true, env: 'TAC_RATE_LIMIT' },
+    window: { type: 'duration', default: '1m', env: 'TAC_RATE_LIMIT_WINDOW' },
+    requests: { type: 'limit', default: 60, env: 'TAC_RATE_LIMIT_REQUESTS' },
+    bytes: { type: 'limit-size', default: '256MB', env: 'TAC_RATE_LIMIT_BYTES' },
+    concurrent: { type: 'limit', default: 2, env: 'TAC_RATE_LIMIT_CONCURRENT' },
+    routes: { type: 'routes', default: {}, env: 'TAC_RATE_LIMIT_ROUTES' }
+  },
+  history: {
+    enabled: { type: 'boolean', default: true, env: 'TAC_HISTORY' },
+    dir: { type: 'string', default: path.join(__dirname, '../history'), env: 'TAC_HISTORY_DIR' },
+    maxEntries: { type: 'integer', default: 100, env: 'TAC_HISTORY_MAX_ENTRIES' },
+    maxAge: { type: 'duration', default: '7d', env: 'TAC_HISTORY_MAX_AGE' },
+    maxSize: { type: 'size', default: '512MB', env: 'TAC_HISTORY_MAX_SIZE' }
+  },
+  shares: {
+    enabled: { type: 'boolean', default: true, env: 'TAC_SHARES' },
+    dir: { type: 'string', default: path.join(__dirname, '../shares'), env: 'TAC_SHARES_DIR' },
+    expiry: { type: 'duration', default: '24h', env: 'TAC_SHARE_EXPIRY' },
+    maxExpiry: { type: 'duration', default: '30d', env: 'TAC_SHARE_MAX_EXPIRY' }
+  },
+  log: {
+    level: { type: 'choice', choices: Object.keys(LEVELS), default: 'info', env: 'TAC_LOG_LEVEL' },
+    format: { type: 'choice', choices: LOG_FORMATS, default: 'pretty', env: 'TAC_LOG_FORMAT' }
+  }
+};
+
+/**
+ * Monta a configuração do servidor em camadas, cada uma sobrepondo a anterior: valores padrão,
+ * arquivo JSON ou YAML (`file` ou TAC_CONFIG), variáveis de ambiente e opções do construtor.
+ * Todos os erros encontrados são reunidos em uma única mensagem, com a origem de cada valor.
+ * @param {Object} options - Opções
+ * @param {string} options.file - Arquivo de configuração (padrão: TAC_CONFIG)
+ * @param {Object} options.env - Variáveis de ambiente (padrão: process.env)
+ * @param {Object} options.overrides - Valores passados ao construtor, no mesmo formato do arquivo
+ * @returns {Object} Configuração em vigor: tamanhos em bytes e durações em ms
+ */
+function loadConfig({ file, env = process.env, overrides = {} } = {}) {
+  const configFile = file || env.TAC_CONFIG || null;
+  const fileSource = `arquivo ${configFile}`;
+  const overridesSource = 'opções do construtor';
+  const errors = [];
+  let fileValues = {};
+
+  if (configFile) {
+    try {
+      fileValues = readConfigFile(configFile);
+    } catch (error) {
+      throw new Error(`Configuração inválida: ${error.message}`);
+    }
+  }
+
+  checkUnknownKeys(fileValues, SCHEMA, '', fileSource, errors);
+  checkUnknownKeys(overrides, SCHEMA, '', overridesSource, errors);
+
+  const resolve = (schema, prefix, fromFile, fromOverrides) => {
+    const config = {};
+
+    for (const [name, field] of Object.entries(schema)) {
+      const key = `${prefix}${name}`;
+      const fileValue = isObject(fromFile) ? fromFile[name] : undefined;
+      const overrideValue = isObject(fromOverrides) ? fromOverrides[name] : undefined;
+
+      if (!field.type) {
+        config[name] = resolve(field, `${key}.`, fileValue, overrideValue);
+        continue;
+      }
+
+      // Cada camada sobrepõe a anterior: padrão, arquivo, variável de ambiente e construtor
+      const layers = [
+        [fileValue, fileSource],
+        [env[field.env], field.env],
+        [overrideValue, overridesSource]
+      ];
+      let value = field.default;
+      let source = 'padrão';
+
+      for (const [layerValue, layerSource] of layers) {
+        if (layerValue !== undefined && layerValue !== '') {
+          value = layerValue;
+          source = layerSource;
+        }
+      }
+
+      try {
+        config[name] = parseValue(field.type, value, field.choices);
+      } catch (error) {
+        errors.push(`${key} (${source}): ${error.message}`);
+      }
+    }
+
+    return config;
+  };
+
+  const config = resolve(SCHEMA, '', fileValues, overrides);
+
+  if (errors.length > 0) {
+    throw new Error(`Configuração inválida:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+  }
+
+  config.uploads.dir = path.resolve(config.uploads.dir);
+  config.history.dir = path.resolve(config.history.dir);
+  config.shares.dir = path.resolve(config.shares.dir);
+
+  if (config.shares.expiry > config.shares.maxExpiry) {
+    throw new Error('Configuração inválida:\n  - shares.expiry: a validade padrão passa de shares.maxExpiry');
+  }
+  return config;
+}
+
+/**
+ * Lê o arquivo de configuração; o formato vem da extensão (.json, .yaml ou .yml)
+ * @param {string} file - Caminho do arquivo
+ * @returns {Object} Valores do arquivo
+ */
+function readConfigFile(file) {
+  const extension = path.extname(file).toLowerCase();
+
+  if (!['.json', '.yaml', '.yml'].includes(extension)) {
+    throw new Error(`formato de arquivo não suportado: ${file}. Use .json, .yaml ou .yml`);
+  }
+
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    throw new Error(`não foi possível ler o arquivo ${file}: ${error.message}`);
+  }
+
+  let values;
+  if (extension === '.json') {
+    try {
+      values = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`JSON inválido em ${file}: ${error.message}`);
+    }
+  } else {
+    try {
+      values = parseYaml(text);
+    } catch (error) {
+      throw new Error(`${error.message} em ${file}`);
+    }
+  }
+
+  if (values === null) {
+    return {};
+  }
+  if (!isObject(values)) {
+    throw new Error(`o arquivo ${file} precisa conter um objeto`);
+  }
+
+  return values;
+}
+
+/**
+ * Registra as chaves que não existem no esquema (erros de digitação não passam despercebidos)
+ * @param {Object} values - Valores de uma camada
+ * @param {Object} schema - Esquema do nível atual
+ * @param {string} prefix - Caminho do nível atual (ex.: uploads.)
+ * @param {string} source - Origem dos valores
+ * @param {Array<string>} errors - Lista de erros
+ */
+function checkUnknownKeys(values, schema, prefix, source, errors) {
+  if (values === undefined) {
+    return;
+  }
+  if (!isObject(values)) {
+    errors.push(`${prefix.slice(0, -1)} (${source}): esperado um objeto`);
+    return;
+  }
+
+  for (const [name, value] of Object.entries(values)) {
+    const field = schema[name];
+
+    if (!field) {
+      errors.push(`${prefix}${name} (${source}): opção desconhecida`);
+    } else if (!field.type) {
+      checkUnknownKeys(value, field, `${prefix}${name}.`, source, errors);
+    }
+  }
+}
+
+/**
+ * Converte e valida um valor conforme o tipo do esquema
+ * @param {string} type - Tipo da opção
+ * @param {*} value - Valor do arquivo, da variável de ambiente (texto) ou do construtor
+ * @param {Array<string>} choices - Valores aceitos, no tipo choice
+ * @returns {*} Valor convertido
+ */
+function parseValue(type, value, choices) {
+  switch (type) {
+    case 'integer':
+    case 'port': {
+      const number = typeof value === 'string' && /^\d+$/.test(value.trim()) ? Number(value) : value;
+      const max = type === 'port' ? 65535 : Number.MAX_SAFE_INTEGER;
+
+      if (!Number.isInteger(number) || number < 1 || number > max) {
+        throw new Error(`${JSON.stringify(value)} não é um inteiro entre 1 e ${max}`);
+      }
+      return number;
+    }
+    case 'size':
+      return parseUnit(value, SIZE_UNITS, 'b', 'um tamanho (ex.: 50MB)');
+    case 'duration':
+      return parseUnit(value, DURATION_UNITS, 's', 'uma duração (ex.: 30s, 15m, 1h)');
+    case 'limit':
+    case 'limit-size':
+      if (value === null || value === 'none') {
+        return null;
+      }
+      return parseValue(type === 'limit' ? 'integer' : 'size', value);
+    case 'boolean':
+      if (typeof value === 'boolean') {
+        return value;
+      }
+      if (/^(true|on|1)$/i.test(String(value))) {
+        return true;
+      }
+      if (/^(false|off|0)$/i.test(String(value))) {
+        return false;
+      }
+      throw new Error(`${JSON.stringify(value)} não é um booleano (true/false ou on/off)`);
+    case 'string':
+      if (typeof value !== 'string' || value.trim() === '') {
+        throw new Error(`${JSON.stringify(value)} não é um texto`);
+      }
+      return value;
+    case 'list':
+    case 'extensions': {
+      const list = typeof value === 'string' ? value.split(',').map(item => item.trim()) : value;
+
+      if (!Array.isArray(list) || list.some(item => typeof item !== 'string' || item === '')) {
+        throw new Error(`${JSON.stringify(value)} não é uma lista de textos (ou itens separados por vírgula)`);
+      }
+      if (type === 'extensions') {
+        const invalid = list.find(item => !/^\.?[a-z0-9]+$/i.test(item));
+        if (invalid !== undefined || list.length === 0) {
+          throw new Error(`extensão inválida: ${JSON.stringify(invalid)}. Use letras e números (ex.: log)`);
+        }
+        return list.map(item => item.replace(/^\./, '').toLowerCase());
+      }
+      return list;
+    }
+    case 'routes':
+      return parseRoutes(value);
+    case 'choice':
+      if (!choices.includes(value)) {
+        throw new Error(`${JSON.stringify(value)} não é um valor aceito. Use ${choices.join(', ')}`);
+      }
+      return value;
+    default:
+      throw new Error(`tipo desconhecido: ${type}`);
+  }
+}
+
+/**
+ * Converte um número com unidade (ex.: 50MB, 15m) para a unidade base (bytes ou ms)
+ * @param {number|string} value - Valor
+ * @param {Object} units - Multiplicador de cada unidade
+ * @param {string} defaultUnit - Unidade de números sem unidade
+ * @param {string} expected - Descrição para a mensagem de erro
+ * @returns {number} Valor na unidade base
+ */
+function parseUnit(value, units, defaultUnit, expected) {
+  const match = /^(\d+(?:\.\d+)?)\s*([a-z]*)$/i.exec(String(value).trim());
+  const unit = match && (match[2].toLowerCase() || defaultUnit);
+
+  if (!match || typeof value === 'boolean' || !(unit in units)) {
+    throw new Error(`${JSON.stringify(value)} não é ${expected}`);
+  }
+
+  const result = Math.round(Number(match[1]) * units[unit]);
+  if (result < 1) {
+    throw new Error(`${JSON.stringify(value)} precisa ser maior que zero`);
+  }
+  return result;
+}
+
+/**
+ * Valida os limites por rota de rateLimit.routes (objeto ou, na variável de ambiente, JSON)
+ * @param {Object|string} value - Limites por rota, ex.: `{ "/api/tac/batch": { "concurrent": 1 } }`
+ * @returns {Object} Limites convertidos; `false` libera a rota
+ */
+function parseRoutes(value) {
+  let routes = value;
+
+  if (typeof value === 'string') {
+    try {
+      routes = JSON.parse(value);
+    } catch (error) {
+      throw new Error(`JSON inválido: ${error.message}`);
+    }
+  }
+  if (!isObject(routes)) {
+    throw new Error('esperado um objeto com os limites de cada rota');
+  }
+
+  const result = {};
+  for (const [route, limits] of Object.entries(routes)) {
+    if (limits === false) {
+      result[route] = false;
+      continue;
+    }
+    if (!isObject(limits)) {
+      throw new Error(`${route}: esperado um objeto ou false`);
+    }
+
+    result[route] = {};
+    for (const [name, limit] of Object.entries(limits)) {
+      if (!ROUTE_LIMITS[name]) {
+        throw new Error(`${route}: limite desconhecido ${name}. Use ${Object.keys(ROUTE_LIMITS).join(', ')}`);
+      }
+      try {
+        result[route][name] = parseValue(ROUTE_LIMITS[name], limit);
+      } catch (error) {
+        throw new Error(`${route}.${name}: ${error.message}`);
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Lê um subconjunto de YAML suficiente para o arquivo de configuração: mapas aninhados por
+ * indentação, listas com `- item` ou `[a, b]`, textos (com ou sem aspas), números, booleanos,
+ * null e comentários. Âncoras, blocos de texto e listas de objetos não são aceitos.
+ * @param {string} text - Conteúdo YAML
+ * @returns {Object|null} Valores lidos
+ */
+function parseYaml(text) {
+  const lines = [];
+
+  text.split(/\r?\n/).forEach((raw, index) => {
+    const line = stripComment(raw).replace(/\s+$/, '');
+
+    if (line.trim() === '' || line.trim() === '---') {
+      return;
+    }
+    if (/^\s*\t/.test(line)) {
+      throw new Error(`YAML inválido (linha ${index + 1}): use espaços na indentação, não tabulações`);
+    }
+
+    lines.push({ indent: line.length - line.trimStart().length, text: line.trim(), number: index + 1 });
+  });
+
+  let position = 0;
+  const fail = (line, message) => {
+    throw new Error(`YAML inválido (linha ${line.number}): ${message}`);
+  };
+  const isItem = line => line.text === '-' || line.text.startsWith('- ');
+
+  const parseBlock = indent => {
+    if (isItem(lines[position])) {
+      const list = [];
+
+      while (position < lines.length && lines[position].indent === indent && isItem(lines[position])) {
+        const line = lines[position++];
+        const item = line.text.slice(1).trim();
+
+        if (item === '' || /^[^'"[]*:(\s|$)/.test(item)) {
+          fail(line, 'listas de objetos não são aceitas; use um mapa');
+        }
+        list.push(parseScalar(item, line, fail));
+      }
+
+      return list;
+    }
+
+    const map = {};
+
+    while (position < lines.length && lines[position].indent === indent) {
+      const line = lines[position++];
+      const match = /^("[^"]*"|'[^']*'|[^'"]*?):(?:\s+(.*))?$/.exec(line.text);
+
+      if (!match || isItem(line)) {
+        fail(line, 'esperado "chave: valor"');
+      }
+
+      const key = /^["']/.test(match[1]) ? match[1].slice(1, -1) : match[1].trim();
+      if (Object.prototype.hasOwnProperty.call(map, key)) {
+        fail(line, `chave repetida: ${key}`);
+      }
+
+      const next = lines[position];
+      if (match[2] !== undefined) {
+        map[key] = parseScalar(match[2], line, fail);
+      } else if (next && next.indent > indent) {
+        map[key] = parseBlock(next.indent);
+      } else {
+        map[key] = null;
+      }
+    }
+
+    return map;
+  };
+
+  if (lines.length === 0) {
+    return null;
+  }
+
+  const result = parseBlock(lines[0].indent);
+  if (position < lines.length) {
+    fail(lines[position], 'indentação inesperada');
+  }
+
+  return result;
+}
+
+/**
+ * Remove o comentário (`#` no início ou depois de um espaço, fora de aspas) de uma linha YAML
+ * @param {string} line - Linha
+ * @returns {string} Linha sem o comentário
+ */
+function stripComment(line) {
+  let quote = null;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (quote) {
+      quote = char === quote ? null : quote;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+      return line.slice(0, i);
+    }
+  }
+
+  return line;
+}
+
+/**
+ * Converte um valor escalar YAML (ou uma lista `[a, b]`)
+ * @param {string} text - Valor
+ * @param {Object} line - Linha, para a mensagem de erro
+ * @param {Function} fail - Gera o erro de sintaxe
+ * @returns {*} Valor convertido
+ */
+function parseScalar(text, line, fail) {
+  if (text.startsWith('[')) {
+    if (!text.endsWith(']')) {
+      fail(line, 'lista sem "]"');
+    }
+
+    const inner = text.slice(1, -1).trim();
+    const items = inner.match(/("[^"]*"|'[^']*'|[^,]+)(?=\s*(,|$))/g) || [];
+    return inner ? items.map(item => parseScalar(item.trim(), line, fail)) : [];
+  }
+  if (text.startsWith('{')) {
+    fail(line, 'mapas entre chaves não são aceitos; use um bloco indentado');
+  }
+  if (text.startsWith('"')) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      fail(line, `texto entre aspas inválido: ${text}`);
+    }
+  }
+  if (text.startsWith("'")) {
+    if (!/^'(?:[^']|'')*'$/.test(text)) {
+      fail(line, `texto entre aspas inválido: ${text}`);
+    }
+    return text.slice(1, -1).replace(/''/g, "'");
+  }
+  if (/^(true|false)$/i.test(text)) {
+    return text.toLowerCase() === 'true';
+  }
+  if (/^(null|~)$/i.test(text)) {
+    return null;
+  }
+  if (/^-?\d+(\.\d+)?$/.test(text)) {
+    return Number(text);
+  }
+
+  return text;
+}
+
+/**
+ * Verifica se o valor é um objeto simples (não lista nem null)
+ * @param {*} value - Valor
+ * @returns {boolean} Se é um objeto
+ */
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports = {
+  loadConfig,
+  parseYaml,
+  parseValue,
+  SCHEMA
+};
@@ -0,0 +1,310 @@
+/**
+ * Detecção e conversão de codificações de texto
+ * Reconhece UTF-8, UTF-16 LE/BE e Latin-1 pelo BOM ou, sem BOM, por heurística
+ * sobre os primeiros bytes do conteúdo.
+ */
+
+const { StringDecoder } = require('string_decoder');
+
+// Codificações suportadas e seus nomes para exibição e para o cabeçalho Content-Type
+const ENCODINGS = {
+  utf8: { label: 'UTF-8', charset: 'utf-8', bom: Buffer.from([0xef, 0xbb, 0xbf]) },
+  utf16le: { label: 'UTF-16 LE', charset: 'utf-16le', bom: Buffer.from([0xff, 0xfe]) },
+  utf16be: { label: 'UTF-16 BE', charset: 'utf-16be', bom: Buffer.from([0xfe, 0xff]) },
+  latin1: { label: 'Latin-1 (ISO-8859-1)', charset: 'iso-8859-1', bom: null }
+};
+
+// Nomes alternativos aceitos nas opções
+const ALIASES = {
+  'utf-8': 'utf8',
+  'utf-16le': 'utf16le',
+  'utf-16be': 'utf16be',
+  ucs2: 'utf16le',
+  'ucs-2': 'utf16le',
+  'iso-8859-1': 'latin1',
+  'iso8859-1': 'latin1',
+  binary: 'latin1'
+};
+
+// Bytes iniciais analisados pela heurística
+const DETECTION_SAMPLE = 64 * 1024;
+
+/**
+ * Normaliza o nome de uma codificação
+ * @param {string} name - Nome informado (ex.: 'UTF-8', 'utf16le', 'iso-8859-1')
+ * @param {Object} options - Opções de validação
+ * @param {boolean} options.allowAuto - Aceitar 'auto' (detecção automática)
+ * @returns {string} 'utf8', 'utf16le', 'utf16be', 'latin1' ou 'auto'
+ */
+function normalizeEncoding(name, { allowAuto = false } = {}) {
+  const key = String(name).toLowerCase();
+
+  if (allowAuto && key === 'auto') {
+    return 'auto';
+  }
+
+  const encoding = ALIASES[key] || key;
+
+  if (!ENCODINGS[encoding]) {
+    throw new Error(`Codificação não suportada: ${name}`);
+  }
+
+  return encoding;
+}
+
+/**
+ * Detecta a codificação a partir dos primeiros bytes do conteúdo
+ * @param {Buffer} buffer - Início do conteúdo
+ * @param {string} forced - Codificação fixa ou 'auto'
+ * @returns {Object} `{ encoding, bomLength }`; o BOM não faz parte do conteúdo
+ */
+function detectEncoding(buffer, forced = 'auto') {
+  for (const [encoding, { bom }] of Object.entries(ENCODINGS)) {
+    if (bom && (forced === 'auto' || forced === encoding) && startsWith(buffer, bom)) {
+      return { encoding, bomLength: bom.length };
+    }
+  }
+
+  if (forced !== 'auto') {
+    return { encoding: forced, bomLength: 0 };
+  }
+
+  // Uma amostra completa pode terminar no meio de um caractere
+  const sample = buffer.subarray(0, DETECTION_SAMPLE);
+  const encoding = guessUtf16(sample) || (isUtf8(sample, sample.length === DETECTION_SAMPLE) ? 'utf8' : 'latin1');
+
+  return { encoding, bomLength: 0 };
+}
+
+/**
+ * Reconhece UTF-16 sem BOM pelos bytes nulos de texto majoritariamente ASCII
+ * @param {Buffer} sample - Amostra do conteúdo
+ * @returns {string|null} 'utf16le', 'utf16be' ou null
+ */
+function guessUtf16(sample) {
+  const pairs = Math.floor(sample.length / 2);
+
+  if (pairs < 2) {
+    return null;
+  }
+
+  let evenZeros = 0;
+  let oddZeros = 0;
+  for (let i = 0; i < pairs * 2; i += 2) {
+    if (sample[i] === 0) evenZeros++;
+    if (sample[i + 1] === 0) oddZeros++;
+  }
+
+  // Pares surrogate (emoji) também produzem alguns nulos na outra posição
+  if (oddZeros / pairs > 0.3 && evenZeros < oddZeros / 4) {
+    return 'utf16le';
+  }
+
+  if (evenZeros / pairs > 0.3 && oddZeros < evenZeros / 4) {
+    return 'utf16be';
+  }
+
+  return null;
+}
+
+/**
+ * Verifica se os bytes formam UTF-8 válido
+ * @param {Buffer} sample - Amostra do conteúdo
+ * @param {boolean} truncated - A amostra corta o conteúdo (aceita caractere incompleto no fim)
+ * @returns {boolean} Se a amostra é UTF-8 válido
+ */
+function isUtf8(sample, truncated = false) {
+  let i = 0;
+
+  while (i < sample.length) {
+    const byte = sample[i];
+    let length;
+    let min;
+
+    if (byte < 0x80) {
+      i++;
+      continue;
+    } else if ((byte & 0xe0) === 0xc0) {
+      length = 2;
+      min = 0x80;
+    } else if ((byte & 0xf0) === 0xe0) {
+      length = 3;
+      min = 0x800;
+    } else if ((byte & 0xf8) === 0xf0) {
+      length = 4;
+      min = 0x10000;
+    } else {
+      return false;
+    }
+
+    if (i + length > sample.length) {
+      return truncated && sample.subarray(i + 1).every(next => (next & 0xc0) === 0x80);
+    }
+
+    let codePoint = byte & (0xff >> (length + 1));
+    for (let j = 1; j < length; j++) {
+      if ((sample[i + j] & 0xc0) !== 0x80) {
+        return false;
+      }
+      codePoint = (codePoint << 6) | (sample[i + j] & 0x3f);
+    }
+
+    // Formas longas, surrogates e valores acima de U+10FFFF não são UTF-8 válido
+    if (codePoint < min || codePoint > 0x10ffff || (codePoint >= 0xd800 && codePoint <= 0xdfff)) {
+      return false;
+    }
+
+    i += length;
+  }
+
+  return true;
+}
+
+/**
+ * Verifica se o buffer começa com os bytes informados
+ * @param {Buffer} buffer - Conteúdo
+ * @param {Buffer} prefix - Prefixo procurado
+ * @returns {boolean} Se o conteúdo começa com o prefixo
+ */
+function startsWith(buffer, prefix) {
+  return buffer.length >= prefix.length && buffer.subarray(0, prefix.length).equals(prefix);
+}
+
+/**
+ * Decodifica bytes para texto
+ * @param {Buffer} buffer - Bytes do conteúdo (sem BOM)
+ * @param {string} encoding - Codificação normalizada
+ * @returns {string} Texto decodificado
+ */
+function decode(buffer, encoding) {
+  if (encoding === 'utf16be') {
+    return swapBytes(buffer).toString('utf16le');
+  }
+
+  return buffer.toString(encoding);
+}
+
+/**
+ * Codifica texto em bytes
+ * @param {string} text - Texto
+ * @param {string} encoding - Codificação normalizada
+ * @param {Object} options - Opções de codificação
+ * @param {boolean} options.bom - Incluir o BOM da codificação no início
+ * @returns {Buffer} Bytes codificados
+ */
+function encode(text, encoding, { bom = false } = {}) {
+  let bytes;
+
+  if (encoding === 'utf16be') {
+    bytes = swapBytes(Buffer.from(text, 'utf16le'));
+  } else if (encoding === 'latin1') {
+    // Caracteres fora do Latin-1 não têm representação
+    bytes = Buffer.from(text.replace(/[^\u0000-\u00ff]/gu, '?'), 'latin1');
+  } else {
+    bytes = Buffer.from(text, encoding);
+  }
+
+  return bom && ENCODINGS[encoding].bom ? Buffer.concat([ENCODINGS[encoding].bom, bytes]) : bytes;
+}
+
+/**
+ * Inverte a ordem dos bytes de cada par (UTF-16 BE ↔ LE), ignorando um byte final avulso
+ * @param {Buffer} buffer - Bytes originais
+ * @returns {Buffer} Nova cópia com os pares invertidos
+ */
+function swapBytes(buffer) {
+  const copy = Buffer.from(buffer.subarray(0, buffer.length - (buffer.length % 2)));
+  return copy.swap16();
+}
+
+/**
+ * Cria um decodificador incremental (para leitura em streaming)
+ * Caracteres divididos entre dois trechos são guardados até o trecho seguinte.
+ * @param {string} encoding - Codificação normalizada
+ * @returns {Object} Decodificador com `write(buffer)` e `end()`
+ */
+function createDecoder(encoding) {
+  if (encoding !== 'utf16be') {
+    return new StringDecoder(encoding);
+  }
+
+  const decoder = new StringDecoder('utf16le');
+  let pending = Buffer.alloc(0);
+
+  return {
+    write(buffer) {
+      const bytes = Buffer.concat([pending, buffer]);
+      const even = bytes.length - (bytes.length % 2);
+      pending = bytes.subarray(even);
+      return decoder.write(swapBytes(bytes.subarray(0, even)));
+    },
+    end() {
+      return decoder.end();
+    }
+  };
+}
+
+/**
+ * Conta os bytes no início de um bloco que pertencem a um caractere iniciado antes dele.
+ * Usado na leitura de trás para frente, para não dividir caracteres entre blocos.
+ * @param {Buffer} buffer - Bloco lido (seguido dos bytes guardados do bloco posterior)
+ * @param {string} encoding - Codificação normalizada
+ * @param {number} offset - Posição do bloco em relação ao início do conteúdo
+ * @returns {number} Quantidade de bytes a guardar para a próxima leitura
+ */
+function countCarryBytes(buffer, encoding, offset) {
+  if (encoding === 'utf8') {
+    // Bytes de continuação (10xxxxxx)
+    let count = 0;
+    while (count < buffer.length && count < 3 && (buffer[count] & 0xc0) === 0x80) {
+      count++;
+    }
+    return count;
+  }
+
+  if (encoding === 'utf16le' || encoding === 'utf16be') {
+    // Metade de uma unidade de 16 bits e, depois dela, a segunda metade de um par surrogate
+    let count = offset % 2;
+
+    if (count + 2 <= buffer.length) {
+      const high = encoding === 'utf16le' ? buffer[count + 1] : buffer[count];
+      if ((high & 0xfc) === 0xdc) {
+        count += 2;
+      }
+    }
+    return count;
+  }
+
+  return 0;
+}
+
+/**
+ * Nome de exibição da codificação
+ * @param {string} encoding - Codificação normalizada
+ * @returns {string} Nome legível (ex.: 'UTF-16 LE')
+ */
+function describeEncoding(encoding) {
+  return ENCODINGS[encoding].label;
+}
+
+/**
+ * Charset usado no cabeçalho Content-Type
+ * @param {string} encoding - Codificação normalizada
+ * @returns {string} Charset (ex.: 'utf-16le')
+ */
+function charsetOf(encoding) {
+  return ENCODINGS[encoding].charset;
+}
+
+module.exports = {
+  SUPPORTED_ENCODINGS: Object.keys(ENCODINGS),
+  normalizeEncoding,
+  detectEncoding,
+  isUtf8,
+  decode,
+  encode,
+  createDecoder,
+  countCarryBytes,
+  describeEncoding,
+  charsetOf
+};
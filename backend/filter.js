@@ -0,0 +1,149 @@
+/**
+ * Filtro de registros por padrões (como grep), aplicado durante a inversão.
+ * Os registros chegam já na ordem da saída, então o contexto "antes" de uma linha
+ * são as linhas mais recentes do arquivo e o contexto "depois" as mais antigas.
+ */
+
+/**
+ * Converte os padrões em expressões regulares
+ * @param {Array<string>} patterns - Padrões em texto ou expressões regulares
+ * @param {boolean} regex - Interpretar os padrões como expressões regulares
+ * @param {boolean} ignoreCase - Ignorar maiúsculas e minúsculas
+ * @returns {Array<RegExp>} Expressões compiladas
+ */
+function compilePatterns(patterns, regex, ignoreCase) {
+  const flags = ignoreCase ? 'i' : '';
+
+  return patterns.map(pattern => {
+    if (!regex) {
+      return new RegExp(pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), flags);
+    }
+
+    try {
+      return new RegExp(pattern, flags);
+    } catch (error) {
+      throw new Error(`Padrão de filtro inválido: ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Normaliza os padrões informados (texto único ou lista), descartando os vazios
+ * @param {string|Array<string>|null} value - Padrões informados
+ * @returns {Array<string>} Lista de padrões
+ */
+function normalizePatterns(value) {
+  if (value === null || value === undefined) {
+    return [];
+  }
+
+  return [].concat(value).map(String).filter(pattern => pattern !== '');
+}
+
+/**
+ * Seleciona os registros que correspondem aos filtros, com linhas de contexto.
+ * Um registro corresponde quando contém algum padrão de `include` (ou não há `include`)
+ * e nenhum de `exclude`. `skip` e `limit` valem para a saída já filtrada.
+ */
+class RecordFilter {
+  /**
+   * @param {Object} options - Opções do filtro
+   * @param {Array<string>} options.include - Padrões que a linha deve conter (qualquer um)
+   * @param {Array<string>} options.exclude - Padrões que a linha não pode conter
+   * @param {boolean} options.regex - Padrões como expressões regulares
+   * @param {boolean} options.ignoreCase - Ignorar maiúsculas e minúsculas
+   * @param {number} options.context - Linhas de contexto antes e depois de cada correspondência
+   * @param {number} options.skip - Linhas da saída filtrada a pular
+   * @param {number|null} options.limit - Máximo de linhas na saída filtrada (null = sem limite)
+   */
+  constructor({ include = [], exclude = [], regex = false, ignoreCase = false, context = 0, skip = 0, limit = null }) {
+    this.include = compilePatterns(include, regex, ignoreCase);
+    this.exclude = compilePatterns(exclude, regex, ignoreCase);
+    this.context = context;
+    this.skip = skip;
+    this.limit = limit;
+    this.pending = [];
+    this.after = 0;
+    this.seen = 0;
+    this.emitted = 0;
+    this.matched = 0;
+    this.contextLines = 0;
+    this.done = false;
+  }
+
+  /**
+   * Verifica se o conteúdo de um registro corresponde aos filtros
+   * @param {string} content - Conteúdo do registro (sem separador)
+   * @returns {boolean} Se o registro foi selecionado
+   */
+  matches(content) {
+    if (this.include.length > 0 && !this.include.some(pattern => pattern.test(content))) {
+      return false;
+    }
+
+    return !this.exclude.some(pattern => pattern.test(content));
+  }
+
+  /**
+   * Adiciona o próximo registro da saída
+   * @param {Object} record - Registro `{ content, separator }`
+   * @returns {Array<Object>} Registros a escrever (correspondência e contexto)
+   */
+  push(record) {
+    const output = [];
+
+    if (this.done) {
+      return output;
+    }
+
+    if (this.matches(record.content)) {
+      this.matched++;
+
+      for (const previous of this.pending) {
+        this.contextLines++;
+        this.emit(previous, output);
+      }
+      this.pending = [];
+
+      this.emit(record, output);
+      this.after = this.context;
+    } else if (this.after > 0) {
+      this.after--;
+      this.contextLines++;
+      this.emit(record, output);
+    } else if (this.context > 0) {
+      // Só as últimas `context` linhas podem virar contexto da próxima correspondência
+      this.pending.push(record);
+      if (this.pending.length > this.context) {
+        this.pending.shift();
+      }
+    }
+
+    return output;
+  }
+
+  /**
+   * Aplica `skip` e `limit` a um registro selecionado
+   * @param {Object} record - Registro selecionado
+   * @param {Array<Object>} output - Registros a escrever
+   */
+  emit(record, output) {
+    this.seen++;
+
+    if (this.seen <= this.skip || this.done) {
+      return;
+    }
+
+    output.push(record);
+    this.emitted++;
+
+    if (this.limit !== null && this.emitted >= this.limit) {
+      this.done = true;
+    }
+  }
+}
+
+module.exports = {
+  RecordFilter,
+  normalizePatterns
+};
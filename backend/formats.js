@@ -0,0 +1,212 @@
+/**
+ * Formatos estruturados (CSV, JSON e NDJSON)
+ * O conteúdo é dividido nos mesmos registros `{ content, separator }` usados para as linhas,
+ * e o que não deve ser invertido (cabeçalho do CSV, colchetes do JSON) fica em `prefix` e `suffix`.
+ */
+
+const path = require('path');
+
+// Formatos reconhecidos pela extensão do arquivo (sem a extensão de compressão)
+const FORMATS = {
+  text: { label: 'Texto', extensions: [] },
+  csv: { label: 'CSV (cabeçalho mantido no topo)', extensions: ['.csv'] },
+  json: { label: 'JSON (elementos do array)', extensions: ['.json'] },
+  ndjson: { label: 'NDJSON (um documento JSON por linha)', extensions: ['.ndjson', '.jsonl'] }
+};
+
+/**
+ * Conteúdo que não corresponde ao formato (CSV, JSON ou NDJSON inválido)
+ */
+class FormatError extends Error {}
+
+/**
+ * Indica se um erro (ou a causa de um erro que o envolve, em `cause`) é um FormatError
+ * @param {Error} error - Erro recebido
+ * @returns {boolean} Se o conteúdo não correspondia ao formato
+ */
+function isFormatError(error) {
+  for (let current = error; current; current = current.cause) {
+    if (current instanceof FormatError) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Valida o nome de um formato
+ * @param {string} name - Nome informado
+ * @param {Object} options - Opções de validação
+ * @param {boolean} options.allowAuto - Aceitar 'auto' (detecção pela extensão)
+ * @returns {string} 'auto', 'text', 'csv', 'json' ou 'ndjson'
+ */
+function normalizeFormat(name, { allowAuto = false } = {}) {
+  const format = String(name).toLowerCase();
+
+  if ((allowAuto && format === 'auto') || Object.prototype.hasOwnProperty.call(FORMATS, format)) {
+    return format;
+  }
+
+  const supported = [...(allowAuto ? ['auto'] : []), ...Object.keys(FORMATS)].join(', ');
+  throw new Error(`Formato inválido: ${name}. Formatos suportados: ${supported}`);
+}
+
+/**
+ * Detecta o formato pela extensão do arquivo (ex.: dados.csv, eventos.jsonl.gz)
+ * @param {string|null} filename - Nome ou caminho do arquivo
+ * @returns {string} Formato detectado; 'text' para extensões desconhecidas
+ */
+function detectFormat(filename) {
+  if (!filename) {
+    return 'text';
+  }
+
+  const extension = path.extname(path.basename(filename).replace(/\.(gz|zz|br)$/i, '')).toLowerCase();
+  const format = Object.keys(FORMATS).find(name => FORMATS[name].extensions.includes(extension));
+
+  return format || 'text';
+}
+
+/**
+ * Divide um CSV em registros seguindo a RFC 4180: quebras de linha entre aspas
+ * fazem parte do campo, e `""` dentro de aspas é uma aspa escapada
+ * @param {string} text - Conteúdo do CSV
+ * @param {string} newline - Expressão regular da quebra de linha (ex.: '\r?\n')
+ * @returns {Array<Object>} Registros na ordem original (o primeiro é o cabeçalho)
+ */
+function splitCsvRecords(text, newline) {
+  const pattern = new RegExp(`"|${newline}`, 'g');
+  const records = [];
+  let inQuotes = false;
+  let last = 0;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    if (match[0] === '"') {
+      // Uma aspa escapada ("") abre e fecha as aspas em seguida
+      inQuotes = !inQuotes;
+    } else if (!inQuotes) {
+      records.push({ content: text.slice(last, match.index), separator: match[0] });
+      last = match.index + match[0].length;
+    }
+  }
+
+  if (inQuotes) {
+    throw new FormatError('CSV inválido: aspas sem fechamento');
+  }
+
+  if (last < text.length) {
+    records.push({ content: text.slice(last), separator: '' });
+  }
+
+  return records;
+}
+
+/**
+ * Divide um array JSON nos seus elementos, sem reescrevê-los: cada registro é o texto
+ * original do elemento, e o separador é o trecho até o próximo (vírgula e espaços)
+ * @param {string} text - Conteúdo do JSON
+ * @returns {Object} `{ prefix, records, suffix }`; `prefix` vai até o primeiro elemento
+ */
+function splitJsonArray(text) {
+  let value;
+  try {
+    value = JSON.parse(text);
+  } catch (error) {
+    throw new FormatError(`JSON inválido: ${error.message}`);
+  }
+
+  if (!Array.isArray(value)) {
+    throw new FormatError('JSON inválido: o conteúdo precisa ser um array');
+  }
+
+  if (value.length === 0) {
+    return { prefix: text, records: [], suffix: '' };
+  }
+
+  // O texto já é um JSON válido, então basta acompanhar strings e aninhamento
+  const bounds = [];
+  const close = text.lastIndexOf(']');
+  let depth = 0;
+  let inString = false;
+  let start = null;
+  let end = null;
+
+  for (let i = text.indexOf('[') + 1; i < close; i++) {
+    const char = text[i];
+
+    if (inString) {
+      if (char === '\\') {
+        i++;
+      } else if (char === '"') {
+        inString = false;
+        end = i + 1;
+      }
+      continue;
+    }
+
+    if (depth === 0 && char === ',') {
+      bounds.push([start, end]);
+      start = null;
+      continue;
+    }
+
+    if (char === ' ' || char === '\t' || char === '\n' || char === '\r') {
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+    } else if (char === '[' || char === '{') {
+      depth++;
+    } else if (char === ']' || char === '}') {
+      depth--;
+    }
+
+    if (start === null) {
+      start = i;
+    }
+    end = i + 1;
+  }
+  bounds.push([start, end]);
+
+  const records = bounds.map(([elementStart, elementEnd], index) => ({
+    content: text.slice(elementStart, elementEnd),
+    separator: index + 1 < bounds.length ? text.slice(elementEnd, bounds[index + 1][0]) : ''
+  }));
+
+  return {
+    prefix: text.slice(0, bounds[0][0]),
+    records,
+    suffix: text.slice(bounds[bounds.length - 1][1])
+  };
+}
+
+/**
+ * Verifica se uma linha de NDJSON é um documento JSON (linhas em branco são aceitas)
+ * @param {string} content - Conteúdo da linha
+ */
+function validateNdjsonRecord(content) {
+  if (content.trim() === '') {
+    return;
+  }
+
+  try {
+    JSON.parse(content);
+  } catch (error) {
+    const preview = content.length > 40 ? `${content.slice(0, 40)}…` : content;
+    throw new FormatError(`NDJSON inválido: ${error.message} em ${JSON.stringify(preview)}`);
+  }
+}
+
+module.exports = {
+  FORMATS,
+  SUPPORTED_FORMATS: Object.keys(FORMATS),
+  FormatError,
+  isFormatError,
+  normalizeFormat,
+  detectFormat,
+  splitCsvRecords,
+  splitJsonArray,
+  validateNdjsonRecord
+};
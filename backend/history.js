@@ -0,0 +1,425 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { once } = require('events');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { LineIndex } = require('./lines');
+const { normalizeEncoding } = require('./encoding');
+
+// Índice das entradas; cada resultado fica em um arquivo <id>.out ao lado dele
+const INDEX_FILE = 'index.json';
+
+// Índices de linhas mantidos em memória, dos resultados abertos por último no visualizador
+const LINE_INDEX_CACHE = 4;
+
+/**
+ * Histórico de processamentos em disco: um índice JSON com os dados de cada processamento
+ * (origem, tamanho, linhas, método, tempos e passos) e o resultado gravado em um arquivo por entrada.
+ * As gravações do índice são feitas uma por vez e as entradas além dos limites de retenção
+ * (quantidade, idade e tamanho total dos resultados) são removidas, das mais antigas para as mais novas.
+ */
+class HistoryStore {
+  /**
+   * @param {Object} options - Opções
+   * @param {string} options.dir - Diretório do histórico (criado se não existir)
+   * @param {number} options.maxEntries - Quantidade máxima de entradas
+   * @param {number} options.maxAge - Idade máxima das entradas em ms
+   * @param {number} options.maxSize - Tamanho máximo somado dos resultados em bytes
+   */
+  constructor({ dir, maxEntries = 100, maxAge = 7 * 24 * 60 * 60 * 1000, maxSize = 512 * 1024 * 1024 }) {
+    this.dir = dir;
+    this.maxEntries = maxEntries;
+    this.maxAge = maxAge;
+    this.maxSize = maxSize;
+    this.indexPath = path.join(dir, INDEX_FILE);
+    this.writing = Promise.resolve();
+    this.lineIndexes = new Map();
+
+    fs.mkdirSync(dir, { recursive: true });
+    this.entries = this.readIndex();
+    this.removeOrphans();
+  }
+
+  /**
+   * Lê o índice gravado; um índice ausente começa o histórico vazio
+   * @returns {Array<Object>} Entradas, da mais nova para a mais antiga
+   */
+  readIndex() {
+    let text;
+    try {
+      text = fs.readFileSync(this.indexPath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    try {
+      return JSON.parse(text).entries;
+    } catch (error) {
+      throw new Error(`Índice do histórico inválido em ${this.indexPath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove resultados sem entrada no índice (ex.: gravações interrompidas quando o servidor parou)
+   */
+  removeOrphans() {
+    const known = new Set(this.entries.map(entry => outputName(entry.id)));
+
+    for (const file of fs.readdirSync(this.dir)) {
+      if (file !== INDEX_FILE && !known.has(file)) {
+        fs.rmSync(path.join(this.dir, file), { force: true });
+      }
+    }
+  }
+
+  /**
+   * Entradas do histórico, da mais nova para a mais antiga, sem os passos e os metadados
+   * @param {Function} filter - Seleciona as entradas visíveis (ex.: as da chave de API da requisição)
+   * @returns {Array<Object>} Resumo das entradas
+   */
+  list(filter = () => true) {
+    return this.entries.filter(filter).map(summarize);
+  }
+
+  /**
+   * Busca uma entrada pelo id
+   * @param {string} id - Id da entrada
+   * @returns {Object|null} Entrada ou null se não existir (ou já foi removida)
+   */
+  get(id) {
+    return this.entries.find(entry => entry.id === id) || null;
+  }
+
+  /**
+   * Caminho do resultado de uma entrada
+   * @param {Object} entry - Entrada
+   * @returns {string} Caminho do arquivo
+   */
+  outputPath(entry) {
+    return path.join(this.dir, outputName(entry.id));
+  }
+
+  /**
+   * Lê um trecho das linhas de um resultado em texto, sem carregá-lo inteiro na memória.
+   * O índice das linhas é montado na primeira leitura e reaproveitado nas seguintes
+   * @param {Object} entry - Entrada
+   * @param {number} start - Primeira linha (a partir de 0)
+   * @param {number} count - Quantidade de linhas
+   * @returns {Promise<Object>} `{ lines, totalLines }`
+   */
+  async readLines(entry, start, count) {
+    let building = this.lineIndexes.get(entry.id);
+
+    if (building) {
+      // Reinsere no fim, para ser o último a sair do cache
+      this.lineIndexes.delete(entry.id);
+    } else {
+      const charset = /charset=([\w-]+)/.exec(entry.output.contentType);
+      building = LineIndex.build(this.outputPath(entry), {
+        encoding: normalizeEncoding(charset ? charset[1] : 'utf-8'),
+        newline: entry.metadata.lineEnding === 'cr' ? '\r' : '\n'
+      });
+      building.catch(() => this.lineIndexes.delete(entry.id));
+    }
+
+    this.lineIndexes.set(entry.id, building);
+    if (this.lineIndexes.size > LINE_INDEX_CACHE) {
+      this.lineIndexes.delete(this.lineIndexes.keys().next().value);
+    }
+
+    const index = await building;
+    return { lines: await index.read(start, count), totalLines: index.lineCount };
+  }
+
+  /**
+   * Guarda um processamento com o resultado já em memória
+   * @param {Object} data - Dados da entrada (ver `createEntry`)
+   * @param {Buffer|string} output - Resultado
+   * @returns {Promise<Object|null>} Entrada criada, ou null se ela não coube nos limites
+   */
+  async add(data, output) {
+    const entry = createEntry(data, Buffer.byteLength(output));
+
+    await fs.promises.writeFile(this.outputPath(entry), output);
+    return this.insert(entry);
+  }
+
+  /**
+   * Guarda um processamento copiando o resultado de um arquivo (ex.: resultado de um job)
+   * @param {Object} data - Dados da entrada
+   * @param {string} filePath - Arquivo do resultado
+   * @returns {Promise<Object|null>} Entrada criada, ou null se ela não coube nos limites
+   */
+  async addFile(data, filePath) {
+    const { size } = await fs.promises.stat(filePath);
+    const entry = createEntry(data, size);
+
+    await fs.promises.copyFile(filePath, this.outputPath(entry));
+    return this.insert(entry);
+  }
+
+  /**
+   * Cria um gravador que copia para o histórico um resultado enviado em stream
+   * @returns {HistoryRecorder} Gravador
+   */
+  createRecorder() {
+    return new HistoryRecorder(this);
+  }
+
+  /**
+   * Remove uma entrada e o resultado
+   * @param {string} id - Id da entrada
+   * @returns {Promise<Object|null>} Entrada removida ou null se não existir
+   */
+  async remove(id) {
+    const entry = this.get(id);
+
+    if (!entry) {
+      return null;
+    }
+
+    await this.update(() => {
+      this.entries = this.entries.filter(item => item !== entry);
+      return [entry];
+    });
+    return entry;
+  }
+
+  /**
+   * Aplica os limites de retenção
+   * @returns {Promise<number>} Quantidade de entradas removidas
+   */
+  async prune() {
+    const removed = await this.update(() => this.expired(Date.now()));
+    return removed.length;
+  }
+
+  /**
+   * Limites de retenção, para GET /api/info
+   * @returns {Object} `{ enabled, maxEntries, maxAge, maxSize }`
+   */
+  toJSON() {
+    return { enabled: true, maxEntries: this.maxEntries, maxAge: this.maxAge, maxSize: this.maxSize };
+  }
+
+  /**
+   * Inclui uma entrada nova e aplica os limites de retenção
+   * @param {Object} entry - Entrada, com o resultado já gravado
+   * @returns {Promise<Object|null>} Entrada, ou null se ela mesma passou dos limites
+   */
+  async insert(entry) {
+    const removed = await this.update(() => {
+      this.entries.unshift(entry);
+      return this.expired(Date.now());
+    });
+
+    return removed.includes(entry) ? null : entry;
+  }
+
+  /**
+   * Tira do índice as entradas além dos limites de retenção
+   * @param {number} now - Instante atual
+   * @returns {Array<Object>} Entradas retiradas
+   */
+  expired(now) {
+    const kept = [];
+    const removed = [];
+    let size = 0;
+
+    for (const entry of this.entries) {
+      const fits =
+        kept.length < this.maxEntries &&
+        now - Date.parse(entry.createdAt) <= this.maxAge &&
+        size + entry.output.size <= this.maxSize;
+
+      if (fits) {
+        kept.push(entry);
+        size += entry.output.size;
+      } else {
+        removed.push(entry);
+      }
+    }
+
+    this.entries = kept;
+    return removed;
+  }
+
+  /**
+   * Altera o índice e o grava em disco, uma alteração por vez; os resultados das entradas
+   * retiradas são removidos depois da gravação
+   * @param {Function} change - Altera `this.entries` e devolve as entradas retiradas
+   * @returns {Promise<Array<Object>>} Entradas retiradas
+   */
+  update(change) {
+    const run = async () => {
+      const removed = change();
+      const temp = `${this.indexPath}.${process.pid}.tmp`;
+
+      await fs.promises.writeFile(temp, JSON.stringify({ entries: this.entries }, null, 2));
+      await fs.promises.rename(temp, this.indexPath);
+      removed.forEach(entry => this.lineIndexes.delete(entry.id));
+      await Promise.all(removed.map(entry => fs.promises.rm(this.outputPath(entry), { force: true })));
+      return removed;
+    };
+
+    const result = this.writing.then(run);
+    this.writing = result.catch(() => {});
+    return result;
+  }
+}
+
+/**
+ * Copia para o histórico um resultado enviado em stream, sem segurar o conteúdo na memória.
+ * O resultado vai para um arquivo temporário e só entra no histórico com `save`, depois que a
+ * resposta terminou; `discard` apaga o arquivo quando o envio falha. Um erro na gravação do
+ * arquivo não interrompe o envio: o resultado apenas não entra no histórico.
+ */
+class HistoryRecorder {
+  /**
+   * @param {HistoryStore} store - Histórico
+   */
+  constructor(store) {
+    this.store = store;
+    this.tempPath = path.join(store.dir, `${crypto.randomUUID()}.tmp`);
+    this.size = 0;
+    this.file = null;
+    this.stream = null;
+    this.error = null;
+  }
+
+  /**
+   * Passa o stream pelo gravador
+   * @param {stream.Readable} source - Resultado
+   * @returns {stream.Readable} Mesmo conteúdo, para enviar na resposta
+   */
+  wrap(source) {
+    this.file = fs.createWriteStream(this.tempPath);
+    this.file.on('error', error => {
+      this.error = error;
+    });
+
+    this.stream = new Transform({
+      transform: (chunk, encoding, callback) => {
+        if (this.error || this.file.write(chunk)) {
+          this.size += chunk.length;
+          return callback(null, chunk);
+        }
+
+        // Espera o arquivo esvaziar o buffer (ou falhar) antes de seguir com o envio
+        const resume = () => {
+          this.file.off('drain', resume);
+          this.file.off('error', resume);
+          this.size += chunk.length;
+          callback(null, chunk);
+        };
+        this.file.on('drain', resume);
+        this.file.on('error', resume);
+      },
+      flush: callback => (this.error ? callback() : this.file.end(() => callback()))
+    });
+
+    pipeline(source, this.stream).catch(() => {});
+    return this.stream;
+  }
+
+  /**
+   * Guarda o resultado gravado no histórico
+   * @param {Object} data - Dados da entrada
+   * @returns {Promise<Object|null>} Entrada criada, ou null se ela não coube nos limites
+   */
+  async save(data) {
+    try {
+      if (this.error) {
+        throw this.error;
+      }
+      if (!this.file.closed) {
+        await once(this.file, 'close');
+      }
+
+      const entry = createEntry(data, this.size);
+      await fs.promises.rename(this.tempPath, this.store.outputPath(entry));
+      return this.store.insert(entry);
+    } catch (error) {
+      await this.discard();
+      throw error;
+    }
+  }
+
+  /**
+   * Descarta o resultado gravado
+   * @returns {Promise<void>}
+   */
+  async discard() {
+    if (!this.file) {
+      return;
+    }
+
+    this.stream.destroy();
+    this.file.destroy();
+    if (!this.file.closed) {
+      await once(this.file, 'close');
+    }
+    await fs.promises.rm(this.tempPath, { force: true });
+  }
+}
+
+/**
+ * Monta uma entrada do histórico
+ * @param {Object} data - Dados do processamento
+ * @param {string} data.route - Rota que processou (ex.: /api/tac)
+ * @param {string} data.source - Nome do arquivo ou descrição da origem
+ * @param {number} data.size - Bytes recebidos
+ * @param {string|null} data.owner - Id da chave de API que fez o processamento
+ * @param {Object} data.result - Resultado do processador (`lineCount`, `steps` e `metadata`)
+ * @param {number} data.durationMs - Tempo total no servidor em ms
+ * @param {Object} data.output - `{ fileName, contentType }` do resultado
+ * @param {Object|null} data.numbering - Numeração das linhas na entrada (ver backend/lines.js)
+ * @param {number} outputSize - Tamanho do resultado em bytes
+ * @returns {Object} Entrada
+ */
+function createEntry({ route, source, size, owner, result, durationMs, output, numbering = null }, outputSize) {
+  return {
+    id: crypto.randomUUID(),
+    route,
+    source,
+    size,
+    owner,
+    lineCount: result.lineCount,
+    method: result.metadata.method,
+    processingTime: result.metadata.processingTime,
+    durationMs,
+    createdAt: new Date().toISOString(),
+    output: { ...output, size: outputSize },
+    numbering,
+    steps: result.steps,
+    metadata: result.metadata
+  };
+}
+
+/**
+ * Resumo de uma entrada, para a listagem
+ * @param {Object} entry - Entrada
+ * @returns {Object} Entrada sem `steps` e `metadata`
+ */
+function summarize({ steps, metadata, ...summary }) {
+  return summary;
+}
+
+/**
+ * Nome do arquivo de resultado de uma entrada
+ * @param {string} id - Id da entrada
+ * @returns {string} Nome do arquivo
+ */
+function outputName(id) {
+  return `${id}.out`;
+}
+
+module.exports = {
+  HistoryStore,
+  HistoryRecorder,
+  summarize
+};
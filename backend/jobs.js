@@ -0,0 +1,297 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter, once } = require('events');
+const { finished } = require('stream/promises');
+
+// Estados de um job; os três últimos são finais
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+const FINAL_STATUSES = [JOB_STATUS.COMPLETED, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED];
+
+/**
+ * Fila de jobs de processamento assíncrono
+ * Cada job inverte um arquivo enviado com a leitura reversa do TacProcessor e grava o
+ * resultado em disco; até `workers` jobs são processados ao mesmo tempo.
+ * Emite 'start' (job) quando um worker começa o job, com `job.processor` já disponível
+ * para acompanhar o progresso, e 'finish' (job) quando o job chega a um estado final.
+ */
+class JobQueue extends EventEmitter {
+  /**
+   * @param {Object} options - Opções da fila
+   * @param {string} options.resultsDir - Diretório onde os resultados são gravados
+   * @param {number} options.workers - Número de jobs processados simultaneamente (padrão: 2)
+   */
+  constructor({ resultsDir, workers = 2 } = {}) {
+    super();
+
+    if (!resultsDir) {
+      throw new Error('Diretório de resultados não informado');
+    }
+
+    if (!Number.isInteger(workers) || workers < 1) {
+      throw new Error(`Número de workers inválido: ${workers}`);
+    }
+
+    this.resultsDir = resultsDir;
+    this.workers = workers;
+    this.jobs = new Map();
+    this.pending = [];
+    this.running = 0;
+  }
+
+  /**
+   * Adiciona um job à fila
+   * @param {Object} params - Dados do job
+   * @param {string} params.filePath - Arquivo enviado (removido ao final do job)
+   * @param {string} params.originalName - Nome original do arquivo
+   * @param {TacProcessor} params.processor - Processador com as opções da requisição
+   * @param {string|null} params.owner - Id da chave de API que criou o job (padrão: null)
+   * @returns {Object} Job criado
+   */
+  add({ filePath, originalName, processor, owner = null }) {
+    const id = crypto.randomUUID();
+    const job = {
+      id,
+      status: JOB_STATUS.QUEUED,
+      originalName,
+      filePath,
+      resultPath: path.join(this.resultsDir, `result-${id}.tac`),
+      processor,
+      owner,
+      controller: new AbortController(),
+      done: null,
+      bytesProcessed: 0,
+      totalBytes: null,
+      lineCount: 0,
+      result: null,
+      error: null,
+      createdAt: Date.now(),
+      startedAt: null,
+      finishedAt: null
+    };
+
+    this.jobs.set(id, job);
+    this.pending.push(job);
+    this.next();
+
+    return job;
+  }
+
+  /**
+   * Busca um job pelo id
+   * @param {string} id - Id do job
+   * @returns {Object|null} Job ou null se não existir (ou já expirou)
+   */
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  /**
+   * Cancela um job na fila ou em andamento; jobs já finalizados são removidos com o resultado
+   * @param {string} id - Id do job
+   * @returns {Promise<Object|null>} Job cancelado ou removido, ou null se não existir
+   */
+  async cancel(id) {
+    const job = this.get(id);
+
+    if (!job) {
+      return null;
+    }
+
+    if (job.status === JOB_STATUS.QUEUED) {
+      this.pending = this.pending.filter(item => item !== job);
+      this.finish(job, JOB_STATUS.CANCELLED);
+      await removeFile(job.filePath);
+    } else if (job.status === JOB_STATUS.RUNNING) {
+      // O worker percebe o sinal no próximo trecho e finaliza o job como cancelado
+      job.controller.abort();
+      await job.done;
+    } else {
+      this.jobs.delete(id);
+      await removeFile(job.resultPath);
+    }
+
+    return job;
+  }
+
+  /**
+   * Inicia os jobs da fila enquanto houver workers livres
+   */
+  next() {
+    while (this.running < this.workers && this.pending.length > 0) {
+      const job = this.pending.shift();
+      this.running++;
+
+      job.done = this.run(job).finally(() => {
+        this.running--;
+        this.next();
+      });
+    }
+  }
+
+  /**
+   * Processa um job gravando o conteúdo invertido no arquivo de resultado
+   * @param {Object} job - Job a processar
+   * @returns {Promise<void>}
+   */
+  async run(job) {
+    job.status = JOB_STATUS.RUNNING;
+    job.startedAt = Date.now();
+
+    const output = fs.createWriteStream(job.resultPath);
+    // Erros de abertura ou de escrita (diretório ausente, disco cheio) falham só este job; sem um listener
+    // permanente o 'error' derrubaria o processo. O erro chega ao worker pela escrita ou pelo encerramento
+    output.on('error', () => {});
+
+    job.processor.on('progress', ({ bytesProcessed, totalBytes, lineCount }) => {
+      Object.assign(job, { bytesProcessed, totalBytes, lineCount });
+    });
+    this.emit('start', job);
+
+    try {
+      await once(output, 'open');
+      job.result = await job.processor.reverseFileToStream(job.filePath, output, {
+        end: false,
+        signal: job.controller.signal
+      });
+      output.end();
+      await finished(output);
+
+      const { originalSize } = job.result.metadata;
+      Object.assign(job, { bytesProcessed: originalSize, totalBytes: originalSize, lineCount: job.result.lineCount });
+      this.finish(job, JOB_STATUS.COMPLETED);
+    } catch (error) {
+      // O resultado parcial é descartado depois que o arquivo é fechado
+      output.destroy();
+      await finished(output).catch(() => {});
+      await removeFile(job.resultPath);
+
+      if (job.controller.signal.aborted) {
+        this.finish(job, JOB_STATUS.CANCELLED);
+      } else {
+        job.error = error.message;
+        this.finish(job, JOB_STATUS.FAILED);
+      }
+    } finally {
+      await removeFile(job.filePath);
+    }
+  }
+
+  /**
+   * Marca o job como finalizado
+   * @param {Object} job - Job
+   * @param {string} status - Estado final
+   */
+  finish(job, status) {
+    job.status = status;
+    job.finishedAt = Date.now();
+    job.processor = null;
+    this.emit('finish', job);
+  }
+
+  /**
+   * Remove os jobs finalizados há mais de `maxAge` ms, junto com os resultados
+   * @param {number} maxAge - Idade máxima em ms
+   * @returns {number} Quantidade de jobs removidos
+   */
+  expire(maxAge) {
+    const now = Date.now();
+    let removed = 0;
+
+    for (const job of this.jobs.values()) {
+      if (isFinal(job) && now - job.finishedAt > maxAge) {
+        this.jobs.delete(job.id);
+        removeFile(job.resultPath);
+        removed++;
+      }
+    }
+
+    return removed;
+  }
+
+  /**
+   * Arquivos ainda em uso por jobs na fila ou em andamento
+   * @returns {Set<string>} Caminhos dos arquivos
+   */
+  activeFiles() {
+    const files = new Set();
+
+    for (const job of this.jobs.values()) {
+      if (!isFinal(job)) {
+        files.add(job.filePath);
+        files.add(job.resultPath);
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * Representação pública do job (sem caminhos internos)
+   * @param {Object} job - Job
+   * @returns {Object} Estado, progresso e metadados
+   */
+  toJSON(job) {
+    const { id, status, originalName, bytesProcessed, totalBytes, lineCount, error } = job;
+    const toISO = time => (time ? new Date(time).toISOString() : null);
+
+    return {
+      id,
+      status,
+      originalName,
+      bytesProcessed,
+      totalBytes,
+      progress: totalBytes ? Math.round((bytesProcessed / totalBytes) * 1000) / 10 : 0,
+      lineCount,
+      error,
+      createdAt: toISO(job.createdAt),
+      startedAt: toISO(job.startedAt),
+      finishedAt: toISO(job.finishedAt),
+      metadata: job.result ? job.result.metadata : null
+    };
+  }
+
+  /**
+   * Estatísticas da fila
+   * @returns {Object} Workers e quantidade de jobs por estado
+   */
+  getStats() {
+    const stats = { workers: this.workers, queued: 0, running: 0, completed: 0, failed: 0, cancelled: 0 };
+
+    for (const job of this.jobs.values()) {
+      stats[job.status]++;
+    }
+
+    return stats;
+  }
+}
+
+/**
+ * Verifica se o job já terminou (concluído, com falha ou cancelado)
+ * @param {Object} job - Job
+ * @returns {boolean} Se o estado é final
+ */
+function isFinal(job) {
+  return FINAL_STATUSES.includes(job.status);
+}
+
+/**
+ * Remove um arquivo ignorando arquivos inexistentes
+ * @param {string} filePath - Caminho do arquivo
+ * @returns {Promise<void>}
+ */
+function removeFile(filePath) {
+  return fs.promises.rm(filePath, { force: true }).catch(() => {});
+}
+
+module.exports = {
+  JobQueue,
+  JOB_STATUS
+};
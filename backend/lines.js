@@ -0,0 +1,204 @@
+/**
+ * Leitura de resultados em páginas de linhas (visualizador da interface web)
+ * Um índice com a posição de cada linha permite ler qualquer trecho de um resultado guardado sem
+ * carregá-lo inteiro na memória. A numeração das linhas na entrada é deduzida dos metadados,
+ * quando cada linha do resultado vem de uma única linha da entrada.
+ */
+
+const fs = require('fs');
+const { detectEncoding, decode, encode } = require('./encoding');
+
+// Bytes lidos por vez na montagem do índice
+const BLOCK_SIZE = 1024 * 1024;
+
+// Modos em que cada linha da saída vem de uma linha da entrada, com a ordem da saída
+const LINE_ORDERS = { lines: 'reverse', rev: 'original', words: 'original' };
+
+/**
+ * Índice das linhas de um arquivo de texto: a posição em bytes do início de cada linha,
+ * em um Float64Array (8 bytes por linha)
+ */
+class LineIndex {
+  /**
+   * @param {string} filePath - Arquivo de texto
+   * @param {Object} options - Opções
+   * @param {string} options.encoding - Codificação normalizada do arquivo (padrão: utf8)
+   * @param {string} options.newline - Fim de linha ('\n', que também cobre \r\n, ou '\r')
+   */
+  constructor(filePath, { encoding = 'utf8', newline = '\n' } = {}) {
+    this.filePath = filePath;
+    this.encoding = encoding;
+    this.newline = newline;
+    this.separator = encode(newline, encoding);
+    this.offsets = new Float64Array(0);
+    this.lineCount = 0;
+    this.size = 0;
+    this.endsWithNewline = false;
+  }
+
+  /**
+   * Monta o índice de um arquivo
+   * @param {string} filePath - Arquivo de texto
+   * @param {Object} options - `encoding` e `newline` (ver o construtor)
+   * @returns {Promise<LineIndex>} Índice
+   */
+  static async build(filePath, options) {
+    const index = new LineIndex(filePath, options);
+    await index.scan();
+    return index;
+  }
+
+  /**
+   * Lê o arquivo em blocos anotando onde começa cada linha. Em UTF-16 só contam fins de linha
+   * alinhados às unidades de 2 bytes; como os blocos têm tamanho par, nenhum fica dividido entre dois
+   * @returns {Promise<void>}
+   */
+  async scan() {
+    const handle = await fs.promises.open(this.filePath, 'r');
+    const unit = this.separator.length;
+    let offsets = new Float64Array(1024);
+    let count = 0;
+
+    const push = offset => {
+      if (count === offsets.length) {
+        const grown = new Float64Array(count * 2);
+        grown.set(offsets);
+        offsets = grown;
+      }
+      offsets[count++] = offset;
+    };
+
+    try {
+      const { size } = await handle.stat();
+      const block = Buffer.alloc(Math.min(BLOCK_SIZE, Math.max(size, 1)));
+      let position = 0;
+
+      while (position < size) {
+        const { bytesRead } = await handle.read(block, 0, Math.min(block.length, size - position), position);
+        const bytes = block.subarray(0, bytesRead);
+
+        if (position === 0) {
+          // O BOM não faz parte da primeira linha
+          push(detectEncoding(bytes, this.encoding).bomLength);
+        }
+
+        let found = bytes.indexOf(this.separator);
+        while (found !== -1) {
+          if ((position + found) % unit === 0) {
+            push(position + found + unit);
+          }
+          found = bytes.indexOf(this.separator, found + 1);
+        }
+        position += bytesRead;
+      }
+
+      // Um fim de linha no fim do arquivo não abre outra linha; um arquivo vazio não tem linhas
+      if (count > 0 && offsets[count - 1] === size) {
+        this.endsWithNewline = count > 1;
+        count--;
+      }
+
+      this.offsets = offsets.subarray(0, count);
+      this.lineCount = count;
+      this.size = size;
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Lê um trecho de linhas
+   * @param {number} start - Primeira linha (a partir de 0)
+   * @param {number} count - Quantidade de linhas
+   * @returns {Promise<Array<string>>} Linhas, sem o fim de linha (vazio depois da última)
+   */
+  async read(start, count) {
+    const end = Math.min(start + count, this.lineCount);
+
+    if (start >= end) {
+      return [];
+    }
+
+    const from = this.offsets[start];
+    const to = end < this.lineCount ? this.offsets[end] - this.separator.length : this.lastLineEnd();
+    const buffer = Buffer.alloc(to - from);
+    const handle = await fs.promises.open(this.filePath, 'r');
+
+    try {
+      await handle.read(buffer, 0, buffer.length, from);
+    } finally {
+      await handle.close();
+    }
+
+    // \r\n: o \r fica no fim de cada linha separada por \n
+    const lines = decode(buffer, this.encoding).split(this.newline);
+    return this.newline === '\n' ? lines.map(line => line.replace(/\r$/, '')) : lines;
+  }
+
+  /**
+   * Posição do fim da última linha, sem o fim de linha final
+   * @returns {number} Posição em bytes
+   */
+  lastLineEnd() {
+    return this.endsWithNewline ? this.size - this.separator.length : this.size;
+  }
+}
+
+/**
+ * Numeração das linhas do resultado na entrada. Só existe quando cada linha da saída vem de uma linha
+ * da entrada, na ordem invertida ou na original: separadores próprios, o modo `before`, filtros,
+ * parágrafos, embaralhamento e formatos com cabeçalho ou colchetes desalinham as linhas dos registros
+ * @param {Object} result - Resultado do processador (`lineCount` e `metadata`)
+ * @param {Object} records - Opções de registro da requisição
+ * @param {string|null} records.separator - Separador próprio (tac -s)
+ * @param {boolean} records.before - Separador antes do registro (tac -b)
+ * @returns {Object|null} `{ order, first }`: ordem da saída e linha da entrada da primeira linha
+ */
+function lineNumbering({ lineCount, metadata }, { separator = null, before = false } = {}) {
+  const order = LINE_ORDERS[metadata.mode];
+  const aligned = !separator && !before && !metadata.filter && ['text', 'ndjson'].includes(metadata.format);
+
+  if (!order || !aligned) {
+    return null;
+  }
+
+  const { selection } = metadata;
+  if (!selection) {
+    return { order, first: order === 'reverse' ? lineCount : 1 };
+  }
+
+  const [rangeStart, rangeEnd] = selection.range
+    ? selection.range.split('..').map(value => (value === '' ? null : Number(value)))
+    : [1, null];
+
+  // Na ordem original, `skip` e `lines` valem para a saída; na invertida, a janela termina em
+  // `skip` linhas antes do fim do intervalo, que depende do total de linhas
+  if (order === 'original') {
+    return { order, first: rangeStart + selection.skip };
+  }
+  if (selection.totalLines === null) {
+    return null;
+  }
+
+  const end = rangeEnd === null ? selection.totalLines : Math.min(rangeEnd, selection.totalLines);
+  return { order, first: end - selection.skip };
+}
+
+/**
+ * Linha da entrada de uma linha do resultado
+ * @param {Object|null} numbering - Numeração (ver `lineNumbering`)
+ * @param {number} number - Linha do resultado (a partir de 1)
+ * @returns {number|null} Linha da entrada, ou null sem numeração
+ */
+function originalLine(numbering, number) {
+  if (!numbering) {
+    return null;
+  }
+  return numbering.order === 'reverse' ? numbering.first - number + 1 : numbering.first + number - 1;
+}
+
+module.exports = {
+  LineIndex,
+  lineNumbering,
+  originalLine
+};
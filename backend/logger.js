@@ -0,0 +1,142 @@
+// Níveis em ordem de gravidade; `silent` desliga os logs
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// pretty: uma linha legível por evento; json: um objeto JSON por linha, para coletores de log
+const LOG_FORMATS = ['pretty', 'json'];
+
+/**
+ * Logger estruturado: cada evento tem horário, nível, mensagem e campos (ex.: requestId, fileName).
+ * `child` cria um logger com campos fixos, usado para levar o id da requisição a todos os logs dela.
+ */
+class Logger {
+  /**
+   * @param {Object} options - Opções
+   * @param {string} options.level - Nível mínimo: debug, info, warn, error ou silent (padrão: info)
+   * @param {string} options.format - pretty ou json (padrão: pretty)
+   * @param {Object} options.fields - Campos incluídos em todos os eventos
+   * @param {Function} options.output - Recebe a linha formatada e o nível
+   *   (padrão: console.log, ou console.error para warn e error)
+   */
+  constructor({ level = 'info', format = 'pretty', fields = {}, output = writeConsole } = {}) {
+    if (!(level in LEVELS)) {
+      throw new Error(`Nível de log inválido: ${level}. Use ${Object.keys(LEVELS).join(', ')}`);
+    }
+    if (!LOG_FORMATS.includes(format)) {
+      throw new Error(`Formato de log inválido: ${format}. Use ${LOG_FORMATS.join(' ou ')}`);
+    }
+
+    this.level = level;
+    this.format = format;
+    this.fields = fields;
+    this.output = output;
+  }
+
+  /**
+   * Cria um logger com os mesmos destino e nível e campos adicionais
+   * @param {Object} fields - Campos incluídos em todos os eventos do novo logger
+   * @returns {Logger} Logger filho
+   */
+  child(fields) {
+    return new Logger({
+      level: this.level,
+      format: this.format,
+      fields: { ...this.fields, ...fields },
+      output: this.output
+    });
+  }
+
+  /**
+   * Indica se eventos do nível são registrados
+   * @param {string} level - Nível
+   * @returns {boolean} Se o nível está ativo
+   */
+  isEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.level];
+  }
+
+  debug(message, fields) {
+    this.log('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this.log('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this.log('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this.log('error', message, fields);
+  }
+
+  /**
+   * Registra um evento
+   * @param {string} level - Nível
+   * @param {string} message - Mensagem
+   * @param {Object} fields - Campos do evento; um `error` do tipo Error vira `{ message, stack }`
+   */
+  log(level, message, fields = {}) {
+    if (!this.isEnabled(level)) {
+      return;
+    }
+
+    const entry = { time: new Date().toISOString(), level, msg: message, ...this.fields };
+
+    for (const [name, value] of Object.entries(fields)) {
+      if (value !== undefined) {
+        entry[name] = value instanceof Error ? serializeError(value) : value;
+      }
+    }
+
+    this.output(this.format === 'json' ? JSON.stringify(entry) : formatPretty(entry), level);
+  }
+}
+
+/**
+ * Formata um evento em uma linha legível: horário, nível, mensagem e campos `nome=valor`;
+ * a pilha de um erro vem nas linhas seguintes
+ * @param {Object} entry - Evento
+ * @returns {string} Linha formatada
+ */
+function formatPretty({ time, level, msg, ...fields }) {
+  let stack = '';
+  const pairs = Object.entries(fields).map(([name, value]) => {
+    if (value && value.stack) {
+      stack = `\n${value.stack}`;
+      value = value.message;
+    }
+    const text = typeof value === 'string' && /^[^\s"=]+$/.test(value) ? value : JSON.stringify(value);
+    return `${name}=${text}`;
+  });
+
+  return [time, level.toUpperCase().padEnd(5), msg, ...pairs].join(' ') + stack;
+}
+
+/**
+ * Campos de um erro que vão para o log
+ * @param {Error} error - Erro
+ * @returns {Object} `{ message, code, stack }`
+ */
+function serializeError(error) {
+  return { message: error.message, code: error.code, stack: error.stack };
+}
+
+/**
+ * Destino padrão: saída padrão, ou saída de erro para warn e error
+ * @param {string} line - Linha formatada
+ * @param {string} level - Nível
+ */
+function writeConsole(line, level) {
+  if (LEVELS[level] >= LEVELS.warn) {
+    console.error(line);
+  } else {
+    console.log(line);
+  }
+}
+
+module.exports = {
+  Logger,
+  LEVELS,
+  LOG_FORMATS
+};
@@ -0,0 +1,309 @@
+// Limites (em segundos) das faixas do histograma de duração das requisições
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+// Content-Type do formato de texto do Prometheus
+const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * Métrica com rótulos: cada combinação de valores dos rótulos é uma série.
+ * Base de Counter, Gauge e Histogram.
+ */
+class Metric {
+  /**
+   * @param {string} name - Nome da métrica (ex.: tac_http_requests_total)
+   * @param {string} help - Descrição mostrada em `# HELP`
+   * @param {Array<string>} labelNames - Nomes dos rótulos
+   */
+  constructor(name, help, labelNames = []) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  /**
+   * Série dos rótulos, criada na primeira vez
+   * @param {Object} labels - Valores dos rótulos
+   * @param {Function} create - Cria o valor inicial da série
+   * @returns {Object} `{ labels, value }`
+   */
+  seriesFor(labels, create) {
+    const values = this.labelNames.map(name => String(labels[name] === undefined ? '' : labels[name]));
+    const key = values.join('\u0000');
+
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels: values, value: create() });
+    }
+    return this.series.get(key);
+  }
+
+  /**
+   * Texto dos rótulos de uma série (ex.: `{route="/api/tac",status="200"}`)
+   * @param {Array<string>} values - Valores dos rótulos, na ordem de `labelNames`
+   * @param {Object} extra - Rótulos adicionais (ex.: `le` do histograma)
+   * @returns {string} Rótulos formatados
+   */
+  formatLabels(values, extra = {}) {
+    const pairs = this.labelNames.map((name, index) => [name, values[index]]).concat(Object.entries(extra));
+
+    if (pairs.length === 0) {
+      return '';
+    }
+    return `{${pairs.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+  }
+
+  /**
+   * Cabeçalho da métrica no formato do Prometheus
+   * @param {string} type - counter, gauge ou histogram
+   * @returns {Array<string>} Linhas `# HELP` e `# TYPE`
+   */
+  header(type) {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${type}`];
+  }
+}
+
+/**
+ * Contador: só aumenta (ex.: requisições atendidas)
+ */
+class Counter extends Metric {
+  /**
+   * Soma ao contador da série
+   * @param {Object} labels - Valores dos rótulos
+   * @param {number} value - Quanto somar (padrão: 1)
+   */
+  inc(labels = {}, value = 1) {
+    this.seriesFor(labels, () => 0).value += value;
+  }
+
+  render() {
+    const lines = this.header('counter');
+
+    for (const { labels, value } of this.series.values()) {
+      lines.push(`${this.name}${this.formatLabels(labels)} ${value}`);
+    }
+    return lines;
+  }
+}
+
+/**
+ * Medidor: valor atual, lido no momento da coleta por `collect` (ex.: memória em uso)
+ */
+class Gauge extends Metric {
+  /**
+   * @param {string} name - Nome da métrica
+   * @param {string} help - Descrição
+   * @param {Array<string>} labelNames - Nomes dos rótulos
+   * @param {Function} collect - Chamada a cada coleta com `set(labels, value)`
+   */
+  constructor(name, help, labelNames, collect) {
+    super(name, help, labelNames);
+    this.collect = collect;
+  }
+
+  /**
+   * Define o valor da série
+   * @param {Object} labels - Valores dos rótulos
+   * @param {number} value - Valor
+   */
+  set(labels, value) {
+    this.seriesFor(labels, () => 0).value = value;
+  }
+
+  render() {
+    this.collect((labels, value) => this.set(labels, value));
+
+    const lines = this.header('gauge');
+
+    for (const { labels, value } of this.series.values()) {
+      lines.push(`${this.name}${this.formatLabels(labels)} ${value}`);
+    }
+    return lines;
+  }
+}
+
+/**
+ * Histograma: quantidade de observações em cada faixa, soma e total (ex.: duração das requisições)
+ */
+class Histogram extends Metric {
+  /**
+   * @param {string} name - Nome da métrica
+   * @param {string} help - Descrição
+   * @param {Array<string>} labelNames - Nomes dos rótulos
+   * @param {Array<number>} buckets - Limites superiores das faixas, em ordem crescente
+   */
+  constructor(name, help, labelNames, buckets) {
+    super(name, help, labelNames);
+    this.buckets = buckets;
+  }
+
+  /**
+   * Registra uma observação
+   * @param {Object} labels - Valores dos rótulos
+   * @param {number} value - Valor observado
+   */
+  observe(labels, value) {
+    const series = this.seriesFor(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 })).value;
+
+    this.buckets.forEach((bucket, index) => {
+      if (value <= bucket) {
+        series.counts[index]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  render() {
+    const lines = this.header('histogram');
+
+    for (const { labels, value } of this.series.values()) {
+      this.buckets.forEach((bucket, index) => {
+        lines.push(`${this.name}_bucket${this.formatLabels(labels, { le: String(bucket) })} ${value.counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${this.formatLabels(labels, { le: '+Inf' })} ${value.count}`);
+      lines.push(`${this.name}_sum${this.formatLabels(labels)} ${value.sum}`);
+      lines.push(`${this.name}_count${this.formatLabels(labels)} ${value.count}`);
+    }
+    return lines;
+  }
+}
+
+/**
+ * Métricas do servidor TAC em GET /metrics: requisições e latência por rota e status, bytes e linhas
+ * processados, processamentos por método (memory, streaming, reverse...), envios recusados por código
+ * de erro, jobs por estado e memória do processo.
+ */
+class TacMetrics {
+  /**
+   * @param {Object} options - Opções
+   * @param {JobQueue} options.jobs - Fila de jobs, lida a cada coleta
+   */
+  constructor({ jobs }) {
+    this.requests = new Counter('tac_http_requests_total', 'Requisições atendidas, por rota e status', [
+      'method',
+      'route',
+      'status'
+    ]);
+    this.duration = new Histogram(
+      'tac_http_request_duration_seconds',
+      'Duração das requisições em segundos, por rota e status',
+      ['method', 'route', 'status'],
+      DURATION_BUCKETS
+    );
+    this.processedBytes = new Counter('tac_processed_bytes_total', 'Bytes de conteúdo processados, por rota', [
+      'route'
+    ]);
+    this.processedLines = new Counter('tac_processed_lines_total', 'Linhas produzidas, por rota', ['route']);
+    this.processings = new Counter(
+      'tac_processings_total',
+      'Processamentos concluídos, por rota e método (metadata.method)',
+      ['route', 'method']
+    );
+    this.rejections = new Counter(
+      'tac_upload_rejections_total',
+      'Envios recusados pelas rotas de processamento, por código de erro',
+      ['route', 'code']
+    );
+
+    this.metrics = [
+      this.requests,
+      this.duration,
+      this.processedBytes,
+      this.processedLines,
+      this.processings,
+      this.rejections,
+      new Gauge('tac_jobs', 'Jobs assíncronos por estado', ['status'], set => {
+        const { workers, ...statuses } = jobs.getStats();
+        Object.entries(statuses).forEach(([status, count]) => set({ status }, count));
+      }),
+      new Gauge('tac_jobs_workers', 'Jobs assíncronos processados ao mesmo tempo', [], set => set({}, jobs.workers)),
+      ...memoryGauges()
+    ];
+  }
+
+  /**
+   * Registra uma requisição atendida
+   * @param {Object} request - `{ method, route, status, durationMs }`
+   */
+  observeRequest({ method, route, status, durationMs }) {
+    const labels = { method, route, status };
+
+    this.requests.inc(labels);
+    this.duration.observe(labels, durationMs / 1000);
+  }
+
+  /**
+   * Registra um processamento concluído
+   * @param {string} route - Rota (ex.: /api/tac)
+   * @param {Object} result - Resultado do processador (`lineCount`, `metadata` e, com vários arquivos, `files`)
+   */
+  observeProcessing(route, result) {
+    this.processedBytes.inc({ route }, processedBytes(result));
+    this.processedLines.inc({ route }, result.lineCount);
+    this.processings.inc({ route, method: result.metadata.method });
+  }
+
+  /**
+   * Registra um envio recusado
+   * @param {string} route - Rota
+   * @param {string} code - Código do erro (ex.: FILE_TOO_LARGE)
+   */
+  observeRejection(route, code) {
+    this.rejections.inc({ route, code });
+  }
+
+  /**
+   * Todas as métricas no formato de texto do Prometheus
+   * @returns {string} Corpo de GET /metrics
+   */
+  render() {
+    return this.metrics.map(metric => metric.render().join('\n')).join('\n') + '\n';
+  }
+}
+
+/**
+ * Medidores da memória do processo, lidos de process.memoryUsage() e process.uptime()
+ * @returns {Array<Gauge>} Medidores
+ */
+function memoryGauges() {
+  const usage = field => set => set({}, process.memoryUsage()[field]);
+
+  return [
+    new Gauge('process_resident_memory_bytes', 'Memória residente do processo em bytes', [], usage('rss')),
+    new Gauge('nodejs_heap_used_bytes', 'Heap do V8 em uso em bytes', [], usage('heapUsed')),
+    new Gauge('nodejs_heap_total_bytes', 'Heap do V8 reservado em bytes', [], usage('heapTotal')),
+    new Gauge('nodejs_external_memory_bytes', 'Memória externa ao heap (buffers) em bytes', [], usage('external')),
+    new Gauge('process_uptime_seconds', 'Tempo desde o início do processo em segundos', [], set =>
+      set({}, process.uptime())
+    )
+  ];
+}
+
+/**
+ * Bytes de conteúdo de um resultado: `metadata.originalSize` ou, com vários arquivos, a soma dos arquivos
+ * @param {Object} result - Resultado do processador
+ * @returns {number} Bytes processados
+ */
+function processedBytes(result) {
+  if (result.metadata.originalSize !== undefined) {
+    return result.metadata.originalSize;
+  }
+  return (result.files || []).reduce((total, file) => total + (file.originalSize || 0), 0);
+}
+
+/**
+ * Escapa o valor de um rótulo (barra invertida, aspas e quebras de linha)
+ * @param {string} value - Valor
+ * @returns {string} Valor escapado
+ */
+function escapeLabel(value) {
+  return value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+module.exports = {
+  TacMetrics,
+  Counter,
+  Gauge,
+  Histogram,
+  METRICS_CONTENT_TYPE
+};
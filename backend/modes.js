@@ -0,0 +1,164 @@
+/**
+ * Modos de transformação do TacProcessor
+ * Cada modo define a ordem dos registros na saída e, opcionalmente, uma transformação do
+ * conteúdo de cada registro; leitura, separadores, codificação, seleção e filtros são os mesmos.
+ */
+
+const crypto = require('crypto');
+
+// Ordem dos registros (invertida, original ou embaralhada), transformação do conteúdo e textos dos passos
+const MODES = {
+  lines: {
+    label: 'Inversão de linhas (tac)',
+    order: 'reverse',
+    transform: null,
+    step: 'Invertendo ordem das linhas...',
+    summary: 'linhas invertidas'
+  },
+  paragraphs: {
+    label: 'Inversão de parágrafos (blocos separados por linha em branco)',
+    order: 'reverse',
+    transform: null,
+    step: 'Invertendo ordem dos parágrafos...',
+    summary: 'parágrafos invertidos'
+  },
+  rev: {
+    label: 'Inversão dos caracteres de cada linha (rev)',
+    order: 'original',
+    transform: reverseGraphemes,
+    step: 'Invertendo os caracteres de cada linha...',
+    summary: 'linhas com os caracteres invertidos'
+  },
+  words: {
+    label: 'Inversão das palavras de cada linha',
+    order: 'original',
+    transform: reverseWords,
+    step: 'Invertendo as palavras de cada linha...',
+    summary: 'linhas com as palavras invertidas'
+  },
+  shuffle: {
+    label: 'Embaralhamento das linhas',
+    order: 'shuffle',
+    transform: null,
+    step: 'Embaralhando as linhas...',
+    summary: 'linhas embaralhadas'
+  }
+};
+
+// Segmentação em grafemas: emojis compostos e letras com acentos combinantes não são separados
+const graphemes = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+
+/**
+ * Valida o nome de um modo
+ * @param {string} name - Nome informado
+ * @returns {string} 'lines', 'paragraphs', 'rev', 'words' ou 'shuffle'
+ */
+function normalizeMode(name) {
+  const mode = String(name).toLowerCase();
+
+  if (!Object.prototype.hasOwnProperty.call(MODES, mode)) {
+    throw new Error(`Modo inválido: ${name}. Modos suportados: ${Object.keys(MODES).join(', ')}`);
+  }
+
+  return mode;
+}
+
+/**
+ * Inverte os caracteres de um texto sem separar grafemas
+ * @param {string} text - Texto original
+ * @returns {string} Texto invertido
+ */
+function reverseGraphemes(text) {
+  return Array.from(graphemes.segment(text), ({ segment }) => segment)
+    .reverse()
+    .join('');
+}
+
+/**
+ * Inverte a ordem das palavras de um texto; os espaços do início e do fim ficam no lugar
+ * @param {string} text - Texto original
+ * @returns {string} Texto com as palavras invertidas
+ */
+function reverseWords(text) {
+  const [, leading, words, trailing] = /^(\s*)([\s\S]*?)(\s*)$/.exec(text);
+
+  return leading + words.split(/(\s+)/).reverse().join('') + trailing;
+}
+
+/**
+ * Converte a semente do embaralhamento em um inteiro de 32 bits
+ * @param {number|string|null} seed - Semente informada; null escolhe uma aleatória
+ * @returns {number} Semente normalizada
+ */
+function normalizeSeed(seed) {
+  if (seed === null || seed === undefined || seed === '') {
+    return crypto.randomBytes(4).readUInt32LE(0);
+  }
+
+  if (/^\d+$/.test(String(seed))) {
+    return Number(seed) >>> 0;
+  }
+
+  // Sementes em texto usam o hash FNV-1a
+  let hash = 0x811c9dc5;
+  for (const char of String(seed)) {
+    hash = Math.imul(hash ^ char.codePointAt(0), 0x01000193) >>> 0;
+  }
+
+  return hash;
+}
+
+/**
+ * Gerador pseudoaleatório determinístico (mulberry32)
+ * @param {number} seed - Semente de 32 bits
+ * @returns {Function} Função que retorna números em [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let value = Math.imul(state ^ (state >>> 15), state | 1);
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Embaralha os registros (Fisher-Yates) de forma reproduzível pela semente.
+ * O registro sem separador (fim do arquivo sem separador final ou, com `before`, início
+ * sem separador) troca de separador com o registro que ocupa a ponta correspondente.
+ * @param {Array<Object>} records - Registros `{ content, separator }`
+ * @param {number} seed - Semente normalizada
+ * @param {boolean} before - Separador antes do registro
+ * @returns {Array<Object>} Novos registros embaralhados
+ */
+function shuffleRecords(records, seed, before = false) {
+  const random = createRandom(seed);
+  const shuffled = records.map(record => ({ ...record }));
+
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+
+  const edge = before ? 0 : shuffled.length - 1;
+  const bare = shuffled.findIndex(record => record.separator === '');
+
+  if (bare !== -1 && bare !== edge) {
+    shuffled[bare].separator = shuffled[edge].separator;
+    shuffled[edge].separator = '';
+  }
+
+  return shuffled;
+}
+
+module.exports = {
+  MODES,
+  SUPPORTED_MODES: Object.keys(MODES),
+  normalizeMode,
+  normalizeSeed,
+  reverseGraphemes,
+  reverseWords,
+  shuffleRecords
+};
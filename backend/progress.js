@@ -0,0 +1,127 @@
+// Ids aceitos para canais de progresso (gerados pelo cliente ou ids de jobs)
+const PROGRESS_ID = /^[\w-]{1,64}$/;
+
+/**
+ * Canais de progresso repassados por Server-Sent Events
+ * Cada canal guarda o último evento, então um cliente que se conecta antes do início
+ * do processamento (ou depois de alguns eventos) recebe logo o estado atual.
+ * O evento 'done' encerra o canal, que é removido depois de `retention` ms.
+ * O canal guarda a chave de API dona (`owner`), registrada por quem inicia o processamento.
+ */
+class ProgressTracker {
+  /**
+   * @param {Object} options - Opções
+   * @param {number} options.retention - Tempo em ms que um canal finalizado fica disponível (padrão: 1 minuto)
+   * @param {number} options.interval - Intervalo mínimo em ms entre eventos de progresso repassados (padrão: 100)
+   */
+  constructor({ retention = 60 * 1000, interval = 100 } = {}) {
+    this.retention = retention;
+    this.interval = interval;
+    this.channels = new Map();
+  }
+
+  /**
+   * Busca ou cria o canal de um id
+   * @param {string} id - Id do canal
+   * @returns {Object} Canal (`listeners`, último evento e `owner`)
+   */
+  channel(id) {
+    if (!this.channels.has(id)) {
+      this.channels.set(id, { listeners: new Set(), last: null, owner: null });
+    }
+
+    return this.channels.get(id);
+  }
+
+  /**
+   * Registra a chave de API dona do canal; um canal de outra chave não pode ser reaproveitado
+   * @param {string} id - Id do canal
+   * @param {string|null} owner - Id da chave de API que inicia o processamento
+   * @returns {boolean} Se o canal ficou com o dono informado
+   */
+  claim(id, owner) {
+    const channel = this.channel(id);
+
+    if (channel.owner !== null && channel.owner !== owner) {
+      return false;
+    }
+
+    channel.owner = owner;
+    return true;
+  }
+
+  /**
+   * Publica um evento para os clientes conectados ao canal
+   * @param {string} id - Id do canal
+   * @param {string} event - 'progress' ou 'done'
+   * @param {Object} data - Dados do evento
+   */
+  publish(id, event, data) {
+    const channel = this.channel(id);
+    channel.last = { event, data };
+
+    for (const listener of channel.listeners) {
+      listener(event, data, channel);
+    }
+
+    if (event === 'done') {
+      setTimeout(() => {
+        if (this.channels.get(id) === channel) {
+          this.channels.delete(id);
+        }
+      }, this.retention).unref();
+    }
+  }
+
+  /**
+   * Repassa os eventos 'progress' de um processador para o canal, no máximo um a cada
+   * `interval` ms (o evento de 100% é sempre repassado)
+   * @param {string} id - Id do canal
+   * @param {EventEmitter} processor - Processador (TacProcessor)
+   * @returns {Function} Função que encerra o repasse
+   */
+  track(id, processor) {
+    let lastPublished = 0;
+    const onProgress = progress => {
+      const now = Date.now();
+
+      if (progress.percent >= 100 || now - lastPublished >= this.interval) {
+        lastPublished = now;
+        this.publish(id, 'progress', progress);
+      }
+    };
+    processor.on('progress', onProgress);
+
+    return () => processor.off('progress', onProgress);
+  }
+
+  /**
+   * Inscreve um cliente no canal; o último evento, se houver, é enviado imediatamente
+   * @param {string} id - Id do canal
+   * @param {Function} listener - Recebe `(event, data, channel)`
+   * @returns {Function} Função que cancela a inscrição
+   */
+  subscribe(id, listener) {
+    const channel = this.channel(id);
+    channel.listeners.add(listener);
+
+    if (channel.last) {
+      listener(channel.last.event, channel.last.data, channel);
+    }
+
+    return () => {
+      channel.listeners.delete(listener);
+
+      // Canal aberto por um cliente que desistiu antes de qualquer evento (e ainda sem dono)
+      const unused = channel.listeners.size === 0 && !channel.last && channel.owner === null;
+      if (unused && this.channels.get(id) === channel) {
+        this.channels.delete(id);
+      }
+    };
+  }
+}
+
+module.exports = {
+  ProgressTracker,
+  PROGRESS_ID
+};
@@ -0,0 +1,307 @@
+const { loadConfig } = require('./config');
+
+// Limites padrão de cada rota de processamento, por cliente (chave de API ou IP)
+const DEFAULT_LIMITS = {
+  windowMs: 60 * 1000, // 1 minuto
+  requests: 60, // requisições por janela
+  bytes: 256 * 1024 * 1024, // 256MB enviados por janela
+  concurrent: 2 // requisições ou jobs em andamento ao mesmo tempo
+};
+
+// Rotas de processamento limitadas por padrão
+const LIMITED_ROUTES = ['/api/tac', '/api/tac/text', '/api/tac/batch', '/api/tac/files', '/api/jobs'];
+
+/**
+ * Armazenamento dos contadores em memória (padrão). Outro armazenamento (ex.: Redis, para
+ * várias instâncias do servidor) pode ser usado no lugar, com os mesmos métodos assíncronos.
+ */
+class MemoryStore {
+  constructor() {
+    this.windows = new Map();
+    this.active = new Map();
+    this.prunedAt = Date.now();
+  }
+
+  /**
+   * Soma requisições e bytes na janela atual da chave, abrindo uma nova janela quando a anterior acabou
+   * @param {string} key - Rota e cliente
+   * @param {Object} usage - `{ requests, bytes }` a somar
+   * @param {number} windowMs - Duração da janela em ms
+   * @returns {Promise<Object>} Totais da janela depois da soma: `{ requests, bytes, resetAt }`
+   */
+  async hit(key, { requests = 0, bytes = 0 }, windowMs) {
+    const now = Date.now();
+    this.prune(now, windowMs);
+
+    let window = this.windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { requests: 0, bytes: 0, resetAt: now + windowMs };
+      this.windows.set(key, window);
+    }
+
+    window.requests += requests;
+    window.bytes += bytes;
+
+    return { ...window };
+  }
+
+  /**
+   * Registra uma requisição em andamento
+   * @param {string} key - Rota e cliente
+   * @returns {Promise<number>} Requisições em andamento, incluindo esta
+   */
+  async acquire(key) {
+    const count = (this.active.get(key) || 0) + 1;
+    this.active.set(key, count);
+    return count;
+  }
+
+  /**
+   * Libera uma requisição em andamento
+   * @param {string} key - Rota e cliente
+   * @returns {Promise<void>}
+   */
+  async release(key) {
+    const count = (this.active.get(key) || 0) - 1;
+
+    if (count > 0) {
+      this.active.set(key, count);
+    } else {
+      this.active.delete(key);
+    }
+  }
+
+  /**
+   * Remove as janelas encerradas, no máximo uma vez por janela
+   * @param {number} now - Instante atual
+   * @param {number} windowMs - Duração da janela em ms
+   */
+  prune(now, windowMs) {
+    if (now - this.prunedAt < windowMs) {
+      return;
+    }
+
+    this.prunedAt = now;
+    for (const [key, window] of this.windows) {
+      if (window.resetAt <= now) {
+        this.windows.delete(key);
+      }
+    }
+  }
+}
+
+/**
+ * Limites de uso das rotas de processamento: requisições e bytes enviados por janela de tempo e
+ * requisições em andamento ao mesmo tempo, contados por rota e por cliente.
+ * Cada limite pode ser alterado por rota; `null` remove o limite e `false` no lugar da rota a libera.
+ */
+class RateLimiter {
+  /**
+   * @param {Object} options - Opções
+   * @param {boolean} options.enabled - Se os limites são aplicados (padrão: true)
+   * @param {Object} options.limits - Limites de todas as rotas `{ windowMs, requests, bytes, concurrent }`
+   * @param {Object} options.routes - Limites por rota, ex.: `{ '/api/tac/batch': { concurrent: 1 } }`
+   * @param {Object} options.store - Armazenamento dos contadores (padrão: MemoryStore)
+   */
+  constructor({ enabled = true, limits = {}, routes = {}, store = new MemoryStore() } = {}) {
+    this.enabled = enabled;
+    this.store = store;
+    this.defaults = validateLimits({ ...DEFAULT_LIMITS, ...limits }, 'limits');
+    this.routes = {};
+
+    for (const route of LIMITED_ROUTES) {
+      this.routes[route] = this.defaults;
+    }
+    for (const [route, routeLimits] of Object.entries(routes)) {
+      if (!LIMITED_ROUTES.includes(route)) {
+        throw new Error(`Rota inválida nos limites: ${route}. Use ${LIMITED_ROUTES.join(', ')}`);
+      }
+
+      this.routes[route] = routeLimits === false ? false : validateLimits({ ...this.defaults, ...routeLimits }, route);
+    }
+  }
+
+  /**
+   * Cria o limitador a partir da seção `rateLimit` da configuração (ver backend/config.js)
+   * @param {Object} rateLimit - `{ enabled, window, requests, bytes, concurrent, routes }`, janelas em ms
+   * @returns {RateLimiter} Limitador
+   */
+  static fromConfig({ enabled, window, requests, bytes, concurrent, routes }) {
+    const toLimits = ({ window: windowMs, ...limits }) => (windowMs ? { windowMs, ...limits } : limits);
+    const routeLimits = {};
+
+    for (const [route, limits] of Object.entries(routes)) {
+      routeLimits[route] = limits === false ? false : toLimits(limits);
+    }
+
+    return new RateLimiter({
+      enabled,
+      limits: toLimits({ window, requests, bytes, concurrent }),
+      routes: routeLimits
+    });
+  }
+
+  /**
+   * Cria o limitador com a configuração das variáveis de ambiente (TAC_RATE_LIMIT_*) e de TAC_CONFIG
+   * @param {Object} env - Variáveis de ambiente (padrão: process.env)
+   * @returns {RateLimiter} Limitador
+   */
+  static fromEnv(env = process.env) {
+    return RateLimiter.fromConfig(loadConfig({ env }).rateLimit);
+  }
+
+  /**
+   * Limites aplicados a uma rota
+   * @param {string} route - Rota (ex.: /api/tac)
+   * @returns {Object|null} Limites ou null se a rota não é limitada
+   */
+  limitsFor(route) {
+    return (this.enabled && this.routes[route]) || null;
+  }
+
+  /**
+   * Registra uma requisição do cliente na rota e verifica os limites, na ordem: requisições por janela,
+   * bytes por janela e requisições em andamento
+   * @param {string} route - Rota
+   * @param {string} client - Cliente (ex.: key:ci ou ip:127.0.0.1)
+   * @param {number} bytes - Tamanho do corpo da requisição, quando conhecido
+   * @returns {Promise<Object|null>} Null se a rota não é limitada; senão `{ headers, release }` ou, se um
+   *   limite foi atingido, `{ headers, status, error, code, retryAfter }`
+   */
+  async consume(route, client, bytes = 0) {
+    const limits = this.limitsFor(route);
+
+    if (!limits) {
+      return null;
+    }
+
+    const key = `${route}|${client}`;
+    const window = await this.store.hit(key, { requests: 1 }, limits.windowMs);
+    const reset = Math.max(1, Math.ceil((window.resetAt - Date.now()) / 1000));
+    const headers = {};
+
+    if (limits.requests !== null) {
+      headers['RateLimit-Limit'] = String(limits.requests);
+      headers['RateLimit-Remaining'] = String(Math.max(0, limits.requests - window.requests));
+      headers['RateLimit-Reset'] = String(reset);
+      headers['RateLimit-Policy'] = `${limits.requests};w=${Math.ceil(limits.windowMs / 1000)}`;
+
+      if (window.requests > limits.requests) {
+        return {
+          headers,
+          status: 429,
+          error: `Limite de ${limits.requests} requisições por janela atingido. Tente novamente em ${reset}s`,
+          code: 'RATE_LIMITED',
+          retryAfter: reset
+        };
+      }
+    }
+
+    if (limits.bytes !== null && bytes > 0) {
+      if (bytes > limits.bytes) {
+        return {
+          headers,
+          status: 413,
+          error: `Requisição maior que a cota de ${limits.bytes} bytes por janela`,
+          code: 'REQUEST_TOO_LARGE'
+        };
+      }
+      if (window.bytes + bytes > limits.bytes) {
+        return {
+          headers,
+          status: 429,
+          error: `Cota de ${limits.bytes} bytes por janela atingida. Tente novamente em ${reset}s`,
+          code: 'BYTES_QUOTA_EXCEEDED',
+          retryAfter: reset
+        };
+      }
+
+      await this.store.hit(key, { bytes }, limits.windowMs);
+    }
+
+    let released = limits.concurrent === null;
+    const release = async () => {
+      if (!released) {
+        released = true;
+        await this.store.release(key);
+      }
+    };
+
+    if (limits.concurrent !== null && (await this.store.acquire(key)) > limits.concurrent) {
+      await release();
+      return {
+        headers,
+        status: 429,
+        error: `Limite de ${limits.concurrent} requisições em andamento atingido. Aguarde as anteriores terminarem`,
+        code: 'TOO_MANY_CONCURRENT',
+        retryAfter: 1
+      };
+    }
+
+    return { headers, release };
+  }
+
+  /**
+   * Soma à cota os bytes de uma requisição sem Content-Length, depois que ela foi recebida
+   * @param {string} route - Rota
+   * @param {string} client - Cliente
+   * @param {number} bytes - Bytes recebidos
+   * @returns {Promise<void>}
+   */
+  async record(route, client, bytes) {
+    const limits = this.limitsFor(route);
+
+    if (limits && limits.bytes !== null && bytes > 0) {
+      await this.store.hit(`${route}|${client}`, { bytes }, limits.windowMs);
+    }
+  }
+
+  /**
+   * Limites em vigor, para GET /api/info
+   * @returns {Object} `{ enabled, routes }`
+   */
+  toJSON() {
+    const routes = {};
+
+    if (this.enabled) {
+      for (const [route, limits] of Object.entries(this.routes)) {
+        routes[route] = limits || null;
+      }
+    }
+
+    return { enabled: this.enabled, routes };
+  }
+}
+
+/**
+ * Valida os limites de uma rota
+ * @param {Object} limits - `{ windowMs, requests, bytes, concurrent }`
+ * @param {string} name - Rota ou 'limits', para a mensagem de erro
+ * @returns {Object} Limites validados
+ */
+function validateLimits(limits, name) {
+  const unknown = Object.keys(limits).filter(key => !(key in DEFAULT_LIMITS));
+
+  if (unknown.length > 0) {
+    const names = Object.keys(DEFAULT_LIMITS).join(', ');
+    throw new Error(`Limite desconhecido em ${name}: ${unknown.join(', ')}. Use ${names}`);
+  }
+
+  for (const [key, value] of Object.entries(limits)) {
+    const nullable = key !== 'windowMs';
+
+    if (!(nullable && value === null) && !(Number.isInteger(value) && value > 0)) {
+      const expected = nullable ? 'um inteiro positivo ou null' : 'um inteiro positivo';
+      throw new Error(`Limite inválido em ${name}: ${key}=${value}. Use ${expected}`);
+    }
+  }
+
+  return { ...limits };
+}
+
+module.exports = {
+  RateLimiter,
+  MemoryStore,
+  DEFAULT_LIMITS,
+  LIMITED_ROUTES
+};
@@ -0,0 +1,378 @@
+/**
+ * Registros e separadores no estilo do GNU tac
+ * O texto é dividido em registros `{ content, separator }`: por padrão o separador
+ * termina o registro (`-s`), pode ser uma expressão regular (`-r`) e pode vir
+ * antes do registro (`-b`).
+ */
+
+/**
+ * Cria a função que localiza os separadores em um texto
+ * @param {Object} options - Opções de separador
+ * @param {string} options.separator - Separador (padrão: '\n')
+ * @param {boolean} options.regex - Interpretar o separador como expressão regular
+ * @returns {Function} Função `(text) => Array<{ index, end, text }>`; a propriedade `overlap`
+ * indica quantos caracteres duas ocorrências podem compartilhar (ex.: '--' em '---')
+ */
+function createSeparatorMatcher({ separator = '\n', regex = false } = {}) {
+  if (typeof separator !== 'string' || separator.length === 0) {
+    throw new Error('Separador inválido: informe ao menos um caractere');
+  }
+
+  if (!regex) {
+    const findSeparators = text => {
+      const matches = [];
+      let index = text.indexOf(separator);
+
+      while (index !== -1) {
+        matches.push({ index, end: index + separator.length, text: separator });
+        index = text.indexOf(separator, index + separator.length);
+      }
+
+      return matches;
+    };
+
+    findSeparators.overlap = isSelfOverlapping(separator) ? separator.length - 1 : 0;
+    return findSeparators;
+  }
+
+  let pattern;
+  try {
+    pattern = new RegExp(separator, 'g');
+  } catch (error) {
+    throw new Error(`Separador inválido: ${error.message}`);
+  }
+
+  const findSeparators = text => {
+    const matches = [];
+    pattern.lastIndex = 0;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+      if (match[0].length === 0) {
+        // Ocorrências vazias não separam registros
+        pattern.lastIndex++;
+        continue;
+      }
+
+      matches.push({ index: match.index, end: match.index + match[0].length, text: match[0] });
+    }
+
+    return matches;
+  };
+
+  findSeparators.overlap = 0;
+  return findSeparators;
+}
+
+/**
+ * Verifica se duas ocorrências do separador podem se sobrepor
+ * @param {string} separator - Separador literal
+ * @returns {boolean} Se algum prefixo próprio também é sufixo
+ */
+function isSelfOverlapping(separator) {
+  for (let length = 1; length < separator.length; length++) {
+    if (separator.slice(0, length) === separator.slice(-length)) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Divide texto recebido em partes (chunks) em registros, na ordem original
+ */
+class RecordSplitter {
+  /**
+   * @param {Object} options - Opções de separador (`separator`, `regex`, `before`)
+   */
+  constructor(options = {}) {
+    this.findSeparators = createSeparatorMatcher(options);
+    this.regex = Boolean(options.regex);
+    this.before = Boolean(options.before);
+    this.buffer = '';
+    this.pendingSeparator = '';
+  }
+
+  /**
+   * Adiciona um trecho de texto
+   * @param {string} text - Próximo trecho
+   * @returns {Array<Object>} Registros completos encontrados
+   */
+  push(text) {
+    this.buffer += text;
+    return this.extract(false);
+  }
+
+  /**
+   * Finaliza a divisão, devolvendo o que restou no buffer
+   * @returns {Array<Object>} Registros restantes
+   */
+  end() {
+    const records = this.extract(true);
+
+    if (this.before) {
+      if (this.pendingSeparator || this.buffer) {
+        records.push({ content: this.buffer, separator: this.pendingSeparator });
+      }
+    } else if (this.buffer) {
+      records.push({ content: this.buffer, separator: '' });
+    }
+
+    this.buffer = '';
+    this.pendingSeparator = '';
+    return records;
+  }
+
+  /**
+   * Extrai os registros delimitados no buffer
+   * @param {boolean} final - Se não haverá mais texto
+   * @returns {Array<Object>} Registros extraídos
+   */
+  extract(final) {
+    const records = [];
+    const matches = this.findSeparators(this.buffer);
+    let last = 0;
+
+    for (const [i, match] of matches.entries()) {
+      // Uma ocorrência no fim do buffer pode continuar no próximo trecho. Com expressão regular, a última
+      // ocorrência espera mesmo sem chegar ao fim: quantificadores e lookaheads (ex.: '(?:\r?\n){2,}(?!\r)')
+      // podem casar de outro jeito com o texto seguinte
+      const tail = this.regex ? i === matches.length - 1 : match.end === this.buffer.length;
+      if (!final && tail) {
+        break;
+      }
+
+      const content = this.buffer.slice(last, match.index);
+
+      if (this.before) {
+        if (this.pendingSeparator || content) {
+          records.push({ content, separator: this.pendingSeparator });
+        }
+        this.pendingSeparator = match.text;
+      } else {
+        records.push({ content, separator: match.text });
+      }
+
+      last = match.end;
+    }
+
+    this.buffer = this.buffer.slice(last);
+    return records;
+  }
+}
+
+/**
+ * Divide um texto completo em registros
+ * @param {string} text - Texto a ser dividido
+ * @param {Object} options - Opções de separador
+ * @returns {Array<Object>} Registros na ordem original
+ */
+function splitRecords(text, options = {}) {
+  const splitter = new RecordSplitter(options);
+  return [...splitter.push(text), ...splitter.end()];
+}
+
+/**
+ * Divide em registros blocos lidos do fim para o início do arquivo.
+ * Cada bloco é concatenado ao trecho ainda não resolvido do bloco seguinte, e só os
+ * registros que não dependem do conteúdo anterior ao bloco são devolvidos.
+ */
+class ReverseRecordScanner {
+  /**
+   * @param {Object} options - Opções de separador (`separator`, `regex`, `before`)
+   */
+  constructor(options = {}) {
+    this.findSeparators = createSeparatorMatcher(options);
+    this.before = Boolean(options.before);
+    this.carry = '';
+  }
+
+  /**
+   * Processa o bloco imediatamente anterior ao que já foi lido
+   * @param {string} text - Texto do bloco
+   * @param {boolean} isStart - Se o bloco começa no início do arquivo
+   * @returns {Array<Object>} Registros encontrados, do último para o primeiro
+   */
+  push(text, isStart) {
+    const chunk = text + this.carry;
+    const matches = this.findSeparators(chunk);
+    const records = [];
+
+    // A primeira ocorrência pode se estender para antes do bloco: ela só é
+    // resolvida quando o bloco anterior for lido
+    const reliable = isStart ? 0 : this.firstReliableMatch(matches);
+
+    if (this.before) {
+      for (let i = matches.length - 1; i >= reliable; i--) {
+        const next = i + 1 < matches.length ? matches[i + 1].index : chunk.length;
+        records.push({ content: chunk.slice(matches[i].end, next), separator: matches[i].text });
+      }
+
+      const boundary = matches.length > reliable ? matches[reliable].index : chunk.length;
+
+      if (isStart) {
+        if (boundary > 0) {
+          records.push({ content: chunk.slice(0, boundary), separator: '' });
+        }
+        this.carry = '';
+      } else {
+        this.carry = chunk.slice(0, boundary);
+      }
+
+      return records;
+    }
+
+    // O registro que termina em uma ocorrência começa no fim da anterior
+    const first = isStart || !this.findSeparators.overlap ? reliable : reliable + 1;
+
+    if (matches.length === 0 || first >= matches.length + (isStart ? 1 : 0)) {
+      if (isStart && chunk) {
+        records.push({ content: chunk, separator: '' });
+      }
+      this.carry = isStart ? '' : chunk;
+      return records;
+    }
+
+    // Trecho após o último separador: só existe no fim de um arquivo sem separador final
+    const tail = chunk.slice(matches[matches.length - 1].end);
+    if (tail) {
+      records.push({ content: tail, separator: '' });
+    }
+
+    for (let i = matches.length - 1; i >= first; i--) {
+      const start = i > 0 ? matches[i - 1].end : 0;
+      records.push({ content: chunk.slice(start, matches[i].index), separator: matches[i].text });
+    }
+
+    this.carry = isStart ? '' : chunk.slice(0, matches[first - 1].end);
+
+    return records;
+  }
+
+  /**
+   * Encontra a primeira ocorrência que coincide com a leitura do início do arquivo.
+   * Separadores que se sobrepõem (ex.: '--') só ficam alinhados depois de um
+   * intervalo sem ocorrências entre dois separadores.
+   * @param {Array<Object>} matches - Ocorrências no trecho atual
+   * @returns {number} Índice da primeira ocorrência confiável (ao menos 1; o total se nenhuma for)
+   */
+  firstReliableMatch(matches) {
+    const { overlap } = this.findSeparators;
+
+    if (!overlap) {
+      return 1;
+    }
+
+    for (let i = 1; i < matches.length; i++) {
+      if (matches[i].index >= matches[i - 1].end + overlap) {
+        return i;
+      }
+    }
+
+    return Math.max(1, matches.length);
+  }
+}
+
+/**
+ * Junta registros já invertidos no texto final.
+ * Como no GNU tac, cada registro sai com o próprio separador: o último registro da entrada,
+ * quando não termina com separador, é escrito como está (ex.: 'a\nb\nc' vira 'cb\na\n').
+ * Com `balance` (formatos de registros, como CSV e NDJSON), o registro sem separador recebe
+ * o separador do vizinho e o último da saída fica sem, para que os registros não se juntem.
+ * Com `shift`, os separadores ficam entre as mesmas posições da entrada: cada registro
+ * recebe o separador do próximo registro da saída e o último recebe o separador final
+ * da entrada (usado na inversão de parágrafos, em que os separadores são linhas em branco).
+ */
+class RecordJoiner {
+  /**
+   * @param {Object} options - Opções de junção
+   * @param {boolean} options.before - Separador antes do registro
+   * @param {boolean} options.balance - Dar ao registro sem separador o separador do vizinho (sem `before`)
+   * @param {boolean} options.shift - Manter os separadores entre as mesmas posições (sem `before`)
+   * @param {string|null} options.finalSeparator - Separador fixo do último registro com `shift`
+   *   (ex.: '' entre os elementos de um array JSON); null usa o separador final da entrada
+   */
+  constructor({ before = false, balance = false, shift = false, finalSeparator = null } = {}) {
+    this.before = Boolean(before);
+    this.balanced = Boolean(balance) && !this.before;
+    this.shift = Boolean(shift);
+    this.fixedFinalSeparator = finalSeparator;
+    this.finalSeparator = '';
+    this.previous = null;
+    this.count = 0;
+    this.balance = false;
+  }
+
+  /**
+   * Adiciona o próximo registro da saída
+   * @param {Object} record - Registro `{ content, separator }`
+   * @returns {string} Texto pronto para ser escrito
+   */
+  push(record) {
+    if (this.count === 0) {
+      this.balance = this.balanced && record.separator === '';
+    }
+
+    if (this.shift && this.count === 0 && this.fixedFinalSeparator !== null) {
+      this.finalSeparator = this.fixedFinalSeparator;
+    } else if (this.shift && this.count === 0) {
+      // O último registro da entrada pode terminar com a quebra de linha final
+      const match = record.separator === '' ? /(\r\n|\n|\r)$/.exec(record.content) : null;
+      this.finalSeparator = match ? match[1] : record.separator;
+      record = match ? { content: record.content.slice(0, match.index), separator: '' } : record;
+    }
+
+    const output = this.previous ? this.emit(this.previous, this.count - 1, record) : '';
+    this.previous = record;
+    this.count++;
+
+    return output;
+  }
+
+  /**
+   * Finaliza a saída
+   * @returns {string} Texto restante
+   */
+  end() {
+    if (!this.previous) {
+      return '';
+    }
+
+    const output = this.emit(this.previous, this.count - 1, null);
+    this.previous = null;
+
+    return output;
+  }
+
+  /**
+   * Converte um registro em texto (com `balance`, ajustando o separador nas pontas)
+   * @param {Object} record - Registro a ser escrito
+   * @param {number} index - Posição do registro na saída
+   * @param {Object|null} next - Próximo registro (null se for o último)
+   * @returns {string} Texto do registro
+   */
+  emit(record, index, next) {
+    let separator = record.separator;
+
+    if (this.shift) {
+      return record.content + (next ? next.separator : this.finalSeparator);
+    }
+
+    if (this.balance && index === 0 && next) {
+      separator = next.separator;
+    } else if (this.balance && index > 0 && !next) {
+      separator = '';
+    }
+
+    return this.before ? separator + record.content : record.content + separator;
+  }
+}
+
+module.exports = {
+  createSeparatorMatcher,
+  RecordSplitter,
+  ReverseRecordScanner,
+  RecordJoiner,
+  splitRecords
+};
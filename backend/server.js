@@ -2,17 +2,89 @@ const express = require('express');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 const cors = require('cors');
+const { once } = require('events');
+const { Readable, PassThrough } = require('stream');
+const { pipeline } = require('stream/promises');
 const { TacProcessor } = require('./tac');
+const { JobQueue, JOB_STATUS } = require('./jobs');
+const { ProgressTracker, PROGRESS_ID } = require('./progress');
+const { SUPPORTED_ENCODINGS, normalizeEncoding, encode, charsetOf } = require('./encoding');
+const {
+  SUPPORTED_COMPRESSIONS,
+  createCompressor,
+  negotiateCompression,
+  extensionOf,
+  contentTypeOf
+} = require('./compression');
+const { SUPPORTED_MODES } = require('./modes');
+const { SUPPORTED_FORMATS, isFormatError } = require('./formats');
+const { createZip, readZip, isZip } = require('./zip');
+const { ApiKeyStore, readToken } = require('./auth');
+const { RateLimiter, LIMITED_ROUTES } = require('./ratelimit');
+const { loadConfig, parseValue } = require('./config');
+const { Logger } = require('./logger');
+const { TacMetrics, METRICS_CONTENT_TYPE } = require('./metrics');
+const { HistoryStore, summarize } = require('./history');
+const {
+  ShareStore,
+  SHARE_TOKEN,
+  describeShare,
+  renderSharePage,
+  renderPasswordPage,
+  renderMissingPage
+} = require('./shares');
+const { lineNumbering, originalLine } = require('./lines');
+
+// Ids de requisição aceitos no cabeçalho X-Request-Id (os demais são substituídos por um id gerado)
+const REQUEST_ID = /^[\w.:-]{1,128}$/;
 
 class TacServer {
-  constructor() {
+  /**
+   * @param {Object} options - Opções do servidor
+   * @param {string} options.configFile - Arquivo de configuração JSON ou YAML (padrão: TAC_CONFIG)
+   * @param {Object} options.config - Configuração que sobrepõe o arquivo e as variáveis de ambiente
+   * @param {number} options.workers - Jobs assíncronos processados ao mesmo tempo (atalho para `config.workers`)
+   * @param {ApiKeyStore} options.auth - Chaves de API (padrão: TAC_API_KEYS, TAC_API_KEYS_FILE e TAC_PUBLIC_ROUTES)
+   * @param {RateLimiter} options.rateLimiter - Limites de uso das rotas de processamento (padrão: `config.rateLimit`)
+   * @param {Logger} options.logger - Destino dos logs (padrão: `config.log`, na saída padrão)
+   * @param {HistoryStore} options.history - Histórico de processamentos (padrão: `config.history`)
+   * @param {ShareStore} options.shares - Links de compartilhamento (padrão: `config.shares`)
+   */
+  constructor(options = {}) {
+    // Padrões, arquivo de configuração, variáveis de ambiente e opções, nessa ordem (ver backend/config.js)
+    this.config = loadConfig({
+      file: options.configFile,
+      overrides: options.workers ? { ...options.config, workers: options.workers } : options.config
+    });
+
+    this.logger = options.logger || new Logger(this.config.log);
     this.app = express();
-    this.port = process.env.PORT || 3000;
-    this.uploadsDir = path.join(__dirname, '../uploads');
-    this.tacProcessor = new TacProcessor({
-      maxMemoryUsage: 512 * 1024 * 1024, // 512MB
-      bufferSize: 64 * 1024 // 64KB
+    this.port = this.config.port;
+    this.uploadsDir = this.config.uploads.dir;
+    this.tacProcessor = new TacProcessor({ ...this.config.processor });
+    this.jobs = new JobQueue({
+      resultsDir: this.uploadsDir,
+      workers: this.config.workers
+    });
+    this.progress = new ProgressTracker();
+    this.metrics = new TacMetrics({ jobs: this.jobs });
+    this.auth = options.auth || ApiKeyStore.fromEnv();
+    this.rateLimiter = options.rateLimiter || RateLimiter.fromConfig(this.config.rateLimit);
+    this.history = options.history || (this.config.history.enabled ? new HistoryStore(this.config.history) : null);
+    this.shares = options.shares || (this.config.shares.enabled ? new ShareStore(this.config.shares) : null);
+    // Vagas de execução dos jobs assíncronos, liberadas quando o job termina (não quando a resposta sai)
+    this.jobReleases = new Map();
+    // Log (com o id da requisição que criou o job), chave de API e tamanho do envio de cada job assíncrono
+    this.jobContexts = new Map();
+
+    // O progresso dos jobs também é publicado em /api/tac/progress/:id, com o id do job
+    this.jobs.on('start', job => this.progress.track(job.id, job.processor));
+    this.jobs.on('finish', job => {
+      this.progress.publish(job.id, 'done', this.jobs.toJSON(job));
+      this.releaseJob(job.id);
+      this.recordJob(job);
     });
 
     this.initializeServer();
@@ -29,22 +101,37 @@ class TacServer {
       fs.mkdirSync(this.uploadsDir, { recursive: true });
     }
 
+    // Id e log de acesso de cada requisição; vem antes dos demais middlewares para registrar todas as respostas
+    this.app.use((req, res, next) => this.traceRequest(req, res, next));
+
     // Middlewares básicos
     this.app.use(
       cors({
-        origin:
-          process.env.NODE_ENV === 'production'
-            ? ['https://yourdomain.com']
-            : ['http://localhost:3000', 'http://127.0.0.1:3000'],
+        origin: this.config.cors.origins,
         optionsSuccessStatus: 200
       })
     );
 
-    this.app.use(express.json({ limit: '10mb' }));
-    this.app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+    this.app.use(express.json({ limit: this.config.text.maxSize }));
+    this.app.use(express.urlencoded({ extended: true, limit: this.config.text.maxSize }));
 
-    // Servir arquivos estáticos
-    this.app.use(express.static(path.join(__dirname, '../')));
+    // Servir arquivos estáticos; os diretórios de dados (uploads, histórico e links) ficam de fora,
+    // pois por padrão estão dentro da raiz servida e só devem ser lidos pelas rotas da API
+    const root = path.join(__dirname, '../');
+    const serveRoot = express.static(root);
+    const dataDirs = [this.uploadsDir, this.config.history.dir, this.config.shares.dir];
+    this.app.use((req, res, next) => {
+      let file;
+      try {
+        file = path.join(root, decodeURIComponent(req.path));
+      } catch (error) {
+        // Caminho mal codificado: o express.static responde com o erro
+        return serveRoot(req, res, next);
+      }
+
+      const isData = dataDirs.some(dir => file === dir || file.startsWith(`${dir}${path.sep}`));
+      return isData ? next() : serveRoot(req, res, next);
+    });
     this.app.use('/frontend', express.static(path.join(__dirname, '../frontend')));
     this.app.use('/css', express.static(path.join(__dirname, '../css')));
     this.app.use('/js', express.static(path.join(__dirname, '../js')));
@@ -56,46 +143,133 @@ class TacServer {
         cb(null, this.uploadsDir);
       },
       filename: (req, file, cb) => {
-        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1e9);
-        const ext = path.extname(file.originalname);
-        cb(null, `upload-${uniqueSuffix}${ext}`);
+        cb(null, this.uploadFilename(file.originalname));
       }
     });
 
+    // Tipos de arquivo permitidos, inclusive rotacionados e comprimidos (ex.: app.log.1, app.log.2.gz);
+    // arquivos .zip só no lote
+    const extensions = this.config.uploads.allowedExtensions.join('|');
+    this.allowedTypes = new RegExp(`\\.(${extensions})(\\.\\d+)?(\\.(gz|zz|br))?$`, 'i');
+    const allowedMimes = [
+      'text/plain',
+      'text/csv',
+      'application/json',
+      'application/x-ndjson',
+      'text/markdown',
+      'application/gzip',
+      'application/x-gzip'
+    ];
+    const zipMimes = ['application/zip', 'application/x-zip-compressed'];
+
+    const fileFilter = ({ allowZip }) => (req, file, cb) => {
+      const zip = allowZip && (/\.zip$/i.test(file.originalname) || zipMimes.includes(file.mimetype));
+
+      if (zip || this.allowedTypes.test(file.originalname) || allowedMimes.includes(file.mimetype)) {
+        cb(null, true);
+      } else {
+        cb(new Error('Tipo de arquivo não permitido. Use apenas arquivos de texto.'));
+      }
+    };
+
     this.upload = multer({
       storage: storage,
       limits: {
-        fileSize: 50 * 1024 * 1024, // 50MB limit
+        fileSize: this.config.uploads.maxFileSize,
         files: 1
       },
-      fileFilter: (req, file, cb) => {
-        // Tipos de arquivo permitidos
-        const allowedTypes = /\.(txt|log|csv|md|json)$/i;
-        const allowedMimes = ['text/plain', 'text/csv', 'application/json', 'text/markdown'];
+      fileFilter: fileFilter({ allowZip: false })
+    });
 
-        if (allowedTypes.test(file.originalname) || allowedMimes.includes(file.mimetype)) {
-          cb(null, true);
-        } else {
-          cb(new Error('Tipo de arquivo não permitido. Use apenas arquivos de texto.'));
-        }
-      }
+    // Lote: vários arquivos no campo `files`, inclusive arquivos .zip
+    this.batchUpload = multer({
+      storage: storage,
+      limits: {
+        fileSize: this.config.uploads.maxFileSize, // por arquivo
+        files: this.config.uploads.maxBatchFiles
+      },
+      fileFilter: fileFilter({ allowZip: true })
+    });
+
+    // Vários arquivos invertidos juntos (POST /api/tac/files); aqui arquivos .zip não são aceitos
+    this.filesUpload = multer({
+      storage: storage,
+      limits: {
+        fileSize: this.config.uploads.maxFileSize, // por arquivo
+        files: this.config.uploads.maxBatchFiles
+      },
+      fileFilter: fileFilter({ allowZip: false })
     });
 
     // Log de inicialização
-    console.log(`🚀 Servidor TAC inicializando...`);
-    console.log(`📂 Diretório de uploads: ${this.uploadsDir}`);
-    console.log(`💾 Limite de memória: ${this.tacProcessor.formatBytes(this.tacProcessor.options.maxMemoryUsage)}`);
+    this.logger.info('Servidor TAC inicializando', {
+      uploadsDir: this.uploadsDir,
+      maxMemoryUsage: this.tacProcessor.formatBytes(this.tacProcessor.options.maxMemoryUsage),
+      maxFileSize: this.tacProcessor.formatBytes(this.config.uploads.maxFileSize),
+      auth: this.auth.enabled,
+      rateLimit: this.rateLimiter.enabled
+    });
   }
 
   /**
    * Configura todas as rotas da aplicação
    */
   setupRoutes() {
+    const { maxBatchFiles } = this.config.uploads;
+
     // Rota principal - servir index.html
     this.app.get('/', (req, res) => {
       res.sendFile(path.join(__dirname, '../frontend/index.html'));
     });
 
+    // Autenticação das rotas da API; a interface e os arquivos estáticos continuam públicos
+    this.app.use('/api', (req, res, next) => this.authenticate(req, res, next));
+
+    // Limites de uso das rotas de processamento, por chave de API (ou IP, sem autenticação)
+    this.app.post(LIMITED_ROUTES, (req, res, next) => this.limitRate(req, res, next));
+
+    // API: Estado da autenticação (sempre pública; a interface usa para pedir a chave)
+    this.app.get('/api/auth', (req, res) => {
+      res.json({
+        enabled: this.auth.enabled,
+        authenticated: Boolean(req.apiKey),
+        key: req.apiKey ? { id: req.apiKey.id, name: req.apiKey.name, admin: req.apiKey.admin } : null
+      });
+    });
+
+    // API: Chaves de API (só para chaves com `admin`), sem o valor das chaves
+    this.app.get('/api/admin/keys', (req, res) => {
+      if (this.requireAdmin(req, res)) {
+        res.json({ keys: this.auth.list() });
+      }
+    });
+
+    // API: Revogar uma chave; as chaves do arquivo de configuração são gravadas com `enabled: false`
+    this.app.post('/api/admin/keys/:id/revoke', (req, res) => {
+      if (!this.requireAdmin(req, res)) {
+        return;
+      }
+
+      try {
+        const key = this.auth.revoke(req.params.id);
+
+        if (!key) {
+          return res.status(404).json({
+            error: 'Chave não encontrada',
+            code: 'KEY_NOT_FOUND'
+          });
+        }
+
+        req.log.info('Chave de API revogada', { keyId: key.id, revokedBy: req.apiKey.id });
+        res.json(key);
+      } catch (error) {
+        res.status(500).json({
+          error: `Erro ao revogar a chave: ${error.message}`,
+          code: 'REVOKE_ERROR'
+        });
+      }
+    });
+
     // API: Informações do servidor
     this.app.get('/api/info', (req, res) => {
       const memoryStats = this.tacProcessor.getMemoryStats();
@@ -105,17 +279,32 @@ class TacServer {
         status: 'running',
         uptime: process.uptime(),
         memory: memoryStats,
+        // Valores em vigor da configuração: tamanhos em bytes e durações em ms
         limits: {
-          maxFileSize: '50MB',
-          maxMemoryUsage: this.tacProcessor.formatBytes(this.tacProcessor.options.maxMemoryUsage),
-          supportedFormats: ['txt', 'log', 'csv', 'md', 'json']
-        }
+          maxFileSize: this.config.uploads.maxFileSize,
+          maxTextSize: this.config.text.maxSize,
+          maxMemoryUsage: this.tacProcessor.options.maxMemoryUsage,
+          maxDecompressedSize: this.tacProcessor.options.maxDecompressedSize,
+          supportedFormats: this.config.uploads.allowedExtensions,
+          maxBatchFiles: this.config.uploads.maxBatchFiles,
+          uploadMaxAge: this.config.uploads.maxAge,
+          supportedEncodings: SUPPORTED_ENCODINGS,
+          supportedCompressions: SUPPORTED_COMPRESSIONS,
+          supportedModes: SUPPORTED_MODES,
+          supportedContentFormats: SUPPORTED_FORMATS,
+          rateLimit: this.rateLimiter.toJSON(),
+          history: this.history ? this.history.toJSON() : { enabled: false },
+          shares: this.shares ? this.shares.toJSON() : { enabled: false }
+        },
+        jobs: this.jobs.getStats()
       });
     });
 
     // API: Processar arquivo via upload
+    // Com ?progressId=<id>, o andamento é publicado em GET /api/tac/progress/<id>
     this.app.post('/api/tac', this.upload.single('file'), async (req, res) => {
       const startTime = Date.now();
+      const { progressId } = req.query;
 
       try {
         if (!req.file) {
@@ -128,10 +317,73 @@ class TacServer {
         const filePath = req.file.path;
         const originalName = req.file.originalname;
 
-        console.log(`📄 Processando arquivo: ${originalName} (${this.tacProcessor.formatBytes(req.file.size)})`);
+        if (progressId !== undefined && !PROGRESS_ID.test(progressId)) {
+          this.cleanupFile(filePath);
+          return res.status(400).json({
+            error: 'Id de progresso inválido',
+            code: 'INVALID_PROGRESS_ID'
+          });
+        }
+
+        if (progressId && !this.progress.claim(progressId, this.requestOwner(req))) {
+          this.cleanupFile(filePath);
+          return res.status(409).json({
+            error: 'Id de progresso em uso por outra chave de API',
+            code: 'PROGRESS_ID_IN_USE'
+          });
+        }
+
+        let processor;
+        let share;
+        try {
+          processor = this.createProcessor(req.body);
+          share = this.shareOptions(req.body);
+        } catch (error) {
+          this.cleanupFile(filePath);
+          return res.status(400).json({
+            error: error.message,
+            code: 'INVALID_OPTIONS'
+          });
+        }
+
+        if (progressId) {
+          this.progress.track(progressId, processor);
+        }
+
+        req.log.debug('Processando arquivo', { fileName: originalName, size: req.file.size });
+
+        // Resultado como arquivo, lido de trás para frente sem carregar tudo na memória
+        if (this.parseBoolean(req.body.download)) {
+          const recorder = this.history ? this.history.createRecorder() : null;
+          let result;
+          try {
+            result = await this.sendReversedFile(req, res, processor, filePath, originalName, recorder);
+          } catch (error) {
+            if (recorder) {
+              recorder.discard();
+            }
+            throw error;
+          }
+
+          this.cleanupFile(filePath);
+          this.recordProcessing(req, 'Arquivo processado', result, startTime, {
+            fileName: originalName,
+            size: req.file.size,
+            download: true
+          });
+          this.finishProgress(progressId, { status: 'completed' });
+
+          if (recorder) {
+            const fileName = this.resultFilename(originalName, processor.options.outputCompression);
+            const contentType = this.downloadContentType(processor, result);
+            const data = this.historyData(req, originalName, req.file.size, result, startTime, fileName, contentType);
+            await this.saveHistory(req.log, recorder.save(data));
+          }
+          return;
+        }
 
         // Processar arquivo com TAC
-        const result = await this.tacProcessor.processFile(filePath);
+        const result = await processor.processFile(filePath);
 
         // Adicionar informações do upload
         result.uploadInfo = {
@@ -144,222 +396,1776 @@ class TacServer {
         // Limpar arquivo temporário
         this.cleanupFile(filePath);
 
-        console.log(
-          `✅ Arquivo processado com sucesso: ${result.lineCount} linhas em ${result.metadata.processingTime}ms`
-        );
+        this.recordProcessing(req, 'Arquivo processado', result, startTime, {
+          fileName: originalName,
+          size: req.file.size
+        });
+        this.finishProgress(progressId, { status: 'completed', lineCount: result.lineCount });
+
+        const fileName = this.resultFilename(originalName, null);
 
-        res.json(result);
+        if (this.history) {
+          const data = this.historyData(req, originalName, req.file.size, result, startTime, fileName);
+          const entry = await this.saveHistory(req.log, this.history.add(data, result.result));
+          result.historyId = entry ? entry.id : null;
+        }
+
+        if (share) {
+          result.share = await this.createShare(req, share, result, originalName, fileName);
+        }
+
+        // Com includeResult=false, o texto fica só no histórico e a interface o lê em páginas de linhas
+        if (result.historyId && req.body.includeResult !== undefined && !this.parseBoolean(req.body.includeResult)) {
+          delete result.original;
+          delete result.result;
+        }
+
+        res.setHeader('Content-Type', 'application/json; charset=utf-8');
+        await this.sendNegotiated(req, res, Readable.from([Buffer.from(JSON.stringify(result))]));
       } catch (error) {
-        console.error('❌ Erro ao processar arquivo:', error.message);
+        req.log.error('Erro ao processar arquivo', {
+          fileName: req.file ? req.file.originalname : undefined,
+          error
+        });
 
         // Limpar arquivo se existir
         if (req.file) {
           this.cleanupFile(req.file.path);
         }
 
-        res.status(500).json({
-          error: error.message,
-          code: 'PROCESSING_ERROR',
-          timestamp: new Date().toISOString()
-        });
+        this.finishProgress(progressId, { status: 'failed', error: error.message });
+
+        // Falha no meio do envio: a resposta já foi encerrada pelo pipeline
+        if (res.headersSent) {
+          return;
+        }
+
+        this.sendProcessingError(res, error, 'PROCESSING_ERROR');
       }
     });
 
-    // API: Processar texto direto
-    this.app.post('/api/tac/text', async (req, res) => {
+    // API: Processar vários arquivos de uma vez (campo `files`, inclusive arquivos .zip)
+    // Responde com um ZIP dos arquivos invertidos e um manifest.json com linhas, erros e tempos de cada um
+    this.app.post('/api/tac/batch', this.batchUpload.array('files', maxBatchFiles), async (req, res) => {
       const startTime = Date.now();
+      const uploads = req.files || [];
 
       try {
-        const { text, source } = req.body;
+        if (uploads.length === 0) {
+          return res.status(400).json({
+            error: 'Nenhum arquivo foi enviado',
+            code: 'NO_FILE'
+          });
+        }
 
-        if (!text || typeof text !== 'string') {
+        try {
+          this.createProcessor(req.body);
+
+          // Cada resultado já é comprimido dentro do ZIP
+          if (req.body.outputCompression) {
+            throw new Error('O lote é devolvido em ZIP e não aceita outputCompression');
+          }
+        } catch (error) {
           return res.status(400).json({
-            error: 'Texto não fornecido ou inválido',
-            code: 'INVALID_TEXT'
+            error: error.message,
+            code: 'INVALID_OPTIONS'
           });
         }
 
-        if (text.length > 10 * 1024 * 1024) {
-          // 10MB limit for text
+        const items = await this.expandBatch(uploads);
+
+        if (items.length > maxBatchFiles) {
           return res.status(400).json({
-            error: 'Texto muito grande. Limite: 10MB',
-            code: 'TEXT_TOO_LARGE'
+            error: `Lote muito grande: ${items.length} arquivos. Máximo: ${maxBatchFiles}`,
+            code: 'BATCH_TOO_LARGE'
           });
         }
 
-        console.log(`📝 Processando texto direto: ${text.length} caracteres`);
+        req.log.debug('Processando lote', { files: items.length });
 
-        // Processar texto
-        const result = this.tacProcessor.processText(text, source || 'Texto via API');
+        const { entries, manifest } = await this.processBatch(items, req.body, startTime);
+        const archive = createZip([
+          // O manifesto vem primeiro e sem compressão, para ser lido sem descompactar o restante
+          { name: 'manifest.json', data: Buffer.from(JSON.stringify(manifest, null, 2)), compress: false },
+          ...entries
+        ]);
 
-        // Adicionar informações do processamento
-        result.apiInfo = {
-          textLength: text.length,
-          processedAt: new Date().toISOString(),
-          serverProcessingTime: Date.now() - startTime
-        };
+        const { completed, failed } = manifest.summary;
+        req.log.info('Lote processado', {
+          files: items.length,
+          completed,
+          failed,
+          size: uploads.reduce((total, file) => total + file.size, 0),
+          durationMs: Date.now() - startTime
+        });
 
-        console.log(`✅ Texto processado: ${result.lineCount} linhas em ${result.metadata.processingTime}ms`);
+        const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+        const fileName = `tac_lote_${timestamp}.zip`;
 
-        res.json(result);
+        if (this.history) {
+          // O lote entra no histórico como um resultado só: o ZIP, com as linhas somadas dos arquivos
+          const result = {
+            lineCount: manifest.summary.lineCount,
+            steps: [],
+            metadata: { method: 'batch', processingTime: manifest.summary.processingTime, summary: manifest.summary }
+          };
+          const source = uploads.map(file => file.originalname).join(', ');
+          const size = uploads.reduce((total, file) => total + file.size, 0);
+          const data = this.historyData(req, source, size, result, startTime, fileName, 'application/zip');
+          await this.saveHistory(req.log, this.history.add(data, archive));
+        }
+
+        res.setHeader('Content-Type', 'application/zip');
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+        res.send(archive);
       } catch (error) {
-        console.error('❌ Erro ao processar texto:', error.message);
+        req.log.error('Erro ao processar lote', { files: uploads.length, error });
 
-        res.status(500).json({
-          error: error.message,
-          code: 'TEXT_PROCESSING_ERROR',
-          timestamp: new Date().toISOString()
-        });
+        this.sendProcessingError(res, error, 'BATCH_PROCESSING_ERROR');
+      } finally {
+        uploads.forEach(file => this.cleanupFile(file.path));
       }
     });
 
-    // API: Health check
-    this.app.get('/api/health', (req, res) => {
-      const memoryUsage = process.memoryUsage();
-      const healthStatus = {
-        status: 'healthy',
-        timestamp: new Date().toISOString(),
-        uptime: process.uptime(),
-        memory: {
-          used: Math.round(memoryUsage.heapUsed / 1024 / 1024) + 'MB',
-          total: Math.round(memoryUsage.heapTotal / 1024 / 1024) + 'MB'
-        },
-        version: process.version,
-        platform: process.platform
-      };
-
-      res.json(healthStatus);
-    });
+    // API: Inverter vários arquivos juntos (campo `files`), separadamente (filesMode=each, como `tac a b`)
+    // ou como um só conteúdo (filesMode=concat, como `cat a b | tac`), com sort=name|mtime, descending e annotate
+    this.app.post('/api/tac/files', this.filesUpload.array('files', maxBatchFiles), async (req, res) => {
+      const startTime = Date.now();
+      const uploads = req.files || [];
 
-    // Rota para download de resultados (opcional)
-    this.app.post('/api/download', (req, res) => {
       try {
-        const { content, filename } = req.body;
+        if (uploads.length === 0) {
+          return res.status(400).json({
+            error: 'Nenhum arquivo foi enviado',
+            code: 'NO_FILE'
+          });
+        }
 
-        if (!content) {
+        const files = uploads.map(file => ({ path: file.path, name: file.originalname }));
+        let processor;
+        let filesOptions;
+        try {
+          processor = this.createProcessor(req.body);
+          filesOptions = this.filesOptions(req.body);
+          processor.planFiles(files, filesOptions);
+        } catch (error) {
           return res.status(400).json({
-            error: 'Conteúdo não fornecido',
-            code: 'NO_CONTENT'
+            error: error.message,
+            code: 'INVALID_OPTIONS'
           });
         }
 
-        const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
-        const downloadFilename = filename || `tac_resultado_${timestamp}.txt`;
+        const size = uploads.reduce((total, file) => total + file.size, 0);
+        const logFields = { files: files.length, filesMode: filesOptions.mode, size };
+        req.log.debug('Processando arquivos', logFields);
 
-        res.setHeader('Content-Disposition', `attachment; filename="${downloadFilename}"`);
-        res.setHeader('Content-Type', 'text/plain');
-        res.send(content);
+        const source = files.map(file => file.name).join(', ');
+
+        if (this.parseBoolean(req.body.download)) {
+          const recorder = this.history ? this.history.createRecorder() : null;
+          let result;
+          try {
+            result = await this.sendReversedFiles(req, res, processor, files, filesOptions, recorder);
+          } catch (error) {
+            if (recorder) {
+              recorder.discard();
+            }
+            throw error;
+          }
+
+          this.recordProcessing(req, 'Arquivos processados', result, startTime, { ...logFields, download: true });
+
+          if (recorder) {
+            const fileName = /filename="([^"]+)"/.exec(res.getHeader('Content-Disposition'))[1];
+            const contentType = this.downloadContentType(processor, result);
+            const data = this.historyData(req, source, size, result, startTime, fileName, contentType);
+            await this.saveHistory(req.log, recorder.save(data));
+          }
+          return;
+        }
+
+        const result = await processor.processFiles(files, filesOptions);
+
+        result.uploadInfo = {
+          files: uploads.length,
+          uploadedSize: size,
+          processedAt: new Date().toISOString(),
+          serverProcessingTime: Date.now() - startTime
+        };
+
+        this.recordProcessing(req, 'Arquivos processados', result, startTime, logFields);
+
+        if (this.history) {
+          const data = this.historyData(req, source, size, result, startTime, 'tac_arquivos.tac');
+          const entry = await this.saveHistory(req.log, this.history.add(data, result.result));
+          result.historyId = entry ? entry.id : null;
+        }
+
+        res.setHeader('Content-Type', 'application/json; charset=utf-8');
+        await this.sendNegotiated(req, res, Readable.from([Buffer.from(JSON.stringify(result))]));
       } catch (error) {
-        res.status(500).json({
-          error: 'Erro ao gerar download',
-          code: 'DOWNLOAD_ERROR'
-        });
+        req.log.error('Erro ao processar arquivos', { files: uploads.length, error });
+
+        if (res.headersSent) {
+          return;
+        }
+
+        this.sendProcessingError(res, error, 'PROCESSING_ERROR');
+      } finally {
+        uploads.forEach(file => this.cleanupFile(file.path));
       }
     });
-  }
 
-  /**
-   * Configura tratamento de erros globais
-   */
-  setupErrorHandling() {
-    // Middleware para capturar erros de multer
-    this.app.use((error, req, res, next) => {
-      if (error instanceof multer.MulterError) {
-        if (error.code === 'LIMIT_FILE_SIZE') {
-          return res.status(400).json({
-            error: 'Arquivo muito grande. Limite: 50MB',
-            code: 'FILE_TOO_LARGE'
-          });
-        }
+    // API: Progresso do processamento (Server-Sent Events)
+    // O id é o progressId enviado em POST /api/tac ou o id de um job; o stream termina no evento 'done'
+    this.app.get('/api/tac/progress/:id', (req, res) => {
+      const { id } = req.params;
 
+      if (!PROGRESS_ID.test(id)) {
         return res.status(400).json({
-          error: `Erro no upload: ${error.message}`,
-          code: 'UPLOAD_ERROR'
+          error: 'Id de progresso inválido',
+          code: 'INVALID_PROGRESS_ID'
         });
       }
 
-      if (error.message.includes('Tipo de arquivo não permitido')) {
-        return res.status(400).json({
-          error: error.message,
-          code: 'INVALID_FILE_TYPE'
+      const channel = this.progress.channels.get(id);
+      if (channel && !this.canFollowProgress(req, channel)) {
+        return res.status(404).json({
+          error: 'Canal de progresso não encontrado',
+          code: 'PROGRESS_NOT_FOUND'
         });
       }
 
-      console.error('❌ Erro não tratado:', error);
-      res.status(500).json({
-        error: 'Erro interno do servidor',
-        code: 'INTERNAL_ERROR',
-        timestamp: new Date().toISOString()
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
       });
-    });
+      res.write(': conectado\n\n');
 
-    // Rota 404
-    this.app.use((req, res) => {
-      res.status(404).json({
-        error: 'Rota não encontrada',
-        code: 'NOT_FOUND',
-        path: req.path
-      });
-    });
+      const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15 * 1000);
+      keepAlive.unref();
 
-    // Tratamento de erros não capturados
-    process.on('uncaughtException', error => {
-      console.error('❌ Exceção não capturada:', error);
-      process.exit(1);
-    });
+      const unsubscribe = this.progress.subscribe(id, (event, data, channel) => {
+        // Canal registrado por outra chave depois da inscrição
+        if (!this.canFollowProgress(req, channel)) {
+          return res.end();
+        }
 
-    process.on('unhandledRejection', (reason, promise) => {
-      console.error('❌ Promise rejeitada não tratada:', reason);
-    });
-  }
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
 
-  /**
-   * Remove arquivo temporário com tratamento de erro
-   * @param {string} filePath - Caminho do arquivo
-   */
-  cleanupFile(filePath) {
-    try {
-      if (fs.existsSync(filePath)) {
-        fs.unlinkSync(filePath);
-        console.log(`🗑️ Arquivo temporário removido: ${path.basename(filePath)}`);
-      }
-    } catch (error) {
-      console.warn(`⚠️ Erro ao remover arquivo temporário: ${error.message}`);
-    }
-  }
+        if (event === 'done') {
+          res.end();
+        }
+      });
 
-  /**
-   * Inicia o servidor
-   */
-  start() {
-    this.server = this.app.listen(this.port, () => {
-      console.log(`🌟 Servidor TAC rodando em http://localhost:${this.port}`);
-      console.log(`📱 Interface web: http://localhost:${this.port}`);
-      console.log(`🔗 API endpoints:`);
-      console.log(`   POST /api/tac - Upload e processamento de arquivo`);
-      console.log(`   POST /api/tac/text - Processamento de texto direto`);
-      console.log(`   GET /api/info - Informações do servidor`);
-      console.log(`   GET /api/health - Status de saúde`);
+      res.on('close', () => {
+        clearInterval(keepAlive);
+        unsubscribe();
+      });
     });
 
-    // Graceful shutdown
-    process.on('SIGTERM', () => this.shutdown());
-    process.on('SIGINT', () => this.shutdown());
-
-    return this.server;
-  }
+    // API: Processar texto direto
+    this.app.post('/api/tac/text', async (req, res) => {
+      const startTime = Date.now();
 
-  /**
-   * Para o servidor graciosamente
-   */
-  shutdown() {
-    console.log('\n🛑 Iniciando shutdown do servidor...');
+      try {
+        const { text, source } = req.body;
 
-    if (this.server) {
-      this.server.close(() => {
-        console.log('✅ Servidor encerrado com sucesso');
+        if (!text || typeof text !== 'string') {
+          return res.status(400).json({
+            error: 'Texto não fornecido ou inválido',
+            code: 'INVALID_TEXT'
+          });
+        }
 
-        // Limpar arquivos temporários
+        if (text.length > this.config.text.maxSize) {
+          return res.status(400).json({
+            error: `Texto muito grande. Limite: ${this.tacProcessor.formatBytes(this.config.text.maxSize)}`,
+            code: 'TEXT_TOO_LARGE'
+          });
+        }
+
+        let processor;
+        let share;
+        try {
+          processor = this.createProcessor(req.body);
+          share = this.shareOptions(req.body);
+        } catch (error) {
+          return res.status(400).json({
+            error: error.message,
+            code: 'INVALID_OPTIONS'
+          });
+        }
+
+        req.log.debug('Processando texto', { textLength: text.length });
+
+        // Processar texto
+        const result = processor.processText(text, source || 'Texto via API');
+
+        // Adicionar informações do processamento
+        result.apiInfo = {
+          textLength: text.length,
+          processedAt: new Date().toISOString(),
+          serverProcessingTime: Date.now() - startTime
+        };
+
+        this.recordProcessing(req, 'Texto processado', result, startTime, {
+          fileName: result.source,
+          textLength: text.length
+        });
+
+        if (this.history) {
+          const size = Buffer.byteLength(text);
+          const data = this.historyData(req, result.source, size, result, startTime, 'texto.tac');
+          const entry = await this.saveHistory(req.log, this.history.add(data, result.result));
+          result.historyId = entry ? entry.id : null;
+        }
+
+        if (share) {
+          result.share = await this.createShare(req, share, result, result.source, 'texto.tac');
+        }
+
+        res.json(result);
+      } catch (error) {
+        req.log.error('Erro ao processar texto', { error });
+
+        this.sendProcessingError(res, error, 'TEXT_PROCESSING_ERROR');
+      }
+    });
+
+    // API: Criar job assíncrono (responde logo com o id; o resultado fica em /api/jobs/:id/result)
+    this.app.post('/api/jobs', this.upload.single('file'), (req, res) => {
+      if (!req.file) {
+        return res.status(400).json({
+          error: 'Nenhum arquivo foi enviado',
+          code: 'NO_FILE'
+        });
+      }
+
+      let processor;
+      try {
+        processor = this.createProcessor(req.body);
+      } catch (error) {
+        this.cleanupFile(req.file.path);
+        return res.status(400).json({
+          error: error.message,
+          code: 'INVALID_OPTIONS'
+        });
+      }
+
+      const job = this.jobs.add({
+        filePath: req.file.path,
+        originalName: req.file.originalname,
+        processor,
+        owner: this.requestOwner(req)
+      });
+      this.progress.claim(job.id, job.owner);
+      if (req.rateLimit) {
+        this.jobReleases.set(job.id, req.rateLimit.keep());
+      }
+
+      const jobLog = req.log.child({ jobId: job.id });
+      this.jobContexts.set(job.id, {
+        log: jobLog,
+        size: req.file.size,
+        records: this.recordOptions(req.body)
+      });
+      jobLog.info('Job criado', { fileName: req.file.originalname, size: req.file.size });
+
+      res.status(202).location(`/api/jobs/${job.id}`).json(this.jobs.toJSON(job));
+    });
+
+    // API: Estado e progresso de um job
+    this.app.get('/api/jobs/:id', (req, res) => {
+      const job = this.findJob(req, res);
+
+      if (!job) {
+        return;
+      }
+
+      res.json(this.jobs.toJSON(job));
+    });
+
+    // API: Resultado de um job concluído
+    this.app.get('/api/jobs/:id/result', async (req, res) => {
+      const job = this.findJob(req, res);
+
+      if (!job) {
+        return;
+      }
+
+      if (job.status !== JOB_STATUS.COMPLETED) {
+        return res.status(409).json({
+          error: job.error || `Job ainda não concluído (estado: ${job.status})`,
+          code: job.status === JOB_STATUS.FAILED ? 'JOB_FAILED' : 'JOB_NOT_READY',
+          status: job.status
+        });
+      }
+
+      const { outputCompression, outputEncoding } = job.result.metadata;
+      const filename = this.resultFilename(job.originalName, outputCompression);
+
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+      try {
+        if (outputCompression) {
+          res.setHeader('Content-Type', contentTypeOf(outputCompression));
+          await pipeline(fs.createReadStream(job.resultPath), res);
+        } else {
+          res.setHeader('Content-Type', `text/plain; charset=${charsetOf(outputEncoding)}`);
+          await this.sendNegotiated(req, res, fs.createReadStream(job.resultPath));
+        }
+      } catch (error) {
+        req.log.error('Erro ao enviar resultado do job', { jobId: job.id, error });
+
+        if (!res.headersSent) {
+          res.removeHeader('Content-Disposition');
+          res.status(500).json({
+            error: 'Erro ao enviar resultado',
+            code: 'DOWNLOAD_ERROR',
+            timestamp: new Date().toISOString()
+          });
+        }
+      }
+    });
+
+    // API: Cancelar job (ou remover um job finalizado e seu resultado)
+    this.app.delete('/api/jobs/:id', async (req, res) => {
+      if (!this.findJob(req, res)) {
+        return;
+      }
+
+      const job = await this.jobs.cancel(req.params.id);
+
+      req.log.info('Job cancelado', { jobId: job.id, status: job.status });
+
+      res.json(this.jobs.toJSON(job));
+    });
+
+    // API: Histórico de processamentos, do mais novo para o mais antigo (?limit=&offset=)
+    // Com autenticação, cada chave vê só as próprias entradas; chaves de administração veem todas
+    this.app.get('/api/history', (req, res) => {
+      if (!this.history) {
+        return res.status(404).json({
+          error: 'O histórico está desativado',
+          code: 'HISTORY_DISABLED'
+        });
+      }
+
+      const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+      const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+
+      if (!Number.isInteger(limit) || limit < 1 || limit > 100 || !Number.isInteger(offset) || offset < 0) {
+        return res.status(400).json({
+          error: 'Paginação inválida: use limit entre 1 e 100 e offset a partir de 0',
+          code: 'INVALID_PAGINATION'
+        });
+      }
+
+      const entries = this.history.list(entry => this.isOwner(req, entry));
+      res.json({
+        total: entries.length,
+        limit,
+        offset,
+        entries: entries.slice(offset, offset + limit),
+        retention: this.history.toJSON()
+      });
+    });
+
+    // API: Entrada do histórico, com os passos e os metadados do processamento
+    this.app.get('/api/history/:id', (req, res) => {
+      const entry = this.findHistory(req, res);
+
+      if (entry) {
+        res.json(entry);
+      }
+    });
+
+    // API: Baixar de novo o resultado guardado no histórico
+    this.app.get('/api/history/:id/result', async (req, res) => {
+      const entry = this.findHistory(req, res);
+
+      if (!entry) {
+        return;
+      }
+
+      const { fileName, contentType } = entry.output;
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+      res.setHeader('Content-Type', contentType);
+
+      try {
+        // Texto pode ser comprimido no transporte; ZIP e resultados comprimidos vão como estão
+        if (contentType.startsWith('text/')) {
+          await this.sendNegotiated(req, res, fs.createReadStream(this.history.outputPath(entry)));
+        } else {
+          await pipeline(fs.createReadStream(this.history.outputPath(entry)), res);
+        }
+      } catch (error) {
+        req.log.error('Erro ao enviar resultado do histórico', { historyId: entry.id, error });
+
+        if (!res.headersSent) {
+          res.removeHeader('Content-Disposition');
+          res.status(500).json({
+            error: 'Erro ao enviar resultado',
+            code: 'DOWNLOAD_ERROR',
+            timestamp: new Date().toISOString()
+          });
+        }
+      }
+    });
+
+    // API: Linhas do resultado guardado no histórico (?start=&count=), para o visualizador da interface
+    this.app.get('/api/history/:id/lines', async (req, res) => {
+      const entry = this.findHistory(req, res);
+
+      if (!entry) {
+        return;
+      }
+
+      const start = req.query.start === undefined ? 1 : Number(req.query.start);
+      const count = req.query.count === undefined ? 200 : Number(req.query.count);
+
+      if (!Number.isInteger(start) || start < 1 || !Number.isInteger(count) || count < 1 || count > 1000) {
+        return res.status(400).json({
+          error: 'Paginação inválida: use start a partir de 1 e count entre 1 e 1000',
+          code: 'INVALID_PAGINATION'
+        });
+      }
+
+      if (!entry.output.contentType.startsWith('text/')) {
+        return res.status(409).json({
+          error: 'O resultado é um arquivo comprimido ou um lote; use /result para baixá-lo',
+          code: 'HISTORY_NOT_TEXT'
+        });
+      }
+
+      try {
+        const { lines, totalLines } = await this.history.readLines(entry, start - 1, count);
+        const numbering = entry.numbering || null;
+
+        res.json({
+          id: entry.id,
+          start,
+          totalLines,
+          numbering,
+          lines: lines.map((text, i) => ({ number: start + i, original: originalLine(numbering, start + i), text }))
+        });
+      } catch (error) {
+        req.log.error('Erro ao ler linhas do histórico', { historyId: entry.id, error });
+        res.status(500).json({
+          error: 'Erro ao ler o resultado',
+          code: 'HISTORY_ERROR',
+          timestamp: new Date().toISOString()
+        });
+      }
+    });
+
+    // API: Remover uma entrada do histórico e o resultado guardado
+    this.app.delete('/api/history/:id', async (req, res) => {
+      const entry = this.findHistory(req, res);
+
+      if (!entry) {
+        return;
+      }
+
+      try {
+        await this.history.remove(entry.id);
+      } catch (error) {
+        req.log.error('Erro ao remover entrada do histórico', { historyId: entry.id, error });
+        return res.status(500).json({
+          error: 'Erro ao remover entrada do histórico',
+          code: 'HISTORY_ERROR',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      req.log.info('Entrada do histórico removida', { historyId: entry.id });
+      res.json(summarize(entry));
+    });
+
+    // API: Links de compartilhamento válidos
+    // Com autenticação, cada chave vê só os próprios links; chaves de administração veem todos
+    this.app.get('/api/shares', (req, res) => {
+      if (!this.shares) {
+        return res.status(404).json({
+          error: 'O compartilhamento de resultados está desativado',
+          code: 'SHARES_DISABLED'
+        });
+      }
+
+      res.json({ shares: this.shares.list(share => this.isOwner(req, share)), limits: this.shares.toJSON() });
+    });
+
+    // API: Revogar um link de compartilhamento (o resultado é removido na hora)
+    this.app.delete('/api/shares/:token', async (req, res) => {
+      const share = this.shares ? this.shares.get(req.params.token) : null;
+
+      if (!share || !this.isOwner(req, share)) {
+        return res.status(404).json({
+          error: 'Link não encontrado',
+          code: 'SHARE_NOT_FOUND'
+        });
+      }
+
+      try {
+        await this.shares.revoke(share.token);
+      } catch (error) {
+        req.log.error('Erro ao revogar link', { error });
+        return res.status(500).json({
+          error: 'Erro ao revogar link',
+          code: 'SHARE_ERROR',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      req.log.info('Link de compartilhamento revogado', { shareToken: share.token });
+      res.json(describeShare(share));
+    });
+
+    // API: Health check
+    this.app.get('/api/health', (req, res) => {
+      const memoryUsage = process.memoryUsage();
+      const healthStatus = {
+        status: 'healthy',
+        timestamp: new Date().toISOString(),
+        uptime: process.uptime(),
+        memory: {
+          used: Math.round(memoryUsage.heapUsed / 1024 / 1024) + 'MB',
+          total: Math.round(memoryUsage.heapTotal / 1024 / 1024) + 'MB'
+        },
+        version: process.version,
+        platform: process.platform
+      };
+
+      res.json(healthStatus);
+    });
+
+    // Métricas no formato do Prometheus; exige a chave de API como /api, exceto com TAC_PUBLIC_ROUTES=metrics
+    this.app.get(
+      '/metrics',
+      (req, res, next) => this.authenticate(req, res, next),
+      (req, res) => {
+        res.setHeader('Content-Type', METRICS_CONTENT_TYPE);
+        res.send(Buffer.from(this.metrics.render()));
+      }
+    );
+
+    // Links de compartilhamento: página com o resultado ou, com download=1, o arquivo. São públicos;
+    // links com senha pedem a senha em um formulário (POST) ou no cabeçalho X-Share-Password
+    this.app.get('/r/:token', (req, res) => this.openShare(req, res));
+    this.app.post('/r/:token', (req, res) => this.openShare(req, res));
+
+    // Rota para download de resultados (opcional)
+    this.app.post('/api/download', (req, res) => {
+      try {
+        const { content, filename, bom } = req.body;
+
+        if (!content) {
+          return res.status(400).json({
+            error: 'Conteúdo não fornecido',
+            code: 'NO_CONTENT'
+          });
+        }
+
+        let encoding;
+        try {
+          encoding = normalizeEncoding(req.body.encoding || 'utf8');
+        } catch (error) {
+          return res.status(400).json({
+            error: error.message,
+            code: 'INVALID_ENCODING'
+          });
+        }
+
+        const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+        const downloadFilename = filename || `tac_resultado_${timestamp}.txt`;
+        // Sem `bom` explícito, segue a regra do processador (BOM apenas em UTF-16)
+        const writeBom =
+          bom !== undefined
+            ? this.parseBoolean(bom) && encoding !== 'latin1'
+            : this.tacProcessor.shouldWriteBom({ encoding: null, bom: false }, encoding);
+
+        res.setHeader('Content-Disposition', `attachment; filename="${downloadFilename}"`);
+        res.setHeader('Content-Type', `text/plain; charset=${charsetOf(encoding)}`);
+        res.send(encode(content, encoding, { bom: writeBom }));
+      } catch (error) {
+        res.status(500).json({
+          error: 'Erro ao gerar download',
+          code: 'DOWNLOAD_ERROR'
+        });
+      }
+    });
+  }
+
+  /**
+   * Configura tratamento de erros globais
+   */
+  setupErrorHandling() {
+    // Middleware para capturar erros de multer
+    this.app.use((error, req, res, next) => {
+      if (error instanceof multer.MulterError) {
+        if (error.code === 'LIMIT_FILE_SIZE') {
+          return res.status(400).json({
+            error: `Arquivo muito grande. Limite: ${this.tacProcessor.formatBytes(this.config.uploads.maxFileSize)}`,
+            code: 'FILE_TOO_LARGE'
+          });
+        }
+
+        return res.status(400).json({
+          error: `Erro no upload: ${error.message}`,
+          code: 'UPLOAD_ERROR'
+        });
+      }
+
+      // Corpo JSON ou de formulário maior que `text.maxSize`
+      if (error.type === 'entity.too.large') {
+        return res.status(400).json({
+          error: `Texto muito grande. Limite: ${this.tacProcessor.formatBytes(this.config.text.maxSize)}`,
+          code: 'TEXT_TOO_LARGE'
+        });
+      }
+
+      if (error.message.includes('Tipo de arquivo não permitido')) {
+        return res.status(400).json({
+          error: error.message,
+          code: 'INVALID_FILE_TYPE'
+        });
+      }
+
+      req.log.error('Erro não tratado', { error });
+      res.status(500).json({
+        error: 'Erro interno do servidor',
+        code: 'INTERNAL_ERROR',
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    // Rota 404
+    this.app.use((req, res) => {
+      res.status(404).json({
+        error: 'Rota não encontrada',
+        code: 'NOT_FOUND',
+        path: req.path
+      });
+    });
+
+    // Tratamento de erros não capturados
+    process.on('uncaughtException', error => {
+      this.logger.error('Exceção não capturada', { error });
+      process.exit(1);
+    });
+
+    process.on('unhandledRejection', (reason, promise) => {
+      this.logger.error('Promise rejeitada não tratada', { error: reason });
+    });
+  }
+
+  /**
+   * Identifica a requisição e registra o log de acesso quando a resposta termina.
+   * O id vem do cabeçalho X-Request-Id (quando válido) ou é gerado, volta no mesmo cabeçalho e nos
+   * corpos de erro (`requestId`) e acompanha todos os logs da requisição, feitos com `req.log`.
+   * @param {Object} req - Requisição
+   * @param {Object} res - Resposta
+   * @param {Function} next - Próximo middleware
+   */
+  traceRequest(req, res, next) {
+    const header = req.headers['x-request-id'];
+    const startTime = Date.now();
+    const { socket } = req;
+    const bytesRead = socket.bytesRead;
+    const bytesWritten = socket.bytesWritten;
+
+    req.id = header && REQUEST_ID.test(header) ? header : crypto.randomUUID();
+    req.log = this.logger.child({ requestId: req.id });
+    res.setHeader('X-Request-Id', req.id);
+
+    // Erros em JSON levam o id, para o cliente informar ao reportar o problema
+    const json = res.json;
+    let errorCode = null;
+    res.json = body => {
+      if (res.statusCode >= 400 && body && body.error) {
+        errorCode = body.code;
+        if (body.requestId === undefined) {
+          body = { ...body, requestId: req.id };
+        }
+      }
+      return json.call(res, body);
+    };
+
+    res.on('close', () => {
+      const length = parseInt(req.headers['content-length'], 10);
+      const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+      const durationMs = Date.now() - startTime;
+      const route = this.routeLabel(req, res);
+
+      // O caminho vai sem a query string, que pode conter a chave de API (access_token)
+      req.log.log(level, 'Requisição', {
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        status: res.statusCode,
+        durationMs,
+        requestBytes: Number.isNaN(length) ? socket.bytesRead - bytesRead : length,
+        responseBytes: socket.bytesWritten - bytesWritten,
+        aborted: res.writableFinished ? undefined : true
+      });
+
+      this.metrics.observeRequest({ method: req.method, route, status: res.statusCode, durationMs });
+      if (errorCode && res.statusCode < 500 && LIMITED_ROUTES.includes(route)) {
+        this.metrics.observeRejection(route, errorCode);
+      }
+    });
+
+    next();
+  }
+
+  /**
+   * Rota da requisição nas métricas: o padrão da rota do Express (ex.: /api/jobs/:id), para não criar uma
+   * série por id; `static` para arquivos estáticos e `unmatched` para as demais (404, 401 antes da rota)
+   * @param {Object} req - Requisição
+   * @param {Object} res - Resposta
+   * @returns {string} Rota
+   */
+  routeLabel(req, res) {
+    if (req.route) {
+      // O limite de uso é registrado com a lista LIMITED_ROUTES; o caminho é uma das rotas da lista
+      return Array.isArray(req.route.path) ? req.path : req.route.path;
+    }
+    return res.statusCode < 400 && ['GET', 'HEAD'].includes(req.method) ? 'static' : 'unmatched';
+  }
+
+  /**
+   * Registra o fim de um processamento no log e nas métricas: linhas, método usado (memory, streaming,
+   * reverse...) e duração
+   * @param {Object} req - Requisição
+   * @param {string} message - Mensagem do log
+   * @param {Object|null} result - Resultado do processador
+   * @param {number} startTime - Início do processamento (Date.now())
+   * @param {Object} fields - Campos adicionais (ex.: fileName, size)
+   */
+  recordProcessing(req, message, result, startTime, fields) {
+    if (result) {
+      this.metrics.observeProcessing(req.path, result);
+    }
+
+    req.log.info(message, {
+      ...fields,
+      lineCount: result ? result.lineCount : undefined,
+      method: result ? result.metadata.method : undefined,
+      durationMs: Date.now() - startTime
+    });
+  }
+
+  /**
+   * Registra o fim de um job assíncrono no log, com o id da requisição que o criou, nas métricas
+   * e, se concluído, no histórico
+   * @param {Object} job - Job finalizado
+   */
+  recordJob(job) {
+    const context = this.jobContexts.get(job.id) || { log: this.logger.child({ jobId: job.id }) };
+    const { log } = context;
+    const level = job.status === JOB_STATUS.FAILED ? 'error' : 'info';
+
+    if (job.status === JOB_STATUS.COMPLETED) {
+      this.metrics.observeProcessing('/api/jobs', job.result);
+      this.saveJobHistory(job, context);
+    }
+
+    this.jobContexts.delete(job.id);
+    log.log(level, 'Job finalizado', {
+      fileName: job.originalName,
+      status: job.status,
+      lineCount: job.lineCount,
+      method: job.result ? job.result.metadata.method : undefined,
+      durationMs: job.startedAt ? job.finishedAt - job.startedAt : undefined,
+      error: job.error || undefined
+    });
+  }
+
+  /**
+   * Copia o resultado de um job concluído para o histórico (o arquivo do job expira com os uploads)
+   * @param {Object} job - Job concluído
+   * @param {Object} context - `{ log, size, records }` guardados na criação do job
+   */
+  saveJobHistory(job, { log, size, records }) {
+    if (!this.history) {
+      return;
+    }
+
+    const { outputCompression, outputEncoding } = job.result.metadata;
+    const data = {
+      route: '/api/jobs',
+      source: job.originalName,
+      size: size === undefined ? job.totalBytes : size,
+      owner: job.owner,
+      result: job.result,
+      durationMs: job.finishedAt - job.createdAt,
+      output: {
+        fileName: this.resultFilename(job.originalName, outputCompression),
+        contentType: outputCompression
+          ? contentTypeOf(outputCompression)
+          : `text/plain; charset=${charsetOf(outputEncoding)}`
+      },
+      numbering: lineNumbering(job.result, records)
+    };
+
+    this.saveHistory(log, this.history.addFile(data, job.resultPath));
+  }
+
+  /**
+   * Dados de um processamento para o histórico
+   * @param {Object} req - Requisição (rota e chave de API)
+   * @param {string} source - Nome do arquivo ou origem do texto
+   * @param {number} size - Bytes recebidos
+   * @param {Object} result - Resultado do processador
+   * @param {number} startTime - Início da requisição (Date.now())
+   * @param {string} fileName - Nome do resultado para o download
+   * @param {string} contentType - Tipo do resultado (padrão: texto em UTF-8, como nas respostas em JSON)
+   * @returns {Object} Dados da entrada (ver backend/history.js)
+   */
+  historyData(req, source, size, result, startTime, fileName, contentType = 'text/plain; charset=utf-8') {
+    return {
+      route: req.path,
+      source,
+      size,
+      owner: this.requestOwner(req),
+      result,
+      durationMs: Date.now() - startTime,
+      output: { fileName, contentType },
+      numbering: lineNumbering(result, this.recordOptions(req.body))
+    };
+  }
+
+  /**
+   * Opções de registro da requisição que mudam a correspondência entre as linhas da saída e as da entrada
+   * @param {Object} body - Corpo da requisição
+   * @returns {Object} `{ separator, before }`
+   */
+  recordOptions(body = {}) {
+    return { separator: body.separator || null, before: this.parseBoolean(body.before) };
+  }
+
+  /**
+   * Dono das entradas do histórico e dos links criados pela requisição
+   * @param {Object} req - Requisição
+   * @returns {string|null} Id da chave de API, ou null sem autenticação
+   */
+  requestOwner(req) {
+    return req.apiKey ? req.apiKey.id : null;
+  }
+
+  /**
+   * Content-Type de um resultado baixado, com o charset que só é conhecido depois da leitura
+   * @param {TacProcessor} processor - Processador usado
+   * @param {Object} result - Resultado do processador
+   * @returns {string} Content-Type
+   */
+  downloadContentType(processor, result) {
+    const { outputCompression } = processor.options;
+
+    if (outputCompression) {
+      return contentTypeOf(outputCompression);
+    }
+    return `text/plain; charset=${charsetOf(result.metadata.outputEncoding || 'utf8')}`;
+  }
+
+  /**
+   * Espera a gravação de uma entrada do histórico; uma falha é registrada no log sem afetar a resposta
+   * @param {Logger} log - Log da requisição ou do job
+   * @param {Promise<Object|null>} saving - Gravação da entrada
+   * @returns {Promise<Object|null>} Entrada gravada, ou null se falhou ou não coube nos limites
+   */
+  async saveHistory(log, saving) {
+    try {
+      const entry = await saving;
+      if (entry) {
+        log.debug('Processamento guardado no histórico', { historyId: entry.id });
+      }
+      return entry;
+    } catch (error) {
+      log.warn('Erro ao guardar o processamento no histórico', { error });
+      return null;
+    }
+  }
+
+  /**
+   * Opções de compartilhamento enviadas na requisição (`share`, `shareExpiry` e `sharePassword`)
+   * @param {Object} body - Corpo da requisição
+   * @returns {Object|null} `{ expiresIn, password }`, ou null quando o resultado não é compartilhado
+   */
+  shareOptions(body = {}) {
+    if (!this.parseBoolean(body.share)) {
+      return null;
+    }
+    if (!this.shares) {
+      throw new Error('O compartilhamento de resultados está desativado');
+    }
+    // O link guarda o resultado em texto; downloads (inclusive comprimidos) não são compartilhados
+    if (this.parseBoolean(body.download)) {
+      throw new Error('share não pode ser usado com download=true');
+    }
+
+    let expiresIn;
+    if (body.shareExpiry !== undefined) {
+      try {
+        expiresIn = parseValue('duration', body.shareExpiry);
+      } catch (error) {
+        throw new Error(`shareExpiry: ${error.message}`);
+      }
+    }
+
+    return this.shares.validate({ expiresIn, password: body.sharePassword });
+  }
+
+  /**
+   * Cria o link de compartilhamento de um resultado
+   * @param {Object} req - Requisição
+   * @param {Object} options - `{ expiresIn, password }` de `shareOptions`
+   * @param {Object} result - Resultado do processador
+   * @param {string} source - Nome do arquivo ou origem do texto
+   * @param {string} fileName - Nome do resultado para o download
+   * @returns {Promise<Object>} Link (`token`, `url`, `expiresAt`, `protected`...), sem o hash da senha
+   */
+  async createShare(req, options, result, source, fileName) {
+    const share = await this.shares.create({
+      ...options,
+      output: result.result,
+      fileName,
+      contentType: 'text/plain; charset=utf-8',
+      source,
+      lineCount: result.lineCount,
+      owner: this.requestOwner(req)
+    });
+
+    req.log.info('Link de compartilhamento criado', { shareToken: share.token, expiresAt: share.expiresAt });
+    return describeShare(share);
+  }
+
+  /**
+   * Abre um link de compartilhamento (GET e POST /r/:token): página HTML com o início do resultado,
+   * o arquivo inteiro com `download=1` ou, em links com senha, o formulário da senha
+   * @param {Object} req - Requisição
+   * @param {Object} res - Resposta
+   */
+  async openShare(req, res) {
+    const { token } = req.params;
+    const share = this.shares && SHARE_TOKEN.test(token) ? this.shares.get(token) : null;
+    const body = req.body || {};
+
+    // O resultado compartilhado não vai para caches nem para buscadores
+    res.setHeader('Cache-Control', 'no-store');
+    res.setHeader('X-Robots-Tag', 'noindex');
+
+    if (!share) {
+      return res.status(404).type('html').send(renderMissingPage());
+    }
+
+    const password = body.password !== undefined ? body.password : req.get('X-Share-Password');
+    if (!(await this.shares.verify(share, password))) {
+      return res.status(401).type('html').send(renderPasswordPage(share, password !== undefined));
+    }
+
+    try {
+      if (req.query.download === '1' || body.download === '1') {
+        res.setHeader('Content-Type', share.contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${share.fileName}"`);
+        await this.sendNegotiated(req, res, fs.createReadStream(this.shares.outputPath(share)));
+        return;
+      }
+
+      // A senha já conferida vai no formulário de download da página
+      const { text, truncated } = await this.shares.preview(share);
+      const options = { truncated, password: share.password ? password : undefined };
+      res.type('html').send(renderSharePage(share, text, options));
+    } catch (error) {
+      req.log.error('Erro ao abrir link de compartilhamento', { shareToken: share.token, error });
+
+      if (!res.headersSent) {
+        res.removeHeader('Content-Disposition');
+        res.status(500).type('html').send(renderMissingPage());
+      }
+    }
+  }
+
+  /**
+   * Responde ao erro de um processamento: 422 (`INVALID_CONTENT`) quando o conteúdo não corresponde
+   * ao formato pedido (ex.: JSON inválido com `format=json`), 500 com `code` nos demais casos
+   * @param {Object} res - Resposta
+   * @param {Error} error - Erro do processamento
+   * @param {string} code - Código dos erros internos
+   */
+  sendProcessingError(res, error, code) {
+    const invalid = isFormatError(error);
+
+    res.status(invalid ? 422 : 500).json({
+      error: error.message,
+      code: invalid ? 'INVALID_CONTENT' : code,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Busca o job de :id, visível apenas para a chave que o criou e para chaves de administração
+   * (ou para todos, sem autenticação)
+   * @param {Object} req - Requisição
+   * @param {Object} res - Resposta (recebe o erro 404 quando o job não existe ou não é visível)
+   * @returns {Object|null} Job
+   */
+  findJob(req, res) {
+    const job = this.jobs.get(req.params.id);
+
+    if (!job || !this.isOwner(req, job)) {
+      res.status(404).json({
+        error: 'Job não encontrado',
+        code: 'JOB_NOT_FOUND'
+      });
+      return null;
+    }
+    return job;
+  }
+
+  /**
+   * Busca a entrada do histórico de :id, visível apenas para a chave que a criou e para chaves
+   * de administração (ou para todos, sem autenticação)
+   * @param {Object} req - Requisição
+   * @param {Object} res - Resposta (recebe o erro 404 quando a entrada não existe ou não é visível)
+   * @returns {Object|null} Entrada
+   */
+  findHistory(req, res) {
+    if (!this.history) {
+      res.status(404).json({
+        error: 'O histórico está desativado',
+        code: 'HISTORY_DISABLED'
+      });
+      return null;
+    }
+
+    const entry = this.history.get(req.params.id);
+
+    if (!entry || !this.isOwner(req, entry)) {
+      res.status(404).json({
+        error: 'Entrada do histórico não encontrada',
+        code: 'HISTORY_NOT_FOUND'
+      });
+      return null;
+    }
+    return entry;
+  }
+
+  /**
+   * Indica se a requisição pode ver e remover um item criado por uma chave de API (job, entrada
+   * do histórico ou link): a chave dona e as de administração podem, ou todos sem autenticação
+   * @param {Object} req - Requisição
+   * @param {Object} item - Item com `owner`
+   * @returns {boolean} Se o item é visível
+   */
+  isOwner(req, item) {
+    if (!this.auth.enabled) {
+      return true;
+    }
+    return Boolean(req.apiKey) && (req.apiKey.admin || item.owner === req.apiKey.id);
+  }
+
+  /**
+   * Indica se a requisição pode acompanhar um canal de progresso: canais ainda sem dono (o cliente
+   * pode se inscrever antes de enviar o arquivo) ou criados sem chave são abertos; os demais seguem `isOwner`
+   * @param {Object} req - Requisição
+   * @param {Object} channel - Canal do ProgressTracker
+   * @returns {boolean} Se o progresso é visível
+   */
+  canFollowProgress(req, channel) {
+    return channel.owner === null || this.isOwner(req, channel);
+  }
+
+  /**
+   * Autenticação das rotas /api: exige uma chave de API ativa, exceto em GET /api/auth e nas
+   * rotas configuradas como públicas. A chave identificada fica em `req.apiKey`.
+   * @param {Object} req - Requisição
+   * @param {Object} res - Resposta
+   * @param {Function} next - Próximo middleware
+   */
+  authenticate(req, res, next) {
+    if (!this.auth.enabled) {
+      return next();
+    }
+
+    const token = readToken(req);
+    const key = this.auth.authenticate(token);
+    const routePath = req.baseUrl + req.path;
+    req.apiKey = key && key.enabled ? key : null;
+
+    if (req.apiKey || routePath === '/api/auth' || this.auth.isPublic(routePath)) {
+      return next();
+    }
+
+    let error = {
+      error: 'Autenticação necessária: envie a chave de API no cabeçalho Authorization: Bearer <chave>',
+      code: 'UNAUTHORIZED'
+    };
+    if (key) {
+      error = { error: 'Chave de API revogada', code: 'API_KEY_REVOKED' };
+    } else if (token) {
+      error = { error: 'Chave de API inválida', code: 'INVALID_API_KEY' };
+    }
+
+    res.setHeader('WWW-Authenticate', 'Bearer realm="tac"');
+    res.status(401).json(error);
+  }
+
+  /**
+   * Verifica se a requisição foi feita com uma chave de administração
+   * @param {Object} req - Requisição
+   * @param {Object} res - Resposta (recebe o erro 403 quando a chave não é de administração)
+   * @returns {boolean} Se a requisição pode continuar
+   */
+  requireAdmin(req, res) {
+    if (req.apiKey && req.apiKey.admin) {
+      return true;
+    }
+
+    res.status(403).json({
+      error: this.auth.enabled
+        ? 'Esta rota exige uma chave de administração'
+        : 'A autenticação está desativada: configure chaves em TAC_API_KEYS ou TAC_API_KEYS_FILE',
+      code: 'FORBIDDEN'
+    });
+    return false;
+  }
+
+  /**
+   * Limites de uso das rotas de processamento, por rota e por cliente (chave de API ou IP).
+   * Quando um limite é atingido, responde 429 (ou 413, se o corpo não cabe na cota) com Retry-After;
+   * os cabeçalhos RateLimit-* vão em todas as respostas. A vaga de execução é liberada quando a
+   * resposta termina, ou quando o job termina se a rota chamar `req.rateLimit.keep()`.
+   * @param {Object} req - Requisição
+   * @param {Object} res - Resposta
+   * @param {Function} next - Próximo middleware
+   */
+  async limitRate(req, res, next) {
+    const route = req.path;
+    const client = req.apiKey ? `key:${req.apiKey.id}` : `ip:${req.ip}`;
+    const length = parseInt(req.headers['content-length'], 10);
+
+    let result;
+    try {
+      result = await this.rateLimiter.consume(route, client, length || 0);
+    } catch (error) {
+      // Uma falha no armazenamento dos contadores não interrompe o processamento
+      req.log.warn('Erro ao verificar os limites de uso', { error });
+      return next();
+    }
+
+    if (!result) {
+      return next();
+    }
+
+    res.set(result.headers);
+
+    if (result.status) {
+      if (result.retryAfter) {
+        res.set('Retry-After', String(result.retryAfter));
+      }
+      return res.status(result.status).json({
+        error: result.error,
+        code: result.code
+      });
+    }
+
+    const release = () => result.release().catch(error => req.log.warn('Erro ao liberar o limite de uso', { error }));
+    let kept = false;
+    req.rateLimit = {
+      keep: () => {
+        kept = true;
+        return release;
+      }
+    };
+
+    // Sem Content-Length (envio em partes), os bytes entram na cota depois de recebidos
+    const bytesRead = req.socket.bytesRead;
+    res.on('close', () => {
+      if (!kept) {
+        release();
+      }
+      if (Number.isNaN(length)) {
+        this.rateLimiter
+          .record(route, client, req.socket.bytesRead - bytesRead)
+          .catch(error => req.log.warn('Erro ao registrar o uso', { error }));
+      }
+    });
+
+    next();
+  }
+
+  /**
+   * Libera a vaga de execução de um job assíncrono que terminou
+   * @param {string} id - Id do job
+   */
+  releaseJob(id) {
+    const release = this.jobReleases.get(id);
+
+    if (release) {
+      this.jobReleases.delete(id);
+      release();
+    }
+  }
+
+  /**
+   * Cria um processador TAC com as opções enviadas na requisição
+   * @param {Object} body - Corpo da requisição (JSON ou campos do formulário)
+   * @returns {TacProcessor} Processador configurado
+   */
+  createProcessor(body = {}) {
+    const options = { ...this.tacProcessor.options };
+
+    // Separador de registros (tac -s / -r / -b)
+    if (body.separator !== undefined && body.separator !== '') {
+      options.separator = String(body.separator);
+    }
+    if (body.regex !== undefined) {
+      options.regex = this.parseBoolean(body.regex);
+    }
+    if (body.before !== undefined) {
+      options.before = this.parseBoolean(body.before);
+    }
+
+    // Codificação da entrada (auto detecta pelo BOM ou pelo conteúdo) e da saída
+    if (body.encoding) {
+      options.encoding = String(body.encoding);
+    }
+    if (body.outputEncoding) {
+      options.outputEncoding = String(body.outputEncoding);
+    }
+
+    // Compressão da entrada (auto detecta pelos bytes mágicos) e do arquivo de saída
+    if (body.compression) {
+      options.compression = String(body.compression);
+    }
+    if (body.outputCompression) {
+      options.outputCompression = String(body.outputCompression);
+    }
+
+    // Seleção de linhas: primeiras N da saída, M linhas puladas e intervalo original ('a..b')
+    if (body.lines !== undefined && body.lines !== '') {
+      options.lines = body.lines;
+    }
+    if (body.skip !== undefined && body.skip !== '') {
+      options.skip = body.skip;
+    }
+    if (body.range !== undefined && body.range !== '') {
+      options.range = String(body.range);
+    }
+
+    // Filtros de padrão (como grep): o campo pode ser repetido para vários padrões
+    if (body.include !== undefined) {
+      options.include = body.include;
+    }
+    if (body.exclude !== undefined) {
+      options.exclude = body.exclude;
+    }
+    if (body.filterRegex !== undefined) {
+      options.filterRegex = this.parseBoolean(body.filterRegex);
+    }
+    if (body.ignoreCase !== undefined) {
+      options.ignoreCase = this.parseBoolean(body.ignoreCase);
+    }
+    if (body.context !== undefined && body.context !== '') {
+      options.context = body.context;
+    }
+
+    // Modo de transformação (lines, paragraphs, rev, words, shuffle) e semente do embaralhamento
+    if (body.mode !== undefined && body.mode !== '') {
+      options.mode = String(body.mode);
+    }
+    if (body.seed !== undefined && body.seed !== '') {
+      options.seed = String(body.seed);
+    }
+
+    // Formato do conteúdo (auto detecta pela extensão do arquivo enviado)
+    if (body.format) {
+      options.format = String(body.format);
+    }
+
+    return new TacProcessor(options);
+  }
+
+  /**
+   * Lista os arquivos de um lote, abrindo os arquivos .zip enviados.
+   * Entradas de um ZIP ficam em uma pasta com o nome do arquivo (ex.: logs.zip → logs/app.log);
+   * ZIPs inválidos e entradas com tipo não permitido aparecem no lote com o erro.
+   * @param {Array<Object>} uploads - Arquivos recebidos pelo multer
+   * @returns {Promise<Array<Object>>} Itens `{ name, path }`, `{ name, source, entry }` ou `{ name, error }`
+   */
+  async expandBatch(uploads) {
+    const items = [];
+
+    for (const file of uploads) {
+      const head = await this.tacProcessor.readHead(file.path, 4);
+
+      if (!isZip(head, file.originalname)) {
+        items.push({ name: file.originalname, path: file.path });
+        continue;
+      }
+
+      let entries;
+      try {
+        entries = readZip(await fs.promises.readFile(file.path));
+      } catch (error) {
+        items.push({ name: file.originalname, error: error.message });
+        continue;
+      }
+
+      const folder = file.originalname.replace(/\.zip$/i, '');
+      for (const entry of entries) {
+        const name = `${folder}/${entry.name}`;
+
+        if (this.allowedTypes.test(entry.name)) {
+          items.push({ name, source: file.originalname, entry });
+        } else {
+          items.push({ name, source: file.originalname, error: 'Tipo de arquivo não permitido' });
+        }
+      }
+    }
+
+    return items;
+  }
+
+  /**
+   * Processa os arquivos de um lote, um de cada vez, com as mesmas opções.
+   * Erros de um arquivo não interrompem o lote: ficam registrados no manifesto.
+   * @param {Array<Object>} items - Itens de `expandBatch`
+   * @param {Object} body - Opções da requisição
+   * @param {number} startTime - Início da requisição
+   * @returns {Promise<Object>} `{ entries, manifest }`; `entries` são as entradas do ZIP de resultado
+   */
+  async processBatch(items, body, startTime) {
+    const entries = [];
+    const files = [];
+    const usedNames = new Set();
+
+    for (const item of items) {
+      const fileStart = Date.now();
+      const source = item.source ? { source: item.source } : {};
+      let tempPath = null;
+
+      try {
+        if (item.error) {
+          throw new Error(item.error);
+        }
+
+        // Entradas de ZIP são gravadas em disco para seguir o mesmo caminho dos uploads
+        if (item.entry) {
+          tempPath = path.join(this.uploadsDir, this.uploadFilename(item.entry.name));
+          await fs.promises.writeFile(tempPath, item.entry.read(this.tacProcessor.options.maxDecompressedSize));
+        }
+
+        const processor = this.createProcessor(body);
+        const result = await processor.processFile(tempPath || item.path);
+        this.metrics.observeProcessing('/api/tac/batch', result);
+        const { encoding, bom, outputEncoding, format, originalSize } = result.metadata;
+        const data = encode(result.result, outputEncoding, {
+          bom: processor.shouldWriteBom({ encoding, bom }, outputEncoding)
+        });
+        const output = this.batchOutputName(item.name, usedNames);
+
+        entries.push({ name: output, data });
+        files.push({
+          name: item.name,
+          ...source,
+          status: 'completed',
+          output,
+          lineCount: result.lineCount,
+          originalSize,
+          outputSize: data.length,
+          format,
+          encoding,
+          outputEncoding,
+          processingTime: Date.now() - fileStart
+        });
+      } catch (error) {
+        files.push({
+          name: item.name,
+          ...source,
+          status: 'failed',
+          error: error.message,
+          processingTime: Date.now() - fileStart
+        });
+      } finally {
+        if (tempPath) {
+          this.cleanupFile(tempPath);
+        }
+      }
+    }
+
+    const completed = files.filter(file => file.status === 'completed');
+
+    return {
+      entries,
+      manifest: {
+        createdAt: new Date().toISOString(),
+        summary: {
+          files: files.length,
+          completed: completed.length,
+          failed: files.length - completed.length,
+          lineCount: completed.reduce((total, file) => total + file.lineCount, 0),
+          processingTime: Date.now() - startTime
+        },
+        files
+      }
+    };
+  }
+
+  /**
+   * Caminho do resultado de um arquivo dentro do ZIP do lote (ex.: logs/app.log.gz → logs/app.log.tac).
+   * Pastas vazias, '.' e '..' são descartadas, e nomes repetidos recebem um sufixo (app.log-2.tac).
+   * @param {string} name - Nome do arquivo no lote
+   * @param {Set<string>} usedNames - Nomes já usados no ZIP (atualizado)
+   * @returns {string} Caminho da entrada
+   */
+  batchOutputName(name, usedNames) {
+    const segments = name.split(/[\\/]+/).filter(segment => segment && segment !== '.' && segment !== '..');
+    const filename = this.resultFilename(segments.pop() || 'arquivo', null);
+    const folders = segments.map(segment => segment.replace(/[^\w.-]/g, '_'));
+    const base = [...folders, filename].join('/');
+
+    let output = base;
+    for (let i = 2; usedNames.has(output); i++) {
+      output = base.replace(/\.tac$/, `-${i}.tac`);
+    }
+    usedNames.add(output);
+
+    return output;
+  }
+
+  /**
+   * Nome único para um arquivo temporário em uploads
+   * Mantém a extensão antes da compressão (ex.: .csv.gz), usada na detecção do formato
+   * @param {string} originalName - Nome original do arquivo
+   * @returns {string} Nome do arquivo (ex.: upload-1700000000000-123456789.csv.gz)
+   */
+  uploadFilename(originalName) {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1e9);
+    const compression = /\.(gz|zz|br)$/i.exec(originalName);
+    const base = compression ? originalName.slice(0, compression.index) : originalName;
+    const ext = path.extname(base) + (compression ? compression[0] : '');
+    return `upload-${uniqueSuffix}${ext}`;
+  }
+
+  /**
+   * Envia o arquivo invertido como download.
+   * Com `outputCompression`, o arquivo é comprimido (ex.: resultado.tac.log.gz); sem ela,
+   * o texto pode ser comprimido no transporte conforme o Accept-Encoding.
+   * @param {Object} req - Requisição
+   * @param {Object} res - Resposta
+   * @param {TacProcessor} processor - Processador configurado
+   * @param {string} filePath - Arquivo enviado
+   * @param {string} originalName - Nome original do arquivo
+   * @param {HistoryRecorder|null} recorder - Grava uma cópia do resultado para o histórico
+   * @returns {Promise<Object|null>} Resultado do processador (linhas e método), sem o texto
+   */
+  async sendReversedFile(req, res, processor, filePath, originalName, recorder = null) {
+    const { outputCompression } = processor.options;
+    const reversed = processor.createReverseStream(filePath);
+    let result = null;
+
+    reversed.once('metadata', metadata => {
+      result = metadata;
+    });
+
+    // Erros de validação e de descompressão aparecem antes dos primeiros dados, ainda com resposta em JSON
+    await once(reversed, 'readable');
+
+    // A cópia do histórico é feita antes da compressão de transporte
+    const stream = recorder ? recorder.wrap(reversed) : reversed;
+
+    const filename = this.resultFilename(originalName, outputCompression);
+
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    if (outputCompression) {
+      res.setHeader('Content-Type', contentTypeOf(outputCompression));
+      await pipeline(stream, res);
+      return result;
+    }
+
+    // A codificação detectada só é conhecida durante a leitura; o charset vai apenas quando é fixado
+    const { outputEncoding } = processor.options;
+    res.setHeader('Content-Type', outputEncoding ? `text/plain; charset=${charsetOf(outputEncoding)}` : 'text/plain');
+    await this.sendNegotiated(req, res, stream);
+    return result;
+  }
+
+  /**
+   * Opções de `processFiles` enviadas na requisição (`filesMode`, pois `mode` é o modo de transformação)
+   * @param {Object} body - Corpo da requisição
+   * @returns {Object} `{ mode, sort, descending, annotate }`
+   */
+  filesOptions(body = {}) {
+    return {
+      mode: body.filesMode ? String(body.filesMode) : 'each',
+      sort: body.sort ? String(body.sort) : null,
+      descending: body.descending !== undefined && this.parseBoolean(body.descending),
+      annotate: body.annotate !== undefined && this.parseBoolean(body.annotate)
+    };
+  }
+
+  /**
+   * Envia o resultado de vários arquivos como um só download (ex.: tac_arquivos_<data>.tac),
+   * lido em blocos sem carregar os arquivos na memória
+   * @param {Object} req - Requisição
+   * @param {Object} res - Resposta
+   * @param {TacProcessor} processor - Processador configurado
+   * @param {Array<Object>} files - Arquivos `{ path, name }`
+   * @param {Object} filesOptions - Opções de `processFiles`
+   * @param {HistoryRecorder|null} recorder - Grava uma cópia do resultado para o histórico
+   * @returns {Promise<Object|null>} Resultado do processador (linhas e método), sem o texto
+   */
+  async sendReversedFiles(req, res, processor, files, filesOptions, recorder = null) {
+    const { outputCompression, outputEncoding } = processor.options;
+    const reversed = new PassThrough();
+
+    const done = processor.reverseFilesToStream(files, reversed, filesOptions).catch(error => {
+      reversed.destroy(error);
+      return null;
+    });
+
+    // Erros de validação aparecem antes dos primeiros dados, ainda com resposta em JSON
+    await once(reversed, 'readable');
+
+    const stream = recorder ? recorder.wrap(reversed) : reversed;
+
+    const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+    const extension = outputCompression ? extensionOf(outputCompression) : '';
+    res.setHeader('Content-Disposition', `attachment; filename="tac_arquivos_${timestamp}.tac${extension}"`);
+
+    if (outputCompression) {
+      res.setHeader('Content-Type', contentTypeOf(outputCompression));
+      await pipeline(stream, res);
+      return done;
+    }
+
+    res.setHeader('Content-Type', outputEncoding ? `text/plain; charset=${charsetOf(outputEncoding)}` : 'text/plain');
+    await this.sendNegotiated(req, res, stream);
+    return done;
+  }
+
+  /**
+   * Encerra o canal de progresso da requisição, se o cliente pediu um
+   * @param {string|undefined} progressId - Id enviado em ?progressId=
+   * @param {Object} data - Estado final (`status` e, em caso de falha, `error`)
+   */
+  finishProgress(progressId, data) {
+    if (progressId) {
+      this.progress.publish(progressId, 'done', data);
+    }
+  }
+
+  /**
+   * Nome do arquivo de resultado (ex.: app.log.gz → app.log.tac, ou app.log.tac.gz com compressão)
+   * @param {string} originalName - Nome original do arquivo
+   * @param {string|null} outputCompression - Compressão da saída
+   * @returns {string} Nome para o Content-Disposition
+   */
+  resultFilename(originalName, outputCompression) {
+    const baseName = originalName.replace(/\.(gz|zz|br)$/i, '').replace(/[^\w.-]/g, '_');
+    return `${baseName}.tac${outputCompression ? extensionOf(outputCompression) : ''}`;
+  }
+
+  /**
+   * Envia o corpo comprimido no formato preferido pelo cliente (Accept-Encoding)
+   * @param {Object} req - Requisição
+   * @param {Object} res - Resposta
+   * @param {stream.Readable} body - Conteúdo da resposta
+   */
+  async sendNegotiated(req, res, body) {
+    const compression = negotiateCompression(req.headers['accept-encoding']);
+
+    res.setHeader('Vary', 'Accept-Encoding');
+
+    if (!compression) {
+      await pipeline(body, res);
+      return;
+    }
+
+    res.setHeader('Content-Encoding', compression);
+    await pipeline(body, createCompressor(compression), res);
+  }
+
+  /**
+   * Interpreta flags vindas de JSON ou de campos de formulário
+   * @param {*} value - Valor recebido
+   * @returns {boolean} Valor booleano
+   */
+  parseBoolean(value) {
+    return value === true || ['true', '1', 'on', 'yes'].includes(String(value).toLowerCase());
+  }
+
+  /**
+   * Remove arquivo temporário com tratamento de erro
+   * @param {string} filePath - Caminho do arquivo
+   */
+  cleanupFile(filePath) {
+    try {
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+        this.logger.debug('Arquivo temporário removido', { file: path.basename(filePath) });
+      }
+    } catch (error) {
+      this.logger.warn('Erro ao remover arquivo temporário', { file: path.basename(filePath), error });
+    }
+  }
+
+  /**
+   * Inicia o servidor
+   */
+  start() {
+    this.server = this.app.listen(this.port, () => {
+      this.logger.info('Servidor TAC rodando', { url: `http://localhost:${this.port}`, workers: this.jobs.workers });
+
+      // Rotas da API, no nível debug
+      const endpoints = [
+        'POST /api/tac - Upload e processamento de arquivo',
+        'POST /api/tac/text - Processamento de texto direto',
+        'POST /api/tac/batch - Processamento em lote (ZIP de resultados)',
+        'POST /api/tac/files - Vários arquivos invertidos juntos (each ou concat)',
+        'GET /api/auth - Estado da autenticação (chave de API)',
+        'GET /api/admin/keys - Chaves de API (administração)',
+        'POST /api/jobs - Processamento assíncrono',
+        'GET /api/history - Histórico de processamentos',
+        'GET /api/shares - Links de compartilhamento (GET /r/:token)',
+        'GET /api/tac/progress/:id - Progresso (Server-Sent Events)',
+        'GET /api/info - Informações do servidor',
+        'GET /api/health - Status de saúde',
+        'GET /metrics - Métricas (Prometheus)'
+      ];
+      endpoints.forEach(endpoint => this.logger.debug(`Rota: ${endpoint}`));
+      if (this.rateLimiter.enabled) {
+        this.logger.debug('Limites de uso ativos (429 com Retry-After)', { routes: LIMITED_ROUTES });
+      }
+    });
+
+    // Remover uploads e resultados de jobs expirados periodicamente
+    this.cleanupTimer = setInterval(() => this.cleanupUploads(), this.config.uploads.cleanupInterval);
+    this.cleanupTimer.unref();
+
+    // Graceful shutdown
+    process.on('SIGTERM', () => this.shutdown());
+    process.on('SIGINT', () => this.shutdown());
+
+    return this.server;
+  }
+
+  /**
+   * Para o servidor graciosamente
+   */
+  shutdown() {
+    this.logger.info('Iniciando shutdown do servidor');
+    clearInterval(this.cleanupTimer);
+
+    if (this.server) {
+      this.server.close(() => {
+        this.logger.info('Servidor encerrado com sucesso');
+
+        // Limpar arquivos temporários
         this.cleanupUploads();
 
         process.exit(0);
@@ -368,32 +2174,72 @@ class TacServer {
   }
 
   /**
-   * Limpa arquivos de upload antigos
+   * Limpa arquivos de upload antigos e jobs finalizados há mais de `uploads.maxAge` (padrão: uma hora),
+   * com seus resultados. Arquivos de jobs na fila ou em andamento são mantidos.
+   * Aplica também os limites de retenção do histórico e remove os links expirados.
    */
   cleanupUploads() {
     try {
-      const files = fs.readdirSync(this.uploadsDir);
       const now = Date.now();
-      const maxAge = 60 * 60 * 1000; // 1 hora
+      const { maxAge } = this.config.uploads;
+
+      const expiredJobs = this.jobs.expire(maxAge);
+      if (expiredJobs > 0) {
+        this.logger.info('Jobs expirados removidos', { jobs: expiredJobs });
+      }
+
+      const files = fs.readdirSync(this.uploadsDir);
+      const activeFiles = this.jobs.activeFiles();
 
       files.forEach(file => {
         const filePath = path.join(this.uploadsDir, file);
         const stats = fs.statSync(filePath);
 
-        if (now - stats.mtime.getTime() > maxAge) {
+        if (now - stats.mtime.getTime() > maxAge && !activeFiles.has(filePath)) {
           fs.unlinkSync(filePath);
-          console.log(`🗑️ Arquivo antigo removido: ${file}`);
+          this.logger.info('Arquivo antigo removido', { file });
         }
       });
     } catch (error) {
-      console.warn(`⚠️ Erro na limpeza de arquivos: ${error.message}`);
+      this.logger.warn('Erro na limpeza de arquivos', { error });
+    }
+
+    if (this.history) {
+      this.history
+        .prune()
+        .then(removed => {
+          if (removed > 0) {
+            this.logger.info('Entradas antigas do histórico removidas', { entries: removed });
+          }
+        })
+        .catch(error => this.logger.warn('Erro na limpeza do histórico', { error }));
+    }
+
+    if (this.shares) {
+      this.shares
+        .sweep()
+        .then(removed => {
+          if (removed > 0) {
+            this.logger.info('Links expirados removidos', { shares: removed });
+          }
+        })
+        .catch(error => this.logger.warn('Erro na limpeza dos links', { error }));
     }
   }
 }
 
 // Inicializar servidor se executado diretamente
 if (require.main === module) {
-  const server = new TacServer();
+  let server;
+
+  try {
+    server = new TacServer();
+  } catch (error) {
+    // Configuração inválida: mostra todos os erros de uma vez, sem a pilha
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
   server.start();
 }
 
@@ -0,0 +1,440 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { StringDecoder } = require('string_decoder');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Índice dos links; cada resultado fica em um arquivo <token>.out ao lado dele
+const INDEX_FILE = 'index.json';
+
+// Tokens dos links: 12 caracteres base64url (72 bits aleatórios)
+const SHARE_TOKEN = /^[\w-]{12}$/;
+
+// Tamanho máximo de uma senha de link
+const MAX_PASSWORD_LENGTH = 256;
+
+// Bytes do resultado mostrados na página do link; o restante só no download
+const PREVIEW_SIZE = 1024 * 1024;
+
+/**
+ * Links de compartilhamento de resultados (/r/:token): o resultado fica em disco até o link expirar
+ * ou ser revogado. A senha opcional é guardada como hash scrypt com sal, nunca em texto.
+ */
+class ShareStore {
+  /**
+   * @param {Object} options - Opções
+   * @param {string} options.dir - Diretório dos links (criado se não existir)
+   * @param {number} options.expiry - Validade padrão dos links em ms
+   * @param {number} options.maxExpiry - Validade máxima aceita em ms
+   */
+  constructor({ dir, expiry = 24 * 60 * 60 * 1000, maxExpiry = 30 * 24 * 60 * 60 * 1000 }) {
+    if (expiry > maxExpiry) {
+      throw new Error('A validade padrão dos links passa da validade máxima');
+    }
+
+    this.dir = dir;
+    this.expiry = expiry;
+    this.maxExpiry = maxExpiry;
+    this.indexPath = path.join(dir, INDEX_FILE);
+    this.writing = Promise.resolve();
+
+    fs.mkdirSync(dir, { recursive: true });
+    this.shares = this.readIndex();
+    this.removeOrphans();
+  }
+
+  /**
+   * Lê o índice gravado; um índice ausente começa sem links
+   * @returns {Array<Object>} Links, do mais novo para o mais antigo
+   */
+  readIndex() {
+    let text;
+    try {
+      text = fs.readFileSync(this.indexPath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    try {
+      return JSON.parse(text).shares;
+    } catch (error) {
+      throw new Error(`Índice dos links inválido em ${this.indexPath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove resultados sem link no índice (ex.: gravações interrompidas quando o servidor parou)
+   */
+  removeOrphans() {
+    const known = new Set(this.shares.map(share => outputName(share.token)));
+
+    for (const file of fs.readdirSync(this.dir)) {
+      if (file !== INDEX_FILE && !known.has(file)) {
+        fs.rmSync(path.join(this.dir, file), { force: true });
+      }
+    }
+  }
+
+  /**
+   * Valida as opções de um novo link
+   * @param {Object} options - Opções
+   * @param {number} options.expiresIn - Validade em ms (padrão: `expiry`)
+   * @param {string} options.password - Senha (opcional)
+   * @returns {Object} `{ expiresIn, password }`
+   */
+  validate({ expiresIn = this.expiry, password } = {}) {
+    if (expiresIn > this.maxExpiry) {
+      throw new Error(`Validade do link acima do máximo de ${formatDuration(this.maxExpiry)}`);
+    }
+    if (password !== undefined && (typeof password !== 'string' || password === '')) {
+      throw new Error('Senha do link inválida');
+    }
+    if (password !== undefined && password.length > MAX_PASSWORD_LENGTH) {
+      throw new Error(`Senha do link muito longa. Máximo: ${MAX_PASSWORD_LENGTH} caracteres`);
+    }
+
+    return { expiresIn, password };
+  }
+
+  /**
+   * Cria um link para um resultado
+   * @param {Object} data - Dados do link
+   * @param {Buffer|string} data.output - Resultado
+   * @param {string} data.fileName - Nome do resultado para o download
+   * @param {string} data.contentType - Tipo do resultado
+   * @param {string} data.source - Nome do arquivo ou origem do texto
+   * @param {number} data.lineCount - Linhas do resultado
+   * @param {string|null} data.owner - Id da chave de API que criou o link
+   * @param {number} data.expiresIn - Validade em ms (padrão: `expiry`)
+   * @param {string} data.password - Senha exigida para abrir o link (opcional)
+   * @returns {Promise<Object>} Link criado
+   */
+  async create({ output, fileName, contentType, source, lineCount, owner, expiresIn, password }) {
+    const options = this.validate({ expiresIn, password });
+    const now = Date.now();
+    const share = {
+      token: crypto.randomBytes(9).toString('base64url'),
+      source,
+      fileName,
+      contentType,
+      size: Buffer.byteLength(output),
+      lineCount,
+      owner,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + options.expiresIn).toISOString(),
+      password: options.password === undefined ? null : await hashPassword(options.password)
+    };
+
+    await fs.promises.writeFile(this.outputPath(share), output);
+    await this.update(() => {
+      this.shares.unshift(share);
+      return [];
+    });
+    return share;
+  }
+
+  /**
+   * Busca um link válido
+   * @param {string} token - Token do link
+   * @returns {Object|null} Link, ou null se não existir, foi revogado ou expirou
+   */
+  get(token) {
+    const share = this.shares.find(item => item.token === token);
+
+    if (!share || Date.parse(share.expiresAt) <= Date.now()) {
+      return null;
+    }
+    return share;
+  }
+
+  /**
+   * Links válidos, do mais novo para o mais antigo, sem o hash da senha
+   * @param {Function} filter - Seleciona os links visíveis (ex.: os da chave de API da requisição)
+   * @returns {Array<Object>} Links
+   */
+  list(filter = () => true) {
+    const now = Date.now();
+    return this.shares.filter(share => Date.parse(share.expiresAt) > now && filter(share)).map(describeShare);
+  }
+
+  /**
+   * Confere a senha de um link
+   * @param {Object} share - Link
+   * @param {string|undefined} password - Senha informada
+   * @returns {Promise<boolean>} Se o link pode ser aberto
+   */
+  async verify(share, password) {
+    if (!share.password) {
+      return true;
+    }
+    if (typeof password !== 'string' || password === '' || password.length > MAX_PASSWORD_LENGTH) {
+      return false;
+    }
+
+    const expected = Buffer.from(share.password.hash, 'hex');
+    const actual = await scrypt(password, Buffer.from(share.password.salt, 'hex'), expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Caminho do resultado de um link
+   * @param {Object} share - Link
+   * @returns {string} Caminho do arquivo
+   */
+  outputPath(share) {
+    return path.join(this.dir, outputName(share.token));
+  }
+
+  /**
+   * Início do resultado de um link, para a página
+   * @param {Object} share - Link
+   * @returns {Promise<Object>} `{ text, truncated }` com até `PREVIEW_SIZE` bytes
+   */
+  async preview(share) {
+    const length = Math.min(share.size, PREVIEW_SIZE);
+    const buffer = Buffer.alloc(length);
+    const file = await fs.promises.open(this.outputPath(share), 'r');
+
+    try {
+      await file.read(buffer, 0, length, 0);
+    } finally {
+      await file.close();
+    }
+
+    // StringDecoder segura o caractere cortado no fim da prévia em vez de trocá-lo por �
+    return { text: new StringDecoder('utf8').write(buffer), truncated: share.size > PREVIEW_SIZE };
+  }
+
+  /**
+   * Revoga um link, removendo o resultado
+   * @param {string} token - Token do link
+   * @returns {Promise<Object|null>} Link revogado ou null se não existir (ou já expirou)
+   */
+  async revoke(token) {
+    const share = this.get(token);
+
+    if (!share) {
+      return null;
+    }
+
+    await this.update(() => {
+      this.shares = this.shares.filter(item => item !== share);
+      return [share];
+    });
+    return share;
+  }
+
+  /**
+   * Remove os links expirados
+   * @returns {Promise<number>} Quantidade de links removidos
+   */
+  async sweep() {
+    const removed = await this.update(() => {
+      const now = Date.now();
+      const expired = this.shares.filter(share => Date.parse(share.expiresAt) <= now);
+
+      this.shares = this.shares.filter(share => !expired.includes(share));
+      return expired;
+    });
+    return removed.length;
+  }
+
+  /**
+   * Validades aceitas, para GET /api/info
+   * @returns {Object} `{ enabled, expiry, maxExpiry }`
+   */
+  toJSON() {
+    return { enabled: true, expiry: this.expiry, maxExpiry: this.maxExpiry };
+  }
+
+  /**
+   * Altera o índice e o grava em disco, uma alteração por vez; os resultados dos links
+   * retirados são removidos depois da gravação
+   * @param {Function} change - Altera `this.shares` e devolve os links retirados
+   * @returns {Promise<Array<Object>>} Links retirados
+   */
+  update(change) {
+    const run = async () => {
+      const removed = change();
+      const temp = `${this.indexPath}.${process.pid}.tmp`;
+
+      await fs.promises.writeFile(temp, JSON.stringify({ shares: this.shares }, null, 2));
+      await fs.promises.rename(temp, this.indexPath);
+      await Promise.all(removed.map(share => fs.promises.rm(this.outputPath(share), { force: true })));
+      return removed;
+    };
+
+    const result = this.writing.then(run);
+    this.writing = result.catch(() => {});
+    return result;
+  }
+}
+
+/**
+ * Dados públicos de um link, sem o hash da senha
+ * @param {Object} share - Link
+ * @returns {Object} Link com `url` e `protected`
+ */
+function describeShare({ password, ...share }) {
+  return { ...share, url: `/r/${share.token}`, protected: Boolean(password) };
+}
+
+/**
+ * Hash scrypt de uma senha, com sal aleatório
+ * @param {string} password - Senha
+ * @returns {Promise<Object>} `{ salt, hash }` em hexadecimal
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 32);
+  return { salt: salt.toString('hex'), hash: hash.toString('hex') };
+}
+
+/**
+ * Duração legível para mensagens (ex.: 30d, 12h, 15m)
+ * @param {number} ms - Duração em ms
+ * @returns {string} Duração
+ */
+function formatDuration(ms) {
+  const units = [
+    ['d', 24 * 60 * 60 * 1000],
+    ['h', 60 * 60 * 1000],
+    ['m', 60 * 1000],
+    ['s', 1000]
+  ];
+  const [unit, size] = units.find(([, value]) => ms % value === 0) || ['ms', 1];
+  return `${ms / size}${unit}`;
+}
+
+/**
+ * Página de um link: origem, linhas, validade, botão de download e o resultado (até `PREVIEW_SIZE`)
+ * @param {Object} share - Link
+ * @param {string} text - Início do resultado
+ * @param {Object} options - Opções
+ * @param {boolean} options.truncated - Se o resultado passa da prévia
+ * @param {string} options.password - Senha já conferida, repassada ao download
+ * @returns {string} HTML
+ */
+function renderSharePage(share, text, { truncated, password }) {
+  const details = [
+    `${share.lineCount.toLocaleString('pt-BR')} linhas`,
+    `expira em ${new Date(share.expiresAt).toLocaleString('pt-BR', { timeZone: 'UTC' })} (UTC)`
+  ].join(' · ');
+  const note = truncated ? '<p class="note">Prévia do início do resultado; baixe o arquivo para ver tudo.</p>' : '';
+
+  return renderPage(
+    share.source,
+    `<h1>${escapeHtml(share.source)}</h1>
+    <p class="details">${escapeHtml(details)}</p>
+    <form method="post" action="/r/${share.token}">
+      <input type="hidden" name="download" value="1">
+      ${password === undefined ? '' : `<input type="hidden" name="password" value="${escapeHtml(password)}">`}
+      <button type="submit">Baixar ${escapeHtml(share.fileName)}</button>
+    </form>
+    ${note}
+    <pre>${escapeHtml(text)}</pre>`
+  );
+}
+
+/**
+ * Página que pede a senha de um link protegido
+ * @param {Object} share - Link
+ * @param {boolean} failed - Se uma senha errada foi enviada
+ * @returns {string} HTML
+ */
+function renderPasswordPage(share, failed) {
+  return renderPage(
+    'Link protegido',
+    `<h1>Link protegido</h1>
+    <p class="details">Informe a senha para abrir o resultado compartilhado.</p>
+    ${failed ? '<p class="error">Senha incorreta.</p>' : ''}
+    <form method="post" action="/r/${share.token}">
+      <input type="password" name="password" aria-label="Senha" autofocus required>
+      <button type="submit">Abrir</button>
+    </form>`
+  );
+}
+
+/**
+ * Página de link inexistente, revogado ou expirado
+ * @returns {string} HTML
+ */
+function renderMissingPage() {
+  return renderPage(
+    'Link indisponível',
+    `<h1>Link indisponível</h1>
+    <p class="details">Este link não existe, foi revogado ou expirou.</p>`
+  );
+}
+
+/**
+ * Estrutura comum das páginas dos links, com o visual da interface
+ * @param {string} title - Título
+ * @param {string} body - Conteúdo HTML
+ * @returns {string} HTML
+ */
+function renderPage(title, body) {
+  return `<!DOCTYPE html>
+<html lang="pt-BR">
+  <head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title>${escapeHtml(title)} - TAC</title>
+    <style>
+      body { font-family: 'Lato', sans-serif; background: #e9e9e9; color: #000; margin: 0; padding: 2rem; }
+      main { max-width: 960px; margin: 0 auto; background: rgba(255, 255, 255, 0.3);
+        border: 1px solid rgba(0, 0, 0, 0.1); border-radius: 20px; padding: 2rem; }
+      h1 { font-weight: 300; word-break: break-all; }
+      .details, .note { color: #333; }
+      .error { color: #b00020; }
+      form { display: flex; gap: 0.75rem; margin: 1rem 0; }
+      input, button { padding: 0.75rem 1rem; border: 1px solid rgba(0, 0, 0, 0.3); border-radius: 12px;
+        background: rgba(255, 255, 255, 0.1); font: inherit; }
+      button { cursor: pointer; }
+      pre { background: rgba(0, 0, 0, 0.05); border: 2px solid #000; border-radius: 12px; padding: 1.5rem;
+        overflow: auto; font-family: 'Monaco', 'Menlo', 'Ubuntu Mono', monospace; font-size: 0.9rem; }
+    </style>
+  </head>
+  <body>
+    <main>
+    ${body}
+    </main>
+  </body>
+</html>
+`;
+}
+
+/**
+ * Escapa texto para HTML
+ * @param {string} text - Texto
+ * @returns {string} Texto escapado
+ */
+function escapeHtml(text) {
+  const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+  return String(text).replace(/[&<>"']/g, char => entities[char]);
+}
+
+/**
+ * Nome do arquivo de resultado de um link
+ * @param {string} token - Token do link
+ * @returns {string} Nome do arquivo
+ */
+function outputName(token) {
+  return `${token}.out`;
+}
+
+module.exports = {
+  ShareStore,
+  SHARE_TOKEN,
+  PREVIEW_SIZE,
+  describeShare,
+  renderSharePage,
+  renderPasswordPage,
+  renderMissingPage
+};
@@ -1,99 +1,1677 @@
 const fs = require('fs');
 const path = require('path');
-const { Readable, Transform } = require('stream');
+const { EventEmitter, once } = require('events');
+const { Readable } = require('stream');
+const { createSeparatorMatcher, RecordSplitter, ReverseRecordScanner, RecordJoiner, splitRecords } = require('./records');
+const {
+  normalizeEncoding,
+  detectEncoding,
+  decode,
+  encode,
+  createDecoder,
+  countCarryBytes,
+  describeEncoding
+} = require('./encoding');
+const {
+  normalizeCompression,
+  detectCompression,
+  decompressBuffer,
+  decompressToTempFile,
+  compressChunks,
+  describeCompression
+} = require('./compression');
+const { RecordFilter, normalizePatterns } = require('./filter');
+const { MODES, normalizeMode, normalizeSeed, shuffleRecords } = require('./modes');
+const {
+  FORMATS,
+  normalizeFormat,
+  detectFormat,
+  splitCsvRecords,
+  splitJsonArray,
+  validateNdjsonRecord,
+  isFormatError
+} = require('./formats');
+
+// Bytes iniciais usados para detectar a codificação e a quebra de linha (iguais em todos os caminhos)
+const LINE_ENDING_SAMPLE = 64 * 1024;
+
+// Separadores usados para cada estilo de quebra de linha; `paragraph` separa parágrafos (linhas vazias).
+// Um CR logo após as linhas vazias pode ser o início de outra quebra CRLF, por isso não encerra a ocorrência
+const LINE_ENDINGS = {
+  lf: { separator: '\n', regex: false, paragraph: '\n{2,}', label: 'LF (Unix)' },
+  crlf: { separator: '\r?\n', regex: true, paragraph: '(?:\r?\n){2,}(?!\r)', label: 'CRLF (Windows)' },
+  cr: { separator: '\r', regex: false, paragraph: '\r{2,}', label: 'CR (Mac clássico)' }
+};
+
+// Modos de `processFiles`: cada arquivo invertido separadamente (`tac a b`) ou todos como um só (`cat a b | tac`)
+const FILES_MODES = ['each', 'concat'];
+
+// Ordenações de `processFiles`: por nome ou pela data de modificação
+const FILES_SORTS = ['name', 'mtime'];
+
+/**
+ * Valida uma quantidade de linhas (`lines` ou `skip`)
+ * @param {number|string|null} value - Quantidade informada
+ * @param {string} label - Nome da opção nas mensagens de erro
+ * @param {number} min - Valor mínimo aceito
+ * @returns {number|null} Quantidade ou null quando não informada
+ */
+function parseLineCount(value, label, min) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  const count = Number(value);
+
+  if (!Number.isInteger(count) || count < min) {
+    throw new Error(`${label} inválido: ${value}`);
+  }
+
+  return count;
+}
+
+/**
+ * Interpreta um intervalo de linhas originais, contadas a partir de 1
+ * @param {string|Object|null} value - 'a..b', 'a..' (até o fim), '..b' (desde o início),
+ *   'a' (uma linha) ou `{ start, end }`
+ * @returns {Object|null} `{ start, end }` (`end` null = até o fim) ou null quando não informado
+ */
+function parseLineRange(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  let start;
+  let end;
+
+  if (typeof value === 'object') {
+    start = value.start === undefined ? 1 : value.start;
+    end = value.end === undefined ? null : value.end;
+  } else {
+    const match = /^\s*(\d*)\s*(\.\.)?\s*(\d*)\s*$/.exec(String(value));
+
+    if (!match || (!match[1] && !match[3]) || (!match[2] && match[3])) {
+      throw new Error(`Intervalo de linhas inválido: ${value}`);
+    }
+
+    start = match[1] ? Number(match[1]) : 1;
+    end = match[2] ? (match[3] ? Number(match[3]) : null) : start;
+  }
+
+  if (!Number.isInteger(start) || start < 1 || (end !== null && (!Number.isInteger(end) || end < start))) {
+    throw new Error(`Intervalo de linhas inválido: ${typeof value === 'object' ? JSON.stringify(value) : value}`);
+  }
+
+  return { start, end };
+}
 
 /**
  * TAC - Implementação eficiente do comando tac Unix
- * Inverte as linhas de um arquivo usando streams para eficiência de memória
+ * Inverte as linhas de um arquivo usando streams para eficiência de memória.
+ * Emite 'progress' durante o processamento (ver `reportProgress`).
  */
-class TacProcessor {
+class TacProcessor extends EventEmitter {
   constructor(options = {}) {
+    super();
+
     this.options = {
-      encoding: options.encoding || 'utf8',
+      encoding: options.encoding || 'auto', // auto (BOM e heurística), utf8, utf16le, utf16be ou latin1
+      outputEncoding: options.outputEncoding || null, // Codificação da saída; null mantém a da entrada
+      compression: options.compression || 'auto', // auto (bytes mágicos), none, gzip, deflate ou br
+      outputCompression: options.outputCompression || null, // Compressão da saída em streams; null = sem compressão
+      maxDecompressedSize: options.maxDecompressedSize || Infinity, // Limite do conteúdo descomprimido nos streams
       bufferSize: options.bufferSize || 64 * 1024, // 64KB buffer
       maxMemoryUsage: options.maxMemoryUsage || 512 * 1024 * 1024, // 512MB limit
+      separator: options.separator || null, // Separador de registros (tac -s); null usa a quebra de linha
+      regex: Boolean(options.regex), // Separador como expressão regular (tac -r)
+      before: Boolean(options.before), // Separador antes do registro (tac -b)
+      lineEnding: options.lineEnding || 'auto', // auto, lf, crlf ou cr (sem separador personalizado)
+      lines: options.lines || null, // Quantidade de linhas do início da saída; null = todas
+      skip: options.skip || 0, // Linhas puladas no início da saída
+      range: options.range || null, // Intervalo de linhas originais ('a..b', 'a..', '..b' ou 'a')
+      include: options.include || [], // Padrões que a linha deve conter (qualquer um, como grep -e)
+      exclude: options.exclude || [], // Padrões que a linha não pode conter (como grep -v)
+      filterRegex: Boolean(options.filterRegex), // Padrões como expressões regulares
+      ignoreCase: Boolean(options.ignoreCase), // Filtros sem diferenciar maiúsculas (grep -i)
+      context: options.context || 0, // Linhas de contexto em volta de cada correspondência (grep -C)
+      mode: options.mode || 'lines', // lines, paragraphs, rev, words ou shuffle (ver modes.js)
+      seed: null, // Semente do embaralhamento (número ou texto); null escolhe uma aleatória
+      format: options.format || 'auto', // auto (extensão do arquivo), text, csv, json ou ndjson
       ...options
     };
+
+    this.options.encoding = normalizeEncoding(this.options.encoding, { allowAuto: true });
+    if (this.options.outputEncoding) {
+      this.options.outputEncoding = normalizeEncoding(this.options.outputEncoding);
+    }
+
+    this.options.compression = normalizeCompression(this.options.compression, { allowAuto: true });
+    if (this.options.outputCompression) {
+      this.options.outputCompression = normalizeCompression(this.options.outputCompression);
+    }
+
+    this.options.lines = parseLineCount(this.options.lines, 'Número de linhas', 1);
+    this.options.skip = parseLineCount(this.options.skip, 'Número de linhas a pular', 0) || 0;
+    this.options.range = parseLineRange(this.options.range);
+    this.options.include = normalizePatterns(this.options.include);
+    this.options.exclude = normalizePatterns(this.options.exclude);
+    this.options.context = parseLineCount(this.options.context, 'Número de linhas de contexto', 0) || 0;
+
+    // A semente escolhida fica nos metadados, para que o embaralhamento possa ser repetido
+    this.options.mode = normalizeMode(this.options.mode);
+    this.options.seed = this.options.mode === 'shuffle' ? normalizeSeed(this.options.seed) : null;
+
+    // Valida os padrões de filtro já na criação do processador
+    this.createFilter();
+
+    if (this.options.mode === 'paragraphs' && (this.options.separator || this.options.before)) {
+      throw new Error('O modo paragraphs separa os registros por linhas vazias e não aceita separator nem before');
+    }
+
+    this.options.format = normalizeFormat(this.options.format, { allowAuto: true });
+    const conflict = this.options.format !== 'auto' && this.formatConflict(this.options.format);
+    if (conflict) {
+      throw new Error(conflict);
+    }
+
+    if (this.options.lineEnding !== 'auto' && !LINE_ENDINGS[this.options.lineEnding]) {
+      throw new Error(`Quebra de linha inválida: ${this.options.lineEnding}`);
+    }
+
+    // Valida o separador já na criação do processador
+    if (this.options.separator) {
+      createSeparatorMatcher(this.options);
+    }
+  }
+
+  /**
+   * Processa um arquivo aplicando tac (inversão de linhas)
+   * @param {string} filePath - Caminho do arquivo
+   * @returns {Promise<Object>} Resultado do processamento
+   */
+  async processFile(filePath) {
+    const startTime = Date.now();
+    let decompressed = null;
+
+    try {
+      // CSV e JSON precisam do conteúdo inteiro (aspas e colchetes), então ficam sempre em memória e
+      // só eles têm o limite `maxMemoryUsage`; os demais formatos são lidos em blocos, sem limite
+      const whole = this.isWholeContentFormat(this.resolveFormat(filePath));
+      let stats = await this.validateFile(filePath, { enforceMaxSize: whole });
+      const fileSize = stats.size;
+      const compression = await this.detectFileCompression(filePath);
+
+      // Arquivos comprimidos são descomprimidos em streaming para um arquivo temporário,
+      // e os limites valem para o conteúdo descomprimido
+      if (compression) {
+        const limit = whole ? this.options.maxMemoryUsage : this.options.maxDecompressedSize;
+        decompressed = await decompressToTempFile(filePath, compression, limit);
+        stats = await this.validateFile(decompressed.path, { enforceMaxSize: whole });
+      }
+      const sourcePath = decompressed ? decompressed.path : filePath;
+
+      // Processar baseado no tamanho; com seleção de linhas, arquivos grandes são lidos a partir do fim
+      const reverse = this.hasSelection() && this.getOrder() === 'reverse';
+      const method = stats.size < this.options.bufferSize || whole ? 'memory' : reverse ? 'reverse' : 'streaming';
+      let result;
+      if (method === 'memory') {
+        result = await this.processSmallFile(sourcePath, stats, compression);
+      } else if (method === 'reverse') {
+        result = await this.processSelection(sourcePath, stats, compression);
+      } else {
+        result = await this.processLargeFile(sourcePath, stats, compression);
+      }
+
+      const processingTime = Date.now() - startTime;
+
+      return {
+        ...result,
+        metadata: {
+          ...result.metadata,
+          originalSize: stats.size,
+          ...(compression && { compressedSize: fileSize }),
+          processingTime,
+          method
+        }
+      };
+    } catch (error) {
+      throw new Error(`Erro ao processar arquivo: ${error.message}`, { cause: error });
+    } finally {
+      if (decompressed) {
+        await decompressed.cleanup();
+      }
+    }
+  }
+
+  /**
+   * Processa vários arquivos, como o GNU tac com mais de um arquivo
+   * - `each`: cada arquivo é invertido separadamente, e as saídas seguem a ordem dos arquivos (`tac a b`)
+   * - `concat`: os arquivos são invertidos como um só conteúdo (`cat a b | tac`), útil para a linha
+   *   do tempo de logs rotacionados; um arquivo sem quebra de linha final continua no próximo, como no `cat`
+   * @param {Array<string|Object>} files - Caminhos ou `{ path, name }` (`name` aparece nos passos e nas anotações)
+   * @param {Object} options - Opções da leitura
+   * @param {string} options.mode - 'each' (padrão) ou 'concat'
+   * @param {string|null} options.sort - Ordenar os arquivos por 'name' ou 'mtime' (padrão: ordem informada)
+   * @param {boolean} options.descending - Ordenação decrescente (ex.: app.log.2, app.log.1, app.log)
+   * @param {boolean} options.annotate - Iniciar cada linha com o nome do arquivo de origem (`arquivo:linha`)
+   * @returns {Promise<Object>} Resultado do processamento, com `files` (linhas de cada arquivo)
+   */
+  async processFiles(files, options = {}) {
+    const startTime = Date.now();
+
+    try {
+      const plan = this.planFiles(files, options);
+      const state = { lineCount: 0, files: [], filter: null, input: null };
+      const parts = [];
+
+      for await (const chunk of this.reverseFiles(plan, state)) {
+        parts.push(chunk);
+      }
+
+      return this.buildFilesResult(plan, state, startTime, parts.join(''));
+    } catch (error) {
+      throw new Error(`Erro ao processar arquivos: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Inverte vários arquivos escrevendo o resultado em um stream (ver `processFiles`).
+   * Os arquivos são lidos em blocos, então o uso de memória não depende do tamanho deles;
+   * a saída usa `outputEncoding` ou a codificação do primeiro arquivo.
+   * @param {Array<string|Object>} files - Caminhos ou `{ path, name }`
+   * @param {stream.Writable} output - Stream de destino
+   * @param {Object} options - Opções de `processFiles`, mais `end` (encerrar o stream; padrão: true).
+   *   Com `outputCompression`, a saída é comprimida
+   * @returns {Promise<Object>} Resultado do processamento (sem o texto invertido)
+   */
+  async reverseFilesToStream(files, output, { end = true, ...options } = {}) {
+    const startTime = Date.now();
+
+    try {
+      const plan = this.planFiles(files, options);
+      const state = { lineCount: 0, files: [], filter: null, input: null };
+      const bytes = this.reverseFilesBytes(plan, state);
+      const chunks = this.options.outputCompression ? compressChunks(bytes, this.options.outputCompression) : bytes;
+
+      for await (const chunk of chunks) {
+        await this.writeChunk(output, chunk);
+      }
+
+      if (end) {
+        output.end();
+        await once(output, 'finish');
+      }
+
+      return this.buildFilesResult(plan, state, startTime);
+    } catch (error) {
+      throw new Error(`Erro ao processar arquivos: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Produz o conteúdo invertido dos arquivos já codificado, com a codificação (e o BOM) do primeiro arquivo
+   * @param {Object} plan - Arquivos e opções validados
+   * @param {Object} state - Contadores atualizados durante a leitura
+   * @returns {AsyncGenerator<Buffer>} Trechos do conteúdo invertido
+   */
+  async *reverseFilesBytes(plan, state) {
+    let outputEncoding = null;
+
+    for await (const chunk of this.reverseFiles(plan, state)) {
+      if (!outputEncoding) {
+        outputEncoding = this.getOutputEncoding(state.input.encoding);
+
+        if (this.shouldWriteBom({ encoding: state.input.encoding, bom: state.input.bomLength > 0 }, outputEncoding)) {
+          yield encode('', outputEncoding, { bom: true });
+        }
+      }
+
+      yield encode(chunk, outputEncoding);
+    }
+  }
+
+  /**
+   * Valida as opções de `processFiles` e a lista de arquivos (sem acessar o disco)
+   * @param {Array<string|Object>} files - Caminhos ou `{ path, name }`
+   * @param {Object} options - Opções de `processFiles`
+   * @returns {Object} `{ sources, mode, sort, descending, annotate }`; `sources` são `{ path, name, format }`
+   */
+  planFiles(files, { mode = 'each', sort = null, descending = false, annotate = false } = {}) {
+    if (!Array.isArray(files) || files.length === 0) {
+      throw new Error('Nenhum arquivo informado');
+    }
+
+    if (!FILES_MODES.includes(mode)) {
+      throw new Error(`Modo de arquivos inválido: ${mode}. Use ${FILES_MODES.join(' ou ')}`);
+    }
+
+    if (sort !== null && !FILES_SORTS.includes(sort)) {
+      throw new Error(`Ordenação inválida: ${sort}. Use ${FILES_SORTS.join(' ou ')}`);
+    }
+
+    // No modo concat as linhas dos arquivos formam uma só sequência, lida em partes a partir do fim
+    if (mode === 'concat' && this.options.range) {
+      throw new Error('O modo concat não aceita range; use lines e skip');
+    }
+
+    const sources = files.map(file => {
+      const source = typeof file === 'string' ? { path: file } : { ...file };
+      source.name = source.name || source.path;
+      source.format = this.resolveFormat(source.name);
+
+      // CSV e JSON têm cabeçalho e colchetes próprios, que não podem ser concatenados nem anotados
+      if (this.isWholeContentFormat(source.format) && (mode === 'concat' || annotate)) {
+        const reason = mode === 'concat' ? 'não pode ser concatenado' : 'não aceita annotate';
+        throw new Error(`O formato ${source.format} (${source.name}) ${reason}`);
+      }
+
+      return source;
+    });
+
+    return { sources, mode, sort, descending: Boolean(descending), annotate: Boolean(annotate) };
+  }
+
+  /**
+   * Valida os arquivos e os ordena por nome (com números em ordem numérica: app.log.2 antes
+   * de app.log.10) ou pela data de modificação. Arquivos vazios são aceitos, como no GNU tac
+   * @param {Array<Object>} sources - Arquivos `{ path, name }`
+   * @param {string|null} sort - 'name', 'mtime' ou null (ordem informada)
+   * @param {boolean} descending - Ordem decrescente
+   * @returns {Promise<Array<Object>>} Arquivos ordenados
+   */
+  async sortFiles(sources, sort, descending) {
+    const mtimes = new Map();
+
+    for (const source of sources) {
+      try {
+        const stats = await this.validateFile(source.path, { enforceMaxSize: false, allowEmpty: true });
+        mtimes.set(source, stats.mtimeMs);
+      } catch (error) {
+        throw new Error(`${source.name}: ${error.message}`, { cause: error });
+      }
+    }
+
+    const collator = new Intl.Collator('pt-BR', { numeric: true });
+    const compare =
+      sort === 'mtime' ? (a, b) => mtimes.get(a) - mtimes.get(b) : (a, b) => collator.compare(a.name, b.name);
+    const sorted = sort ? [...sources].sort(compare) : [...sources];
+
+    return descending ? sorted.reverse() : sorted;
+  }
+
+  /**
+   * Produz o texto invertido dos arquivos conforme o modo de `planFiles`
+   * @param {Object} plan - Arquivos e opções validados
+   * @param {Object} state - Recebe `lineCount`, `files` (na ordem usada), `filter` e `input` do primeiro arquivo
+   * @returns {AsyncGenerator<string>} Trechos do conteúdo invertido
+   */
+  async *reverseFiles(plan, state) {
+    const sources = await this.sortFiles(plan.sources, plan.sort, plan.descending);
+    state.files = sources.map(source => ({ name: source.name, lineCount: 0 }));
+
+    if (plan.mode === 'concat') {
+      yield* this.reverseConcatenated(sources, plan.annotate, state);
+      return;
+    }
+
+    for (const [index, source] of sources.entries()) {
+      const opened = await this.openSource(source.path, source.name);
+      const fileState = { lineCount: 0, lineEnding: null, input: opened.input, annotate: plan.annotate && source.name };
+
+      try {
+        state.input = state.input || opened.input;
+        yield* this.reverseChunks(opened.sourcePath, fileState);
+      } finally {
+        await opened.cleanup();
+      }
+
+      Object.assign(state.files[index], this.sourceMetadata(opened), {
+        lineCount: fileState.lineCount,
+        lineEnding: fileState.lineEnding
+      });
+      state.lineCount += fileState.lineCount;
+    }
+  }
+
+  /**
+   * Inverte os arquivos como se tivessem sido concatenados: na ordem invertida o último arquivo
+   * é lido primeiro, do fim para o início, e só um bloco por vez fica em memória
+   * (no embaralhamento, todas as linhas ficam em memória).
+   * `lines` e `skip` valem para a saída, e os filtros veem a sequência inteira.
+   * @param {Array<Object>} sources - Arquivos já ordenados
+   * @param {boolean} annotate - Iniciar cada linha com o nome do arquivo
+   * @param {Object} state - Contadores atualizados durante a leitura
+   * @returns {AsyncGenerator<string>} Trechos do conteúdo invertido
+   */
+  async *reverseConcatenated(sources, annotate, state) {
+    const opened = [];
+
+    try {
+      for (const source of sources) {
+        opened.push(await this.openSource(source.path, source.name));
+      }
+
+      const [first] = opened;
+      const order = this.getOrder();
+      const lineEnding = this.detectLineEnding(
+        this.options.separator ? '' : await this.sampleFile(first.sourcePath, first.input)
+      );
+      const joiner = this.createJoiner(first.input.format);
+      const filter = this.createFilter({ sequential: true });
+      let records = this.readConcatenatedRecords(opened, state.files, order === 'reverse');
+      let pending = '';
+
+      Object.assign(state, { input: first.input, lineEnding, filter });
+
+      if (order === 'shuffle') {
+        const all = [];
+        for await (const record of records) {
+          all.push(record);
+        }
+        records = shuffleRecords(all, this.options.seed, this.options.before);
+      }
+
+      for await (const record of records) {
+        for (const selected of filter ? filter.push(record) : [record]) {
+          this.validateRecord(selected, selected.file.format);
+          pending += joiner.push(this.annotateRecord(this.transformRecord(selected), annotate && selected.file.name));
+          selected.file.lineCount++;
+          state.lineCount++;
+        }
+
+        if (pending.length >= this.options.bufferSize) {
+          yield pending;
+          pending = '';
+        }
+
+        if (filter && filter.done) {
+          break;
+        }
+      }
+
+      pending += joiner.end();
+
+      if (pending) {
+        yield pending;
+      }
+
+      opened.forEach((source, index) => Object.assign(state.files[index], this.sourceMetadata(source)));
+    } finally {
+      await Promise.all(opened.map(source => source.cleanup()));
+    }
+  }
+
+  /**
+   * Lê os registros de vários arquivos como uma só sequência. O registro sem separador na
+   * divisa entre dois arquivos (fim sem quebra de linha ou, com `before`, início sem separador)
+   * é unido ao registro vizinho, como na saída do `cat`.
+   * @param {Array<Object>} opened - Arquivos abertos (`openSource`)
+   * @param {Array<Object>} files - Contadores de cada arquivo (recebem as linhas da saída)
+   * @param {boolean} reverse - Ler do último registro do último arquivo para o primeiro
+   * @returns {AsyncGenerator<Object>} Registros `{ content, separator, file }`
+   */
+  async *readConcatenatedRecords(opened, files, reverse) {
+    const { before } = this.options;
+    const indexes = opened.map((source, index) => index);
+    let held = null;
+
+    for (const index of reverse ? indexes.reverse() : indexes) {
+      const { sourcePath, input } = opened[index];
+      const lineEnding = this.detectLineEnding(this.options.separator ? '' : await this.sampleFile(sourcePath, input));
+      const file = Object.assign(files[index], { format: input.format, lineEnding });
+      const recordOptions = this.getRecordOptions(lineEnding);
+      const read = reverse ? this.readRecordsReverse : this.readRecordsForward;
+      let boundary = held !== null;
+
+      for await (const record of read.call(this, sourcePath, recordOptions, input)) {
+        const current = { ...record, file };
+
+        if (boundary) {
+          boundary = false;
+          // `earlier` vem antes no conteúdo concatenado
+          const [earlier, later] = reverse ? [current, held] : [held, current];
+
+          if ((before ? later.separator : earlier.separator) === '') {
+            held = {
+              content: earlier.content + later.content,
+              separator: before ? earlier.separator : later.separator,
+              file: earlier.file
+            };
+            continue;
+          }
+        }
+
+        if (held) {
+          yield held;
+        }
+        held = current;
+      }
+    }
+
+    if (held) {
+      yield held;
+    }
+  }
+
+  /**
+   * Abre um arquivo para leitura, descomprimindo-o para um arquivo temporário se necessário
+   * @param {string} filePath - Caminho do arquivo
+   * @param {string} name - Nome usado na detecção do formato (padrão: o caminho)
+   * @returns {Promise<Object>} `{ sourcePath, input, size, contentSize, cleanup }`
+   */
+  async openSource(filePath, name = filePath) {
+    const compression = await this.detectFileCompression(filePath);
+    const decompressed = compression
+      ? await decompressToTempFile(filePath, compression, this.options.maxDecompressedSize)
+      : null;
+    const sourcePath = decompressed ? decompressed.path : filePath;
+    const cleanup = async () => {
+      if (decompressed) {
+        await decompressed.cleanup();
+      }
+    };
+
+    try {
+      return {
+        sourcePath,
+        input: {
+          ...(await this.detectFileEncoding(sourcePath)),
+          compression,
+          format: this.resolveFormat(name)
+        },
+        size: (await fs.promises.stat(filePath)).size,
+        contentSize: decompressed ? decompressed.size : null,
+        cleanup
+      };
+    } catch (error) {
+      await cleanup();
+      throw error;
+    }
+  }
+
+  /**
+   * Informações de um arquivo incluídas em `files` no resultado de `processFiles`
+   * @param {Object} source - Arquivo aberto (`openSource`)
+   * @returns {Object} Tamanhos, formato, codificação e compressão
+   */
+  sourceMetadata({ input, size, contentSize }) {
+    return {
+      originalSize: input.compression ? contentSize : size,
+      ...(input.compression && { compressedSize: size }),
+      format: input.format,
+      encoding: input.encoding,
+      compression: input.compression || null
+    };
+  }
+
+  /**
+   * Inicia o conteúdo do registro com o nome do arquivo de origem (como `grep -H`)
+   * @param {Object} record - Registro `{ content, separator }`
+   * @param {string|false|null} name - Nome do arquivo; sem nome, o registro não muda
+   * @returns {Object} Registro anotado
+   */
+  annotateRecord(record, name) {
+    return name ? { content: `${name}:${record.content}`, separator: record.separator } : record;
+  }
+
+  /**
+   * Monta o resultado de `processFiles`
+   * @param {Object} plan - Arquivos e opções validados
+   * @param {Object} state - Contadores da leitura
+   * @param {number} startTime - Início do processamento
+   * @param {string} result - Texto invertido (omitido na escrita em stream)
+   * @returns {Object} Resultado do processamento
+   */
+  buildFilesResult(plan, state, startTime, result = undefined) {
+    const source = `${state.files.length} arquivos (${plan.mode === 'concat' ? 'concatenados' : 'separados'})`;
+    const summary = MODES[this.options.mode].summary;
+    const sortLabels = { name: 'por nome', mtime: 'pela data de modificação' };
+    const sortLabel = plan.sort ? `${sortLabels[plan.sort]}${plan.descending ? ' (decrescente)' : ''}` : null;
+
+    const steps = [
+      `Fonte: ${source}`,
+      `Ordem dos arquivos: ${sortLabel || (plan.descending ? 'informada, invertida' : 'informada')}`,
+      ...state.files.map(
+        (file, index) => `   ${index + 1}. ${file.name}: ${file.lineCount.toLocaleString('pt-BR')} linhas`
+      ),
+      plan.mode === 'concat'
+        ? 'Leitura: arquivos invertidos como um só conteúdo (cat | tac)'
+        : 'Leitura: cada arquivo invertido separadamente (tac a b)',
+      ...(plan.annotate ? ['Origem: cada linha começa com o nome do arquivo (arquivo:linha)'] : []),
+      ...this.describeMode(),
+      ...this.describeFilter(state.filter),
+      '',
+      '✅ Processamento concluído com sucesso!',
+      `📊 Total: ${state.lineCount.toLocaleString('pt-BR')} ${summary}`
+    ];
+
+    return {
+      ...(result !== undefined && { result }),
+      steps,
+      lineCount: state.lineCount,
+      source,
+      files: state.files,
+      metadata: {
+        processingTime: Date.now() - startTime,
+        method: plan.mode,
+        files: { mode: plan.mode, sort: plan.sort, descending: plan.descending, annotate: plan.annotate },
+        outputEncoding: state.input ? this.getOutputEncoding(state.input.encoding) : null,
+        ...this.modeMetadata(),
+        filter: this.filterMetadata(state.filter)
+      }
+    };
+  }
+
+  /**
+   * Processa texto diretamente
+   * @param {string} text - Texto a ser processado
+   * @param {string} source - Fonte do texto
+   * @param {Object} input - Origem do texto (`{ encoding, bomLength, compression }`)
+   * @returns {Object} Resultado do processamento
+   */
+  processText(text, source = 'texto direto', input = { encoding: 'utf8', bomLength: 0, compression: null }) {
+    const startTime = Date.now();
+
+    if (!text || typeof text !== 'string') {
+      throw new Error('Texto inválido fornecido');
+    }
+
+    const { result, lineCount, lineEnding, selection, filter, format } = this.reverseText(text, input);
+    input = { ...input, format };
+
+    // Gerar passos de cálculo
+    const steps = this.generateCalculationSteps(lineCount, source, 'memory', lineEnding, input, selection, filter);
+
+    return {
+      original: text,
+      result: result,
+      steps: steps,
+      lineCount: lineCount,
+      source: source,
+      metadata: {
+        originalSize: Buffer.byteLength(text, 'utf8'),
+        processingTime: Date.now() - startTime,
+        method: 'memory',
+        lineEnding: lineEnding,
+        ...this.inputMetadata(input),
+        ...this.modeMetadata(),
+        selection: this.selectionMetadata(selection),
+        filter: this.filterMetadata(filter)
+      }
+    };
+  }
+
+  /**
+   * Aplica tac (ou o modo configurado) a um texto completo, respeitando o formato da entrada.
+   * Um CSV ou JSON detectado pela extensão que não corresponde ao formato é invertido como texto;
+   * com o formato configurado, o erro segue para quem chamou
+   * @param {string} text - Texto a ser processado
+   * @param {Object} input - Origem do texto (`{ encoding, format }`; sem `format`, usa a opção)
+   * @returns {Object} `{ result, lineCount, lineEnding, selection, filter, format }`
+   */
+  reverseText(text, input) {
+    const format = input.format || this.resolveFormat(null);
+
+    try {
+      return this.reverseFormattedText(text, input, format);
+    } catch (error) {
+      if (this.options.format !== 'auto' || format === 'text' || !isFormatError(error)) {
+        throw error;
+      }
+      return this.reverseFormattedText(text, input, 'text');
+    }
+  }
+
+  /**
+   * Aplica tac (ou o modo configurado) a um texto completo em um formato
+   * @param {string} text - Texto a ser processado
+   * @param {Object} input - Origem do texto (`{ encoding }`)
+   * @param {string} format - 'text', 'csv', 'json' ou 'ndjson'
+   * @returns {Object} `{ result, lineCount, lineEnding, selection, filter, format }`
+   */
+  reverseFormattedText(text, input, format) {
+    const lineEnding = this.detectLineEnding(this.sampleText(text, input.encoding));
+    const { prefix, records, suffix } = this.splitContent(text, format, lineEnding);
+    const selection = { total: records.length, ...this.selectWindow(records.length) };
+    const filter = this.createFilter();
+
+    // Aplicar tac (reverter registros) ou o modo configurado; cabeçalho e colchetes ficam no lugar
+    const result = prefix + this.joinRecords(records, selection, filter, format) + suffix;
+    const lineCount = filter ? filter.emitted : selection.end - selection.start;
+
+    return { result, lineCount, lineEnding, selection, filter, format };
+  }
+
+  /**
+   * Divide o conteúdo em registros conforme o formato
+   * @param {string} text - Conteúdo completo
+   * @param {string} format - 'text', 'csv', 'json' ou 'ndjson'
+   * @param {string|null} lineEnding - Quebra de linha detectada
+   * @returns {Object} `{ prefix, records, suffix }`: só os registros mudam de ordem
+   */
+  splitContent(text, format, lineEnding) {
+    if (format === 'json') {
+      return splitJsonArray(text);
+    }
+
+    if (format === 'csv') {
+      const records = splitCsvRecords(text, LINE_ENDINGS[lineEnding].separator);
+      const header = records.shift();
+      return { prefix: header ? header.content + header.separator : '', records, suffix: '' };
+    }
+
+    return { prefix: '', records: splitRecords(text, this.getRecordOptions(lineEnding)), suffix: '' };
+  }
+
+  /**
+   * Formato usado para um arquivo: o configurado ou, com 'auto', o da extensão.
+   * Na detecção automática, opções que só valem para texto (ex.: `separator`, modo `rev`)
+   * mantêm o arquivo como texto
+   * @param {string|null} filename - Nome ou caminho do arquivo (null para texto direto)
+   * @returns {string} 'text', 'csv', 'json' ou 'ndjson'
+   */
+  resolveFormat(filename) {
+    const { format } = this.options;
+
+    if (format !== 'auto') {
+      return format;
+    }
+
+    const detected = detectFormat(filename);
+    return this.formatConflict(detected) ? 'text' : detected;
+  }
+
+  /**
+   * Verifica se as opções de separador e de modo servem para um formato estruturado
+   * @param {string} format - Formato desejado
+   * @returns {string|null} Mensagem de erro ou null quando compatível
+   */
+  formatConflict(format) {
+    const { separator, before, mode } = this.options;
+
+    if (format === 'text') {
+      return null;
+    }
+
+    if (separator || before) {
+      return `O formato ${format} define os próprios registros e não aceita separator nem before`;
+    }
+
+    if (mode !== 'lines' && mode !== 'shuffle') {
+      return `O formato ${format} aceita apenas os modos lines e shuffle`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Formatos que só podem ser divididos com o conteúdo inteiro (aspas do CSV, colchetes do JSON)
+   * @param {string} format - Formato da entrada
+   * @returns {boolean} Se o conteúdo precisa estar todo em memória
+   */
+  isWholeContentFormat(format) {
+    return format === 'csv' || format === 'json';
+  }
+
+  /**
+   * Detecta o estilo de quebra de linha a partir do início do conteúdo.
+   * Só é usado quando nenhum separador personalizado foi configurado.
+   * @param {string} sample - Primeiros `LINE_ENDING_SAMPLE` bytes decodificados
+   * @returns {string|null} 'lf', 'crlf', 'cr' ou null com separador personalizado
+   */
+  detectLineEnding(sample) {
+    if (this.options.separator) {
+      return null;
+    }
+
+    if (this.options.lineEnding !== 'auto') {
+      return this.options.lineEnding;
+    }
+
+    // Um CR no fim da amostra pode ser a primeira metade de um CRLF cortado
+    const text = sample.endsWith('\r') ? sample.slice(0, -1) : sample;
+
+    if (text.includes('\r\n')) {
+      return 'crlf';
+    }
+
+    if (text.includes('\r') && !text.includes('\n')) {
+      return 'cr';
+    }
+
+    return 'lf';
+  }
+
+  /**
+   * Retorna os primeiros bytes de um texto, como seriam lidos do arquivo
+   * @param {string} text - Texto completo
+   * @param {string} encoding - Codificação de origem do texto
+   * @returns {string} Amostra para detecção da quebra de linha
+   */
+  sampleText(text, encoding = 'utf8') {
+    const bytes = encode(text.slice(0, LINE_ENDING_SAMPLE), encoding);
+    return decode(bytes.subarray(0, LINE_ENDING_SAMPLE), encoding);
+  }
+
+  /**
+   * Lê os primeiros bytes do conteúdo de um arquivo (após o BOM)
+   * @param {string} filePath - Caminho do arquivo
+   * @param {Object} input - Codificação detectada (`{ encoding, bomLength }`)
+   * @returns {Promise<string>} Amostra para detecção da quebra de linha
+   */
+  async sampleFile(filePath, input) {
+    const buffer = await this.readHead(filePath, LINE_ENDING_SAMPLE, input.bomLength);
+    return decode(buffer, input.encoding);
+  }
+
+  /**
+   * Lê bytes do início de um arquivo
+   * @param {string} filePath - Caminho do arquivo
+   * @param {number} length - Quantidade máxima de bytes
+   * @param {number} position - Posição inicial (padrão: 0)
+   * @returns {Promise<Buffer>} Bytes lidos
+   */
+  async readHead(filePath, length, position = 0) {
+    const handle = await fs.promises.open(filePath, 'r');
+
+    try {
+      const buffer = Buffer.alloc(length);
+      const { bytesRead } = await handle.read(buffer, 0, length, position);
+      return buffer.subarray(0, bytesRead);
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Detecta a codificação de um arquivo pelo BOM ou pelos primeiros bytes.
+   * Com `encoding` fixo, apenas o BOM correspondente é reconhecido e removido.
+   * @param {string} filePath - Caminho do arquivo
+   * @returns {Promise<Object>} `{ encoding, bomLength }`
+   */
+  async detectFileEncoding(filePath) {
+    return detectEncoding(await this.readHead(filePath, LINE_ENDING_SAMPLE), this.options.encoding);
+  }
+
+  /**
+   * Detecta a compressão de um arquivo (gzip, deflate ou brotli).
+   * Com `compression` fixo, o formato configurado é usado sem detecção; 'none' desativa.
+   * @param {string} filePath - Caminho do arquivo
+   * @returns {Promise<string|null>} Formato ou null para arquivo não comprimido
+   */
+  async detectFileCompression(filePath) {
+    const { compression } = this.options;
+
+    if (compression !== 'auto') {
+      return compression === 'none' ? null : compression;
+    }
+
+    return detectCompression(await this.readHead(filePath, 1024), path.basename(filePath));
+  }
+
+  /**
+   * Codificação usada na saída
+   * @param {string} inputEncoding - Codificação da entrada
+   * @returns {string} `outputEncoding` configurado ou a codificação da entrada
+   */
+  getOutputEncoding(inputEncoding) {
+    return this.options.outputEncoding || inputEncoding;
+  }
+
+  /**
+   * Define se a saída começa com BOM: quando a entrada tinha BOM ou quando o texto é
+   * convertido para UTF-16 (sem BOM a ordem dos bytes não pode ser identificada).
+   * Latin-1 não tem BOM.
+   * @param {Object} input - Entrada (`{ encoding, bom }`; `encoding` null para texto sem origem)
+   * @param {string} outputEncoding - Codificação da saída
+   * @returns {boolean} Se o BOM deve ser escrito
+   */
+  shouldWriteBom(input, outputEncoding) {
+    if (outputEncoding === 'latin1') {
+      return false;
+    }
+
+    return input.bom || (outputEncoding !== input.encoding && outputEncoding.startsWith('utf16'));
+  }
+
+  /**
+   * Informações de codificação e compressão incluídas em `metadata`
+   * @param {Object} input - Origem da entrada (`{ encoding, bomLength, compression }`)
+   * @returns {Object} `format`, `encoding`, `bom`, `outputEncoding`, `compression` e `outputCompression`
+   */
+  inputMetadata(input) {
+    return {
+      format: input.format || 'text',
+      encoding: input.encoding,
+      bom: input.bomLength > 0,
+      outputEncoding: this.getOutputEncoding(input.encoding),
+      compression: input.compression || null,
+      outputCompression: this.options.outputCompression
+    };
+  }
+
+  /**
+   * Opções de separador efetivas para a divisão em registros
+   * @param {string|null} lineEnding - Quebra de linha detectada
+   * @returns {Object} Opções `separator`, `regex` e `before`
+   */
+  getRecordOptions(lineEnding) {
+    const { separator, regex, before, mode } = this.options;
+
+    if (separator) {
+      return { separator, regex, before };
+    }
+
+    if (mode === 'paragraphs') {
+      return { separator: LINE_ENDINGS[lineEnding].paragraph, regex: true, before: false };
+    }
+
+    return { separator: LINE_ENDINGS[lineEnding].separator, regex: LINE_ENDINGS[lineEnding].regex, before };
+  }
+
+  /**
+   * Junta os registros na ordem do modo configurado (invertida por padrão)
+   * @param {Array<Object>} records - Registros na ordem original
+   * @param {Object} window - Registros selecionados (`{ start, end }`, padrão: todos)
+   * @param {RecordFilter|null} filter - Filtro aplicado aos registros já ordenados
+   * @param {string} format - Formato da entrada ('text', 'csv', 'json' ou 'ndjson')
+   * @returns {string} Texto resultante
+   */
+  joinRecords(records, { start = 0, end = records.length } = {}, filter = null, format = 'text') {
+    const joiner = this.createJoiner(format);
+    const parts = [];
+
+    for (const record of this.orderRecords(records, start, end, format)) {
+      for (const selected of filter ? filter.push(record) : [record]) {
+        this.validateRecord(selected, format);
+        parts.push(joiner.push(this.transformRecord(selected)));
+      }
+
+      if (filter && filter.done) {
+        break;
+      }
+    }
+    parts.push(joiner.end());
+
+    return parts.join('');
+  }
+
+  /**
+   * Percorre os registros selecionados na ordem do modo configurado
+   * @param {Array<Object>} records - Registros na ordem original
+   * @param {number} start - Primeiro registro selecionado
+   * @param {number} end - Fim da seleção (exclusivo)
+   * @param {string} format - Formato da entrada
+   * @returns {Generator<Object>} Registros na ordem da saída
+   */
+  *orderRecords(records, start, end, format = 'text') {
+    const order = this.getOrder();
+
+    if (order === 'shuffle') {
+      // No JSON cada separador vai antes do elemento (ver `createJoiner`), como no modo `before`
+      const before = this.options.before || format === 'json';
+      yield* shuffleRecords(records.slice(start, end), this.options.seed, before);
+    } else if (order === 'original') {
+      for (let i = start; i < end; i++) {
+        yield records[i];
+      }
+    } else {
+      for (let i = end - 1; i >= start; i--) {
+        yield records[i];
+      }
+    }
+  }
+
+  /**
+   * Ordem dos registros na saída do modo configurado
+   * @returns {string} 'reverse', 'original' ou 'shuffle'
+   */
+  getOrder() {
+    return MODES[this.options.mode].order;
+  }
+
+  /**
+   * Aplica a transformação do modo (ex.: `rev`) ao conteúdo de um registro
+   * @param {Object} record - Registro `{ content, separator }`
+   * @returns {Object} Registro transformado
+   */
+  transformRecord(record) {
+    const { transform } = MODES[this.options.mode];
+    return transform ? { content: transform(record.content), separator: record.separator } : record;
+  }
+
+  /**
+   * Verifica um registro antes de escrevê-lo (no NDJSON, cada linha precisa ser um JSON).
+   * Só o formato configurado é validado: um .ndjson detectado pela extensão aceita qualquer linha
+   * @param {Object} record - Registro `{ content, separator }`
+   * @param {string} format - Formato da entrada
+   */
+  validateRecord(record, format) {
+    if (format === 'ndjson' && this.options.format === 'ndjson') {
+      validateNdjsonRecord(record.content);
+    }
+  }
+
+  /**
+   * Cria o RecordJoiner da saída. No texto os registros saem como no GNU tac; nas linhas de
+   * CSV e NDJSON a linha final sem quebra recebe a do vizinho, para que as linhas não se juntem.
+   * Os elementos de um array JSON mantêm as vírgulas entre eles, e o último fica sem vírgula
+   * @param {string} format - Formato da entrada
+   * @returns {RecordJoiner} Junção dos registros
+   */
+  createJoiner(format = 'text') {
+    const json = format === 'json';
+
+    return new RecordJoiner({
+      before: this.options.before,
+      balance: format === 'csv' || format === 'ndjson',
+      shift: json || this.options.mode === 'paragraphs',
+      finalSeparator: json ? '' : null
+    });
+  }
+
+  /**
+   * Modo incluído em `metadata`
+   * @returns {Object} `mode` e `seed` (null fora do embaralhamento)
+   */
+  modeMetadata() {
+    return { mode: this.options.mode, seed: this.options.seed };
+  }
+
+  /**
+   * Verifica se alguma seleção de linhas (`lines`, `skip` ou `range`) está configurada
+   * @returns {boolean} Se a saída é só parte das linhas
+   */
+  hasSelection() {
+    const { lines, skip, range } = this.options;
+    return lines !== null || skip > 0 || range !== null;
+  }
+
+  /**
+   * Calcula os registros selecionados, na ordem original.
+   * `range` limita as linhas originais; `skip` e `lines` valem para a saída (já invertida),
+   * ou seja, pulam e contam linhas a partir do fim do intervalo.
+   * @param {number} total - Total de registros
+   * @returns {Object} `{ start, end }` (índices a partir de 0, `end` exclusivo)
+   */
+  selectWindow(total) {
+    const { range } = this.options;
+    const { lines, skip } = this.outputLimits();
+    const start = range ? Math.min(range.start - 1, total) : 0;
+    const end = Math.max(start, (range && range.end !== null ? Math.min(range.end, total) : total) - skip);
+
+    return { start: lines !== null ? Math.max(start, end - lines) : start, end };
+  }
+
+  /**
+   * `lines` e `skip` aplicados na seleção dos registros; com filtros ou fora da ordem
+   * invertida, eles valem para a saída e são aplicados pelo RecordFilter
+   * @returns {Object} `{ lines, skip }`
+   */
+  outputLimits() {
+    return this.hasFilter() || this.getOrder() !== 'reverse'
+      ? { lines: null, skip: 0 }
+      : { lines: this.options.lines, skip: this.options.skip };
+  }
+
+  /**
+   * Verifica se há filtros de padrão (`include` ou `exclude`) configurados
+   * @returns {boolean} Se as linhas são filtradas
+   */
+  hasFilter() {
+    return this.options.include.length > 0 || this.options.exclude.length > 0;
+  }
+
+  /**
+   * Cria o filtro de padrões para um processamento (cada um conta as próprias correspondências).
+   * Sem padrões, o filtro só aplica `skip` e `lines` quando eles não entram na seleção (ver `outputLimits`)
+   * @param {Object} options - `sequential`: sempre aplicar `skip` e `lines` na saída
+   * @returns {RecordFilter|null} Filtro ou null quando não há o que filtrar
+   */
+  createFilter({ sequential = false } = {}) {
+    const { include, exclude, filterRegex, ignoreCase, context, skip, lines } = this.options;
+    const limits = sequential ? { lines: null, skip: 0 } : this.outputLimits();
+
+    if (!this.hasFilter() && limits.lines === lines && limits.skip === skip) {
+      return null;
+    }
+
+    return new RecordFilter({ include, exclude, regex: filterRegex, ignoreCase, context, skip, limit: lines });
+  }
+
+  /**
+   * Filtros incluídos em `metadata`
+   * @param {RecordFilter|null} filter - Filtro usado no processamento
+   * @returns {Object|null} Padrões, opções e contagens, ou null sem filtros
+   */
+  filterMetadata(filter) {
+    if (!filter || !this.hasFilter()) {
+      return null;
+    }
+
+    const { include, exclude, filterRegex, ignoreCase, context } = this.options;
+
+    return {
+      include,
+      exclude,
+      regex: filterRegex,
+      ignoreCase,
+      context,
+      matchedLines: filter.matched,
+      contextLines: filter.contextLines
+    };
+  }
+
+  /**
+   * Seleção de linhas incluída em `metadata`
+   * @param {Object} selection - Janela calculada (`{ total }`; null quando o total não é conhecido)
+   * @returns {Object|null} `lines`, `skip`, `range` e `totalLines`, ou null sem seleção
+   */
+  selectionMetadata(selection) {
+    if (!this.hasSelection()) {
+      return null;
+    }
+
+    const { lines, skip, range } = this.options;
+
+    return {
+      lines,
+      skip,
+      range: range ? `${range.start}..${range.end === null ? '' : range.end}` : null,
+      totalLines: selection.total
+    };
+  }
+
+  /**
+   * Inverte um arquivo escrevendo o resultado diretamente em um stream de saída.
+   * O arquivo é lido de trás para frente, então o uso de memória fica limitado ao
+   * tamanho do bloco e não há limite de tamanho para o arquivo.
+   * @param {string} filePath - Caminho do arquivo
+   * @param {stream.Writable} output - Stream de destino
+   * @param {Object} options - Opções de escrita
+   * @param {boolean} options.end - Encerrar o stream de saída ao final (padrão: true)
+   * @param {AbortSignal} options.signal - Interrompe a leitura quando abortado
+   * @returns {Promise<Object>} Resultado do processamento (sem o texto invertido)
+   */
+  async reverseFileToStream(filePath, output, { end = true, signal = null } = {}) {
+    const startTime = Date.now();
+
+    try {
+      const stats = await this.validateFile(filePath, { enforceMaxSize: false });
+      const state = { lineCount: 0, lineEnding: null, input: null, bytesRead: 0 };
+
+      for await (const chunk of this.reverseOutput(filePath, state)) {
+        if (signal && signal.aborted) {
+          throw new Error('Processamento cancelado');
+        }
+
+        await this.writeChunk(output, chunk);
+      }
+
+      if (end) {
+        output.end();
+        await once(output, 'finish');
+      }
+
+      return this.buildReverseResult(filePath, stats, state, startTime);
+    } catch (error) {
+      throw new Error(`Erro ao processar arquivo: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Cria um stream Readable com o conteúdo invertido do arquivo.
+   * Pode ser usado com `stream.pipeline` para arquivos, respostas HTTP ou compressão;
+   * a leitura só avança conforme o consumidor pede dados e `destroy()` fecha o arquivo.
+   * Ao final, antes de 'end', o stream emite 'metadata' com o resultado do processamento.
+   * @param {string} filePath - Caminho do arquivo
+   * @returns {stream.Readable} Stream com o conteúdo invertido
+   */
+  createReverseStream(filePath) {
+    const startTime = Date.now();
+    const processor = this;
+
+    async function* generate() {
+      try {
+        const stats = await processor.validateFile(filePath, { enforceMaxSize: false });
+        const state = { lineCount: 0, lineEnding: null, input: null };
+
+        yield* processor.reverseOutput(filePath, state);
+
+        stream.emit('metadata', processor.buildReverseResult(filePath, stats, state, startTime));
+      } catch (error) {
+        throw new Error(`Erro ao processar arquivo: ${error.message}`, { cause: error });
+      }
+    }
+
+    const stream = Readable.from(generate(), {
+      objectMode: false,
+      highWaterMark: this.options.bufferSize
+    });
+
+    return stream;
+  }
+
+  /**
+   * Produz o conteúdo invertido final, comprimido quando `outputCompression` está configurado
+   * @param {string} filePath - Caminho do arquivo
+   * @param {Object} state - Contadores atualizados durante a leitura
+   * @returns {AsyncGenerator<Buffer>} Trechos da saída
+   */
+  reverseOutput(filePath, state) {
+    const chunks = this.reverseBytes(filePath, state);
+    return this.options.outputCompression ? compressChunks(chunks, this.options.outputCompression) : chunks;
+  }
+
+  /**
+   * Produz o conteúdo invertido já codificado na codificação de saída (com BOM, se houver).
+   * Um arquivo comprimido é antes descomprimido para um arquivo temporário, já que
+   * gzip, deflate e brotli só podem ser lidos do início para o fim.
+   * @param {string} filePath - Caminho do arquivo
+   * @param {Object} state - Contadores atualizados durante a leitura
+   * @returns {AsyncGenerator<Buffer>} Trechos do conteúdo invertido
+   */
+  async *reverseBytes(filePath, state) {
+    const { sourcePath, input, contentSize, cleanup } = await this.openSource(filePath);
+
+    try {
+      const startTime = Date.now();
+      const totalBytes = contentSize !== null ? contentSize : (await fs.promises.stat(sourcePath)).size;
+      state.input = input;
+      state.contentSize = contentSize;
+      const outputEncoding = this.getOutputEncoding(state.input.encoding);
+
+      // O BOM fica no início da saída, e não junto ao primeiro registro do arquivo
+      if (this.shouldWriteBom({ encoding: state.input.encoding, bom: state.input.bomLength > 0 }, outputEncoding)) {
+        yield encode('', outputEncoding, { bom: true });
+      }
+
+      for await (const chunk of this.reverseChunks(sourcePath, state)) {
+        this.reportProgress({ bytesProcessed: state.bytesRead, totalBytes, lineCount: state.lineCount }, startTime);
+        yield encode(chunk, outputEncoding);
+      }
+    } finally {
+      await cleanup();
+    }
+  }
+
+  /**
+   * Agrupa os registros lidos de trás para frente em trechos de até `bufferSize` caracteres
+   * @param {string} filePath - Caminho do arquivo
+   * @param {Object} state - Contadores atualizados durante a leitura (com `input` já detectado)
+   * @returns {AsyncGenerator<string>} Trechos do conteúdo invertido
+   */
+  async *reverseChunks(filePath, state) {
+    const { input } = state;
+
+    if (this.isWholeContentFormat(input.format)) {
+      yield* this.reverseWholeContent(filePath, state);
+      return;
+    }
+
+    state.lineEnding = this.detectLineEnding(this.options.separator ? '' : await this.sampleFile(filePath, input));
+    const recordOptions = this.getRecordOptions(state.lineEnding);
+    const reverse = this.getOrder() === 'reverse';
+
+    state.selection = this.hasSelection() && reverse
+      ? await this.planSelection(filePath, recordOptions, input, state)
+      : null;
+    state.filter = this.createFilter();
+
+    const joiner = this.createJoiner(input.format);
+    let pending = '';
+    let records;
+    if (!reverse) {
+      records = this.readOrderedRecords(filePath, recordOptions, input, state);
+    } else if (state.selection) {
+      records = this.readSelectedRecords(filePath, recordOptions, input, state);
+    } else {
+      records = this.readRecordsReverse(filePath, recordOptions, input, state);
+    }
+
+    for await (const record of records) {
+      for (const selected of state.filter ? state.filter.push(record) : [record]) {
+        this.validateRecord(selected, input.format);
+        pending += joiner.push(this.annotateRecord(this.transformRecord(selected), state.annotate));
+        state.lineCount++;
+      }
+
+      if (pending.length >= this.options.bufferSize) {
+        yield pending;
+        pending = '';
+      }
+
+      // Com `lines` atingido, encerrar o laço fecha o arquivo sem ler o restante
+      if (state.filter && state.filter.done) {
+        break;
+      }
+    }
+
+    pending += joiner.end();
+
+    if (pending) {
+      yield pending;
+    }
   }
 
   /**
-   * Processa um arquivo aplicando tac (inversão de linhas)
+   * Inverte um CSV ou JSON, que só pode ser dividido com o conteúdo inteiro em memória
+   * (até `maxMemoryUsage`)
    * @param {string} filePath - Caminho do arquivo
-   * @returns {Promise<Object>} Resultado do processamento
+   * @param {Object} state - Contadores atualizados durante a leitura (com `input` já detectado)
+   * @returns {AsyncGenerator<string>} Conteúdo invertido
    */
-  async processFile(filePath) {
-    const startTime = Date.now();
+  async *reverseWholeContent(filePath, state) {
+    const { input } = state;
+    const { size } = await fs.promises.stat(filePath);
 
-    try {
-      // Validar arquivo
-      const stats = await this.validateFile(filePath);
+    if (size > this.options.maxMemoryUsage) {
+      const limit = this.formatBytes(this.options.maxMemoryUsage);
+      throw new Error(`Arquivo muito grande para o formato ${input.format}. Tamanho máximo: ${limit}`);
+    }
 
-      // Processar baseado no tamanho
-      let result;
-      if (stats.size < this.options.bufferSize) {
-        result = await this.processSmallFile(filePath, stats);
-      } else {
-        result = await this.processLargeFile(filePath, stats);
+    const buffer = await fs.promises.readFile(filePath);
+    const reversed = this.reverseText(decode(buffer.subarray(input.bomLength), input.encoding), input);
+
+    Object.assign(state, {
+      input: { ...input, format: reversed.format },
+      bytesRead: buffer.length,
+      lineEnding: reversed.lineEnding,
+      lineCount: reversed.lineCount,
+      selection: reversed.selection,
+      filter: reversed.filter
+    });
+
+    if (reversed.result) {
+      yield reversed.result;
+    }
+  }
+
+  /**
+   * Prepara a seleção de linhas de um arquivo, lendo do início só o necessário:
+   * - sem `range`: nada é lido; os registros são lidos a partir do fim (`total` null)
+   * - `range` com fim: lê até a última linha do intervalo, guardando as linhas selecionadas
+   * - `range` aberto ('a..'): conta os registros para saber onde parar
+   * @param {string} filePath - Caminho do arquivo
+   * @param {Object} recordOptions - Opções de separador efetivas
+   * @param {Object} input - Codificação detectada (`{ encoding, bomLength }`)
+   * @param {Object} state - Recebe em `bytesRead` os bytes lidos para um `range` fechado
+   * @returns {Promise<Object>} `{ total, start, end }` e, com `range` fechado, `records` e `offset`
+   */
+  async planSelection(filePath, recordOptions, input, state) {
+    const { range } = this.options;
+
+    if (!range) {
+      return { total: null, start: null, end: null };
+    }
+
+    if (range && range.end !== null) {
+      const records = [];
+      let count = 0;
+
+      for await (const record of this.readRecordsForward(filePath, recordOptions, input, state)) {
+        count++;
+        if (count >= range.start) {
+          records.push(record);
+        }
+        if (count === range.end) {
+          break;
+        }
       }
 
-      const processingTime = Date.now() - startTime;
+      // Parar no fim do intervalo não diz quantas linhas o arquivo tem
+      const total = count < range.end ? count : null;
+      return { total, ...this.selectWindow(count), records, offset: range.start - 1 };
+    }
 
-      return {
-        ...result,
-        metadata: {
-          originalSize: stats.size,
-          processingTime,
-          method: stats.size < this.options.bufferSize ? 'memory' : 'streaming'
+    let total = 0;
+    for await (const record of this.readRecordsForward(filePath, recordOptions, input)) {
+      total++;
+    }
+
+    return { total, ...this.selectWindow(total) };
+  }
+
+  /**
+   * Produz em ordem invertida só os registros selecionados (ver `planSelection`).
+   * Sem o total de registros, `skip` e `lines` são aplicados durante a leitura a partir
+   * do fim, que é interrompida assim que as linhas pedidas foram lidas.
+   * @param {string} filePath - Caminho do arquivo
+   * @param {Object} recordOptions - Opções de separador efetivas
+   * @param {Object} input - Codificação detectada (`{ encoding, bomLength }`)
+   * @param {Object} state - Contadores da leitura, com o plano em `selection`
+   * @returns {AsyncGenerator<Object>} Registros `{ content, separator }` em ordem invertida
+   */
+  async *readSelectedRecords(filePath, recordOptions, input, state) {
+    const { selection } = state;
+
+    if (selection.records) {
+      for (let i = selection.end - 1; i >= selection.start; i--) {
+        yield selection.records[i - selection.offset];
+      }
+      return;
+    }
+
+    const { lines, skip: skipLines } = this.outputLimits();
+    const skip = selection.total !== null ? selection.total - selection.end : skipLines;
+    const limit = selection.total !== null ? selection.end - selection.start : lines;
+    let count = 0;
+
+    if (limit === 0) {
+      return;
+    }
+
+    for await (const record of this.readRecordsReverse(filePath, recordOptions, input, state)) {
+      count++;
+
+      if (count > skip) {
+        yield record;
+
+        // Encerrar o laço fecha o arquivo sem ler o restante
+        if (limit !== null && count - skip === limit) {
+          return;
         }
-      };
-    } catch (error) {
-      throw new Error(`Erro ao processar arquivo: ${error.message}`);
+      }
+    }
+
+    // A leitura chegou ao início do arquivo, então o total passa a ser conhecido
+    if (selection.total === null) {
+      Object.assign(selection, { total: count, end: Math.max(0, count - skip) });
     }
   }
 
   /**
-   * Processa texto diretamente
-   * @param {string} text - Texto a ser processado
-   * @param {string} source - Fonte do texto
-   * @returns {Object} Resultado do processamento
+   * Produz os registros de `range` na ordem do modo (original ou embaralhada), lendo do início.
+   * A leitura para no fim do intervalo; no embaralhamento os registros selecionados ficam em memória.
+   * @param {string} filePath - Caminho do arquivo
+   * @param {Object} recordOptions - Opções de separador efetivas
+   * @param {Object} input - Codificação detectada (`{ encoding, bomLength }`)
+   * @param {Object} state - Contadores da leitura; recebe a seleção em `selection`
+   * @returns {AsyncGenerator<Object>} Registros `{ content, separator }` na ordem da saída
    */
-  processText(text, source = 'texto direto') {
-    const startTime = Date.now();
+  async *readOrderedRecords(filePath, recordOptions, input, state) {
+    const { range } = this.options;
+    const shuffle = this.getOrder() === 'shuffle';
+    const records = [];
+    let count = 0;
 
-    if (!text || typeof text !== 'string') {
-      throw new Error('Texto inválido fornecido');
+    // O total só é conhecido se a leitura chegar ao fim do arquivo
+    state.selection = this.hasSelection() ? { total: null, start: null, end: null } : null;
+
+    for await (const record of this.readRecordsForward(filePath, recordOptions, input, state)) {
+      count++;
+
+      if (!range || count >= range.start) {
+        if (shuffle) {
+          records.push(record);
+        } else {
+          yield record;
+        }
+      }
+
+      if (range && count === range.end) {
+        break;
+      }
     }
 
-    const lines = text.split('\n');
-    const originalCount = lines.length;
+    if (state.selection && !(range && count === range.end)) {
+      Object.assign(state.selection, { total: count, ...this.selectWindow(count) });
+    }
 
-    // Aplicar tac (reverter linhas)
-    const reversedLines = [...lines].reverse();
-    const result = reversedLines.join('\n');
+    if (shuffle) {
+      yield* shuffleRecords(records, this.options.seed, this.options.before);
+    }
+  }
 
-    // Gerar passos de cálculo
-    const steps = this.generateCalculationSteps(originalCount, source, 'memory');
+  /**
+   * Lê os registros de um arquivo do início para o fim, em blocos de `bufferSize` bytes
+   * @param {string} filePath - Caminho do arquivo
+   * @param {Object} recordOptions - Opções de separador efetivas
+   * @param {Object} input - Codificação detectada (`{ encoding, bomLength }`)
+   * @param {Object} state - Recebe em `bytesRead` os bytes já lidos (opcional)
+   * @returns {AsyncGenerator<Object>} Registros `{ content, separator }` na ordem original
+   */
+  async *readRecordsForward(filePath, recordOptions, input, state = {}) {
+    const splitter = new RecordSplitter(recordOptions);
+    const decoder = createDecoder(input.encoding);
+    const stream = fs.createReadStream(filePath, {
+      start: input.bomLength,
+      highWaterMark: this.options.bufferSize
+    });
+
+    try {
+      for await (const chunk of stream) {
+        state.bytesRead = stream.bytesRead + input.bomLength;
+        yield* splitter.push(decoder.write(chunk));
+      }
+
+      yield* splitter.push(decoder.end());
+      yield* splitter.end();
+    } finally {
+      stream.destroy();
+    }
+  }
+
+  /**
+   * Monta o resultado da leitura reversa (sem o texto invertido)
+   * @param {string} filePath - Caminho do arquivo
+   * @param {fs.Stats} stats - Estatísticas do arquivo
+   * @param {Object} state - Contadores da leitura (`lineCount`, `lineEnding`, `input`, `contentSize`)
+   * @param {number} startTime - Início do processamento
+   * @returns {Object} Resultado do processamento
+   */
+  buildReverseResult(filePath, stats, state, startTime) {
+    const source = `Arquivo: ${path.basename(filePath)}`;
+
+    const steps = this.generateCalculationSteps(
+      state.lineCount,
+      source,
+      'reverse',
+      state.lineEnding,
+      state.input,
+      state.selection,
+      state.filter
+    );
 
     return {
-      original: text,
-      result: result,
       steps: steps,
-      lineCount: originalCount,
+      lineCount: state.lineCount,
       source: source,
+      bytesProcessed: stats.size,
       metadata: {
-        originalSize: Buffer.byteLength(text, 'utf8'),
+        originalSize: state.input.compression ? state.contentSize : stats.size,
+        ...(state.input.compression && { compressedSize: stats.size }),
         processingTime: Date.now() - startTime,
-        method: 'memory'
+        method: 'reverse',
+        lineEnding: state.lineEnding,
+        ...this.inputMetadata(state.input),
+        ...this.modeMetadata(),
+        selection: state.selection ? this.selectionMetadata(state.selection) : null,
+        filter: this.filterMetadata(state.filter)
       }
     };
   }
 
+  /**
+   * Lê o arquivo do fim para o início em blocos de `bufferSize` bytes,
+   * produzindo os registros já na ordem invertida.
+   * Apenas um bloco e o registro incompleto do bloco anterior ficam em memória.
+   * @param {string} filePath - Caminho do arquivo
+   * @param {Object} recordOptions - Opções de separador efetivas
+   * @param {Object} input - Codificação detectada (`{ encoding, bomLength }`)
+   * @param {Object} state - Recebe em `bytesRead` os bytes já lidos (opcional)
+   * @returns {AsyncGenerator<Object>} Registros `{ content, separator }` em ordem invertida
+   */
+  async *readRecordsReverse(filePath, recordOptions, input, state = {}) {
+    const handle = await fs.promises.open(filePath, 'r');
+
+    try {
+      const { size } = await handle.stat();
+      const start = input.bomLength;
+      const block = Buffer.alloc(Math.max(1, Math.min(this.options.bufferSize, size - start)));
+      const scanner = new ReverseRecordScanner(recordOptions);
+      let position = size;
+      let leftover = Buffer.alloc(0);
+
+      while (position > start) {
+        const length = Math.min(block.length, position - start);
+        position -= length;
+        await handle.read(block, 0, length, position);
+
+        // Bytes no início do bloco que pertencem a um caractere iniciado no bloco
+        // anterior (continuação UTF-8, metade de unidade UTF-16) ficam para a próxima leitura
+        const bytes = Buffer.concat([block.subarray(0, length), leftover]);
+        const skip = position > start ? countCarryBytes(bytes, input.encoding, position - start) : 0;
+        leftover = bytes.subarray(0, skip);
+        state.bytesRead = position === start ? size : size - position;
+
+        yield* scanner.push(decode(bytes.subarray(skip), input.encoding), position === start);
+      }
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Escreve no stream respeitando o backpressure
+   * @param {stream.Writable} output - Stream de destino
+   * @param {Buffer} chunk - Trecho já codificado
+   * @returns {Promise<void>}
+   */
+  async writeChunk(output, chunk) {
+    if (output.destroyed) {
+      throw output.errored || new Error('O stream de saída foi encerrado');
+    }
+
+    if (!output.write(chunk)) {
+      // 'close' sem 'drain' acontece quando o destino é destruído (ex.: EPIPE)
+      await new Promise((resolve, reject) => {
+        const onDrain = () => done(null);
+        const onError = error => done(error);
+        const onClose = () => done(output.errored || new Error('O stream de saída foi encerrado'));
+        const done = error => {
+          output.off('drain', onDrain);
+          output.off('error', onError);
+          output.off('close', onClose);
+          error ? reject(error) : resolve();
+        };
+
+        output.on('drain', onDrain);
+        output.on('error', onError);
+        output.on('close', onClose);
+      });
+    }
+  }
+
   /**
    * Valida o arquivo antes do processamento
    * @param {string} filePath - Caminho do arquivo
+   * @param {Object} options - Opções de validação
+   * @param {boolean} options.enforceMaxSize - Aplicar o limite `maxMemoryUsage` (padrão: true)
+   * @param {boolean} options.allowEmpty - Aceitar arquivos vazios (padrão: false)
    * @returns {Promise<fs.Stats>} Estatísticas do arquivo
    */
-  async validateFile(filePath) {
+  async validateFile(filePath, { enforceMaxSize = true, allowEmpty = false } = {}) {
     if (!filePath) {
       throw new Error('Caminho do arquivo não fornecido');
     }
@@ -108,11 +1686,11 @@ class TacProcessor {
       throw new Error('Caminho não aponta para um arquivo');
     }
 
-    if (stats.size === 0) {
+    if (stats.size === 0 && !allowEmpty) {
       throw new Error('Arquivo está vazio');
     }
 
-    if (stats.size > this.options.maxMemoryUsage) {
+    if (enforceMaxSize && stats.size > this.options.maxMemoryUsage) {
       throw new Error(`Arquivo muito grande. Tamanho máximo: ${this.formatBytes(this.options.maxMemoryUsage)}`);
     }
 
@@ -123,88 +1701,76 @@ class TacProcessor {
    * Processa arquivos pequenos carregando tudo na memória
    * @param {string} filePath - Caminho do arquivo
    * @param {fs.Stats} stats - Estatísticas do arquivo
+   * @param {string|null} compression - Compressão do arquivo original (já descomprimido)
    * @returns {Promise<Object>} Resultado do processamento
    */
-  async processSmallFile(filePath, stats) {
-    const content = await fs.promises.readFile(filePath, this.options.encoding);
-    const filename = path.basename(filePath);
+  async processSmallFile(filePath, stats, compression = null) {
+    const buffer = await fs.promises.readFile(filePath);
 
-    return this.processText(content, `Arquivo: ${filename}`);
+    return this.processContent(buffer, path.basename(filePath), compression);
   }
 
   /**
-   * Processa arquivos grandes usando streams para eficiência de memória
+   * Processa arquivos grandes em blocos: os registros são lidos do fim para o início (ou do início,
+   * fora da ordem invertida) e só o resultado fica em memória, nunca o arquivo inteiro
    * @param {string} filePath - Caminho do arquivo
    * @param {fs.Stats} stats - Estatísticas do arquivo
+   * @param {string|null} compression - Compressão do arquivo original (já descomprimido)
    * @returns {Promise<Object>} Resultado do processamento
    */
-  async processLargeFile(filePath, stats) {
-    const filename = path.basename(filePath);
-
-    return new Promise((resolve, reject) => {
-      const lines = [];
-      let currentLine = '';
-      let lineCount = 0;
-      let bytesProcessed = 0;
-
-      const readStream = fs.createReadStream(filePath, {
-        encoding: this.options.encoding,
-        highWaterMark: this.options.bufferSize
-      });
-
-      const lineProcessor = new Transform({
-        transform(chunk, encoding, callback) {
-          const text = chunk.toString();
-          bytesProcessed += Buffer.byteLength(text, 'utf8');
-
-          // Dividir em linhas
-          const parts = (currentLine + text).split('\n');
-          currentLine = parts.pop(); // Última parte pode estar incompleta
-
-          // Adicionar linhas completas
-          for (const line of parts) {
-            lines.push(line);
-            lineCount++;
-          }
-
-          callback();
-        }
-      });
-
-      readStream.pipe(lineProcessor);
+  async processLargeFile(filePath, stats, compression = null) {
+    return this.processSelection(filePath, stats, compression, 'streaming');
+  }
 
-      lineProcessor.on('end', () => {
-        // Adicionar última linha se existir
-        if (currentLine) {
-          lines.push(currentLine);
-          lineCount++;
-        }
+  /**
+   * Processa só as linhas selecionadas (`lines`, `skip`, `range`) de um arquivo grande,
+   * lendo a partir do fim em vez de carregar o arquivo inteiro
+   * @param {string} filePath - Caminho do arquivo
+   * @param {fs.Stats} stats - Estatísticas do arquivo
+   * @param {string|null} compression - Compressão do arquivo original (já descomprimido)
+   * @param {string} method - Método informado nos passos ('reverse' ou 'streaming')
+   * @returns {Promise<Object>} Resultado do processamento
+   */
+  async processSelection(filePath, stats, compression = null, method = 'reverse') {
+    const startTime = Date.now();
+    const filename = path.basename(filePath);
+    const state = { lineCount: 0, lineEnding: null, input: null, bytesRead: 0 };
+    state.input = { ...(await this.detectFileEncoding(filePath)), compression, format: this.resolveFormat(filePath) };
 
-        // Aplicar tac (reverter linhas)
-        const reversedLines = [...lines].reverse();
-        const result = reversedLines.join('\n');
-
-        // Gerar passos de cálculo
-        const steps = this.generateCalculationSteps(lineCount, `Arquivo: ${filename}`, 'streaming');
-
-        resolve({
-          original: `[Arquivo grande - ${this.formatBytes(stats.size)}]`,
-          result: result,
-          steps: steps,
-          lineCount: lineCount,
-          source: `Arquivo: ${filename}`,
-          bytesProcessed: bytesProcessed
-        });
-      });
+    const parts = [];
+    for await (const chunk of this.reverseChunks(filePath, state)) {
+      parts.push(chunk);
+      this.reportProgress(
+        { bytesProcessed: state.bytesRead, totalBytes: stats.size, lineCount: state.lineCount },
+        startTime
+      );
+    }
 
-      readStream.on('error', error => {
-        reject(new Error(`Erro ao ler arquivo: ${error.message}`));
-      });
+    const source = `Arquivo: ${filename}`;
 
-      lineProcessor.on('error', error => {
-        reject(new Error(`Erro ao processar linhas: ${error.message}`));
-      });
-    });
+    return {
+      original: `[Arquivo grande - ${this.formatBytes(stats.size)}]`,
+      result: parts.join(''),
+      steps: this.generateCalculationSteps(
+        state.lineCount,
+        source,
+        method,
+        state.lineEnding,
+        state.input,
+        state.selection,
+        state.filter
+      ),
+      lineCount: state.lineCount,
+      source: source,
+      bytesProcessed: state.bytesRead,
+      metadata: {
+        lineEnding: state.lineEnding,
+        ...this.inputMetadata(state.input),
+        ...this.modeMetadata(),
+        selection: this.selectionMetadata(state.selection),
+        filter: this.filterMetadata(state.filter)
+      }
+    };
   }
 
   /**
@@ -212,48 +1778,239 @@ class TacProcessor {
    * @param {number} lineCount - Número de linhas
    * @param {string} source - Fonte dos dados
    * @param {string} method - Método usado (memory/streaming)
+   * @param {string|null} lineEnding - Quebra de linha detectada
+   * @param {Object|null} input - Origem da entrada (`{ encoding, bomLength, compression }`)
+   * @param {Object|null} selection - Linhas selecionadas (`{ total, end }`; null = todas)
+   * @param {RecordFilter|null} filter - Filtro de padrões usado (null = sem filtros)
    * @returns {Array<string>} Array com os passos
    */
-  generateCalculationSteps(lineCount, source, method) {
+  generateCalculationSteps(
+    lineCount,
+    source,
+    method,
+    lineEnding = null,
+    input = null,
+    selection = null,
+    filter = null
+  ) {
+    const order = this.getOrder();
+    const mode = MODES[this.options.mode];
+    const methodLabels = {
+      memory: 'Em memória',
+      streaming: 'Streaming (arquivos grandes)',
+      reverse: 'Leitura reversa em blocos (memória constante)'
+    };
+
+    // Fora da ordem invertida, o caminho 'reverse' lê o arquivo do início
+    if (order === 'original') {
+      methodLabels.reverse = 'Leitura sequencial em blocos (memória constante)';
+    } else if (order === 'shuffle') {
+      methodLabels.reverse = 'Leitura sequencial em blocos (linhas selecionadas em memória)';
+    }
+
     const steps = [
       `Fonte: ${source}`,
-      `Método de processamento: ${method === 'memory' ? 'Em memória' : 'Streaming (arquivos grandes)'}`,
-      `Total de linhas detectadas: ${lineCount.toLocaleString('pt-BR')}`,
+      `Método de processamento: ${methodLabels[method] || method}`,
+      ...this.describeInput(input),
+      ...this.describeSeparator(lineEnding),
+      ...this.describeFormat(input),
+      ...this.describeMode(),
+      ...this.describeSelection(lineCount, selection),
+      ...this.describeFilter(filter),
       '',
       '📋 Aplicando comando TAC (Text Append with Carriage return):',
       '┌─ Lendo arquivo sequencialmente...',
       '├─ Armazenando linhas em buffer...',
-      '├─ Invertendo ordem das linhas...',
+      `├─ ${mode.step}`,
       '└─ Gerando resultado final',
       '',
       '🔄 Processo de inversão:'
     ];
 
-    // Adicionar exemplos da inversão
-    if (lineCount > 0) {
+    // Linha original na posição `i` do resultado; na leitura a partir do fim sem chegar
+    // ao início do arquivo, só a distância até o fim é conhecida
+    const firstLine = selection ? selection.end : lineCount;
+    const original = i =>
+      firstLine !== null
+        ? `Linha ${firstLine - i + 1} (original)`
+        : `${i + this.options.skip}ª linha a partir do fim (original)`;
+
+    // Adicionar exemplos da inversão (com filtros as linhas originais não são consecutivas)
+    if (lineCount > 0 && !filter && order === 'reverse') {
       const maxExamples = Math.min(3, lineCount);
       for (let i = 1; i <= maxExamples; i++) {
-        steps.push(`   Linha ${lineCount - i + 1} (original) → Linha ${i} (resultado)`);
+        steps.push(`   ${original(i)} → Linha ${i} (resultado)`);
       }
 
       if (lineCount > 6) {
         steps.push('   ...');
-        steps.push(`   Linha 2 (original) → Linha ${lineCount - 1} (resultado)`);
-        steps.push(`   Linha 1 (original) → Linha ${lineCount} (resultado)`);
+        steps.push(`   ${original(lineCount - 1)} → Linha ${lineCount - 1} (resultado)`);
+        steps.push(`   ${original(lineCount)} → Linha ${lineCount} (resultado)`);
       } else if (lineCount > maxExamples) {
         for (let i = maxExamples + 1; i <= lineCount; i++) {
-          steps.push(`   Linha ${lineCount - i + 1} (original) → Linha ${i} (resultado)`);
+          steps.push(`   ${original(i)} → Linha ${i} (resultado)`);
         }
       }
     }
 
     steps.push('');
     steps.push('✅ Processamento concluído com sucesso!');
-    steps.push(`📊 Total: ${lineCount.toLocaleString('pt-BR')} linhas invertidas`);
+
+    // Em um array JSON os registros são elementos, e não linhas
+    const json = input && input.format === 'json';
+    const summary = json ? `elementos ${order === 'shuffle' ? 'embaralhados' : 'invertidos'}` : mode.summary;
+    steps.push(`📊 Total: ${lineCount.toLocaleString('pt-BR')} ${summary}`);
+
+    return steps;
+  }
+
+  /**
+   * Descreve o formato estruturado da entrada (CSV, JSON ou NDJSON)
+   * @param {Object|null} input - Origem da entrada (`{ format }`)
+   * @returns {Array<string>} Passos com o formato; vazio para texto
+   */
+  describeFormat(input) {
+    if (!input || !input.format || input.format === 'text') {
+      return [];
+    }
+
+    return [`Formato: ${FORMATS[input.format].label}`];
+  }
+
+  /**
+   * Descreve o modo de transformação, quando não é a inversão de linhas padrão
+   * @returns {Array<string>} Passos com o modo (e a semente do embaralhamento)
+   */
+  describeMode() {
+    const { mode, seed } = this.options;
+
+    if (mode === 'lines') {
+      return [];
+    }
+
+    return [`Modo: ${MODES[mode].label}${mode === 'shuffle' ? ` (semente ${seed})` : ''}`];
+  }
+
+  /**
+   * Descreve o total de linhas e, se houver, a seleção aplicada
+   * @param {number} lineCount - Número de linhas da saída
+   * @param {Object|null} selection - Linhas selecionadas (`{ total }`; null = todas)
+   * @returns {Array<string>} Passos com o total e a seleção
+   */
+  describeSelection(lineCount, selection) {
+    const total = selection ? selection.total : lineCount;
+    const steps = [
+      total !== null
+        ? `Total de linhas detectadas: ${total.toLocaleString('pt-BR')}`
+        : 'Total de linhas: não calculado (leitura interrompida após a seleção)'
+    ];
+
+    if (!this.hasSelection()) {
+      return steps;
+    }
+
+    const { lines, skip, range } = this.options;
+    const parts = [];
+
+    if (range) {
+      parts.push(`linhas ${range.start} a ${range.end === null ? 'última' : range.end} do original`);
+    }
+    if (skip > 0) {
+      parts.push(`pulando as ${skip.toLocaleString('pt-BR')} primeiras da saída`);
+    }
+    if (lines !== null) {
+      parts.push(`primeiras ${lines.toLocaleString('pt-BR')} da saída`);
+    }
+
+    steps.push(`Seleção: ${parts.join(', ')}`);
+    steps.push(`Linhas selecionadas: ${lineCount.toLocaleString('pt-BR')}`);
+
+    return steps;
+  }
+
+  /**
+   * Descreve os filtros de padrão e quantas linhas corresponderam
+   * @param {RecordFilter|null} filter - Filtro usado no processamento
+   * @returns {Array<string>} Passos com a descrição dos filtros
+   */
+  describeFilter(filter) {
+    if (!filter || !this.hasFilter()) {
+      return [];
+    }
+
+    const { include, exclude, filterRegex, ignoreCase, context } = this.options;
+    const list = patterns => patterns.map(pattern => JSON.stringify(pattern)).join(' ou ');
+    const parts = [];
+
+    if (include.length > 0) {
+      parts.push(`contém ${list(include)}`);
+    }
+    if (exclude.length > 0) {
+      parts.push(`não contém ${list(exclude)}`);
+    }
+
+    const flags = [filterRegex && 'expressão regular', ignoreCase && 'sem diferenciar maiúsculas'].filter(Boolean);
+    const steps = [`Filtro: ${parts.join(' e ')}${flags.length > 0 ? ` (${flags.join(', ')})` : ''}`];
+
+    steps.push(`Linhas correspondentes: ${filter.matched.toLocaleString('pt-BR')}`);
+
+    if (context > 0) {
+      steps.push(
+        `Contexto: ${context} linha(s) em volta de cada correspondência ` +
+          `(${filter.contextLines.toLocaleString('pt-BR')} incluídas)`
+      );
+    }
 
     return steps;
   }
 
+  /**
+   * Descreve a compressão e a codificação da entrada e, se forem diferentes, as da saída
+   * @param {Object|null} input - Origem da entrada (`{ encoding, bomLength, compression }`)
+   * @returns {Array<string>} Passos com a descrição da entrada
+   */
+  describeInput(input) {
+    if (!input) {
+      return [];
+    }
+
+    const { outputCompression } = this.options;
+    const outputEncoding = this.getOutputEncoding(input.encoding);
+    const steps = [];
+
+    if (input.compression) {
+      steps.push(`Compressão: ${describeCompression(input.compression)} (descomprimido durante a leitura)`);
+    }
+
+    steps.push(`Codificação: ${describeEncoding(input.encoding)}${input.bomLength > 0 ? ' (com BOM)' : ''}`);
+
+    if (outputEncoding !== input.encoding) {
+      steps.push(`Codificação de saída: ${describeEncoding(outputEncoding)}`);
+    }
+
+    if (outputCompression) {
+      steps.push(`Compressão da saída: ${describeCompression(outputCompression)}`);
+    }
+
+    return steps;
+  }
+
+  /**
+   * Descreve o separador configurado ou a quebra de linha detectada
+   * @param {string|null} lineEnding - Quebra de linha detectada
+   * @returns {Array<string>} Passos com a descrição do separador
+   */
+  describeSeparator(lineEnding) {
+    const { separator, regex, before } = this.options;
+    const position = before ? ' (antes do registro)' : '';
+
+    if (separator) {
+      return [`Separador: ${JSON.stringify(separator)}${regex ? ' (expressão regular)' : ''}${position}`];
+    }
+
+    return lineEnding ? [`Quebra de linha detectada: ${LINE_ENDINGS[lineEnding].label}${position}`] : [];
+  }
+
   /**
    * Converte bytes para formato legível
    * @param {number} bytes - Número de bytes
@@ -271,6 +2028,8 @@ class TacProcessor {
 
   /**
    * Processa buffer de dados (útil para uploads)
+   * Conteúdo gzip, deflate ou brotli é descomprimido (até `maxMemoryUsage`), e a codificação
+   * é detectada pelo BOM ou pelos primeiros bytes, exceto com `compression`/`encoding` fixos.
    * @param {Buffer} buffer - Buffer de dados
    * @param {string} filename - Nome do arquivo original
    * @returns {Object} Resultado do processamento
@@ -280,19 +2039,77 @@ class TacProcessor {
       throw new Error('Dados fornecidos não são um buffer válido');
     }
 
-    const text = buffer.toString(this.options.encoding);
-    return this.processText(text, `Arquivo: ${filename}`);
+    const { compression: option } = this.options;
+    const compression = option === 'auto' ? detectCompression(buffer, filename) : option === 'none' ? null : option;
+
+    if (!compression) {
+      return this.processContent(buffer, filename);
+    }
+
+    const content = decompressBuffer(buffer, compression, this.options.maxMemoryUsage);
+    const result = this.processContent(content, filename, compression);
+    result.metadata.compressedSize = buffer.length;
+    return result;
+  }
+
+  /**
+   * Processa o conteúdo já descomprimido, detectando a codificação
+   * @param {Buffer} buffer - Conteúdo
+   * @param {string} filename - Nome do arquivo original
+   * @param {string|null} compression - Compressão do conteúdo original
+   * @returns {Object} Resultado do processamento
+   */
+  processContent(buffer, filename, compression = null) {
+    const startTime = Date.now();
+    const input = {
+      ...detectEncoding(buffer, this.options.encoding),
+      compression,
+      format: this.resolveFormat(filename)
+    };
+    const text = decode(buffer.subarray(input.bomLength), input.encoding);
+    const result = this.processText(text, `Arquivo: ${filename}`, input);
+
+    result.metadata.originalSize = buffer.length;
+    this.reportProgress(
+      { bytesProcessed: buffer.length, totalBytes: buffer.length, lineCount: result.lineCount },
+      startTime
+    );
+    return result;
+  }
+
+  /**
+   * Emite 'progress' com o andamento do processamento
+   * Os bytes se referem ao conteúdo já descomprimido. Além dos contadores, o evento traz
+   * `percent`, `throughput` (bytes/s) e `eta` (segundos restantes, estimados pela vazão).
+   * @param {Object} progress - `{ bytesProcessed, totalBytes, lineCount }`
+   * @param {number} startTime - Início do processamento
+   */
+  reportProgress({ bytesProcessed, totalBytes, lineCount }, startTime) {
+    const elapsed = (Date.now() - startTime) / 1000;
+    const throughput = elapsed > 0 ? Math.round(bytesProcessed / elapsed) : null;
+    const remaining = Math.max(0, totalBytes - bytesProcessed);
+
+    this.emit('progress', {
+      bytesProcessed,
+      totalBytes,
+      lineCount,
+      percent: totalBytes > 0 ? Math.round((bytesProcessed / totalBytes) * 1000) / 10 : 100,
+      throughput,
+      eta: remaining === 0 ? 0 : throughput ? Math.round((remaining / throughput) * 10) / 10 : null
+    });
   }
 
   /**
    * Salva resultado em arquivo
    * @param {string} result - Resultado do processamento
    * @param {string} outputPath - Caminho do arquivo de saída
+   * @param {string} encoding - Codificação do arquivo (padrão: `outputEncoding` ou UTF-8)
    * @returns {Promise<void>}
    */
-  async saveResult(result, outputPath) {
+  async saveResult(result, outputPath, encoding = this.options.outputEncoding || 'utf8') {
     try {
-      await fs.promises.writeFile(outputPath, result, this.options.encoding);
+      const bom = this.shouldWriteBom({ encoding: null, bom: false }, encoding);
+      await fs.promises.writeFile(outputPath, encode(result, encoding, { bom }));
     } catch (error) {
       throw new Error(`Erro ao salvar resultado: ${error.message}`);
     }
@@ -348,6 +2165,18 @@ async function tacFile(filePath, options = {}) {
   return await processor.processFile(filePath);
 }
 
+/**
+ * Função de conveniência para inverter um arquivo direto para um stream
+ * @param {string} filePath - Caminho do arquivo
+ * @param {stream.Writable} output - Stream de destino
+ * @param {Object} options - Opções de configuração
+ * @returns {Promise<Object>} Resultado do processamento
+ */
+async function tacFileToStream(filePath, output, options = {}) {
+  const processor = new TacProcessor(options);
+  return await processor.reverseFileToStream(filePath, output);
+}
+
 /**
  * Função de conveniência para processar texto diretamente
  * @param {string} text - Texto a ser processado
@@ -363,5 +2192,6 @@ module.exports = {
   TacProcessor,
   createTacProcessor,
   tacFile,
+  tacFileToStream,
   tacText
 };
@@ -0,0 +1,222 @@
+/**
+ * Leitura e escrita de arquivos ZIP (usados no processamento em lote)
+ * Suporta entradas armazenadas (método 0) e comprimidas com deflate (método 8), com nomes em UTF-8.
+ * Não há suporte a ZIP64, criptografia nem arquivos divididos em volumes.
+ */
+
+const zlib = require('zlib');
+
+// Assinaturas dos registros do formato
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+// Métodos de compressão suportados
+const STORED = 0;
+const DEFLATED = 8;
+
+// Bit 11 das flags: nome da entrada em UTF-8
+const UTF8_FLAG = 0x0800;
+
+// Limites sem ZIP64
+const MAX_ENTRIES = 0xffff;
+const MAX_SIZE = 0xffffffff;
+
+/**
+ * Converte uma data para o formato do MS-DOS usado no ZIP
+ * @param {Date} date - Data da entrada
+ * @returns {Object} `{ time, date }` em 16 bits cada
+ */
+function toDosDateTime(date) {
+  const year = Math.max(1980, date.getFullYear());
+
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * Cria um arquivo ZIP em memória
+ * @param {Array<Object>} entries - Entradas `{ name, data, compress }`; `compress: false` armazena sem compressão
+ * @param {Date} date - Data gravada nas entradas (padrão: agora)
+ * @returns {Buffer} Conteúdo do arquivo ZIP
+ */
+function createZip(entries, date = new Date()) {
+  if (entries.length > MAX_ENTRIES) {
+    throw new Error(`ZIP com entradas demais: ${entries.length}. Máximo: ${MAX_ENTRIES}`);
+  }
+
+  const dos = toDosDateTime(date);
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const { name, data, compress = true } of entries) {
+    const nameBytes = Buffer.from(name, 'utf8');
+    const method = compress ? DEFLATED : STORED;
+    const content = compress ? zlib.deflateRawSync(data) : data;
+    const crc = zlib.crc32(data);
+
+    if (data.length > MAX_SIZE || offset > MAX_SIZE) {
+      throw new Error(`ZIP muito grande: a entrada ${name} excede o limite de 4GB`);
+    }
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(LOCAL_HEADER, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(UTF8_FLAG, 6);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt16LE(dos.time, 10);
+    local.writeUInt16LE(dos.date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(content.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(CENTRAL_HEADER, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(UTF8_FLAG, 8);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt16LE(dos.time, 12);
+    central.writeUInt16LE(dos.date, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(content.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBytes, content);
+    centrals.push(central, nameBytes);
+    offset += local.length + nameBytes.length + content.length;
+  }
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directory, end]);
+}
+
+/**
+ * Localiza o registro final do diretório central (fica nos últimos bytes, antes do comentário)
+ * @param {Buffer} buffer - Conteúdo do arquivo ZIP
+ * @returns {number} Posição do registro
+ */
+function findEndOfCentralDirectory(buffer) {
+  const limit = Math.max(0, buffer.length - 22 - 0xffff);
+
+  for (let i = buffer.length - 22; i >= limit; i--) {
+    if (buffer.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY) {
+      return i;
+    }
+  }
+
+  throw new Error('ZIP inválido: diretório central não encontrado');
+}
+
+/**
+ * Lê as entradas de um arquivo ZIP. Diretórios e metadados do macOS (__MACOSX/) são ignorados,
+ * e o conteúdo de cada entrada só é descomprimido quando `read()` é chamado.
+ * @param {Buffer} buffer - Conteúdo do arquivo ZIP
+ * @returns {Array<Object>} Entradas `{ name, size, read(maxSize) }`; `read` devolve um Buffer
+ */
+function readZip(buffer) {
+  if (buffer.length < 22) {
+    throw new Error('ZIP inválido: arquivo muito pequeno');
+  }
+
+  const end = findEndOfCentralDirectory(buffer);
+  const count = buffer.readUInt16LE(end + 10);
+  const entries = [];
+  let position = buffer.readUInt32LE(end + 16);
+
+  for (let i = 0; i < count; i++) {
+    if (position + 46 > buffer.length || buffer.readUInt32LE(position) !== CENTRAL_HEADER) {
+      throw new Error('ZIP inválido: diretório central corrompido');
+    }
+
+    const flags = buffer.readUInt16LE(position + 8);
+    const method = buffer.readUInt16LE(position + 10);
+    const crc = buffer.readUInt32LE(position + 16);
+    const compressedSize = buffer.readUInt32LE(position + 20);
+    const size = buffer.readUInt32LE(position + 24);
+    const nameLength = buffer.readUInt16LE(position + 28);
+    const extraLength = buffer.readUInt16LE(position + 30);
+    const commentLength = buffer.readUInt16LE(position + 32);
+    const localOffset = buffer.readUInt32LE(position + 42);
+    const name = buffer.toString(flags & UTF8_FLAG ? 'utf8' : 'latin1', position + 46, position + 46 + nameLength);
+
+    position += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/') || name.startsWith('__MACOSX/')) {
+      continue;
+    }
+
+    entries.push({
+      name,
+      size,
+      read: (maxSize = Infinity) => {
+        if (flags & 0x1) {
+          throw new Error(`Entrada criptografada não suportada: ${name}`);
+        }
+        if (method !== STORED && method !== DEFLATED) {
+          throw new Error(`Método de compressão não suportado em ${name}: ${method}`);
+        }
+        if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== LOCAL_HEADER) {
+          throw new Error(`ZIP inválido: cabeçalho de ${name} não encontrado`);
+        }
+
+        const start = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+        const content = buffer.subarray(start, start + compressedSize);
+        let data;
+
+        try {
+          data =
+            method === STORED
+              ? content
+              : zlib.inflateRawSync(content, Number.isFinite(maxSize) ? { maxOutputLength: maxSize } : {});
+        } catch (error) {
+          if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+            throw new Error('Conteúdo descomprimido excede o limite de tamanho');
+          }
+          throw new Error(`Falha ao descomprimir ${name}: ${error.message}`);
+        }
+
+        if (data.length > maxSize) {
+          throw new Error('Conteúdo descomprimido excede o limite de tamanho');
+        }
+        if (zlib.crc32(data) !== crc) {
+          throw new Error(`ZIP inválido: CRC de ${name} não confere`);
+        }
+
+        return data;
+      }
+    });
+  }
+
+  return entries;
+}
+
+/**
+ * Verifica se um arquivo é um ZIP pelos bytes iniciais ou pelo nome
+ * @param {Buffer} head - Primeiros bytes do arquivo
+ * @param {string} filename - Nome do arquivo
+ * @returns {boolean} Se o arquivo é um ZIP
+ */
+function isZip(head, filename = '') {
+  return (head.length >= 4 && head.readUInt32LE(0) === LOCAL_HEADER) || /\.zip$/i.test(filename);
+}
+
+module.exports = {
+  createZip,
+  readZip,
+  isZip
+};
@@ -0,0 +1,660 @@
+// Local processing of files and typed text, with the same rules as the backend (TacProcessor). Loaded by
+// the page and by js/worker.js (importScripts), which runs it off the page's thread
+
+// Same modes as backend/modes.js: order of the output records and the step shown for each one
+const MODES = {
+  lines: {
+    label: 'Inversão de linhas (tac)',
+    order: 'reverse',
+    step: 'Aplicando inversão de linhas (comando tac)...'
+  },
+  paragraphs: {
+    label: 'Inversão de parágrafos (blocos separados por linha em branco)',
+    order: 'reverse',
+    step: 'Invertendo ordem dos parágrafos...'
+  },
+  rev: {
+    label: 'Inversão dos caracteres de cada linha (rev)',
+    order: 'original',
+    step: 'Invertendo os caracteres de cada linha...'
+  },
+  words: {
+    label: 'Inversão das palavras de cada linha',
+    order: 'original',
+    step: 'Invertendo as palavras de cada linha...'
+  },
+  shuffle: { label: 'Embaralhamento das linhas', order: 'shuffle', step: 'Embaralhando as linhas...' }
+};
+
+// Same formats as backend/formats.js, detected by the file extension when the format is 'auto'
+const FORMATS = {
+  text: { label: 'Texto', extensions: [] },
+  csv: { label: 'CSV (cabeçalho mantido no topo)', extensions: ['.csv'] },
+  json: { label: 'JSON (elementos do array)', extensions: ['.json'] },
+  ndjson: { label: 'NDJSON (um documento JSON por linha)', extensions: ['.ndjson', '.jsonl'] }
+};
+
+// Bytes read from a file at a time (Blob.slice) and bytes sampled to detect its encoding
+const READ_CHUNK_SIZE = 4 * 1024 * 1024;
+const ENCODING_SAMPLE = 64 * 1024;
+// TextDecoder labels; Latin-1 is decoded byte by byte (see decodeBytes)
+const DECODER_LABELS = { utf8: 'utf-8', utf16le: 'utf-16le', utf16be: 'utf-16be' };
+
+class LocalProcessor {
+  // Processes a job sent by the page: a file, read in chunks, or the typed text. `report` receives the
+  // reading progress ({ type: 'progress', loaded, total }) and then { type: 'processing' }
+  async run({ file = null, text = '', source, options }, report = () => {}) {
+    const input = file
+      ? await this.readFile(file, options.encoding, (loaded, total) => report({ type: 'progress', loaded, total }))
+      : { text, encoding: 'utf8', bom: false };
+
+    if (!input.text) {
+      throw new Error('Nenhum conteúdo encontrado para processar');
+    }
+
+    report({ type: 'processing' });
+    return this.process(input.text, source, options, input, file ? file.name : '');
+  }
+
+  async readFile(file, forcedEncoding = 'auto', onProgress = () => {}) {
+    // Only one chunk of bytes is in memory at a time; the encoding is detected on the first bytes
+    const head = new Uint8Array(await file.slice(0, ENCODING_SAMPLE).arrayBuffer());
+    const { encoding, bomLength } = this.detectEncoding(head, forcedEncoding);
+    const decoder = encoding === 'latin1' ? null : new TextDecoder(DECODER_LABELS[encoding], { ignoreBOM: true });
+    const parts = [];
+
+    for (let offset = bomLength; offset < file.size; offset += READ_CHUNK_SIZE) {
+      const bytes = new Uint8Array(await file.slice(offset, offset + READ_CHUNK_SIZE).arrayBuffer());
+      // A character split between two chunks is completed by the next one (stream)
+      parts.push(decoder ? decoder.decode(bytes, { stream: true }) : this.decodeBytes(bytes, encoding));
+      onProgress(Math.min(offset + READ_CHUNK_SIZE, file.size), file.size);
+    }
+    if (decoder) {
+      parts.push(decoder.decode());
+    }
+
+    return { text: parts.join(''), encoding, bom: bomLength > 0 };
+  }
+
+  resolveFormat({ format, separator, before, mode }, fileName = '') {
+    // Same rules as TacProcessor.resolveFormat: with 'auto' the file extension decides,
+    // unless an option only makes sense for plain text
+    const conflict = name => {
+      if (name === 'text') return null;
+      if (separator || before) {
+        return `O formato ${name} define os próprios registros e não aceita separator nem before`;
+      }
+      if (mode !== 'lines' && mode !== 'shuffle') {
+        return `O formato ${name} aceita apenas os modos lines e shuffle`;
+      }
+      return null;
+    };
+
+    if (format !== 'auto') {
+      const message = conflict(format);
+      if (message) throw new Error(message);
+      return format;
+    }
+
+    const name = fileName.replace(/\.(gz|br|zz)$/i, '').toLowerCase();
+    const detected = Object.keys(FORMATS).find(key => FORMATS[key].extensions.some(ext => name.endsWith(ext)));
+    return detected && !conflict(detected) ? detected : 'text';
+  }
+
+  splitContent(text, format, recordOptions) {
+    // Same as TacProcessor.splitContent: only the records change order, prefix and suffix stay in place
+    if (format === 'json') {
+      return this.splitJsonArray(text);
+    }
+    if (format === 'csv') {
+      const records = this.splitCsvRecords(text, recordOptions.separator);
+      const header = records.shift();
+      return { prefix: header ? header.content + header.separator : '', records, suffix: '' };
+    }
+    return { prefix: '', records: this.splitRecords(text, recordOptions), suffix: '' };
+  }
+
+  splitCsvRecords(text, newline) {
+    // RFC 4180: line breaks inside quotes belong to the field, "" is an escaped quote
+    const pattern = new RegExp(`"|${newline}`, 'g');
+    const records = [];
+    let inQuotes = false;
+    let last = 0;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+      if (match[0] === '"') {
+        inQuotes = !inQuotes;
+      } else if (!inQuotes) {
+        records.push({ content: text.slice(last, match.index), separator: match[0] });
+        last = match.index + match[0].length;
+      }
+    }
+
+    if (inQuotes) {
+      throw new Error('CSV inválido: aspas sem fechamento');
+    }
+    if (last < text.length) {
+      records.push({ content: text.slice(last), separator: '' });
+    }
+    return records;
+  }
+
+  splitJsonArray(text) {
+    // Elements keep their original text; the separator is the comma and spacing up to the next one
+    let value;
+    try {
+      value = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`JSON inválido: ${error.message}`);
+    }
+    if (!Array.isArray(value)) {
+      throw new Error('JSON inválido: o conteúdo precisa ser um array');
+    }
+    if (value.length === 0) {
+      return { prefix: text, records: [], suffix: '' };
+    }
+
+    const bounds = [];
+    const close = text.lastIndexOf(']');
+    let depth = 0;
+    let inString = false;
+    let start = null;
+    let end = null;
+
+    for (let i = text.indexOf('[') + 1; i < close; i++) {
+      const char = text[i];
+
+      if (inString) {
+        if (char === '\\') {
+          i++;
+        } else if (char === '"') {
+          inString = false;
+          end = i + 1;
+        }
+        continue;
+      }
+      if (depth === 0 && char === ',') {
+        bounds.push([start, end]);
+        start = null;
+        continue;
+      }
+      if (char === ' ' || char === '\t' || char === '\n' || char === '\r') {
+        continue;
+      }
+
+      if (char === '"') {
+        inString = true;
+      } else if (char === '[' || char === '{') {
+        depth++;
+      } else if (char === ']' || char === '}') {
+        depth--;
+      }
+      if (start === null) {
+        start = i;
+      }
+      end = i + 1;
+    }
+    bounds.push([start, end]);
+
+    return {
+      prefix: text.slice(0, bounds[0][0]),
+      records: bounds.map(([elementStart, elementEnd], index) => ({
+        content: text.slice(elementStart, elementEnd),
+        separator: index + 1 < bounds.length ? text.slice(elementEnd, bounds[index + 1][0]) : ''
+      })),
+      suffix: text.slice(bounds[bounds.length - 1][1])
+    };
+  }
+
+  validateNdjsonRecord(content) {
+    if (content.trim() === '') return;
+    try {
+      JSON.parse(content);
+    } catch (error) {
+      const preview = content.length > 40 ? `${content.slice(0, 40)}…` : content;
+      throw new Error(`NDJSON inválido: ${error.message} em ${JSON.stringify(preview)}`);
+    }
+  }
+
+  normalizeSeed(seed) {
+    // Same as backend/modes.js: digits are used as a number, other text is hashed with FNV-1a
+    if (seed === '') {
+      return crypto.getRandomValues(new Uint32Array(1))[0];
+    }
+    if (/^\d+$/.test(seed)) {
+      return Number(seed) >>> 0;
+    }
+
+    let hash = 0x811c9dc5;
+    for (const char of seed) {
+      hash = Math.imul(hash ^ char.codePointAt(0), 0x01000193) >>> 0;
+    }
+    return hash;
+  }
+
+  shuffleRecords(records, seed, before) {
+    // Seeded Fisher-Yates (mulberry32), identical to backend/modes.js so a seed gives the same order
+    let state = seed >>> 0;
+    const random = () => {
+      state = (state + 0x6d2b79f5) >>> 0;
+      let value = Math.imul(state ^ (state >>> 15), state | 1);
+      value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+      return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+    };
+    const shuffled = records.map(record => ({ ...record }));
+
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+
+    // The record without separator stays at the edge it came from
+    const edge = before ? 0 : shuffled.length - 1;
+    const bare = shuffled.findIndex(record => record.separator === '');
+    if (bare !== -1 && bare !== edge) {
+      shuffled[bare].separator = shuffled[edge].separator;
+      shuffled[edge].separator = '';
+    }
+
+    return shuffled;
+  }
+
+  transformContent(mode, content) {
+    if (mode === 'rev') {
+      // Grapheme clusters keep emojis and combining accents intact
+      const segmenter =
+        typeof Intl.Segmenter === 'function' ? new Intl.Segmenter(undefined, { granularity: 'grapheme' }) : null;
+      const segments = segmenter ? Array.from(segmenter.segment(content), s => s.segment) : Array.from(content);
+      return segments.reverse().join('');
+    }
+    if (mode === 'words') {
+      const [, leading, words, trailing] = /^(\s*)([\s\S]*?)(\s*)$/.exec(content);
+      return leading + words.split(/(\s+)/).reverse().join('') + trailing;
+    }
+    return content;
+  }
+
+  createFilter({ include, exclude, filterRegex, ignoreCase, context, skip, lines }) {
+    // Same rules as backend/filter.js: lines with the include pattern and without the exclude one,
+    // plus context lines; skip and lines apply to the filtered output
+    if (!include && !exclude) return null;
+
+    const compile = pattern => {
+      if (!pattern) return null;
+      try {
+        const source = filterRegex ? pattern : pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return new RegExp(source, ignoreCase ? 'i' : '');
+      } catch (error) {
+        throw new Error(`Padrão de filtro inválido: ${error.message}`);
+      }
+    };
+    const includePattern = compile(include);
+    const excludePattern = compile(exclude);
+    const filter = { matched: 0, contextLines: 0, emitted: 0, done: false };
+    let pending = [];
+    let after = 0;
+    let seen = 0;
+
+    const emit = (record, output) => {
+      seen++;
+      if (seen <= skip || filter.done) return;
+      output.push(record);
+      filter.emitted++;
+      filter.done = lines !== null && filter.emitted >= lines;
+    };
+
+    filter.push = record => {
+      const output = [];
+      const matches =
+        (!includePattern || includePattern.test(record.content)) &&
+        !(excludePattern && excludePattern.test(record.content));
+
+      if (matches) {
+        filter.matched++;
+        filter.contextLines += pending.length;
+        pending.forEach(previous => emit(previous, output));
+        pending = [];
+        emit(record, output);
+        after = context;
+      } else if (after > 0) {
+        after--;
+        filter.contextLines++;
+        emit(record, output);
+      } else if (context > 0) {
+        pending = [...pending, record].slice(-context);
+      }
+      return output;
+    };
+
+    return filter;
+  }
+
+  describeFilter({ include, exclude, filterRegex, ignoreCase }, filter) {
+    const parts = [
+      include && `contém ${JSON.stringify(include)}`,
+      exclude && `não contém ${JSON.stringify(exclude)}`
+    ];
+    const flags = [filterRegex && 'expressão regular', ignoreCase && 'sem diferenciar maiúsculas'].filter(Boolean);
+
+    return [
+      `Filtro: ${parts.filter(Boolean).join(' e ')}${flags.length > 0 ? ` (${flags.join(', ')})` : ''}`,
+      `Linhas correspondentes: ${filter.matched}`
+    ];
+  }
+
+  selectWindow(total, { lines, skip, range }) {
+    // Same window as TacProcessor.selectWindow: range limits the original lines,
+    // skip and lines apply to the reversed output
+    const start = range ? Math.min(range.start - 1, total) : 0;
+    const end = Math.max(start, (range && range.end !== null ? Math.min(range.end, total) : total) - skip);
+
+    return { start: lines !== null ? Math.max(start, end - lines) : start, end };
+  }
+
+  describeSelection({ lines, skip, range }) {
+    const parts = [];
+    if (range) {
+      parts.push(`linhas ${range.start} a ${range.end === null ? 'última' : range.end} do original`);
+    }
+    if (skip > 0) {
+      parts.push(`pulando as ${skip} primeiras da saída`);
+    }
+    if (lines !== null) {
+      parts.push(`primeiras ${lines} da saída`);
+    }
+    return parts.length > 0 ? `Seleção: ${parts.join(', ')}` : null;
+  }
+
+  process(inputData, inputSource, options, inputEncoding, fileName = '') {
+    const mode = MODES[options.mode];
+    const lineEnding = this.detectLineEnding(inputData);
+    const recordOptions = options.separator
+      ? options
+      : options.mode === 'paragraphs'
+        ? { separator: lineEnding.paragraph, regex: true, before: false, label: lineEnding.label }
+        : { ...lineEnding, before: options.before };
+    let format = this.resolveFormat(options, fileName);
+    let content;
+    try {
+      content = this.splitContent(inputData, format, recordOptions);
+    } catch (error) {
+      // Same as TacProcessor.reverseText: a CSV or JSON detected by the extension that doesn't parse is plain text
+      if (options.format !== 'auto') throw error;
+      format = 'text';
+      content = this.splitContent(inputData, format, recordOptions);
+    }
+    const { prefix, records, suffix } = content;
+    const originalCount = records.length;
+    const filter = this.createFilter(options);
+    const seed = options.mode === 'shuffle' ? this.normalizeSeed(options.seed) : null;
+
+    // With filters or outside the reversed order, skip and lines are applied to the output
+    const sequential = filter || mode.order !== 'reverse';
+    const windowOptions = sequential ? { ...options, lines: null, skip: 0 } : options;
+    const { start, end } = this.selectWindow(originalCount, windowOptions);
+    let selected = records.slice(start, end);
+    const selectionStep = this.describeSelection(options);
+
+    // Records in output order
+    if (mode.order === 'reverse') {
+      selected.reverse();
+    } else if (mode.order === 'shuffle') {
+      // JSON separators go before each element, as in before mode
+      selected = this.shuffleRecords(selected, seed, options.before || format === 'json');
+    }
+
+    if (filter) {
+      const output = [];
+      for (let i = 0; i < selected.length && !filter.done; i++) {
+        output.push(...filter.push(selected[i]));
+      }
+      selected = output;
+    } else if (sequential) {
+      selected = selected.slice(options.skip, options.lines !== null ? options.skip + options.lines : undefined);
+    }
+    const lineCount = selected.length;
+
+    // Only a chosen NDJSON format is validated, not one detected by the extension
+    if (format === 'ndjson' && options.format === 'ndjson') {
+      selected.forEach(record => this.validateNdjsonRecord(record.content));
+    }
+
+    // Apply the mode (tac reverses the selected records) and join them back; the CSV header
+    // and the JSON brackets stay in place, and the last JSON element never gets a comma
+    const resultText =
+      prefix +
+      this.joinRecords(
+        selected.map(record => ({ ...record, content: this.transformContent(options.mode, record.content) })),
+        options.before,
+        format === 'csv' || format === 'ndjson',
+        format === 'json' || options.mode === 'paragraphs',
+        format === 'json' ? '' : null
+      ) +
+      suffix;
+
+    // Input line of each output line, when each one comes from a single input line (see backend/lines.js)
+    const aligned = !filter && !options.separator && !options.before && ['text', 'ndjson'].includes(format);
+    const numbering =
+      aligned && ['lines', 'rev', 'words'].includes(options.mode)
+        ? { order: mode.order, first: mode.order === 'reverse' ? end : start + options.skip + 1 }
+        : null;
+
+    // Line examples only make sense when the selected lines are consecutive and reversed
+    const examples =
+      filter || mode.order !== 'reverse'
+        ? []
+        : [
+            `Linha ${end} → Linha 1`,
+            `Linha ${end - 1} → Linha 2`,
+            '...',
+            `Linha ${start + 1} → Linha ${lineCount}`
+          ];
+
+    // Create calculation details
+    const steps = [
+      `Fonte: ${inputSource}`,
+      `Total de linhas encontradas: ${originalCount}`,
+      ...(selectionStep ? [selectionStep, `Linhas selecionadas: ${lineCount}`] : []),
+      ...(filter ? this.describeFilter(options, filter) : []),
+      ...(options.mode !== 'lines' ? [`Modo: ${mode.label}${seed !== null ? ` (semente ${seed})` : ''}`] : []),
+      mode.step,
+      ...examples,
+      `✓ Processamento concluído com sucesso`
+    ];
+
+    const outputEncoding = options.outputEncoding || inputEncoding.encoding;
+    const encodingSteps = [
+      `Codificação: ${this.describeEncoding(inputEncoding.encoding)}${inputEncoding.bom ? ' (com BOM)' : ''}`
+    ];
+    if (outputEncoding !== inputEncoding.encoding) {
+      encodingSteps.push(`Codificação de saída: ${this.describeEncoding(outputEncoding)}`);
+    }
+
+    steps.splice(
+      1,
+      0,
+      ...encodingSteps,
+      options.separator ? `Separador: ${JSON.stringify(options.separator)}` : recordOptions.label,
+      ...(format !== 'text' ? [`Formato: ${FORMATS[format].label}`] : [])
+    );
+
+    return {
+      original: inputData,
+      result: resultText,
+      steps: steps,
+      lineCount: lineCount,
+      source: inputSource,
+      numbering: numbering,
+      metadata: {
+        encoding: inputEncoding.encoding,
+        bom: inputEncoding.bom,
+        outputEncoding: outputEncoding,
+        mode: options.mode,
+        seed: seed,
+        format: format
+      }
+    };
+  }
+
+  detectLineEnding(text) {
+    // Same rules as TacProcessor.detectLineEnding: CRLF wins, lone CR only without any LF.
+    // `paragraph` matches the empty lines between paragraphs, as in backend/tac.js
+    const sample = text.slice(0, 64 * 1024).replace(/\r$/, '');
+
+    if (sample.includes('\r\n')) {
+      return {
+        separator: '\r?\n',
+        regex: true,
+        paragraph: '(?:\r?\n){2,}(?!\r)',
+        label: 'Quebra de linha detectada: CRLF (Windows)'
+      };
+    }
+    if (sample.includes('\r') && !sample.includes('\n')) {
+      return {
+        separator: '\r',
+        regex: false,
+        paragraph: '\r{2,}',
+        label: 'Quebra de linha detectada: CR (Mac clássico)'
+      };
+    }
+    return { separator: '\n', regex: false, paragraph: '\n{2,}', label: 'Quebra de linha detectada: LF (Unix)' };
+  }
+
+  splitRecords(text, { separator, regex, before }) {
+    // Same record semantics as backend/records.js (GNU tac -s / -r / -b)
+    const matches = [];
+
+    if (regex) {
+      const pattern = new RegExp(separator, 'g');
+      let match;
+      while ((match = pattern.exec(text)) !== null) {
+        if (match[0].length === 0) {
+          pattern.lastIndex++;
+          continue;
+        }
+        matches.push({ index: match.index, text: match[0] });
+      }
+    } else {
+      let index = text.indexOf(separator);
+      while (index !== -1) {
+        matches.push({ index, text: separator });
+        index = text.indexOf(separator, index + separator.length);
+      }
+    }
+
+    const records = [];
+    let last = 0;
+    let pendingSeparator = '';
+
+    matches.forEach(match => {
+      const content = text.slice(last, match.index);
+
+      if (before) {
+        if (pendingSeparator || content) {
+          records.push({ content, separator: pendingSeparator });
+        }
+        pendingSeparator = match.text;
+      } else {
+        records.push({ content, separator: match.text });
+      }
+
+      last = match.index + match.text.length;
+    });
+
+    const rest = text.slice(last);
+    if (before ? pendingSeparator || rest : rest) {
+      records.push({ content: rest, separator: before ? pendingSeparator : '' });
+    }
+
+    return records;
+  }
+
+  joinRecords(records, before, balance, shift, fixedFinalSeparator = null) {
+    const output = records.map(record => ({ ...record }));
+    const last = output.length - 1;
+
+    // Paragraphs keep the blank lines between the same positions, and the input's final line break
+    if (shift && last >= 0) {
+      // A fixed final separator (JSON) leaves the first record untouched
+      const fixed = fixedFinalSeparator !== null;
+      const match = !fixed && output[0].separator === '' ? /(\r\n|\n|\r)$/.exec(output[0].content) : null;
+      const finalSeparator = fixed ? fixedFinalSeparator : match ? match[1] : output[0].separator;
+      if (match) {
+        output[0].content = output[0].content.slice(0, match.index);
+      }
+      return output
+        .map((record, i) => record.content + (i < last ? output[i + 1].separator : finalSeparator))
+        .join('');
+    }
+
+    // Like GNU tac, each record keeps its own separator. CSV and NDJSON rows must not run
+    // together, so there the row without a line break takes its neighbour's
+    if (balance && last > 0 && !before && output[0].separator === '') {
+      output[0].separator = output[1].separator;
+      output[last].separator = '';
+    }
+
+    return output
+      .map(record => (before ? record.separator + record.content : record.content + record.separator))
+      .join('');
+  }
+
+  detectEncoding(bytes, forced = 'auto') {
+    // Same rules as backend/encoding.js: BOM first, then UTF-16 null bytes, UTF-8 validity, Latin-1
+    const boms = { utf8: [0xef, 0xbb, 0xbf], utf16le: [0xff, 0xfe], utf16be: [0xfe, 0xff] };
+
+    for (const [encoding, bom] of Object.entries(boms)) {
+      if ((forced === 'auto' || forced === encoding) && bom.every((byte, i) => bytes[i] === byte)) {
+        return { encoding, bomLength: bom.length };
+      }
+    }
+
+    if (forced !== 'auto') {
+      return { encoding: forced, bomLength: 0 };
+    }
+
+    const sample = bytes.subarray(0, ENCODING_SAMPLE);
+    const pairs = Math.floor(sample.length / 2);
+    let evenZeros = 0;
+    let oddZeros = 0;
+    for (let i = 0; i < pairs * 2; i += 2) {
+      if (sample[i] === 0) evenZeros++;
+      if (sample[i + 1] === 0) oddZeros++;
+    }
+
+    if (pairs >= 2 && oddZeros / pairs > 0.3 && evenZeros < oddZeros / 4) {
+      return { encoding: 'utf16le', bomLength: 0 };
+    }
+    if (pairs >= 2 && evenZeros / pairs > 0.3 && oddZeros < evenZeros / 4) {
+      return { encoding: 'utf16be', bomLength: 0 };
+    }
+
+    try {
+      // A full sample may end in the middle of a character
+      const truncated = sample.length === ENCODING_SAMPLE;
+      new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: truncated });
+      return { encoding: 'utf8', bomLength: 0 };
+    } catch (error) {
+      return { encoding: 'latin1', bomLength: 0 };
+    }
+  }
+
+  decodeBytes(bytes, encoding) {
+    if (encoding === 'latin1') {
+      // TextDecoder maps "iso-8859-1" to windows-1252, so decode byte by byte
+      let text = '';
+      for (let i = 0; i < bytes.length; i += 8192) {
+        text += String.fromCharCode(...bytes.subarray(i, i + 8192));
+      }
+      return text;
+    }
+
+    return new TextDecoder(DECODER_LABELS[encoding], { ignoreBOM: true }).decode(bytes);
+  }
+
+  describeEncoding(encoding) {
+    const labels = { utf8: 'UTF-8', utf16le: 'UTF-16 LE', utf16be: 'UTF-16 BE', latin1: 'Latin-1 (ISO-8859-1)' };
+    return labels[encoding];
+  }
+}
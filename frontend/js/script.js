@@ -1,20 +1,467 @@
+// The API key is kept in localStorage and sent as a bearer token (see backend/auth.js)
+const API_KEY_STORAGE = 'tac-api-key';
+
+// Local processing keeps the text, its records and the result in memory (about LOCAL_MEMORY_FACTOR times
+// the file) and uses up to a quarter of the device memory (navigator.deviceMemory, 4GB when not reported);
+// larger files are processed by the server
+const LOCAL_MEMORY_FACTOR = 8;
+// Longest string in V8 (2^29 - 24 characters)
+const MAX_LOCAL_TEXT = Math.pow(2, 29) - 24;
+// Largest file processed on the page itself, in browsers without Web Workers
+const MAIN_THREAD_LIMIT = 5 * 1024 * 1024;
+
+// Output viewer: row height in px (same as .viewer-row), lines per server page and pages kept in memory
+const VIEWER_ROW_HEIGHT = 22;
+const VIEWER_PAGE_SIZE = 500;
+const VIEWER_CACHED_PAGES = 40;
+// Browsers cap the height of an element (about 17M px in Firefox); taller results scale the scrollbar
+const VIEWER_MAX_HEIGHT = 8000000;
+// Lines copied at once by "Copiar linhas"
+const VIEWER_MAX_COPY = 100000;
+// States of the input lines in the comparison view, shown as the row tooltip
+const LINE_STATES = {
+  kept: 'Mantida no resultado',
+  dropped: 'Removida do resultado',
+  changed: 'Alterada pelos separadores ou pelo formato'
+};
+
+// Input line of an output line, from the numbering of backend/lines.js (`{ order, first }`)
+function originalLine(numbering, number) {
+  if (!numbering) {
+    return null;
+  }
+  return numbering.order === 'reverse' ? numbering.first - number + 1 : numbering.first + number - 1;
+}
+
+// Lines of a result held by the browser (local processing, batches and results sent in full)
+class LocalLines {
+  constructor(text, numbering = null) {
+    const lines = text === '' ? [] : text.split(/\r\n|\n|\r/);
+    // A final line break doesn't start another line (same as backend/lines.js)
+    if (lines.length > 1 && lines[lines.length - 1] === '') {
+      lines.pop();
+    }
+
+    this.lines = lines;
+    this.total = lines.length;
+    this.numbering = numbering;
+  }
+
+  async load() {}
+
+  async read(start, count) {
+    return this.lines.slice(start, start + count);
+  }
+}
+
+// Lines of a result stored in the server history, fetched in pages from GET /api/history/:id/lines
+class RemoteLines {
+  constructor(id, fetchJson) {
+    this.id = id;
+    this.fetchJson = fetchJson;
+    this.pages = new Map();
+    this.total = 0;
+    this.numbering = null;
+  }
+
+  async load() {
+    await this.page(0);
+  }
+
+  page(index) {
+    if (!this.pages.has(index)) {
+      const start = index * VIEWER_PAGE_SIZE + 1;
+      const loading = this.fetchJson(`/api/history/${this.id}/lines?start=${start}&count=${VIEWER_PAGE_SIZE}`).then(
+        body => {
+          this.total = body.totalLines;
+          this.numbering = body.numbering;
+          return body.lines.map(line => line.text);
+        }
+      );
+      loading.catch(() => this.pages.delete(index));
+
+      // The oldest page leaves first
+      this.pages.set(index, loading);
+      if (this.pages.size > VIEWER_CACHED_PAGES) {
+        this.pages.delete(this.pages.keys().next().value);
+      }
+    }
+    return this.pages.get(index);
+  }
+
+  async read(start, count) {
+    const first = Math.floor(start / VIEWER_PAGE_SIZE);
+    const last = Math.floor((start + count - 1) / VIEWER_PAGE_SIZE);
+    const pages = [];
+    for (let index = first; index <= last; index++) {
+      pages.push(this.page(index));
+    }
+
+    const offset = start - first * VIEWER_PAGE_SIZE;
+    return (await Promise.all(pages)).flat().slice(offset, offset + count);
+  }
+}
+
+// Pairs each output line with the input line it came from, for the comparison view. With a numbering
+// the pairs are computed; otherwise each output line is matched to an input line with the same content
+// once the mode is applied (identical lines may be paired with another copy of themselves)
+class LineComparison {
+  constructor(input, output, { numbering = null, order = 'reverse', transform = line => line } = {}) {
+    // 0 means no line on the other side
+    this.outputToInput = new Int32Array(output.total + 1);
+    this.inputToOutput = new Int32Array(input.total + 1);
+    this.kept = 0;
+
+    if (numbering) {
+      for (let number = 1; number <= output.total; number++) {
+        const line = originalLine(numbering, number);
+        if (line >= 1 && line <= input.total) {
+          this.pair(line, number);
+        }
+      }
+    } else {
+      this.match(input.lines, output.lines, order, transform);
+    }
+
+    // Output lines without a match were rebuilt (custom separators, JSON commas), so the input lines
+    // left over may have been changed rather than dropped
+    this.unmatched = output.total - this.kept;
+    this.dropped = this.unmatched === 0 ? input.total - this.kept : 0;
+  }
+
+  match(input, output, order, transform) {
+    // Input lines by content, in ascending order, with the range of copies not paired yet
+    const candidates = new Map();
+    input.forEach((line, i) => {
+      const key = transform(line);
+      if (!candidates.has(key)) {
+        candidates.set(key, { lines: [], first: 0, last: -1 });
+      }
+      const copies = candidates.get(key);
+      copies.lines.push(i + 1);
+      copies.last++;
+    });
+
+    // Reversed output takes the last copy of a line first; the other orders take the first one
+    output.forEach((line, i) => {
+      const copies = candidates.get(line);
+      if (copies && copies.first <= copies.last) {
+        this.pair(order === 'reverse' ? copies.lines[copies.last--] : copies.lines[copies.first++], i + 1);
+      }
+    });
+  }
+
+  pair(inputLine, outputLine) {
+    this.outputToInput[outputLine] = inputLine;
+    this.inputToOutput[inputLine] = outputLine;
+    this.kept++;
+  }
+
+  inputLine(outputLine) {
+    return this.outputToInput[outputLine] || null;
+  }
+
+  outputLine(inputLine) {
+    return this.inputToOutput[inputLine] || null;
+  }
+
+  state(inputLine) {
+    if (this.inputToOutput[inputLine]) {
+      return 'kept';
+    }
+    return this.unmatched === 0 ? 'dropped' : 'changed';
+  }
+}
+
+// Windowed view of a result: only the visible rows are in the DOM, so large results don't freeze the tab
+class OutputViewer {
+  constructor({ element, viewport, spacer, rows }) {
+    this.element = element;
+    this.viewport = viewport;
+    this.spacer = spacer;
+    this.rows = rows;
+    this.source = null;
+    this.scale = 1;
+    this.highlight = null;
+    this.hovered = null;
+    // Second column and row states (see annotate)
+    this.link = null;
+    this.state = null;
+    this.renderToken = 0;
+    this.frame = null;
+    // Set when scrollToLine moved the viewport, so that scroll isn't reported back
+    this.quiet = false;
+    // Called on scrolls and with the line under the pointer (null when it leaves the rows)
+    this.onScroll = null;
+    this.onHover = null;
+
+    this.viewport.addEventListener('scroll', () => {
+      this.scheduleRender();
+      if (this.quiet) {
+        this.quiet = false;
+      } else if (this.onScroll) {
+        this.onScroll();
+      }
+    });
+    this.rows.addEventListener('mouseover', event => {
+      const row = event.target.closest('.viewer-row');
+      if (row && this.onHover) {
+        this.onHover(Number(row.dataset.line));
+      }
+    });
+    this.rows.addEventListener('mouseleave', () => {
+      if (this.onHover) {
+        this.onHover(null);
+      }
+    });
+    // The viewport can be resized by the user and is only measured once the result section shows
+    new ResizeObserver(() => {
+      if (this.source) {
+        this.layout();
+        this.scheduleRender();
+      }
+    }).observe(this.viewport);
+  }
+
+  async open(source, annotations) {
+    this.source = source;
+    this.highlight = null;
+    this.hovered = null;
+    this.rows.replaceChildren();
+    await source.load();
+
+    if (this.source === source) {
+      this.annotate(annotations);
+      this.layout();
+      this.viewport.scrollTop = 0;
+      await this.render();
+    }
+  }
+
+  clear() {
+    this.source = null;
+    this.renderToken++;
+    this.rows.replaceChildren();
+    this.spacer.style.height = '0';
+  }
+
+  get total() {
+    return this.source ? this.source.total : 0;
+  }
+
+  // `link` gives the line shown in the second column (by default, the input line from the numbering)
+  // and `state` the state of a row ('kept', 'dropped' or 'changed'); takes effect on the next render
+  annotate({ link = this.numberingLink(), state = null } = {}) {
+    this.link = link;
+    this.state = state;
+    this.element.classList.toggle('numbered', Boolean(link));
+  }
+
+  numberingLink() {
+    const { numbering } = this.source;
+    return numbering ? number => originalLine(numbering, number) : null;
+  }
+
+  firstVisibleLine() {
+    return Math.floor((this.viewport.scrollTop * this.scale) / VIEWER_ROW_HEIGHT) + 1;
+  }
+
+  visibleLines() {
+    return Math.ceil(this.viewport.clientHeight / VIEWER_ROW_HEIGHT);
+  }
+
+  // Scrolls a line to the given row of the viewport without reporting the scroll
+  scrollToLine(line, row = 0) {
+    const before = this.viewport.scrollTop;
+    this.viewport.scrollTop = ((line - 1 - row) * VIEWER_ROW_HEIGHT) / this.scale;
+    this.quiet = this.viewport.scrollTop !== before;
+  }
+
+  hover(line) {
+    this.hovered = line;
+    Array.from(this.rows.children).forEach(row => row.classList.toggle('hovered', Number(row.dataset.line) === line));
+  }
+
+  layout() {
+    const height = this.source.total * VIEWER_ROW_HEIGHT;
+    const visible = this.viewport.clientHeight;
+
+    this.spacer.style.height = `${Math.min(height, VIEWER_MAX_HEIGHT)}px`;
+    this.scale = height > VIEWER_MAX_HEIGHT ? (height - visible) / (VIEWER_MAX_HEIGHT - visible) : 1;
+  }
+
+  scheduleRender() {
+    if (this.frame === null) {
+      this.frame = requestAnimationFrame(() => {
+        this.frame = null;
+        this.render();
+      });
+    }
+  }
+
+  async render() {
+    if (!this.source) {
+      return;
+    }
+
+    const token = ++this.renderToken;
+    const { scrollTop } = this.viewport;
+    const top = scrollTop * this.scale;
+    const first = Math.floor(top / VIEWER_ROW_HEIGHT);
+    const count = Math.ceil(this.viewport.clientHeight / VIEWER_ROW_HEIGHT) + 1;
+    const lines = await this.source.read(first, count);
+
+    // A later scroll or another result already took over
+    if (token !== this.renderToken) {
+      return;
+    }
+
+    this.rows.style.transform = `translateY(${scrollTop - (top % VIEWER_ROW_HEIGHT)}px)`;
+    this.rows.replaceChildren(...lines.map((text, i) => this.createRow(first + i + 1, text)));
+  }
+
+  createRow(number, text) {
+    const row = document.createElement('div');
+    const state = this.state ? this.state(number) : null;
+    row.className = ['viewer-row', number === this.highlight && 'current', number === this.hovered && 'hovered', state]
+      .filter(Boolean)
+      .join(' ');
+    row.dataset.line = number;
+    if (state) {
+      row.title = LINE_STATES[state];
+    }
+
+    // Lines come from the processed content, so they are set as text, never as HTML
+    const cells = [['viewer-number', number]];
+    if (this.link) {
+      cells.push(['viewer-original', this.link(number)]);
+    }
+    cells.push(['viewer-text', text]);
+    cells.forEach(([className, content]) => {
+      const cell = document.createElement('span');
+      cell.className = className;
+      cell.textContent = content;
+      row.appendChild(cell);
+    });
+    return row;
+  }
+
+  jumpTo(line) {
+    if (!Number.isInteger(line) || line < 1 || line > this.total) {
+      throw new Error(`Informe uma linha entre 1 e ${this.total.toLocaleString('pt-BR')}`);
+    }
+
+    this.highlight = line;
+    this.viewport.scrollTop = ((line - 1) * VIEWER_ROW_HEIGHT) / this.scale;
+    this.render();
+  }
+
+  async copyRange(from, to) {
+    if (!Number.isInteger(from) || !Number.isInteger(to) || from < 1 || to < from || to > this.total) {
+      throw new Error(`Informe linhas entre 1 e ${this.total.toLocaleString('pt-BR')}, a primeira antes da última`);
+    }
+    if (to - from + 1 > VIEWER_MAX_COPY) {
+      throw new Error(`Copie no máximo ${VIEWER_MAX_COPY.toLocaleString('pt-BR')} linhas por vez`);
+    }
+
+    // One page at a time, so a long range doesn't fire every request at once
+    const lines = [];
+    for (let start = from - 1; start < to; start += VIEWER_PAGE_SIZE) {
+      lines.push(...(await this.source.read(start, Math.min(VIEWER_PAGE_SIZE, to - start))));
+    }
+    return lines.join('\n');
+  }
+}
+
 class TacInterface {
   constructor() {
     this.fileInput = document.getElementById('file-input');
     this.textInput = document.getElementById('text-input');
+    this.separatorInput = document.getElementById('separator-input');
+    this.regexInput = document.getElementById('regex-input');
+    this.beforeInput = document.getElementById('before-input');
+    this.encodingInput = document.getElementById('encoding-input');
+    this.outputEncodingInput = document.getElementById('output-encoding-input');
+    this.linesInput = document.getElementById('lines-input');
+    this.skipInput = document.getElementById('skip-input');
+    this.rangeInput = document.getElementById('range-input');
+    this.includeInput = document.getElementById('include-input');
+    this.excludeInput = document.getElementById('exclude-input');
+    this.contextInput = document.getElementById('context-input');
+    this.filterRegexInput = document.getElementById('filter-regex-input');
+    this.ignoreCaseInput = document.getElementById('ignore-case-input');
+    this.modeInput = document.getElementById('mode-input');
+    this.seedInput = document.getElementById('seed-input');
+    this.formatInput = document.getElementById('format-input');
     this.fileInfo = document.getElementById('file-info');
     this.processBtn = document.getElementById('process-btn');
     this.clearBtn = document.getElementById('clear-btn');
     this.resultSection = document.getElementById('result-section');
     this.calculationDetails = document.getElementById('calculation-details');
-    this.outputText = document.getElementById('output-text');
+    this.viewerInfo = document.getElementById('viewer-info');
+    this.viewerJumpInput = document.getElementById('viewer-jump-input');
+    this.viewerJumpBtn = document.getElementById('viewer-jump-btn');
+    this.viewerCopyFrom = document.getElementById('viewer-copy-from');
+    this.viewerCopyTo = document.getElementById('viewer-copy-to');
+    this.viewerCopyBtn = document.getElementById('viewer-copy-btn');
+    this.viewerCompareBtn = document.getElementById('viewer-compare-btn');
     this.downloadBtn = document.getElementById('download-btn');
     this.loading = document.getElementById('loading');
+    this.cancelBtn = document.getElementById('cancel-btn');
+    this.progress = document.getElementById('progress');
+    this.progressBar = document.getElementById('progress-bar');
+    this.progressFill = document.getElementById('progress-fill');
+    this.progressInfo = document.getElementById('progress-info');
+    this.authOptions = document.getElementById('auth-options');
+    this.apiKeyInput = document.getElementById('api-key-input');
+    this.loginBtn = document.getElementById('login-btn');
+    this.logoutBtn = document.getElementById('logout-btn');
+    this.authStatus = document.getElementById('auth-status');
+    this.historySection = document.getElementById('history-section');
+    this.historyList = document.getElementById('history-list');
+    this.historyEmpty = document.getElementById('history-empty');
+    this.historyRefreshBtn = document.getElementById('history-refresh-btn');
+    this.shareOptions = document.getElementById('share-options');
+    this.shareInput = document.getElementById('share-input');
+    this.shareExpiryInput = document.getElementById('share-expiry-input');
+    this.sharePasswordInput = document.getElementById('share-password-input');
+    this.shareLink = document.getElementById('share-link');
+    this.shareUrl = document.getElementById('share-url');
+    this.shareDetails = document.getElementById('share-details');
+    this.shareCopyBtn = document.getElementById('share-copy-btn');
+    this.shareRevokeBtn = document.getElementById('share-revoke-btn');
 
     this.currentFile = null;
+    this.currentFiles = [];
     this.currentResult = null;
+    // Processing rules shared with js/worker.js, and the cancel of the local processing in progress
+    this.processor = new LocalProcessor();
+    this.cancelLocal = null;
+    this.apiKey = localStorage.getItem(API_KEY_STORAGE);
+    // Upload limits reported by the server (GET /api/info); null until they are loaded
+    this.limits = null;
+    // Entries listed in the history panel, by id
+    this.historyEntries = new Map();
+    // Share link of the displayed result (POST /api/tac with share), revoked from the result section
+    this.currentShare = null;
+    this.viewer = new OutputViewer({
+      element: document.getElementById('output-viewer'),
+      viewport: document.getElementById('viewer-viewport'),
+      spacer: document.getElementById('viewer-spacer'),
+      rows: document.getElementById('viewer-rows')
+    });
+    // Input pane of the comparison view, next to the result while `comparison` is set
+    this.inputViewer = new OutputViewer({
+      element: document.getElementById('input-viewer'),
+      viewport: document.getElementById('input-viewport'),
+      spacer: document.getElementById('input-spacer'),
+      rows: document.getElementById('input-rows')
+    });
+    this.comparison = null;
 
     this.initEventListeners();
+    this.checkAuth();
+    this.loadLimits();
   }
 
   initEventListeners() {
@@ -25,6 +472,43 @@ class TacInterface {
     this.processBtn.addEventListener('click', () => this.processInput());
     this.clearBtn.addEventListener('click', () => this.clearAll());
     this.downloadBtn.addEventListener('click', () => this.downloadResult());
+    this.loginBtn.addEventListener('click', () => this.login());
+    this.logoutBtn.addEventListener('click', () => this.logout());
+    this.historyRefreshBtn.addEventListener('click', () => this.loadHistory());
+    this.shareCopyBtn.addEventListener('click', () => this.copyShareLink());
+    this.shareRevokeBtn.addEventListener('click', () => this.revokeShare());
+    this.viewerJumpBtn.addEventListener('click', () => this.jumpToLine());
+    this.viewerCopyBtn.addEventListener('click', () => this.copyLines());
+    this.viewerCompareBtn.addEventListener('click', () => this.toggleComparison());
+    this.cancelBtn.addEventListener('click', () => {
+      if (this.cancelLocal) {
+        this.cancelLocal();
+      }
+    });
+    // The comparison panes scroll together and highlight the pair of the line under the pointer
+    [
+      [this.viewer, this.inputViewer],
+      [this.inputViewer, this.viewer]
+    ].forEach(([from, to]) => {
+      from.onScroll = () => this.syncScroll(from, to);
+      from.onHover = line => this.hoverLine(from, to, line);
+    });
+    this.viewerJumpInput.addEventListener('keydown', e => {
+      if (e.key === 'Enter') {
+        this.jumpToLine();
+      }
+    });
+    this.historyList.addEventListener('click', e => {
+      const button = e.target.closest('button[data-action]');
+      if (button) {
+        this.handleHistoryAction(button.dataset.action, button.dataset.id);
+      }
+    });
+    this.apiKeyInput.addEventListener('keydown', e => {
+      if (e.key === 'Enter') {
+        this.login();
+      }
+    });
 
     // Text input events
     this.textInput.addEventListener('input', () => this.updateProcessButton());
@@ -35,54 +519,189 @@ class TacInterface {
         this.processInput();
       }
       if (e.key === 'Escape') {
-        this.clearAll();
+        if (this.cancelLocal) {
+          this.cancelLocal();
+        } else {
+          this.clearAll();
+        }
       }
     });
   }
 
+  async checkAuth() {
+    // GET /api/auth is always public: it tells whether the server requires a key and whether ours is valid
+    try {
+      const response = await fetch('/api/auth', { headers: this.authHeaders() });
+      const status = await response.json();
+
+      if (this.apiKey && !status.authenticated) {
+        this.logout();
+        this.authStatus.textContent = 'A chave salva é inválida ou foi revogada. Informe outra chave.';
+      }
+
+      this.updateAuth(status);
+      return status;
+    } catch (error) {
+      // Without the server only local processing is available, which needs no key
+      return null;
+    }
+  }
+
+  async login() {
+    const key = this.apiKeyInput.value.trim();
+
+    if (!key) {
+      this.showError('Informe a chave de API');
+      return;
+    }
+
+    this.apiKey = key;
+    const status = await this.checkAuth();
+
+    if (status && status.authenticated) {
+      localStorage.setItem(API_KEY_STORAGE, key);
+      this.apiKeyInput.value = '';
+      this.showNotification(`Conectado como ${status.key.name}`, 'success');
+      this.loadLimits();
+    } else {
+      this.apiKey = null;
+      this.authStatus.textContent = 'Chave de API inválida ou revogada';
+    }
+  }
+
+  logout() {
+    this.apiKey = null;
+    localStorage.removeItem(API_KEY_STORAGE);
+    this.authStatus.textContent = '';
+    this.historySection.hidden = true;
+    this.updateAuth({ enabled: true, authenticated: false, key: null });
+  }
+
+  updateAuth({ enabled, authenticated, key }) {
+    this.authOptions.hidden = !enabled;
+    this.apiKeyInput.hidden = authenticated;
+    this.loginBtn.hidden = authenticated;
+    this.logoutBtn.hidden = !authenticated;
+
+    if (authenticated) {
+      this.authStatus.textContent = `Conectado como ${key.name}${key.admin ? ' (administração)' : ''}`;
+    }
+  }
+
+  async loadLimits() {
+    // /api/info may require the API key; until it answers, the server is left to enforce its limits
+    try {
+      const response = await fetch('/api/info', { headers: this.authHeaders() });
+
+      if (response.ok) {
+        const { limits } = await response.json();
+        this.limits = limits;
+        this.fileInput.accept = [...limits.supportedFormats, 'gz', 'br', 'zz', 'zip'].map(ext => `.${ext}`).join(',');
+        this.shareOptions.hidden = !limits.shares || !limits.shares.enabled;
+        this.loadHistory();
+      }
+    } catch (error) {
+      // Without the server only local processing is available
+    }
+  }
+
+  authHeaders() {
+    return this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {};
+  }
+
+  serverError(response) {
+    // 401: missing, invalid or revoked key; the key field is shown again
+    if (response.status === 401) {
+      this.logout();
+      this.authStatus.textContent = 'O servidor exige uma chave de API válida.';
+      this.apiKeyInput.focus();
+      return new Error('Informe uma chave de API válida para processar no servidor');
+    }
+
+    // 429: usage limit reached; Retry-After says when to try again (XMLHttpRequest or fetch response)
+    if (response.status === 429) {
+      const header = response.headers ? response.headers.get('Retry-After') : response.getResponseHeader('Retry-After');
+      const retryAfter = parseInt(header, 10);
+      const wait = retryAfter > 0 ? ` Tente novamente em ${retryAfter}s.` : '';
+      return new Error(`Limite de uso do servidor atingido.${wait}`);
+    }
+
+    return new Error(`Erro do servidor: ${response.status}`);
+  }
+
   handleFileSelect(event) {
-    const file = event.target.files[0];
+    const files = Array.from(event.target.files);
 
-    if (!file) {
+    if (files.length === 0) {
       this.clearFileInfo();
       return;
     }
 
-    // Validate file type
-    const validTypes = ['text/plain', 'text/csv', 'application/json', 'text/markdown'];
-    const fileExtension = file.name.split('.').pop().toLowerCase();
-    const validExtensions = ['txt', 'log', 'csv', 'md', 'json'];
+    // Validate file type (rotated and compressed files like app.log.1.gz are checked by their inner extension;
+    // .zip archives are opened by the batch endpoint)
+    const validTypes = [
+      'text/plain',
+      'text/csv',
+      'application/json',
+      'application/x-ndjson',
+      'text/markdown',
+      'application/gzip',
+      'application/zip'
+    ];
+    // Extensions come from the server configuration; without them the server checks the upload
+    const validExtensions = this.limits ? [...this.limits.supportedFormats, 'zip'] : null;
+    const invalid = validExtensions && files.find(file => {
+      const fileExtension = file.name.replace(/(\.\d+)?(\.(gz|br|zz))?$/i, '').split('.').pop().toLowerCase();
+      return !validTypes.includes(file.type) && !validExtensions.includes(fileExtension);
+    });
+
+    if (invalid) {
+      this.showError(`Tipo de arquivo não suportado: ${invalid.name}. Use apenas arquivos de texto.`);
+      this.clearFileInfo();
+      return;
+    }
 
-    if (!validTypes.includes(file.type) && !validExtensions.includes(fileExtension)) {
-      this.showError('Tipo de arquivo não suportado. Use apenas arquivos de texto.');
+    // Size and count limits come from the server configuration (GET /api/info)
+    const { maxFileSize, maxBatchFiles } = this.limits || {};
+    const tooLarge = maxFileSize && files.find(file => file.size > maxFileSize);
+    if (tooLarge) {
+      this.showError(`Arquivo muito grande: ${tooLarge.name}. Tamanho máximo: ${this.formatFileSize(maxFileSize)}`);
       this.clearFileInfo();
       return;
     }
 
-    // Check file size (max 50MB for frontend processing)
-    if (file.size > 50 * 1024 * 1024) {
-      this.showError('Arquivo muito grande. Tamanho máximo: 50MB');
+    if (maxBatchFiles && files.length > maxBatchFiles) {
+      this.showError(`Arquivos demais. Máximo por lote: ${maxBatchFiles}`);
       this.clearFileInfo();
       return;
     }
 
-    this.currentFile = file;
-    this.displayFileInfo(file);
+    this.currentFile = files[0];
+    this.currentFiles = files;
+    this.displayFileInfo(files);
     this.textInput.value = ''; // Clear text input when file is selected
     this.updateProcessButton();
   }
 
-  displayFileInfo(file) {
-    const sizeStr = this.formatFileSize(file.size);
+  isBatch() {
+    // Several files, or a .zip archive, go to the batch endpoint and come back as a ZIP
+    return this.currentFiles.length > 1 || (this.currentFile !== null && /\.zip$/i.test(this.currentFile.name));
+  }
+
+  displayFileInfo(files) {
+    const totalSize = files.reduce((total, file) => total + file.size, 0);
+    const sizeStr = this.formatFileSize(totalSize);
+    const label = files.length === 1 ? files[0].name : `${files.length} arquivos`;
     this.fileInfo.innerHTML = `
             <span style="color: #00ff95;">✓</span> 
-            ${file.name} (${sizeStr})
+            ${label} (${sizeStr})
         `;
   }
 
   clearFileInfo() {
     this.fileInfo.innerHTML = '';
     this.currentFile = null;
+    this.currentFiles = [];
     this.fileInput.value = '';
   }
 
@@ -114,95 +733,621 @@ class TacInterface {
     this.hideResult();
 
     try {
-      let inputData = '';
-      let inputSource = '';
+      const options = {
+        ...this.getSeparatorOptions(),
+        ...this.getEncodingOptions(),
+        ...this.getSelectionOptions(),
+        ...this.getFilterOptions(),
+        ...this.getModeOptions(),
+        ...this.getShareOptions(),
+        format: this.formatInput.value || 'auto'
+      };
 
-      if (this.currentFile) {
-        inputData = await this.readFileAsText(this.currentFile);
-        inputSource = `Arquivo: ${this.currentFile.name}`;
-      } else {
-        inputData = this.textInput.value.trim();
-        inputSource = 'Texto digitado';
+      // Several files and .zip archives are processed as a batch
+      if (this.isBatch()) {
+        if (options.share) {
+          throw new Error('Links de compartilhamento valem para um arquivo ou texto por vez');
+        }
+        this.displayResult(await this.processBatch(options));
+        this.loadHistory();
+        return;
       }
 
-      if (!inputData) {
-        throw new Error('Nenhum conteúdo encontrado para processar');
+      // Typed text is only sent to the server when a share link is requested
+      if (!this.currentFile && options.share) {
+        this.displayResult(await this.processTextWithBackend(this.textInput.value.trim(), options));
+        this.loadHistory();
+        return;
       }
 
-      // Process with backend if file is large, otherwise process locally
+      // Files beyond what this browser can hold (localCapacity) and compressed files are processed by the
+      // backend, which decompresses them; so are the files to be shared, since the link points to a result
+      // stored on the server
+      const useBackend =
+        this.currentFile &&
+        (options.share || this.currentFile.size > this.localCapacity() || (await this.isCompressed(this.currentFile)));
+
       let result;
-      if (this.currentFile && this.currentFile.size > 5 * 1024 * 1024) {
-        result = await this.processWithBackend();
+      if (useBackend) {
+        result = await this.processWithBackend(options);
+        this.loadHistory();
+      } else if (this.currentFile) {
+        result = await this.processLocally({
+          file: this.currentFile,
+          source: `Arquivo: ${this.currentFile.name}`,
+          options
+        });
       } else {
-        result = await this.processLocally(inputData, inputSource);
+        result = await this.processLocally({ text: this.textInput.value.trim(), source: 'Texto digitado', options });
       }
 
       this.displayResult(result);
     } catch (error) {
-      this.showError(`Erro ao processar: ${error.message}`);
+      if (error.name === 'AbortError') {
+        this.showNotification(error.message, 'info');
+      } else {
+        this.showError(`Erro ao processar: ${error.message}`);
+      }
     } finally {
       this.showLoading(false);
     }
   }
 
-  async processLocally(inputData, inputSource) {
-    // Simulate processing time for better UX
-    await this.delay(500);
+  getSeparatorOptions() {
+    const raw = this.separatorInput.value;
+    const regex = this.regexInput.checked;
+    const before = this.beforeInput.checked;
 
-    const lines = inputData.split('\n');
-    const originalCount = lines.length;
+    // Escapes like \n, \t and \0 are typed literally; regexes understand them natively
+    // An empty field means "line breaks", detected from the content
+    const separator = raw === '' ? null : regex ? raw : this.unescapeSeparator(raw);
 
-    // Apply tac (reverse lines)
-    const reversedLines = [...lines].reverse();
-    const resultText = reversedLines.join('\n');
+    if (separator && regex) {
+      try {
+        new RegExp(separator);
+      } catch (error) {
+        throw new Error(`Separador inválido: ${error.message}`);
+      }
+    }
 
-    // Create calculation details
-    const steps = [
-      `Fonte: ${inputSource}`,
-      `Total de linhas encontradas: ${originalCount}`,
-      `Aplicando inversão de linhas (comando tac)...`,
-      `Linha ${originalCount} → Linha 1`,
-      `Linha ${originalCount - 1} → Linha 2`,
-      '...',
-      `Linha 1 → Linha ${originalCount}`,
-      `✓ Processamento concluído com sucesso`
-    ];
+    return { separator, regex, before };
+  }
+
+  getEncodingOptions() {
+    // Empty output encoding keeps the input encoding, as in TacProcessor
+    return {
+      encoding: this.encodingInput.value || 'auto',
+      outputEncoding: this.outputEncodingInput.value || null
+    };
+  }
+
+  getSelectionOptions() {
+    // Same validation as TacProcessor: lines >= 1, skip >= 0, range 'a..b', 'a..', '..b' or 'a'
+    const parseCount = (value, label, min) => {
+      if (value.trim() === '') return null;
+      const count = Number(value);
+      if (!Number.isInteger(count) || count < min) {
+        throw new Error(`${label} inválido: ${value}`);
+      }
+      return count;
+    };
+
+    const lines = parseCount(this.linesInput.value, 'Número de linhas', 1);
+    const skip = parseCount(this.skipInput.value, 'Número de linhas a pular', 0) || 0;
+    const rawRange = this.rangeInput.value.trim();
+    let range = null;
+
+    if (rawRange) {
+      const match = /^(\d*)\s*(\.\.)?\s*(\d*)$/.exec(rawRange);
+      const start = match && match[1] ? Number(match[1]) : 1;
+      const end = match && match[2] ? (match[3] ? Number(match[3]) : null) : start;
+
+      if (!match || (!match[1] && !match[3]) || (!match[2] && match[3]) || start < 1 || (end !== null && end < start)) {
+        throw new Error(`Intervalo de linhas inválido: ${rawRange}`);
+      }
+      range = { start, end, text: rawRange };
+    }
+
+    return { lines, skip, range };
+  }
+
+  getFilterOptions() {
+    const context = this.contextInput.value.trim() === '' ? 0 : Number(this.contextInput.value);
+    if (!Number.isInteger(context) || context < 0) {
+      throw new Error(`Número de linhas de contexto inválido: ${this.contextInput.value}`);
+    }
 
     return {
-      original: inputData,
-      result: resultText,
-      steps: steps,
-      lineCount: originalCount,
-      source: inputSource
+      include: this.includeInput.value,
+      exclude: this.excludeInput.value,
+      filterRegex: this.filterRegexInput.checked,
+      ignoreCase: this.ignoreCaseInput.checked,
+      context
     };
   }
 
-  async processWithBackend() {
+  getModeOptions() {
+    const mode = this.modeInput.value || 'lines';
+    const options = this.getSeparatorOptions();
+
+    if (mode === 'paragraphs' && (options.separator || options.before)) {
+      throw new Error('O modo paragraphs separa os registros por linhas vazias e não aceita separator nem before');
+    }
+
+    // An empty seed lets the backend (or LocalProcessor) pick a random one
+    return { mode, seed: this.seedInput.value.trim() };
+  }
+
+  getShareOptions() {
+    // Only offered when the server keeps shared results (limits.shares)
+    if (this.shareOptions.hidden || !this.shareInput.checked) {
+      return { share: false };
+    }
+
+    return {
+      share: true,
+      shareExpiry: this.shareExpiryInput.value,
+      sharePassword: this.sharePasswordInput.value
+    };
+  }
+
+  unescapeSeparator(value) {
+    const escapes = { n: '\n', r: '\r', t: '\t', 0: '\0', '\\': '\\' };
+    return value.replace(/\\([nrt0\\])/g, (match, char) => escapes[char]);
+  }
+
+  localCapacity() {
+    // Without workers the processing blocks the page, so only small files stay local
+    if (typeof Worker !== 'function') {
+      return MAIN_THREAD_LIMIT;
+    }
+
+    const memory = (navigator.deviceMemory || 4) * 1024 * 1024 * 1024;
+    return Math.min(MAX_LOCAL_TEXT, memory / 4 / LOCAL_MEMORY_FACTOR);
+  }
+
+  processLocally(job) {
+    const startTime = Date.now();
+    const report = message => this.reportLocalProgress(message, startTime);
+
+    if (typeof Worker !== 'function') {
+      return this.processor.run(job, report);
+    }
+
+    return new Promise((resolve, reject) => {
+      const worker = new Worker('js/worker.js');
+      const finish = () => {
+        worker.terminate();
+        this.cancelLocal = null;
+        this.cancelBtn.hidden = true;
+      };
+
+      // Terminating the worker stops it wherever it is, reading the file or processing it
+      this.cancelLocal = () => {
+        finish();
+        reject(new DOMException('Processamento cancelado', 'AbortError'));
+      };
+      this.cancelBtn.hidden = false;
+
+      worker.addEventListener('message', ({ data }) => {
+        if (data.type === 'result') {
+          finish();
+          resolve(data.result);
+        } else if (data.type === 'error') {
+          finish();
+          reject(new Error(data.message));
+        } else {
+          report(data);
+        }
+      });
+      worker.addEventListener('error', event => {
+        event.preventDefault();
+        finish();
+        reject(new Error(event.message || 'Falha no processamento local'));
+      });
+      worker.postMessage(job);
+    });
+  }
+
+  reportLocalProgress(message, startTime) {
+    if (message.type === 'progress') {
+      this.updateProgress('Lendo', this.measureProgress(message.loaded, message.total, startTime));
+    } else if (message.type === 'processing') {
+      this.progressInfo.textContent = 'Processando o conteúdo lido...';
+    }
+  }
+
+  async processWithBackend(options) {
     const formData = new FormData();
+    this.appendOptions(formData, options);
+    // With the history on, the result stays on the server and the viewer reads it in pages
+    if (this.limits && this.limits.history && this.limits.history.enabled) {
+      formData.append('includeResult', false);
+    }
     formData.append('file', this.currentFile);
 
-    const response = await fetch('/api/tac', {
+    // The server publishes the processing progress under this id (GET /api/tac/progress/:id)
+    const progressId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    const events = this.watchProgress(progressId);
+
+    try {
+      const response = await this.uploadWithProgress(`/api/tac?progressId=${progressId}`, formData);
+
+      if (response.status < 200 || response.status >= 300) {
+        throw this.serverError(response);
+      }
+
+      return response.response;
+    } finally {
+      events.close();
+    }
+  }
+
+  async processTextWithBackend(text, options) {
+    if (!text) {
+      throw new Error('Nenhum conteúdo encontrado para processar');
+    }
+
+    // Same fields as the uploads, sent urlencoded to POST /api/tac/text
+    const formData = new FormData();
+    this.appendOptions(formData, options);
+    formData.append('text', text);
+    formData.append('source', 'Texto digitado');
+
+    const response = await fetch('/api/tac/text', {
       method: 'POST',
-      body: formData
+      headers: this.authHeaders(),
+      body: new URLSearchParams(formData)
     });
 
     if (!response.ok) {
-      throw new Error(`Erro do servidor: ${response.status}`);
+      throw this.textError(response, await response.json().catch(() => ({})));
+    }
+
+    return response.json();
+  }
+
+  textError(response, body) {
+    // 400 carries the server's message (e.g. share expiry above the maximum)
+    if (response.status === 400 && body.error) {
+      return new Error(body.error);
+    }
+    return this.serverError(response);
+  }
+
+  async processBatch(options) {
+    const formData = new FormData();
+    this.appendOptions(formData, options);
+    this.currentFiles.forEach(file => formData.append('files', file));
+
+    const response = await this.uploadWithProgress('/api/tac/batch', formData, 'arraybuffer');
+
+    if (response.status < 200 || response.status >= 300) {
+      throw this.serverError(response);
+    }
+
+    return this.batchResult(response.response, `${this.currentFiles.length} arquivo(s) enviados em lote`);
+  }
+
+  batchResult(buffer, source) {
+    const manifest = this.readBatchManifest(buffer);
+    const { summary } = manifest;
+    const fileSteps = manifest.files.map(file =>
+      file.status === 'completed'
+        ? `✓ ${file.name} → ${file.output}: ${file.lineCount} linhas (${file.processingTime}ms)`
+        : `❌ ${file.name}: ${file.error}`
+    );
+
+    return {
+      result: JSON.stringify(manifest, null, 2),
+      lineCount: summary.lineCount,
+      steps: [
+        `Fonte: ${source}`,
+        'Método de processamento: Lote no servidor (ZIP com manifest.json)',
+        '',
+        ...fileSteps,
+        '',
+        `✅ Lote concluído: ${summary.completed} de ${summary.files} arquivos em ${summary.processingTime}ms`,
+        `📊 Total: ${summary.lineCount} linhas em ${summary.completed} arquivos`
+      ],
+      metadata: {},
+      archive: new Blob([buffer], { type: 'application/zip' })
+    };
+  }
+
+  readBatchManifest(buffer) {
+    // The server writes manifest.json as the first ZIP entry, stored without compression
+    const view = new DataView(buffer);
+    const decoder = new TextDecoder();
+    const nameLength = view.getUint16(26, true);
+    const name = decoder.decode(new Uint8Array(buffer, 30, nameLength));
+
+    if (view.getUint32(0, true) !== 0x04034b50 || view.getUint16(8, true) !== 0 || name !== 'manifest.json') {
+      throw new Error('Resposta do lote inválida');
+    }
+
+    const start = 30 + nameLength + view.getUint16(28, true);
+    return JSON.parse(decoder.decode(new Uint8Array(buffer, start, view.getUint32(18, true))));
+  }
+
+  async loadHistory() {
+    // The panel only appears when the server keeps a history of its processings
+    if (!this.limits || !this.limits.history || !this.limits.history.enabled) {
+      this.historySection.hidden = true;
+      return;
+    }
+
+    try {
+      const response = await fetch('/api/history?limit=20', { headers: this.authHeaders() });
+
+      if (!response.ok) {
+        this.historySection.hidden = true;
+        return;
+      }
+
+      const { entries } = await response.json();
+      this.renderHistory(entries);
+    } catch (error) {
+      this.historySection.hidden = true;
+    }
+  }
+
+  renderHistory(entries) {
+    this.historyEntries = new Map(entries.map(entry => [entry.id, entry]));
+    this.historyList.replaceChildren(
+      ...entries.map(entry => {
+        const item = document.createElement('li');
+        item.className = 'history-item';
+
+        // Names come from the uploads, so they are set as text, never as HTML
+        const source = document.createElement('div');
+        source.className = 'history-source';
+        source.textContent = entry.source;
+
+        const details = document.createElement('div');
+        details.className = 'history-details';
+        details.textContent = [
+          new Date(entry.createdAt).toLocaleString('pt-BR'),
+          `${entry.lineCount.toLocaleString('pt-BR')} linhas`,
+          entry.method,
+          `${this.formatFileSize(entry.size)} → ${this.formatFileSize(entry.output.size)}`,
+          `${entry.durationMs}ms`
+        ].join(' · ');
+
+        const actions = document.createElement('div');
+        actions.className = 'history-actions';
+        const labels = { reopen: 'Reabrir', download: 'Baixar', delete: 'Excluir' };
+        Object.entries(labels).forEach(([action, label]) => {
+          const button = document.createElement('button');
+          button.type = 'button';
+          button.className = 'history-btn';
+          button.textContent = label;
+          button.dataset.action = action;
+          button.dataset.id = entry.id;
+          actions.appendChild(button);
+        });
+
+        item.append(source, details, actions);
+        return item;
+      })
+    );
+
+    this.historyEmpty.hidden = entries.length > 0;
+    this.historySection.hidden = false;
+  }
+
+  async handleHistoryAction(action, id) {
+    const entry = this.historyEntries.get(id);
+
+    try {
+      if (action === 'reopen') {
+        await this.reopenHistory(entry);
+      } else if (action === 'download') {
+        const response = await this.fetchHistory(`/api/history/${id}/result`);
+        this.saveBlob(await response.blob(), entry.output.fileName);
+      } else if (action === 'delete') {
+        await this.fetchHistory(`/api/history/${id}`, { method: 'DELETE' });
+        this.showNotification('Processamento removido do histórico', 'success');
+        this.loadHistory();
+      }
+    } catch (error) {
+      this.showError(error.message);
+      this.loadHistory();
+    }
+  }
+
+  async reopenHistory(summary) {
+    const { contentType } = summary.output;
+    const isZip = contentType === 'application/zip';
+
+    // Results saved with outputCompression are only available as downloads
+    if (!isZip && !contentType.startsWith('text/')) {
+      throw new Error('Resultado comprimido: use Baixar para obter o arquivo');
+    }
+
+    this.showLoading(true);
+    this.hideResult();
+
+    try {
+      const entry = await this.fetchHistory(`/api/history/${summary.id}`).then(response => response.json());
+
+      if (isZip) {
+        const response = await this.fetchHistory(`/api/history/${summary.id}/result`);
+        this.displayResult(this.batchResult(await response.arrayBuffer(), `${entry.source} (histórico)`));
+        return;
+      }
+
+      // Text is read in pages by the viewer, decoded by the server with the charset it was saved with
+      this.displayResult({
+        historyId: entry.id,
+        lineCount: entry.lineCount,
+        steps: entry.steps,
+        metadata: entry.metadata
+      });
+    } finally {
+      this.showLoading(false);
+    }
+  }
+
+  async fetchHistory(url, options = {}) {
+    const response = await fetch(url, { ...options, headers: this.authHeaders() });
+
+    if (response.status === 404) {
+      throw new Error('Processamento não encontrado no histórico');
+    }
+    if (!response.ok) {
+      throw this.serverError(response);
     }
+    return response;
+  }
 
-    const result = await response.json();
-    return result;
+  appendOptions(formData, options) {
+    if (options.separator) {
+      formData.append('separator', options.separator);
+    }
+    formData.append('regex', options.regex);
+    formData.append('before', options.before);
+    formData.append('encoding', options.encoding);
+    if (options.outputEncoding) {
+      formData.append('outputEncoding', options.outputEncoding);
+    }
+    if (options.lines !== null) {
+      formData.append('lines', options.lines);
+    }
+    if (options.skip > 0) {
+      formData.append('skip', options.skip);
+    }
+    if (options.range) {
+      formData.append('range', options.range.text);
+    }
+    if (options.include) {
+      formData.append('include', options.include);
+    }
+    if (options.exclude) {
+      formData.append('exclude', options.exclude);
+    }
+    formData.append('filterRegex', options.filterRegex);
+    formData.append('ignoreCase', options.ignoreCase);
+    if (options.context > 0) {
+      formData.append('context', options.context);
+    }
+    formData.append('mode', options.mode);
+    formData.append('format', options.format);
+    if (options.seed) {
+      formData.append('seed', options.seed);
+    }
+    if (options.share) {
+      formData.append('share', true);
+      formData.append('shareExpiry', options.shareExpiry);
+      if (options.sharePassword) {
+        formData.append('sharePassword', options.sharePassword);
+      }
+    }
   }
 
-  readFileAsText(file) {
+  uploadWithProgress(url, formData, responseType = 'json') {
+    // fetch cannot report upload progress, so the file is sent with XMLHttpRequest
     return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      reader.onload = e => resolve(e.target.result);
-      reader.onerror = () => reject(new Error('Erro ao ler arquivo'));
-      reader.readAsText(file, 'UTF-8');
+      const xhr = new XMLHttpRequest();
+      const startTime = Date.now();
+
+      xhr.open('POST', url);
+      xhr.responseType = responseType;
+      Object.entries(this.authHeaders()).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+      xhr.upload.addEventListener('progress', e => {
+        if (e.lengthComputable) {
+          this.updateProgress('Enviando', this.measureProgress(e.loaded, e.total, startTime));
+        }
+      });
+      xhr.addEventListener('load', () => resolve(xhr));
+      xhr.addEventListener('error', () => reject(new Error('Falha na conexão com o servidor')));
+      xhr.send(formData);
     });
   }
 
+  watchProgress(progressId) {
+    // Events carry bytesProcessed, totalBytes, percent, throughput and eta, computed by TacProcessor
+    // EventSource cannot send headers, so the key goes in the access_token parameter
+    const token = this.apiKey ? `?access_token=${encodeURIComponent(this.apiKey)}` : '';
+    const source = new EventSource(`/api/tac/progress/${progressId}${token}`);
+    source.addEventListener('progress', e => this.updateProgress('Processando', JSON.parse(e.data)));
+    source.addEventListener('done', () => source.close());
+    return source;
+  }
+
+  measureProgress(loaded, total, startTime) {
+    // Same fields as the server's progress events
+    const elapsed = (Date.now() - startTime) / 1000;
+    const throughput = elapsed > 0 ? loaded / elapsed : null;
+    return {
+      bytesProcessed: loaded,
+      totalBytes: total,
+      percent: total > 0 ? (loaded / total) * 100 : 100,
+      throughput,
+      eta: throughput ? (total - loaded) / throughput : null
+    };
+  }
+
+  updateProgress(phase, { bytesProcessed, totalBytes, percent, throughput, eta }) {
+    this.progress.hidden = false;
+    this.progressFill.style.width = `${percent}%`;
+    this.progressBar.setAttribute('aria-valuenow', Math.round(percent));
+
+    const details = [
+      `${phase}: ${percent.toFixed(1)}%`,
+      `${this.formatFileSize(bytesProcessed)} de ${this.formatFileSize(totalBytes)}`
+    ];
+    if (throughput) {
+      details.push(`${this.formatFileSize(Math.round(throughput))}/s`);
+    }
+    if (eta !== null && percent < 100) {
+      details.push(`restam ${this.formatDuration(eta)}`);
+    }
+    this.progressInfo.textContent = details.join(' · ');
+  }
+
+  formatDuration(seconds) {
+    const total = Math.ceil(seconds);
+    if (total < 60) return `${total} s`;
+    return `${Math.floor(total / 60)} min ${total % 60} s`;
+  }
+
+  async isCompressed(file) {
+    // gzip has reliable magic bytes; deflate and brotli are recognized by the extension
+    // (the backend detects them by content as well)
+    if (/\.(gz|br|zz)$/i.test(file.name)) {
+      return true;
+    }
+
+    const [id1, id2, method] = new Uint8Array(await file.slice(0, 3).arrayBuffer());
+    return id1 === 0x1f && id2 === 0x8b && method === 8;
+  }
+
+  encodeText(text, encoding, bom) {
+    if (encoding === 'utf8') {
+      const bytes = new TextEncoder().encode(text);
+      return bom ? [new Uint8Array([0xef, 0xbb, 0xbf]), bytes] : [bytes];
+    }
+
+    if (encoding === 'latin1') {
+      // Characters outside Latin-1 have no representation
+      const latin1 = text.replace(/[^\u0000-\u00ff]/gu, '?');
+      return [Uint8Array.from(latin1, char => char.charCodeAt(0))];
+    }
+
+    const littleEndian = encoding === 'utf16le';
+    const view = new DataView(new ArrayBuffer((text.length + (bom ? 1 : 0)) * 2));
+    let offset = 0;
+    if (bom) {
+      view.setUint16(offset, 0xfeff, littleEndian);
+      offset += 2;
+    }
+    for (let i = 0; i < text.length; i++, offset += 2) {
+      view.setUint16(offset, text.charCodeAt(i), littleEndian);
+    }
+    return [view.buffer];
+  }
+
   displayResult(result) {
     // Update calculation details
     this.calculationDetails.innerHTML = result.steps
@@ -212,18 +1357,198 @@ class TacInterface {
       })
       .join('');
 
-    // Update output
-    this.outputText.value = result.result;
     this.currentResult = result;
+    this.displayShare(result.share);
+    // The comparison needs the input, which only comes with results sent in full
+    this.viewerCompareBtn.disabled = typeof result.original !== 'string' || result.result === undefined;
 
     // Show result section with animation
     this.resultSection.classList.add('show');
     this.resultSection.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+
+    // The viewer measures its rows once the section is visible
+    this.openViewer(result);
+  }
+
+  async openViewer(result) {
+    // Results left out of the response (includeResult=false) are read from the history in pages
+    const source =
+      result.result === undefined
+        ? new RemoteLines(result.historyId, url => this.fetchHistory(url).then(response => response.json()))
+        : new LocalLines(result.result, result.numbering);
+
+    this.viewerInfo.textContent = 'Carregando...';
+    try {
+      await this.viewer.open(source);
+    } catch (error) {
+      this.viewerInfo.textContent = '';
+      this.showError(`Erro ao abrir o resultado: ${error.message}`);
+      return;
+    }
+
+    if (this.currentResult === result) {
+      this.viewerInfo.textContent = this.describeLines(source);
+    }
+  }
+
+  describeLines(source) {
+    const numbered = source.numbering ? ' · números na saída e na entrada' : '';
+    return `${source.total.toLocaleString('pt-BR')} linhas${numbered}`;
+  }
+
+  async toggleComparison() {
+    if (this.comparison) {
+      this.closeComparison();
+      return;
+    }
+
+    const { original, metadata } = this.currentResult;
+    const input = new LocalLines(original);
+    const output = this.viewer.source;
+    const comparison = new LineComparison(input, output, {
+      numbering: output.numbering,
+      order: MODES[metadata.mode] ? MODES[metadata.mode].order : 'reverse',
+      transform: line => this.processor.transformContent(metadata.mode, line)
+    });
+
+    this.comparison = comparison;
+    this.inputViewer.element.hidden = false;
+    this.viewerCompareBtn.setAttribute('aria-pressed', 'true');
+    this.viewerCompareBtn.textContent = 'Fechar comparação';
+    await this.inputViewer.open(input, {
+      link: line => comparison.outputLine(line),
+      state: line => comparison.state(line)
+    });
+
+    // The result was closed or replaced meanwhile
+    if (this.comparison !== comparison) {
+      return;
+    }
+
+    this.viewer.annotate({ link: line => comparison.inputLine(line) });
+    this.viewer.render();
+    this.syncScroll(this.viewer, this.inputViewer);
+    this.viewerInfo.textContent = this.describeComparison(input, comparison);
+  }
+
+  closeComparison() {
+    this.comparison = null;
+    this.inputViewer.element.hidden = true;
+    this.inputViewer.clear();
+    this.viewerCompareBtn.setAttribute('aria-pressed', 'false');
+    this.viewerCompareBtn.textContent = 'Comparar com a entrada';
+
+    if (this.viewer.source) {
+      this.viewer.annotate();
+      this.viewer.render();
+      this.viewerInfo.textContent = this.describeLines(this.viewer.source);
+    }
+  }
+
+  describeComparison(input, comparison) {
+    const count = value => value.toLocaleString('pt-BR');
+    const parts = [`${count(comparison.kept)} de ${count(input.total)} linhas da entrada mantidas`];
+    if (comparison.dropped > 0) {
+      parts.push(`${count(comparison.dropped)} removidas`);
+    }
+    if (comparison.unmatched > 0) {
+      parts.push(`${count(comparison.unmatched)} linhas da saída alteradas pelos separadores ou pelo formato`);
+    }
+    return parts.join(' · ');
+  }
+
+  // The other pane scrolls so that the pair of the first visible line that has one stays on the same row
+  syncScroll(from, to) {
+    if (!this.comparison) {
+      return;
+    }
+
+    const first = from.firstVisibleLine();
+    const last = Math.min(first + from.visibleLines(), from.total);
+    for (let line = first; line <= last; line++) {
+      const linked = from.link(line);
+      if (linked) {
+        to.scrollToLine(linked, line - first);
+        return;
+      }
+    }
+  }
+
+  hoverLine(from, to, line) {
+    from.hover(line);
+    if (this.comparison) {
+      to.hover(line === null ? null : from.link(line));
+    }
+  }
+
+  jumpToLine() {
+    try {
+      this.viewer.jumpTo(parseInt(this.viewerJumpInput.value, 10));
+    } catch (error) {
+      this.showError(error.message);
+    }
+  }
+
+  async copyLines() {
+    try {
+      const text = await this.viewer.copyRange(
+        parseInt(this.viewerCopyFrom.value, 10),
+        parseInt(this.viewerCopyTo.value, 10)
+      );
+      await navigator.clipboard.writeText(text);
+      this.showNotification('Linhas copiadas!', 'success');
+    } catch (error) {
+      this.showError(error.message);
+    }
   }
 
   hideResult() {
     this.resultSection.classList.remove('show');
     this.currentResult = null;
+    this.displayShare(null);
+    this.viewer.clear();
+    this.closeComparison();
+    this.viewerInfo.textContent = '';
+  }
+
+  displayShare(share) {
+    this.currentShare = share || null;
+    this.shareLink.hidden = !share;
+
+    if (share) {
+      const expiresAt = new Date(share.expiresAt).toLocaleString('pt-BR');
+      this.shareUrl.value = new URL(share.url, window.location.origin).href;
+      this.shareDetails.textContent = `Expira em ${expiresAt}${share.protected ? ' · protegido por senha' : ''}`;
+    }
+  }
+
+  async copyShareLink() {
+    try {
+      await navigator.clipboard.writeText(this.shareUrl.value);
+      this.showNotification('Link copiado!', 'success');
+    } catch (error) {
+      // Without clipboard access the link is left selected for a manual copy
+      this.shareUrl.select();
+    }
+  }
+
+  async revokeShare() {
+    try {
+      const response = await fetch(`/api/shares/${this.currentShare.token}`, {
+        method: 'DELETE',
+        headers: this.authHeaders()
+      });
+
+      // 404: already revoked or expired, which is the end result anyway
+      if (!response.ok && response.status !== 404) {
+        throw this.serverError(response);
+      }
+
+      this.displayShare(null);
+      this.showNotification('Link revogado', 'success');
+    } catch (error) {
+      this.showError(error.message);
+    }
   }
 
   showLoading(show) {
@@ -232,6 +1557,9 @@ class TacInterface {
       this.processBtn.disabled = true;
     } else {
       this.loading.classList.remove('show');
+      this.progress.hidden = true;
+      this.progressFill.style.width = '0';
+      this.progressInfo.textContent = '';
       this.updateProcessButton();
     }
   }
@@ -239,6 +1567,25 @@ class TacInterface {
   clearAll() {
     // Clear all inputs
     this.textInput.value = '';
+    this.separatorInput.value = '';
+    this.regexInput.checked = false;
+    this.beforeInput.checked = false;
+    this.encodingInput.value = 'auto';
+    this.outputEncodingInput.value = '';
+    this.linesInput.value = '';
+    this.skipInput.value = '';
+    this.rangeInput.value = '';
+    this.includeInput.value = '';
+    this.excludeInput.value = '';
+    this.contextInput.value = '';
+    this.filterRegexInput.checked = false;
+    this.ignoreCaseInput.checked = false;
+    this.modeInput.value = 'lines';
+    this.seedInput.value = '';
+    this.formatInput.value = 'auto';
+    this.shareInput.checked = false;
+    this.shareExpiryInput.value = '24h';
+    this.sharePasswordInput.value = '';
     this.clearFileInfo();
 
     // Hide result
@@ -255,9 +1602,44 @@ class TacInterface {
     if (!this.currentResult) return;
 
     const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+
+    // Batch results are already a ZIP with the reversed files and manifest.json
+    if (this.currentResult.archive) {
+      this.saveBlob(this.currentResult.archive, `tac_lote_${timestamp}.zip`);
+      return;
+    }
+
+    // Results read from the history are downloaded as the server stored them
+    if (this.currentResult.result === undefined) {
+      this.downloadHistory(this.currentResult.historyId);
+      return;
+    }
+
     const filename = `tac_resultado_${timestamp}.txt`;
 
-    const blob = new Blob([this.currentResult.result], { type: 'text/plain' });
+    // Same BOM rule as TacProcessor.shouldWriteBom: keep the input's BOM, mark text converted to UTF-16
+    const { encoding, bom, outputEncoding = 'utf8' } = this.currentResult.metadata || {};
+    const writeBom =
+      outputEncoding !== 'latin1' && (bom || (outputEncoding !== encoding && outputEncoding.startsWith('utf16')));
+    const charsets = { utf8: 'utf-8', utf16le: 'utf-16le', utf16be: 'utf-16be', latin1: 'iso-8859-1' };
+
+    const blob = new Blob(this.encodeText(this.currentResult.result, outputEncoding, writeBom), {
+      type: `text/plain;charset=${charsets[outputEncoding]}`
+    });
+    this.saveBlob(blob, filename);
+  }
+
+  async downloadHistory(id) {
+    try {
+      const response = await this.fetchHistory(`/api/history/${id}/result`);
+      const name = /filename="([^"]+)"/.exec(response.headers.get('Content-Disposition') || '');
+      this.saveBlob(await response.blob(), name ? name[1] : 'resultado.tac');
+    } catch (error) {
+      this.showError(error.message);
+    }
+  }
+
+  saveBlob(blob, filename) {
     const url = URL.createObjectURL(blob);
 
     const a = document.createElement('a');
@@ -329,10 +1711,6 @@ class TacInterface {
       }, 300);
     }, 4000);
   }
-
-  delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
 }
 
 // Initialize when DOM is loaded
@@ -356,7 +1734,7 @@ document.addEventListener('DOMContentLoaded', () => {
   shortcuts.innerHTML = `
         <div style="position: fixed; bottom: 20px; left: 20px; font-size: 0.8rem; color: rgba(255, 255, 255, 0.5);">
             <div>Ctrl+Enter: Processar</div>
-            <div>Esc: Limpar</div>
+            <div>Esc: Limpar (ou cancelar o processamento)</div>
         </div>
     `;
   document.body.appendChild(shortcuts);
@@ -0,0 +1,15 @@
+// Runs LocalProcessor off the page's thread, so large files don't freeze the page. Receives one job
+// ({ file | text, source, options }), posts the reading progress and then the result or the error;
+// the page cancels it by terminating the worker
+importScripts('processor.js');
+
+const processor = new LocalProcessor();
+
+self.addEventListener('message', async ({ data }) => {
+  try {
+    const result = await processor.run(data, message => self.postMessage(message));
+    self.postMessage({ type: 'result', result });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+});
@@ -0,0 +1,146 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { Readable, Writable } = require('stream');
+const { run, parseArgs } = require('../backend/cli');
+
+describe('CLI tac', () => {
+  let tmpDir;
+
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tac-cli-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const writeTmp = (name, content) => {
+    const filePath = path.join(tmpDir, name);
+    fs.writeFileSync(filePath, content);
+    return filePath;
+  };
+
+  const sink = () => {
+    const chunks = [];
+    const stream = new Writable({
+      write(chunk, encoding, callback) {
+        chunks.push(Buffer.from(chunk));
+        callback();
+      }
+    });
+    stream.text = () => Buffer.concat(chunks).toString('utf8');
+    return stream;
+  };
+
+  const exec = async (argv, input = '') => {
+    const stdout = sink();
+    const stderr = sink();
+    const code = await run(argv, { stdin: Readable.from([input]), stdout, stderr });
+    return { code, stdout: stdout.text(), stderr: stderr.text() };
+  };
+
+  test('inverte cada arquivo separadamente, na ordem dos argumentos', async () => {
+    const a = writeTmp('a.txt', '1\n2\n');
+    const b = writeTmp('b.txt', '3\n4\n');
+
+    const { code, stdout } = await exec([a, b]);
+
+    expect(code).toBe(0);
+    expect(stdout).toBe('2\n1\n4\n3\n');
+  });
+
+  test('lê a entrada padrão sem argumentos ou com -', async () => {
+    const file = writeTmp('meio.txt', 'm\n');
+
+    expect((await exec([], 'x\ny\n')).stdout).toBe('y\nx\n');
+    expect((await exec(['-', file], 'x\ny\n')).stdout).toBe('y\nx\nm\n');
+  });
+
+  test('aceita opções de separador', async () => {
+    expect((await exec(['-s', ';'], 'a;b;c;')).stdout).toBe('c;b;a;');
+    expect((await exec(['--separator=;'], 'a;b;c;')).stdout).toBe('c;b;a;');
+    expect((await exec(['-rs', '[0-9]+'], 'a1b22c333')).stdout).toBe('c333b22a1');
+    expect((await exec(['-b', '-s', '#'], '#1\n#2\n')).stdout).toBe('#2\n#1\n');
+  });
+
+  test('escreve em arquivo com -o', async () => {
+    const input = writeTmp('entrada.txt', 'a\nb\n');
+    const target = path.join(tmpDir, 'saida.txt');
+
+    const { code, stdout } = await exec(['-o', target, input]);
+
+    expect(code).toBe(0);
+    expect(stdout).toBe('');
+    expect(fs.readFileSync(target, 'utf8')).toBe('b\na\n');
+  });
+
+  test('--stats escreve os metadados na saída de erro', async () => {
+    const { stdout, stderr } = await exec(['--stats'], 'a\r\nb\r\n');
+    const stats = JSON.parse(stderr);
+
+    expect(stdout).toBe('b\r\na\r\n');
+    expect(stats).toMatchObject({ file: '-', lineCount: 2, metadata: { method: 'reverse', lineEnding: 'crlf' } });
+  });
+
+  test('continua após erro e retorna código 1', async () => {
+    const ok = writeTmp('ok.txt', 'a\nb\n');
+    const empty = writeTmp('vazio.txt', '');
+
+    const { code, stdout, stderr } = await exec([path.join(tmpDir, 'nao-existe.txt'), empty, ok]);
+
+    expect(code).toBe(1);
+    expect(stdout).toBe('b\na\n');
+    expect(stderr).toContain('nao-existe.txt: Erro ao processar arquivo: Arquivo não encontrado');
+  });
+
+  test('trata os arquivos como texto, exceto com --format', async () => {
+    const log = writeTmp('app.json', '{"a":1}\n{"b":2}\n');
+    const csv = writeTmp('dados.csv', 'h\n1\n2\n');
+    const invalid = writeTmp('quebrado.json', '[1,');
+
+    expect(await exec([log])).toMatchObject({ code: 0, stdout: '{"b":2}\n{"a":1}\n' });
+    expect((await exec([csv])).stdout).toBe('2\n1\nh\n');
+    expect((await exec(['--format=csv', csv])).stdout).toBe('h\n2\n1\n');
+    expect((await exec(['--format', 'auto', csv])).stdout).toBe('h\n2\n1\n');
+    expect((await exec(['--format=auto', log])).stdout).toBe('{"b":2}\n{"a":1}\n');
+    expect(await exec(['--format=json', invalid])).toMatchObject({
+      code: 1,
+      stderr: expect.stringContaining('JSON inválido')
+    });
+    expect((await exec(['--format=xml', csv])).code).toBe(2);
+  });
+
+  test('retorna código 2 para uso inválido', async () => {
+    expect(await exec(['-x'])).toMatchObject({ code: 2, stderr: expect.stringContaining("opção inválida -- 'x'") });
+    expect((await exec(['--separator'])).code).toBe(2);
+    expect((await exec(['-r', '-s', '('])).stderr).toContain('Separador inválido');
+    expect(await exec(['-s', ''])).toMatchObject({
+      code: 2,
+      stderr: expect.stringContaining('o separador não pode ser vazio')
+    });
+    expect((await exec(['--separator='])).code).toBe(2);
+  });
+
+  test('interpreta argumentos no estilo GNU', () => {
+    expect(parseArgs(['-sX', '--', '-b'])).toMatchObject({ separator: 'X', before: false, files: ['-b'] });
+    expect(parseArgs(['--output', 'o.txt', 'a'])).toMatchObject({ output: 'o.txt', files: ['a'] });
+  });
+
+  test('mostra ajuda e versão', async () => {
+    expect((await exec(['--help'])).stdout).toContain('Uso: tac');
+    expect((await exec(['-V'])).stdout).toMatch(/^tac \d+\.\d+\.\d+\n$/);
+  });
+
+  test('o executável bin/tac.js usa stdin, stdout e códigos de saída', () => {
+    const bin = path.join(__dirname, '../bin/tac.js');
+    const ok = spawnSync(process.execPath, [bin], { input: 'a\nb\n' });
+    const fail = spawnSync(process.execPath, [bin, path.join(tmpDir, 'nao-existe.txt')]);
+
+    expect(ok.status).toBe(0);
+    expect(ok.stdout.toString()).toBe('b\na\n');
+    expect(fail.status).toBe(1);
+    expect(fail.stderr.toString()).toContain('Arquivo não encontrado');
+  });
+});
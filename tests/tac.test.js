@@ -0,0 +1,995 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { PassThrough, Writable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { TacProcessor, tacFileToStream, tacText } = require('../backend/tac');
+const { encode } = require('../backend/encoding');
+const { detectCompression, negotiateCompression } = require('../backend/compression');
+
+describe('TacProcessor', () => {
+  let tmpDir;
+
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tac-test-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const writeTmp = (name, content) => {
+    const filePath = path.join(tmpDir, name);
+    fs.writeFileSync(filePath, content);
+    return filePath;
+  };
+
+  const collect = () => {
+    const chunks = [];
+    const output = new Writable({
+      write(chunk, encoding, callback) {
+        chunks.push(chunk);
+        callback();
+      }
+    });
+    output.text = () => Buffer.concat(chunks).toString('utf8');
+    return output;
+  };
+
+  describe('reverseFileToStream', () => {
+    test('produz a mesma saída que o processamento em memória', async () => {
+      const content = Array.from({ length: 500 }, (_, i) => `linha ${i + 1} – ação ✓`).join('\n');
+      const filePath = writeTmp('multi-block.txt', content);
+      const processor = new TacProcessor({ bufferSize: 64 });
+      const output = collect();
+
+      const result = await processor.reverseFileToStream(filePath, output);
+
+      expect(output.text()).toBe(processor.processText(content).result);
+      expect(result.lineCount).toBe(500);
+      expect(result.metadata.method).toBe('reverse');
+    });
+
+    test('não divide caracteres multibyte entre blocos', async () => {
+      const content = '😀😀😀\nçãé\n日本語テキスト';
+      const filePath = writeTmp('multibyte.txt', content);
+      const output = collect();
+
+      for (const bufferSize of [1, 2, 3, 5, 7]) {
+        const sink = collect();
+        await new TacProcessor({ bufferSize }).reverseFileToStream(filePath, sink);
+        expect(sink.text()).toBe('日本語テキストçãé\n😀😀😀\n');
+      }
+
+      await tacFileToStream(filePath, output, { bufferSize: 4 });
+      expect(output.text()).toBe('日本語テキストçãé\n😀😀😀\n');
+    });
+
+    test('ignora o limite maxMemoryUsage para arquivos em disco, exceto CSV e JSON', async () => {
+      const filePath = writeTmp('over-limit.txt', 'a\nb\nc\nd');
+      const csvPath = writeTmp('over-limit.csv', 'h\n1\n2\n');
+      const processor = new TacProcessor({ maxMemoryUsage: 4, bufferSize: 2 });
+      const output = collect();
+
+      const result = await processor.processFile(filePath);
+      await processor.reverseFileToStream(filePath, output);
+
+      expect(result.result).toBe('dc\nb\na\n');
+      expect(result.metadata.method).toBe('streaming');
+      expect(output.text()).toBe('dc\nb\na\n');
+      await expect(processor.processFile(csvPath)).rejects.toThrow('Arquivo muito grande');
+    });
+
+    test('emite progresso e pode ser cancelado', async () => {
+      const content = Array.from({ length: 200 }, (_, i) => `linha ${i}`).join('\n') + '\n';
+      const filePath = writeTmp('progresso.txt', content);
+      const processor = new TacProcessor({ bufferSize: 64 });
+      const progress = [];
+      processor.on('progress', info => progress.push(info));
+
+      await processor.reverseFileToStream(filePath, collect());
+
+      expect(progress.length).toBeGreaterThan(1);
+      expect(progress[progress.length - 1]).toMatchObject({
+        bytesProcessed: content.length,
+        totalBytes: content.length,
+        lineCount: 200,
+        percent: 100,
+        eta: 0
+      });
+      expect(progress.every((info, i) => i === 0 || info.bytesProcessed >= progress[i - 1].bytesProcessed)).toBe(true);
+
+      const controller = new AbortController();
+      processor.on('progress', () => controller.abort());
+      await expect(
+        processor.reverseFileToStream(filePath, collect(), { signal: controller.signal })
+      ).rejects.toThrow('Processamento cancelado');
+    });
+
+    test('emite progresso também em memória e em streaming', async () => {
+      const content = 'a\nb\nc\n'.repeat(100);
+      const filePath = writeTmp('progresso-caminhos.txt', content);
+
+      for (const bufferSize of [64, 64 * 1024]) {
+        const processor = new TacProcessor({ bufferSize });
+        const progress = [];
+        processor.on('progress', info => progress.push(info));
+
+        await processor.processFile(filePath);
+
+        expect(progress[progress.length - 1]).toMatchObject({ bytesProcessed: 600, totalBytes: 600, percent: 100 });
+        expect(typeof progress[0].throughput === 'number' || progress[0].throughput === null).toBe(true);
+      }
+    });
+
+    test('respeita o backpressure do stream de saída', async () => {
+      const filePath = writeTmp('backpressure.txt', 'x'.repeat(10) + '\ny'.repeat(2000));
+      const output = new PassThrough({ highWaterMark: 16 });
+      const chunks = [];
+
+      const done = new TacProcessor({ bufferSize: 32 }).reverseFileToStream(filePath, output);
+      output.on('data', chunk => chunks.push(chunk));
+      await done;
+
+      expect(Buffer.concat(chunks).toString().startsWith('yy\ny')).toBe(true);
+      expect(Buffer.concat(chunks).toString().endsWith('\nxxxxxxxxxx\n')).toBe(true);
+    });
+
+    test('rejeita arquivos inexistentes', async () => {
+      await expect(
+        new TacProcessor().reverseFileToStream(path.join(tmpDir, 'nao-existe.txt'), collect())
+      ).rejects.toThrow('Arquivo não encontrado');
+    });
+  });
+
+  describe('createReverseStream', () => {
+    const lines = Array.from({ length: 300 }, (_, i) => `registro ${i + 1}`);
+    let filePath;
+
+    beforeAll(() => {
+      filePath = writeTmp('stream.txt', `${lines.join('\n')}\n`);
+    });
+
+    test('funciona com pipeline até um arquivo', async () => {
+      const target = path.join(tmpDir, 'stream.out.txt');
+      await pipeline(new TacProcessor({ bufferSize: 50 }).createReverseStream(filePath), fs.createWriteStream(target));
+
+      expect(fs.readFileSync(target, 'utf8')).toBe([...lines].reverse().join('\n') + '\n');
+    });
+
+    test('funciona com pipeline através de gzip', async () => {
+      const target = path.join(tmpDir, 'stream.out.txt.gz');
+      await pipeline(
+        new TacProcessor({ bufferSize: 50 }).createReverseStream(filePath),
+        zlib.createGzip(),
+        fs.createWriteStream(target)
+      );
+
+      expect(zlib.gunzipSync(fs.readFileSync(target)).toString()).toBe([...lines].reverse().join('\n') + '\n');
+    });
+
+    test('emite metadata antes de end', async () => {
+      const stream = new TacProcessor({ bufferSize: 50 }).createReverseStream(filePath);
+      const events = [];
+      stream.on('metadata', info => events.push(['metadata', info]));
+      stream.on('end', () => events.push(['end']));
+      stream.resume();
+      await new Promise(resolve => stream.on('close', resolve));
+
+      expect(events.map(([name]) => name)).toEqual(['metadata', 'end']);
+      expect(events[0][1].lineCount).toBe(300);
+      expect(events[0][1].metadata.method).toBe('reverse');
+    });
+
+    test('não lê além do que o consumidor pede', async () => {
+      const stream = new TacProcessor({ bufferSize: 16 }).createReverseStream(filePath);
+      await new Promise(resolve => stream.once('readable', resolve));
+
+      expect(stream.readableLength).toBeLessThan(200);
+      stream.destroy();
+    });
+
+    test('destroy() encerra o stream sem erro', async () => {
+      const stream = new TacProcessor({ bufferSize: 16 }).createReverseStream(filePath);
+      const onError = jest.fn();
+      stream.on('error', onError);
+      stream.once('data', () => stream.destroy());
+
+      await new Promise(resolve => stream.on('close', resolve));
+      expect(onError).not.toHaveBeenCalled();
+      expect(stream.destroyed).toBe(true);
+    });
+
+    test('propaga erros pelo pipeline', async () => {
+      const stream = new TacProcessor().createReverseStream(path.join(tmpDir, 'nao-existe.txt'));
+
+      await expect(pipeline(stream, new PassThrough().resume())).rejects.toThrow(
+        'Erro ao processar arquivo: Arquivo não encontrado'
+      );
+    });
+  });
+
+  describe('separadores (tac -s / -r / -b)', () => {
+    const reverse = (text, options) => new TacProcessor(options).processText(text).result;
+
+    test('usa separador personalizado', () => {
+      expect(reverse('a\0b\0c\0', { separator: '\0' })).toBe('c\0b\0a\0');
+      expect(reverse('um||dois||tres', { separator: '||' })).toBe('tresdois||um||');
+    });
+
+    test('interpreta o separador como expressão regular', () => {
+      expect(reverse('a1b22c333', { separator: '[0-9]+', regex: true })).toBe('c333b22a1');
+    });
+
+    test('escreve como está o último registro sem separador com expressão regular', async () => {
+      const cases = [
+        ['a12b345c', { separator: '[0-9]+', regex: true }, 'cb345a12'],
+        ['a12b345c6', { separator: '[0-9]+', regex: true, before: true }, '6345c12ba']
+      ];
+
+      for (const [content, options, expected] of cases) {
+        const filePath = writeTmp('regex-sem-final.txt', content);
+        const output = collect();
+        await new TacProcessor({ ...options, bufferSize: 2 }).reverseFileToStream(filePath, output);
+        const streaming = await new TacProcessor({ ...options, bufferSize: 2 }).processFile(filePath);
+
+        expect(reverse(content, options)).toBe(expected);
+        expect(output.text()).toBe(expected);
+        expect(streaming.result).toBe(expected);
+      }
+    });
+
+    test('anexa o separador antes do registro', () => {
+      const dump = '>seq1\nACGT\n>seq2\nTTGA\n';
+      expect(reverse(dump, { separator: '>', before: true })).toBe('>seq2\nTTGA\n>seq1\nACGT\n');
+      expect(reverse('cabeçalho>x>y', { separator: '>', before: true })).toBe('>y>xcabeçalho');
+    });
+
+    test('conta registros em vez de linhas', () => {
+      const result = new TacProcessor({ separator: ';' }).processText('a;b;c;');
+
+      expect(result.lineCount).toBe(3);
+      expect(result.steps).toContain('Separador: ";"');
+    });
+
+    test('rejeita separadores inválidos', () => {
+      expect(() => new TacProcessor({ separator: '(', regex: true })).toThrow('Separador inválido');
+    });
+
+    test.each([
+      [{ separator: ';' }, 'r1;r2;;r3;'],
+      [{ separator: '--' }, 'a----b---c--'],
+      [{ separator: '\\|+', regex: true }, 'x||y|z|||'],
+      [{ separator: '#', before: true }, 'pre#a#b##c']
+    ])('leitura reversa gera a mesma saída que a memória (%j)', async (options, content) => {
+      const filePath = writeTmp('separadores.txt', content.repeat(20));
+      const expected = new TacProcessor(options).processText(content.repeat(20)).result;
+
+      for (const bufferSize of [1, 3, 8]) {
+        const output = collect();
+        await new TacProcessor({ ...options, bufferSize }).reverseFileToStream(filePath, output);
+        expect(output.text()).toBe(expected);
+      }
+    });
+  });
+
+  describe('quebras de linha', () => {
+    const cases = [
+      ['LF com quebra final', 'a\nb\nc\n', 'c\nb\na\n', 'lf', 3],
+      ['LF sem quebra final', 'a\nb\nc', 'cb\na\n', 'lf', 3],
+      ['CRLF com quebra final', 'a\r\nb\r\nc\r\n', 'c\r\nb\r\na\r\n', 'crlf', 3],
+      ['CRLF sem quebra final', 'a\r\nb\r\nc', 'cb\r\na\r\n', 'crlf', 3],
+      ['CR com quebra final', 'a\rb\rc\r', 'c\rb\ra\r', 'cr', 3],
+      ['CR sem quebra final', 'a\rb\rc', 'cb\ra\r', 'cr', 3],
+      ['linhas vazias', '\n\na\n\n', '\na\n\n\n', 'lf', 4],
+      ['apenas uma quebra', '\n', '\n', 'lf', 1],
+      ['linha única', 'abc', 'abc', 'lf', 1],
+      ['CR dentro de linhas LF', '50%\r100%\nfim\n', 'fim\n50%\r100%\n', 'lf', 2],
+      ['CRLF e LF misturados', 'a\nb\r\nc\r\n', 'c\r\nb\r\na\n', 'crlf', 3],
+      ['CRLF e LF misturados sem quebra final', 'a\r\nb\nc', 'cb\na\r\n', 'crlf', 3]
+    ];
+
+    const readStream = async stream => {
+      const chunks = [];
+      for await (const chunk of stream) {
+        chunks.push(chunk);
+      }
+      return Buffer.concat(chunks).toString('utf8');
+    };
+
+    test.each(cases)('%s: todos os caminhos geram os mesmos bytes', async (name, input, expected, lineEnding, count) => {
+      const filePath = writeTmp('quebras.txt', input);
+      const inMemory = new TacProcessor().processText(input);
+      const smallFile = await new TacProcessor({ bufferSize: 1024 }).processFile(filePath);
+      const streaming = await new TacProcessor({ bufferSize: 1 }).processFile(filePath);
+      const output = collect();
+      const reverse = await new TacProcessor({ bufferSize: 2 }).reverseFileToStream(filePath, output);
+      const readable = await readStream(new TacProcessor({ bufferSize: 3 }).createReverseStream(filePath));
+
+      expect(smallFile.metadata.method).toBe('memory');
+      expect(streaming.metadata.method).toBe('streaming');
+
+      for (const result of [inMemory.result, smallFile.result, streaming.result, output.text(), readable]) {
+        expect(result).toBe(expected);
+      }
+
+      for (const result of [inMemory, smallFile, streaming, reverse]) {
+        expect(result.lineCount).toBe(count);
+        expect(result.metadata.lineEnding).toBe(lineEnding);
+      }
+    });
+
+    test('a detecção usa o início do conteúdo em todos os caminhos', async () => {
+      const input = 'x'.repeat(70 * 1024) + '\r\nfim';
+      const filePath = writeTmp('amostra.txt', input);
+      const output = collect();
+
+      const inMemory = new TacProcessor().processText(input);
+      const reverse = await new TacProcessor({ bufferSize: 4096 }).reverseFileToStream(filePath, output);
+
+      expect(inMemory.metadata.lineEnding).toBe('lf');
+      expect(reverse.metadata.lineEnding).toBe('lf');
+      expect(output.text()).toBe(inMemory.result);
+    });
+
+    test('permite forçar a quebra de linha', () => {
+      const result = new TacProcessor({ lineEnding: 'cr' }).processText('a\rb\nc\r');
+
+      expect(result.result).toBe('b\nc\ra\r');
+      expect(() => new TacProcessor({ lineEnding: 'mac' })).toThrow('Quebra de linha inválida');
+    });
+
+    test('informa a quebra de linha nos passos', () => {
+      const { steps } = new TacProcessor().processText('a\r\nb\r\n');
+
+      expect(steps).toContain('Quebra de linha detectada: CRLF (Windows)');
+    });
+  });
+
+  describe('codificações', () => {
+    const text = 'ação 1\nção 2\nfim ✓\n';
+    const latin1Text = 'ação 1\nção 2\nfim\n';
+
+    const readBytes = async stream => {
+      const chunks = [];
+      for await (const chunk of stream) {
+        chunks.push(chunk);
+      }
+      return Buffer.concat(chunks);
+    };
+
+    test.each([
+      ['UTF-8 com BOM', encode(text, 'utf8', { bom: true }), text, 'utf8', true],
+      ['UTF-16 LE com BOM', encode(text, 'utf16le', { bom: true }), text, 'utf16le', true],
+      ['UTF-16 BE com BOM', encode(text, 'utf16be', { bom: true }), text, 'utf16be', true],
+      ['UTF-16 LE sem BOM', encode(text, 'utf16le'), text, 'utf16le', false],
+      ['UTF-16 BE sem BOM', encode(text, 'utf16be'), text, 'utf16be', false],
+      ['Latin-1', encode(latin1Text, 'latin1'), latin1Text, 'latin1', false]
+    ])('%s: detecta e preserva a codificação em todos os caminhos', async (name, bytes, decoded, encoding, bom) => {
+      const expected = decoded.split('\n').slice(0, -1).reverse().join('\n') + '\n';
+      const filePath = writeTmp('codificacao.txt', bytes);
+
+      const buffer = new TacProcessor().processBuffer(bytes, 'codificacao.txt');
+      const smallFile = await new TacProcessor({ bufferSize: 1024 }).processFile(filePath);
+      const streaming = await new TacProcessor({ bufferSize: 3 }).processFile(filePath);
+      const reverse = new TacProcessor({ bufferSize: 5 }).createReverseStream(filePath);
+      const reversed = await readBytes(reverse);
+
+      for (const result of [buffer, smallFile, streaming]) {
+        expect(result.result).toBe(expected);
+        expect(result.original === decoded || result.original.startsWith('[Arquivo grande')).toBe(true);
+        expect(result.metadata).toMatchObject({ encoding, bom, outputEncoding: encoding, originalSize: bytes.length });
+      }
+
+      // Sem outputEncoding a saída tem os mesmos bytes da entrada (com o BOM no início)
+      expect(reversed.length).toBe(bytes.length);
+      expect(reversed).toEqual(encode(expected, encoding, { bom }));
+    });
+
+    test('converte a saída para outra codificação', async () => {
+      const filePath = writeTmp('latin1.txt', encode(latin1Text, 'latin1'));
+      const output = collect();
+
+      const result = await new TacProcessor({ outputEncoding: 'utf8' }).reverseFileToStream(filePath, output);
+
+      expect(output.text()).toBe('fim\nção 2\nação 1\n');
+      expect(result.metadata).toMatchObject({ encoding: 'latin1', outputEncoding: 'utf8' });
+      expect(result.steps).toEqual(
+        expect.arrayContaining(['Codificação: Latin-1 (ISO-8859-1)', 'Codificação de saída: UTF-8'])
+      );
+    });
+
+    test('o BOM não é invertido junto com a primeira linha', async () => {
+      const filePath = writeTmp('bom.txt', encode('a\nb\n', 'utf8', { bom: true }));
+      const output = collect();
+
+      await new TacProcessor({ bufferSize: 2 }).reverseFileToStream(filePath, output);
+
+      expect(output.text()).toBe('\ufeffb\na\n');
+    });
+
+    test('permite forçar a codificação da entrada', () => {
+      const bytes = encode('ação\n', 'utf8');
+      const result = new TacProcessor({ encoding: 'ISO-8859-1' }).processBuffer(bytes);
+
+      expect(result.result).toBe(bytes.toString('latin1'));
+      expect(result.metadata.encoding).toBe('latin1');
+    });
+
+    test('salva o resultado na codificação escolhida', async () => {
+      const outputPath = path.join(tmpDir, 'salvo.txt');
+
+      await new TacProcessor().saveResult('b\na\n', outputPath, 'utf16be');
+
+      expect(fs.readFileSync(outputPath)).toEqual(encode('b\na\n', 'utf16be', { bom: true }));
+    });
+
+    test('rejeita codificações não suportadas', () => {
+      expect(() => new TacProcessor({ encoding: 'ebcdic' })).toThrow('Codificação não suportada: ebcdic');
+      expect(() => new TacProcessor({ outputEncoding: 'auto' })).toThrow('Codificação não suportada');
+    });
+  });
+
+  describe('compressão', () => {
+    const text = Array.from({ length: 300 }, (_, i) => `linha ${i + 1} – ação`).join('\n') + '\n';
+    const expected = text.split('\n').slice(0, -1).reverse().join('\n') + '\n';
+
+    const readBytes = async stream => {
+      const chunks = [];
+      for await (const chunk of stream) {
+        chunks.push(chunk);
+      }
+      return Buffer.concat(chunks);
+    };
+
+    test.each([
+      ['gzip', 'log.txt.gz', zlib.gzipSync],
+      ['deflate', 'log.txt.zz', zlib.deflateSync],
+      ['br', 'log.txt', zlib.brotliCompressSync]
+    ])('%s: descomprime a entrada em todos os caminhos', async (compression, name, compress) => {
+      const bytes = compress(Buffer.from(text));
+      const filePath = writeTmp(name, bytes);
+
+      const buffer = new TacProcessor().processBuffer(bytes, name);
+      const smallFile = await new TacProcessor().processFile(filePath);
+      const streaming = await new TacProcessor({ bufferSize: 256 }).processFile(filePath);
+      const reversed = await readBytes(new TacProcessor({ bufferSize: 100 }).createReverseStream(filePath));
+
+      for (const result of [buffer, smallFile, streaming]) {
+        expect(result.result).toBe(expected);
+        expect(result.lineCount).toBe(300);
+        expect(result.metadata).toMatchObject({
+          compression,
+          originalSize: Buffer.byteLength(text),
+          compressedSize: bytes.length
+        });
+      }
+      expect(streaming.metadata.method).toBe('streaming');
+      expect(reversed.toString('utf8')).toBe(expected);
+    });
+
+    test('comprime a saída dos streams com outputCompression', async () => {
+      const filePath = writeTmp('saida.log.gz', zlib.gzipSync(text));
+      const processor = new TacProcessor({ outputCompression: 'brotli', bufferSize: 64 });
+      const chunks = [];
+      const output = new Writable({
+        write(chunk, encoding, callback) {
+          chunks.push(chunk);
+          callback();
+        }
+      });
+
+      const result = await processor.reverseFileToStream(filePath, output);
+
+      expect(zlib.brotliDecompressSync(Buffer.concat(chunks)).toString('utf8')).toBe(expected);
+      expect(result.metadata).toMatchObject({ compression: 'gzip', outputCompression: 'br' });
+      expect(result.steps).toEqual(expect.arrayContaining(['Compressão da saída: brotli']));
+    });
+
+    test('não confunde texto com conteúdo comprimido', () => {
+      for (const sample of ['x \n', 'a\nb\n', 'ação ✓\n'.repeat(50)]) {
+        for (const encoding of ['utf8', 'utf16le', 'utf16be', 'latin1']) {
+          expect(detectCompression(encode(sample, encoding))).toBeNull();
+        }
+      }
+    });
+
+    test('permite desativar ou forçar a detecção', () => {
+      const bytes = zlib.gzipSync('a\nb\n');
+
+      const raw = new TacProcessor({ compression: 'none', encoding: 'latin1' }).processBuffer(bytes);
+
+      expect(raw.metadata.compression).toBeNull();
+      expect(() => new TacProcessor({ compression: 'br' }).processBuffer(bytes)).toThrow('Falha ao descomprimir (br)');
+      expect(() => new TacProcessor({ compression: 'zip' })).toThrow('Compressão não suportada: zip');
+    });
+
+    test('aplica o limite ao conteúdo descomprimido', async () => {
+      const filePath = writeTmp('bomba.txt.gz', zlib.gzipSync('a\n'.repeat(5000)));
+
+      const csvPath = writeTmp('bomba.csv.gz', zlib.gzipSync('h\n' + 'a\n'.repeat(5000)));
+
+      await expect(new TacProcessor({ maxDecompressedSize: 1000 }).processFile(filePath)).rejects.toThrow(
+        'Conteúdo descomprimido excede o limite de tamanho'
+      );
+      await expect(new TacProcessor({ maxMemoryUsage: 1000 }).processFile(csvPath)).rejects.toThrow(
+        'Conteúdo descomprimido excede o limite de tamanho'
+      );
+      await expect(
+        readBytes(new TacProcessor({ maxDecompressedSize: 1000 }).createReverseStream(filePath))
+      ).rejects.toThrow('Conteúdo descomprimido excede o limite de tamanho');
+    });
+
+    test('negocia o formato pelo Accept-Encoding', () => {
+      expect(negotiateCompression('gzip, deflate, br')).toBe('br');
+      expect(negotiateCompression('gzip;q=0.5, deflate')).toBe('deflate');
+      expect(negotiateCompression('br;q=0, *;q=0.1')).toBe('gzip');
+      expect(negotiateCompression('identity')).toBeNull();
+      expect(negotiateCompression(undefined)).toBeNull();
+    });
+  });
+
+  describe('seleção de linhas (lines, skip, range)', () => {
+    const text = Array.from({ length: 10 }, (_, i) => `linha ${i + 1}`).join('\n') + '\n';
+    const lines = (...numbers) => numbers.map(n => `linha ${n}\n`).join('');
+
+    test.each([
+      ['primeiras N linhas', { lines: 3 }, lines(10, 9, 8)],
+      ['pula M linhas', { skip: 7 }, lines(3, 2, 1)],
+      ['pula e limita', { skip: 2, lines: 2 }, lines(8, 7)],
+      ['intervalo fechado', { range: '3..5' }, lines(5, 4, 3)],
+      ['intervalo aberto', { range: '9..' }, lines(10, 9)],
+      ['intervalo desde o início', { range: '..2' }, lines(2, 1)],
+      ['uma linha', { range: '4' }, lines(4)],
+      ['intervalo com skip e lines', { range: '2..9', skip: 1, lines: 3 }, lines(8, 7, 6)],
+      ['intervalo além do fim', { range: '20..' }, '']
+    ])('%s: todos os caminhos geram a mesma saída', async (name, options, expected) => {
+      const filePath = writeTmp('selecao.txt', text);
+      const count = expected.split('\n').length - 1;
+      const inMemory = new TacProcessor(options).processText(text);
+      const smallFile = await new TacProcessor(options).processFile(filePath);
+      const largeFile = await new TacProcessor({ ...options, bufferSize: 8 }).processFile(filePath);
+      const output = collect();
+      const reverse = await new TacProcessor({ ...options, bufferSize: 5 }).reverseFileToStream(filePath, output);
+
+      expect(largeFile.metadata.method).toBe('reverse');
+
+      for (const result of [inMemory.result, smallFile.result, largeFile.result, output.text()]) {
+        expect(result).toBe(expected);
+      }
+
+      for (const result of [inMemory, smallFile, largeFile, reverse]) {
+        expect(result.lineCount).toBe(count);
+      }
+    });
+
+    test('escreve como está o último registro sem separador, como o GNU tac', async () => {
+      const filePath = writeTmp('sem-final.txt', 'a\nb\nc');
+      const output = collect();
+      await new TacProcessor({ lines: 2, bufferSize: 2 }).reverseFileToStream(filePath, output);
+
+      expect(new TacProcessor({ lines: 2 }).processText('a\nb\nc').result).toBe('cb\n');
+      expect(output.text()).toBe('cb\n');
+      expect(new TacProcessor({ skip: 1 }).processText('a\nb\nc').result).toBe('b\na\n');
+    });
+
+    test('funciona com separador antes do registro', async () => {
+      const input = 'a,b,c,d';
+      const filePath = writeTmp('before.txt', input);
+      const options = { separator: ',', before: true, skip: 1, lines: 3 };
+      const output = collect();
+      await new TacProcessor({ ...options, bufferSize: 2 }).reverseFileToStream(filePath, output);
+
+      expect(new TacProcessor(options).processText(input).result).toBe(',c,ba');
+      expect(output.text()).toBe(',c,ba');
+    });
+
+    test('lê só o fim de arquivos grandes', async () => {
+      const big = Array.from({ length: 5000 }, (_, i) => `registro ${i + 1}`).join('\n') + '\n';
+      const filePath = writeTmp('grande.txt', big);
+      const result = await new TacProcessor({ lines: 2, bufferSize: 1024 }).processFile(filePath);
+
+      expect(result.result).toBe('registro 5000\nregistro 4999\n');
+      expect(result.bytesProcessed).toBeLessThanOrEqual(1024);
+      expect(result.metadata.selection).toEqual({ lines: 2, skip: 0, range: null, totalLines: null });
+      expect(result.steps).toContain('   1ª linha a partir do fim (original) → Linha 1 (resultado)');
+    });
+
+    test('lê só até o fim do intervalo', async () => {
+      const big = Array.from({ length: 5000 }, (_, i) => `registro ${i + 1}`).join('\n') + '\n';
+      const filePath = writeTmp('grande.txt', big);
+      const result = await new TacProcessor({ range: '2..3', bufferSize: 1024 }).processFile(filePath);
+
+      expect(result.result).toBe('registro 3\nregistro 2\n');
+      expect(result.bytesProcessed).toBeLessThanOrEqual(1024);
+      expect(result.metadata.selection).toMatchObject({ range: '2..3', totalLines: null });
+    });
+
+    test('descreve a seleção nos passos e em metadata', () => {
+      const result = new TacProcessor({ range: '3..8', skip: 1, lines: 2 }).processText(text);
+
+      expect(result.steps).toEqual(
+        expect.arrayContaining([
+          'Total de linhas detectadas: 10',
+          'Seleção: linhas 3 a 8 do original, pulando as 1 primeiras da saída, primeiras 2 da saída',
+          'Linhas selecionadas: 2',
+          '   Linha 7 (original) → Linha 1 (resultado)',
+          '   Linha 6 (original) → Linha 2 (resultado)'
+        ])
+      );
+      expect(result.metadata.selection).toEqual({ lines: 2, skip: 1, range: '3..8', totalLines: 10 });
+      expect(new TacProcessor().processText(text).metadata.selection).toBeNull();
+    });
+
+    test('rejeita opções inválidas', () => {
+      expect(() => new TacProcessor({ lines: 0 })).toThrow('Número de linhas inválido: 0');
+      expect(() => new TacProcessor({ skip: -1 })).toThrow('Número de linhas a pular inválido: -1');
+      expect(() => new TacProcessor({ lines: 'dez' })).toThrow('Número de linhas inválido: dez');
+      expect(() => new TacProcessor({ range: '5..2' })).toThrow('Intervalo de linhas inválido: 5..2');
+      expect(() => new TacProcessor({ range: '..' })).toThrow('Intervalo de linhas inválido: ..');
+      expect(() => new TacProcessor({ range: '0..3' })).toThrow('Intervalo de linhas inválido: 0..3');
+    });
+  });
+
+  describe('filtros (include, exclude, context)', () => {
+    const log = ['INFO início', 'ERROR disco', 'debug a', 'Error rede', 'INFO meio', 'ERROR memória', 'INFO fim']
+      .join('\n')
+      .concat('\n');
+
+    test.each([
+      ['include', { include: 'ERROR' }, 'ERROR memória\nERROR disco\n', 2],
+      ['ignoreCase', { include: 'error', ignoreCase: true }, 'ERROR memória\nError rede\nERROR disco\n', 3],
+      ['exclude', { exclude: ['INFO', 'debug'] }, 'ERROR memória\nError rede\nERROR disco\n', 3],
+      ['regex', { include: '^E.*(rede|disco)$', filterRegex: true }, 'Error rede\nERROR disco\n', 2],
+      ['contexto', { include: 'memória', context: 1 }, 'INFO fim\nERROR memória\nINFO meio\n', 1],
+      ['com lines e skip', { include: 'ERROR', ignoreCase: true, skip: 1, lines: 1 }, 'Error rede\n', 2],
+      ['com range', { include: 'INFO', range: '2..6' }, 'INFO meio\n', 1]
+    ])('%s: todos os caminhos geram a mesma saída', async (name, options, expected, matched) => {
+      const filePath = writeTmp('filtro.log', log);
+      const inMemory = new TacProcessor(options).processText(log);
+      const smallFile = await new TacProcessor(options).processFile(filePath);
+      const largeFile = await new TacProcessor({ ...options, bufferSize: 16 }).processFile(filePath);
+      const output = collect();
+      const reverse = await new TacProcessor({ ...options, bufferSize: 7 }).reverseFileToStream(filePath, output);
+
+      for (const result of [inMemory.result, smallFile.result, largeFile.result, output.text()]) {
+        expect(result).toBe(expected);
+      }
+
+      for (const result of [inMemory, smallFile, reverse]) {
+        expect(result.lineCount).toBe(expected.split('\n').length - 1);
+        expect(result.metadata.filter.matchedLines).toBe(matched);
+      }
+    });
+
+    test('usa o caminho de streaming quando não há seleção de linhas', async () => {
+      const filePath = writeTmp('filtro.log', log);
+      const result = await new TacProcessor({ include: 'INFO', bufferSize: 16 }).processFile(filePath);
+
+      expect(result.metadata.method).toBe('streaming');
+      expect(result.result).toBe('INFO fim\nINFO meio\nINFO início\n');
+    });
+
+    test('para de ler o arquivo quando lines é atingido', async () => {
+      const big = Array.from({ length: 5000 }, (_, i) => `${i % 100 === 0 ? 'ERROR' : 'INFO'} ${i + 1}`).join('\n');
+      const filePath = writeTmp('grande.log', big + '\n');
+      const result = await new TacProcessor({ include: 'ERROR', lines: 2, bufferSize: 1024 }).processFile(filePath);
+
+      expect(result.result).toBe('ERROR 4901\nERROR 4801\n');
+      expect(result.metadata.method).toBe('reverse');
+      expect(result.bytesProcessed).toBeLessThanOrEqual(2048);
+    });
+
+    test('informa os filtros e as correspondências nos passos e em metadata', () => {
+      const processor = new TacProcessor({ include: 'erro', exclude: 'rede', ignoreCase: true, context: 1 });
+      const result = processor.processText(log);
+
+      expect(result.steps).toEqual(
+        expect.arrayContaining([
+          'Filtro: contém "erro" e não contém "rede" (sem diferenciar maiúsculas)',
+          'Linhas correspondentes: 2',
+          'Contexto: 1 linha(s) em volta de cada correspondência (4 incluídas)'
+        ])
+      );
+      expect(result.metadata.filter).toEqual({
+        include: ['erro'],
+        exclude: ['rede'],
+        regex: false,
+        ignoreCase: true,
+        context: 1,
+        matchedLines: 2,
+        contextLines: 4
+      });
+      expect(new TacProcessor().processText(log).metadata.filter).toBeNull();
+    });
+
+    test('trata padrões em texto literalmente', () => {
+      expect(new TacProcessor({ include: 'a.b' }).processText('axb\na.b\n').result).toBe('a.b\n');
+    });
+
+    test('rejeita padrões e contexto inválidos', () => {
+      expect(() => new TacProcessor({ include: '(', filterRegex: true })).toThrow('Padrão de filtro inválido');
+      expect(() => new TacProcessor({ include: 'x', context: -2 })).toThrow(
+        'Número de linhas de contexto inválido: -2'
+      );
+    });
+  });
+
+  describe('modos (paragraphs, rev, words, shuffle)', () => {
+    const text = 'um dois\n\ntrês quatro\ncinco\n\n\nseis\n';
+
+    test.each([
+      ['paragraphs', { mode: 'paragraphs' }, 'seis\n\n\ntrês quatro\ncinco\n\num dois\n', 3],
+      ['rev', { mode: 'rev' }, 'siod mu\n\nortauq sêrt\nocnic\n\n\nsies\n', 7],
+      ['words', { mode: 'words' }, 'dois um\n\nquatro três\ncinco\n\n\nseis\n', 7],
+      ['shuffle', { mode: 'shuffle', seed: 7 }, 'cinco\n\n\ntrês quatro\n\nseis\num dois\n', 7],
+      ['rev com skip e lines', { mode: 'rev', skip: 1, lines: 2 }, '\nortauq sêrt\n', 2],
+      ['shuffle com range', { mode: 'shuffle', seed: 'abc', range: '3..7' }, '\ncinco\ntrês quatro\nseis\n\n', 5],
+      ['words com filtro', { mode: 'words', include: 'ê' }, 'quatro três\n', 1]
+    ])('%s: todos os caminhos geram a mesma saída', async (name, options, expected, count) => {
+      const filePath = writeTmp('modos.txt', text);
+      const inMemory = new TacProcessor(options).processText(text);
+      const smallFile = await new TacProcessor(options).processFile(filePath);
+      const largeFile = await new TacProcessor({ ...options, bufferSize: 8 }).processFile(filePath);
+      const output = collect();
+      const reverse = await new TacProcessor({ ...options, bufferSize: 5 }).reverseFileToStream(filePath, output);
+
+      for (const result of [inMemory.result, smallFile.result, largeFile.result, output.text()]) {
+        expect(result).toBe(expected);
+      }
+
+      for (const result of [inMemory, smallFile, largeFile, reverse]) {
+        expect(result.lineCount).toBe(count);
+        expect(result.metadata.mode).toBe(options.mode);
+      }
+    });
+
+    test('inverte os caracteres sem separar grafemas', () => {
+      const input = 'cafe\u0301 👍🏽!\n👨‍👩‍👧 🇧🇷';
+
+      expect(tacText(input, { mode: 'rev' }).result).toBe('!👍🏽 e\u0301fac\n🇧🇷 👨‍👩‍👧');
+    });
+
+    test('mantém os espaços das pontas ao inverter as palavras', () => {
+      expect(tacText('  um  dois três \n', { mode: 'words' }).result).toBe('  três dois  um \n');
+    });
+
+    test('inverte parágrafos com CRLF e sem quebra de linha final', () => {
+      expect(tacText('a\r\nb\r\n\r\nc', { mode: 'paragraphs' }).result).toBe('c\r\n\r\na\r\nb');
+      expect(tacText('a\n\n\nb\n', { mode: 'paragraphs' }).result).toBe('b\n\n\na\n');
+    });
+
+    test('mantém os separadores de parágrafo com LF e CRLF misturados na leitura em partes', async () => {
+      const input = '\nébéééa\nébéé\r\n\n\n\r\nb\nbaabéaa\nb\r\n';
+      const filePath = writeTmp('misturado.txt', input);
+      const inMemory = new TacProcessor({ mode: 'paragraphs' }).processText(input);
+
+      expect(inMemory.result).toBe('b\nbaabéaa\nb\r\n\n\n\r\n\nébéééa\nébéé\r\n');
+      for (const bufferSize of [1, 2, 3]) {
+        const streaming = await new TacProcessor({ mode: 'paragraphs', bufferSize }).processFile(filePath);
+
+        expect(streaming.metadata.method).toBe('streaming');
+        expect(streaming.result).toBe(inMemory.result);
+      }
+    });
+
+    test('repete o embaralhamento com a mesma semente', () => {
+      const lines = Array.from({ length: 50 }, (_, i) => `linha ${i + 1}`).join('\n') + '\n';
+      const first = new TacProcessor({ mode: 'shuffle' }).processText(lines);
+      const again = new TacProcessor({ mode: 'shuffle', seed: first.metadata.seed }).processText(lines);
+
+      expect(typeof first.metadata.seed).toBe('number');
+      expect(again.result).toBe(first.result);
+      expect(first.result).not.toBe(lines);
+      expect(first.result.split('\n').sort()).toEqual(lines.split('\n').sort());
+    });
+
+    test('descreve o modo nos passos e em metadata', () => {
+      const result = new TacProcessor({ mode: 'shuffle', seed: '42' }).processText(text);
+
+      expect(result.steps).toEqual(
+        expect.arrayContaining([
+          'Modo: Embaralhamento das linhas (semente 42)',
+          '├─ Embaralhando as linhas...',
+          '📊 Total: 7 linhas embaralhadas'
+        ])
+      );
+      expect(result.metadata).toMatchObject({ mode: 'shuffle', seed: 42 });
+      expect(new TacProcessor().processText(text).metadata).toMatchObject({ mode: 'lines', seed: null });
+    });
+
+    test('rejeita modos inválidos e separadores no modo paragraphs', () => {
+      expect(() => new TacProcessor({ mode: 'sort' })).toThrow('Modo inválido: sort');
+      expect(() => new TacProcessor({ mode: 'paragraphs', separator: ',' })).toThrow('não aceita separator');
+    });
+  });
+
+  describe('formatos (csv, json, ndjson)', () => {
+    const csv = 'id,nome\n1,"Ana\nMaria"\n2,"Bo ""B"""\n3,Caio\n';
+    const json = '[\n  {"id": 1},\n  12345678901234567890,\n  "a, ]"\n]\n';
+    const ndjson = '{"a":1}\n{"a":2}\n\n{"a":3}\n';
+
+    test.each([
+      ['csv', 'dados.csv', csv, {}, 'id,nome\n3,Caio\n2,"Bo ""B"""\n1,"Ana\nMaria"\n', 3],
+      ['csv com lines', 'dados.csv', csv, { lines: 2 }, 'id,nome\n3,Caio\n2,"Bo ""B"""\n', 2],
+      ['json', 'dados.json', json, {}, '[\n  "a, ]",\n  12345678901234567890,\n  {"id": 1}\n]\n', 3],
+      [
+        'json com shuffle',
+        'dados.json',
+        json,
+        { mode: 'shuffle', seed: 1 },
+        '[\n  "a, ]",\n  {"id": 1},\n  12345678901234567890\n]\n',
+        3
+      ],
+      ['json com skip', 'dados.json', json, { skip: 1 }, '[\n  12345678901234567890,\n  {"id": 1}\n]\n', 2],
+      ['ndjson', 'eventos.ndjson', ndjson, {}, '{"a":3}\n\n{"a":2}\n{"a":1}\n', 4],
+      ['jsonl com filtro', 'eventos.jsonl', ndjson, { include: '2' }, '{"a":2}\n', 1]
+    ])('%s: todos os caminhos geram a mesma saída', async (name, filename, text, options, expected, count) => {
+      const filePath = writeTmp(filename, text);
+      const format = path.extname(filename) === '.jsonl' ? 'ndjson' : path.extname(filename).slice(1);
+      const inMemory = new TacProcessor({ ...options, format }).processText(text);
+      const smallFile = await new TacProcessor(options).processFile(filePath);
+      const largeFile = await new TacProcessor({ ...options, bufferSize: 8 }).processFile(filePath);
+      const output = collect();
+      const reverse = await new TacProcessor({ ...options, bufferSize: 5 }).reverseFileToStream(filePath, output);
+
+      for (const result of [inMemory.result, smallFile.result, largeFile.result, output.text()]) {
+        expect(result).toBe(expected);
+      }
+
+      for (const result of [inMemory, smallFile, largeFile, reverse]) {
+        expect(result.lineCount).toBe(count);
+        expect(result.metadata.format).toBe(format);
+      }
+    });
+
+    test('detecta o formato pela extensão, inclusive em arquivos comprimidos', async () => {
+      const filePath = writeTmp('eventos.jsonl.gz', zlib.gzipSync(ndjson));
+      const result = await new TacProcessor().processFile(filePath);
+
+      expect(result.result).toBe('{"a":3}\n\n{"a":2}\n{"a":1}\n');
+      expect(result.metadata.format).toBe('ndjson');
+      expect(result.steps).toContain('Formato: NDJSON (um documento JSON por linha)');
+    });
+
+    test('o formato explícito tem prioridade sobre a extensão', async () => {
+      const filePath = writeTmp('dados.csv', csv);
+      const result = await new TacProcessor({ format: 'text' }).processFile(filePath);
+
+      expect(result.metadata.format).toBe('text');
+      expect(result.result.startsWith('3,Caio\n')).toBe(true);
+    });
+
+    test('opções de texto fazem a detecção automática usar o formato text', async () => {
+      const filePath = writeTmp('dados.csv', csv);
+      const result = await new TacProcessor({ mode: 'rev' }).processFile(filePath);
+
+      expect(result.metadata.format).toBe('text');
+    });
+
+    test('rejeita conteúdo inválido para o formato', () => {
+      expect(() => tacText('{"a":1}\n{x}\n', { format: 'ndjson' })).toThrow('NDJSON inválido');
+      expect(() => tacText('{"a":1}', { format: 'json' })).toThrow('o conteúdo precisa ser um array');
+      expect(() => tacText('[1, 2', { format: 'json' })).toThrow('JSON inválido');
+      expect(() => tacText('a,"b\n', { format: 'csv' })).toThrow('CSV inválido: aspas sem fechamento');
+    });
+
+    test('inverte como texto o arquivo que não corresponde ao formato detectado pela extensão', async () => {
+      const jsonPath = writeTmp('linhas.json', '{"a":1}\n{"b":2}\n');
+      const ndjsonPath = writeTmp('eventos.ndjson', '{"a":1}\nlinha solta\n');
+      const output = collect();
+
+      const memory = await new TacProcessor().processFile(jsonPath);
+      const reverse = await new TacProcessor().reverseFileToStream(jsonPath, output);
+      const ndjson = await new TacProcessor({ bufferSize: 4 }).processFile(ndjsonPath);
+
+      expect(memory.result).toBe('{"b":2}\n{"a":1}\n');
+      expect(memory.metadata.format).toBe('text');
+      expect(output.text()).toBe('{"b":2}\n{"a":1}\n');
+      expect(reverse.metadata.format).toBe('text');
+      expect(ndjson.result).toBe('linha solta\n{"a":1}\n');
+      await expect(new TacProcessor({ format: 'json' }).processFile(jsonPath)).rejects.toThrow('JSON inválido');
+    });
+
+    test('rejeita formatos inválidos e opções incompatíveis', () => {
+      expect(() => new TacProcessor({ format: 'xml' })).toThrow('Formato inválido: xml');
+      expect(() => new TacProcessor({ format: 'csv', separator: ';' })).toThrow('não aceita separator nem before');
+      expect(() => new TacProcessor({ format: 'json', mode: 'rev' })).toThrow('aceita apenas os modos lines e shuffle');
+    });
+  });
+
+  describe('vários arquivos (processFiles)', () => {
+    const rotated = () => [
+      writeTmp('app.log', 'c1\nc2\n'),
+      writeTmp('app.log.1', 'b1\nb2'),
+      writeTmp('app.log.2', 'a1\na2\n')
+    ];
+
+    test('each inverte cada arquivo separadamente, como tac a b', async () => {
+      const result = await new TacProcessor().processFiles(rotated());
+
+      expect(result.result).toBe('c2\nc1\nb2b1\na2\na1\n');
+      expect(result.lineCount).toBe(6);
+      expect(result.files.map(file => file.lineCount)).toEqual([2, 2, 2]);
+      expect(result.metadata.files).toEqual({ mode: 'each', sort: null, descending: false, annotate: false });
+    });
+
+    test.each([
+      ['memória', {}],
+      ['blocos pequenos', { bufferSize: 3 }]
+    ])('concat inverte os arquivos como um só conteúdo (%s)', async (name, options) => {
+      const files = rotated();
+      const processor = new TacProcessor(options);
+      const result = await processor.processFiles(files, { mode: 'concat', sort: 'name', descending: true });
+      const expected = tacText('a1\na2\nb1\nb2c1\nc2\n', options).result;
+
+      // Sem quebra de linha final, a última linha de app.log.1 continua em app.log, como no cat
+      expect(result.result).toBe('c2\nb2c1\nb1\na2\na1\n');
+      expect(result.result).toBe(expected);
+      expect(result.files.map(file => path.basename(file.name))).toEqual(['app.log.2', 'app.log.1', 'app.log']);
+      expect(result.steps).toContain('Ordem dos arquivos: por nome (decrescente)');
+    });
+
+    test('ordena por nome com números em ordem numérica e pela data de modificação', async () => {
+      const files = [writeTmp('r.log.10', 'dez\n'), writeTmp('r.log.2', 'dois\n'), writeTmp('r.log', 'zero\n')];
+      fs.utimesSync(files[0], new Date(2000), new Date(3000));
+      fs.utimesSync(files[1], new Date(2000), new Date(2000));
+      fs.utimesSync(files[2], new Date(2000), new Date(1000));
+
+      const byName = await new TacProcessor().processFiles(files, { sort: 'name' });
+      const byTime = await new TacProcessor().processFiles(files, { mode: 'concat', sort: 'mtime', descending: true });
+
+      expect(byName.result).toBe('zero\ndois\ndez\n');
+      expect(byTime.result).toBe('zero\ndois\ndez\n');
+    });
+
+    test('annotate indica o arquivo de origem de cada linha', async () => {
+      const files = rotated().map(filePath => ({ path: filePath, name: path.basename(filePath) }));
+      const result = await new TacProcessor().processFiles(files, { mode: 'concat', annotate: true });
+
+      // A linha unida na divisa entre dois arquivos é anotada com o arquivo onde começa
+      expect(result.result).toBe('app.log.2:a2\napp.log.1:b2a1\napp.log.1:b1\napp.log:c2\napp.log:c1\n');
+      expect(result.files.map(file => file.lineCount)).toEqual([2, 2, 1]);
+    });
+
+    test('lines, filtros e arquivos comprimidos ou vazios valem para a sequência inteira', async () => {
+      const files = [
+        writeTmp('parte1.log.gz', zlib.gzipSync('a1\nb1\n')),
+        writeTmp('vazio.log', ''),
+        writeTmp('parte2.log', 'a2\nb2\n')
+      ];
+      const result = await new TacProcessor({ include: 'a', lines: 2 }).processFiles(files, { mode: 'concat' });
+
+      expect(result.result).toBe('a2\na1\n');
+      expect(result.files.map(file => file.compression)).toEqual(['gzip', null, null]);
+      expect(result.metadata.filter.matchedLines).toBe(2);
+    });
+
+    test('reverseFilesToStream escreve o resultado em um stream', async () => {
+      const output = collect();
+      const result = await new TacProcessor().reverseFilesToStream(rotated(), output, { mode: 'concat' });
+
+      expect(output.text()).toBe('a2\nb2a1\nb1\nc2\nc1\n');
+      expect(result.lineCount).toBe(5);
+      expect(result.result).toBeUndefined();
+    });
+
+    test('rejeita opções inválidas', async () => {
+      const files = rotated();
+
+      expect(() => new TacProcessor().planFiles([])).toThrow('Nenhum arquivo informado');
+      expect(() => new TacProcessor().planFiles(files, { mode: 'merge' })).toThrow('Modo de arquivos inválido');
+      expect(() => new TacProcessor().planFiles(files, { sort: 'size' })).toThrow('Ordenação inválida');
+      expect(() => new TacProcessor({ range: '1..2' }).planFiles(files, { mode: 'concat' })).toThrow(
+        'não aceita range'
+      );
+      expect(() => new TacProcessor().planFiles([writeTmp('dados.csv', 'a\n1\n')], { mode: 'concat' })).toThrow(
+        'dados.csv) não pode ser concatenado'
+      );
+      await expect(new TacProcessor().processFiles([...files, path.join(tmpDir, 'nao-existe.log')])).rejects.toThrow(
+        'Erro ao processar arquivos: '
+      );
+    });
+  });
+});